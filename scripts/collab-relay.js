@@ -0,0 +1,157 @@
+/**
+ * WebSocket relay for live collaboration without Supabase
+ * Forwards every text message to the other sockets connected with the same ?room=
+ * parameter. Dependency-free, for local development and tests:
+ *
+ *   npm run collab:relay            # ws://localhost:8787
+ *   VITE_COLLAB_RELAY_URL=ws://localhost:8787 npm run dev
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Larger frames are refused rather than buffered
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([0x80 | opcode, length])
+      : length < 65536
+        ? Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff])
+        : Buffer.concat([Buffer.from([0x80 | opcode, 127]), bigEndian64(length)]);
+  return Buffer.concat([header, payload]);
+}
+
+function bigEndian64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+}
+
+// Complete frames at the start of buffer; returns them with the bytes they used
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new Error("Message too large");
+
+    const masked = (second & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length < cursor + length) break;
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) payload.forEach((byte, i) => (payload[i] = byte ^ mask[i % 4]));
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return { frames, used: offset };
+}
+
+/**
+ * Start the relay; resolves with { port, close } once it is listening
+ * Pass port 0 to pick a free port.
+ */
+export function startRelay({ port = 8787, host = "127.0.0.1" } = {}) {
+  const rooms = new Map();
+  const sockets = new Set();
+
+  const server = createServer((request, response) => {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("Collaboration relay: connect with a WebSocket\n");
+  });
+
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (!key || request.headers.upgrade?.toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+    socket.write(
+      ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n")
+    );
+
+    const room = new URL(request.url, "http://relay").searchParams.get("room") || "default";
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    const members = rooms.get(room);
+    members.add(socket);
+    sockets.add(socket);
+
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+
+    const leave = () => {
+      members.delete(socket);
+      sockets.delete(socket);
+      if (!members.size) rooms.delete(room);
+    };
+
+    socket.on("data", (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      let result;
+      try {
+        result = decodeFrames(buffered);
+      } catch {
+        socket.end(encodeFrame(OPCODES.close, Buffer.from([0x03, 0xf1])));
+        return;
+      }
+      buffered = buffered.subarray(result.used);
+
+      result.frames.forEach(({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.close) {
+          socket.end(encodeFrame(OPCODES.close));
+        } else if (opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, payload));
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+          fragments.push(payload);
+          if (!fin) return;
+          const frame = encodeFrame(OPCODES.text, Buffer.concat(fragments));
+          fragments = [];
+          members.forEach((member) => member !== socket && member.write(frame));
+        }
+      });
+    });
+    socket.on("close", leave);
+    socket.on("error", leave);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        close: () =>
+          new Promise((done) => {
+            sockets.forEach((socket) => socket.destroy());
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const relay = await startRelay({ port: Number(process.env.PORT) || 8787, host: process.env.HOST || "127.0.0.1" });
+  console.log(`Collaboration relay listening on ws://localhost:${relay.port}`);
+}
@@ -1,56 +1,175 @@
 /**
  * Custom React Flow node component for diagram blocks
- * Supports editing, annotations, and visual styling per block type
+ * Supports editing, part details, annotations, typed ports, sub-diagrams, and visual styling per block type
  */
 
-import { memo, useState, useCallback } from "react";
-import { Handle, Position } from "reactflow";
-import { Pencil, MessageSquare, Plus, X, Check } from "lucide-react";
+import { memo, useState, useCallback, useEffect } from "react";
+import { Handle, Position, useUpdateNodeInternals } from "reactflow";
+import { Pencil, MessageSquare, Plus, X, Check, ChevronDown, FileText, Layers } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { normalizeComponent, cleanComponent, datasheetUrl } from "@/lib/parts";
+import { blockTypeStyle } from "@/lib/blockTypes";
+import { subDiagramBlockCount } from "@/lib/subDiagrams";
+import { useBlockType } from "@/hooks/use-block-types";
+import { useBlockEditors } from "@/hooks/use-collaboration";
+import PortEditor from "./PortEditor";
+import ComponentFields from "./ComponentFields";
 
-// Block styling configuration
-const blockStyles = {
-  power: { className: "block-power", icon: "⚡" },
-  inputs: { className: "block-inputs", icon: "📥" },
-  processing: { className: "block-processing", icon: "🔧" },
-  outputs: { className: "block-outputs", icon: "📤" },
-  peripherals: { className: "block-peripherals", icon: "🔌" },
+// Handle colour per port kind
+const portKindClasses = {
+  power: "bg-block-power",
+  ground: "bg-muted-foreground",
+  data: "bg-primary",
+  control: "bg-block-outputs",
+  analog: "bg-block-inputs",
 };
 
-const BlockNode = memo(({ id, data, selected, onUpdate, onDelete }) => {
+const handleClass = "w-3 h-3 border-2 border-background";
+
+function portTitle(port) {
+  return [port.name, port.direction, port.kind, port.protocol, port.voltage !== undefined && `${port.voltage}V`]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// One handle per port; inputs on the target side, outputs and bidirectional ports on the source side
+function PortHandles({ ports, sourcePosition, targetPosition }) {
+  const inputs = ports.filter((port) => port.direction === "in");
+  const outputs = ports.filter((port) => port.direction !== "in");
+  const sideways = targetPosition === Position.Left || targetPosition === Position.Right;
+
+  const renderHandle = (port, type, position, style) => (
+    <Handle
+      key={port.id}
+      id={port.id}
+      type={type}
+      position={position}
+      style={style}
+      title={portTitle(port)}
+      className={cn(handleClass, portKindClasses[port.kind] || "bg-primary")}
+    />
+  );
+
+  // Top/bottom handles are spread along the edge, with names in their tooltips
+  if (!sideways) {
+    const spread = (list, type, position) =>
+      list.map((port, index) =>
+        renderHandle(port, type, position, { left: `${((index + 1) / (list.length + 1)) * 100}%` })
+      );
+    return (
+      <>
+        {spread(inputs, "target", targetPosition)}
+        {spread(outputs, "source", sourcePosition)}
+      </>
+    );
+  }
+
+  // Left/right handles sit on labelled rows that span the full block width
+  const rows = Math.max(inputs.length, outputs.length);
+  return (
+    <div className="-mx-4 mb-2 border-t border-foreground/10 pt-1">
+      {Array.from({ length: rows }, (_, index) => {
+        const input = inputs[index];
+        const output = outputs[index];
+        return (
+          <div key={index} className="relative flex justify-between px-4 h-5 items-center text-[10px] font-mono text-foreground/70">
+            <span>{input?.name}</span>
+            <span>{output?.name}</span>
+            {input && renderHandle(input, "target", targetPosition)}
+            {output && renderHandle(output, "source", sourcePosition)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const BlockNode = memo(({
+  id,
+  data,
+  selected,
+  sourcePosition = Position.Right,
+  targetPosition = Position.Left,
+  onUpdate,
+  onDelete,
+  startEditing = false,
+  onEditStarted,
+  onOpenSubDiagram,
+  onEditingChange,
+}) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editTitle, setEditTitle] = useState(data.title);
-  const [editComponents, setEditComponents] = useState(data.components);
+  const [editComponents, setEditComponents] = useState([]);
+  const [expandedComponent, setExpandedComponent] = useState(null);
   const [editAnnotation, setEditAnnotation] = useState(data.annotation || "");
   const [showAnnotation, setShowAnnotation] = useState(!!data.annotation);
   const [newComponent, setNewComponent] = useState("");
+  const [editPorts, setEditPorts] = useState(data.ports || []);
 
-  const style = blockStyles[data.type];
+  // Unknown types (e.g. a removed custom type) get the registry's neutral fallback
+  const blockType = useBlockType(data.type);
+  const typeStyle = blockTypeStyle(blockType);
+  const ports = data.ports || [];
+  const childBlocks = subDiagramBlockCount(data);
+  // Other users of a live session with this block open in their editor
+  const editors = useBlockEditors(id);
+
+  // Handles moved or changed, so React Flow must re-measure them
+  const updateNodeInternals = useUpdateNodeInternals();
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, data.ports, sourcePosition, targetPosition, updateNodeInternals]);
 
   // Handle save edit
   const handleSave = useCallback(() => {
     if (onUpdate) {
       onUpdate(id, {
         title: editTitle,
-        components: editComponents,
+        components: editComponents.map(cleanComponent).filter((component) => component.name),
         annotation: editAnnotation || undefined,
+        ports: editPorts.length ? editPorts : undefined,
       });
     }
     setIsEditing(false);
-  }, [id, editTitle, editComponents, editAnnotation, onUpdate]);
+  }, [id, editTitle, editComponents, editAnnotation, editPorts, onUpdate]);
+
+  // Start editing from the current data, which may have changed through undo/redo
+  const handleStartEdit = useCallback(() => {
+    setEditTitle(data.title);
+    setEditComponents(data.components.map(normalizeComponent));
+    setExpandedComponent(null);
+    setEditAnnotation(data.annotation || "");
+    setEditPorts(data.ports || []);
+    setIsEditing(true);
+  }, [data]);
+
+  // Blocks dropped from the palette open straight into edit mode
+  useEffect(() => {
+    if (startEditing) {
+      handleStartEdit();
+      onEditStarted?.(id);
+    }
+  }, [startEditing, handleStartEdit, onEditStarted, id]);
+
+  // Let the live session know while this block is being edited
+  useEffect(() => {
+    if (!isEditing) return;
+    onEditingChange?.(id, true);
+    return () => onEditingChange?.(id, false);
+  }, [id, isEditing, onEditingChange]);
 
   // Handle cancel edit
   const handleCancel = useCallback(() => {
     setEditTitle(data.title);
-    setEditComponents(data.components);
     setEditAnnotation(data.annotation || "");
+    setEditPorts(data.ports || []);
     setIsEditing(false);
   }, [data]);
 
   // Handle add component
   const handleAddComponent = useCallback(() => {
     if (newComponent.trim()) {
-      setEditComponents((prev) => [...prev, newComponent.trim()]);
+      setEditComponents((prev) => [...prev, { name: newComponent.trim(), quantity: 1 }]);
       setNewComponent("");
     }
   }, [newComponent]);
@@ -58,32 +177,46 @@ const BlockNode = memo(({ id, data, selected, onUpdate, onDelete }) => {
   // Handle remove component
   const handleRemoveComponent = useCallback((index) => {
     setEditComponents((prev) => prev.filter((_, i) => i !== index));
+    setExpandedComponent(null);
+  }, []);
+
+  // Handle part detail changes for one component
+  const handleComponentChange = useCallback((index, component) => {
+    setEditComponents((prev) => prev.map((c, i) => (i === index ? component : c)));
   }, []);
 
   return (
     <div
       className={cn(
-        "block-node p-4 min-w-[240px] max-w-[300px]",
-        style.className,
+        "block-node relative p-4 min-w-[240px] max-w-[300px]",
+        typeStyle.className,
         selected && "ring-2 ring-primary ring-offset-2 ring-offset-background"
       )}
+      style={editors.length ? { ...typeStyle.style, outline: `2px solid ${editors[0].color}`, outlineOffset: 3 } : typeStyle.style}
+      title={blockType.label}
     >
-      {/* Connection handles */}
-      <Handle
-        type="target"
-        position={Position.Left}
-        className="w-3 h-3 bg-primary border-2 border-background"
-      />
-      <Handle
-        type="source"
-        position={Position.Right}
-        className="w-3 h-3 bg-primary border-2 border-background"
-      />
+      {/* Being edited by other users of the live session */}
+      {editors.length > 0 && (
+        <div
+          className="absolute -top-6 left-0 max-w-full truncate rounded px-1.5 py-0.5 text-[10px] font-medium text-white"
+          style={{ backgroundColor: editors[0].color }}
+        >
+          {editors.map((editor) => editor.name).join(", ")} editing
+        </div>
+      )}
+
+      {/* Connection handles: a single in/out pair until the block has typed ports */}
+      {ports.length === 0 && (
+        <>
+          <Handle type="target" position={targetPosition} className={cn(handleClass, "bg-primary")} />
+          <Handle type="source" position={sourcePosition} className={cn(handleClass, "bg-primary")} />
+        </>
+      )}
 
       {/* Block header */}
       <div className="flex items-center justify-between mb-3">
         <div className="flex items-center gap-2">
-          <span className="text-xl">{style.icon}</span>
+          <span className="text-xl">{blockType.icon}</span>
           {isEditing ? (
             <input
               type="text"
@@ -117,12 +250,27 @@ const BlockNode = memo(({ id, data, selected, onUpdate, onDelete }) => {
           ) : (
             <>
               <button
-                onClick={() => setIsEditing(true)}
+                onClick={handleStartEdit}
                 className="p-1 hover:bg-foreground/10 rounded transition-colors"
                 title="Edit block"
               >
                 <Pencil className="w-4 h-4 text-muted-foreground" />
               </button>
+              {onOpenSubDiagram && (
+                <button
+                  onClick={() => onOpenSubDiagram(id)}
+                  className={cn(
+                    "flex items-center gap-0.5 p-1 hover:bg-foreground/10 rounded transition-colors",
+                    childBlocks > 0 && "bg-foreground/10"
+                  )}
+                  title={childBlocks > 0 ? `Open sub-diagram (${childBlocks} blocks)` : "Open sub-diagram"}
+                >
+                  <Layers className="w-4 h-4 text-muted-foreground" />
+                  {childBlocks > 0 && (
+                    <span className="text-[10px] font-mono text-foreground/70">{childBlocks}</span>
+                  )}
+                </button>
+              )}
               <button
                 onClick={() => setShowAnnotation(!showAnnotation)}
                 className={cn(
@@ -140,22 +288,68 @@ const BlockNode = memo(({ id, data, selected, onUpdate, onDelete }) => {
 
       {/* Components list */}
       <div className="space-y-1 mb-2">
-        {(isEditing ? editComponents : data.components).map((component, index) => (
-          <div
-            key={index}
-            className="flex items-center justify-between bg-background/20 rounded px-2 py-1 text-xs font-mono"
-          >
-            <span className="text-foreground/90">{component}</span>
-            {isEditing && (
-              <button
-                onClick={() => handleRemoveComponent(index)}
-                className="p-0.5 hover:bg-destructive/20 rounded"
+        {isEditing
+          ? editComponents.map((component, index) => (
+              <div key={index} className="bg-background/20 rounded text-xs font-mono">
+                <div className="flex items-center justify-between gap-1 px-2 py-1">
+                  <span className="text-foreground/90 truncate">{component.name || "Unnamed"}</span>
+                  <div className="flex items-center shrink-0">
+                    <button
+                      onClick={() => setExpandedComponent(expandedComponent === index ? null : index)}
+                      className="p-0.5 hover:bg-foreground/10 rounded"
+                      title="Part details"
+                    >
+                      <ChevronDown
+                        className={cn(
+                          "w-3 h-3 text-muted-foreground transition-transform",
+                          expandedComponent === index && "rotate-180"
+                        )}
+                      />
+                    </button>
+                    <button
+                      onClick={() => handleRemoveComponent(index)}
+                      className="p-0.5 hover:bg-destructive/20 rounded"
+                    >
+                      <X className="w-3 h-3 text-destructive" />
+                    </button>
+                  </div>
+                </div>
+                {expandedComponent === index && (
+                  <ComponentFields
+                    component={component}
+                    onChange={(updated) => handleComponentChange(index, updated)}
+                  />
+                )}
+              </div>
+            ))
+          : data.components.map(normalizeComponent).map((component, index) => (
+              <div
+                key={index}
+                className="flex items-center justify-between gap-2 bg-background/20 rounded px-2 py-1 text-xs font-mono"
+                title={[component.manufacturer, component.partNumber, component.package].filter(Boolean).join(" · ")}
               >
-                <X className="w-3 h-3 text-destructive" />
-              </button>
-            )}
-          </div>
-        ))}
+                <span className="text-foreground/90 truncate">
+                  {component.name}
+                  {component.partNumber && (
+                    <span className="text-muted-foreground"> · {component.partNumber}</span>
+                  )}
+                </span>
+                <span className="flex items-center gap-1 shrink-0 text-muted-foreground">
+                  {component.quantity > 1 && `×${component.quantity}`}
+                  {datasheetUrl(component) && (
+                    <a
+                      href={datasheetUrl(component)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="nodrag p-0.5 hover:text-primary"
+                      title="Open datasheet"
+                    >
+                      <FileText className="w-3 h-3" />
+                    </a>
+                  )}
+                </span>
+              </div>
+            ))}
       </div>
 
       {/* Add component input (when editing) */}
@@ -178,6 +372,14 @@ const BlockNode = memo(({ id, data, selected, onUpdate, onDelete }) => {
         </div>
       )}
 
+      {/* Typed ports; handles stay mounted while editing so attached edges keep their ends */}
+      {isEditing && (
+        <PortEditor ports={editPorts} blockType={data.type} onChange={setEditPorts} />
+      )}
+      {ports.length > 0 && (
+        <PortHandles ports={ports} sourcePosition={sourcePosition} targetPosition={targetPosition} />
+      )}
+
       {/* Annotation section */}
       {showAnnotation && (
         <div className="mt-3 pt-3 border-t border-foreground/20">
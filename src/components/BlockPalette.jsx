@@ -0,0 +1,163 @@
+/**
+ * Sidebar palette of blocks that can be dragged onto the canvas
+ * Lists every registered block type and lets users define new ones
+ */
+
+import { useState } from "react";
+import { Plus, X, GripVertical } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { cn } from "@/lib/utils";
+import { PALETTE_DRAG_TYPE } from "@/lib/palette";
+import { addBlockTypes, blockTypeStyle, createBlockTypeId, removeBlockType } from "@/lib/blockTypes";
+import { useBlockTypes } from "@/hooks/use-block-types";
+
+const emptyDraft = { label: "", color: "#e11d48", icon: "📡", before: "", components: "" };
+
+function PaletteItem({ type }) {
+  const typeStyle = blockTypeStyle(type);
+
+  // Carry the block type to the canvas drop handler
+  const handleDragStart = (event) => {
+    const entry = { type: type.id, label: type.label, components: type.components };
+    event.dataTransfer.setData(PALETTE_DRAG_TYPE, JSON.stringify(entry));
+    event.dataTransfer.effectAllowed = "move";
+  };
+
+  return (
+    <li
+      draggable
+      onDragStart={handleDragStart}
+      className="group flex items-center gap-2 rounded px-2 py-1.5 text-xs cursor-grab active:cursor-grabbing hover:bg-secondary/60"
+      title={type.description || "Drag onto the canvas"}
+    >
+      <GripVertical className="w-3 h-3 text-muted-foreground" />
+      <span
+        className={cn("w-5 h-5 rounded border flex items-center justify-center text-[11px]", typeStyle.className)}
+        style={typeStyle.style}
+      >
+        {type.icon}
+      </span>
+      <span className="truncate text-foreground">{type.label}</span>
+      {!type.builtIn && (
+        <button
+          onClick={() => removeBlockType(type.id)}
+          className="ml-auto p-0.5 rounded opacity-0 group-hover:opacity-100 hover:bg-destructive/20 transition-opacity"
+          title="Remove block type"
+        >
+          <X className="w-3 h-3 text-destructive" />
+        </button>
+      )}
+    </li>
+  );
+}
+
+export default function BlockPalette() {
+  const types = useBlockTypes();
+  const [draft, setDraft] = useState(null);
+
+  // Place the new type just before the chosen one in layout order, or last
+  const orderFor = (beforeId) => {
+    const index = types.findIndex((type) => type.id === beforeId);
+    if (index === -1) return types.length ? types[types.length - 1].order + 1 : 0;
+    const previous = index > 0 ? types[index - 1].order : types[index].order - 1;
+    return (previous + types[index].order) / 2;
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const label = draft.label.trim();
+    if (!label) return;
+    addBlockTypes([
+      {
+        id: createBlockTypeId(label, types),
+        label,
+        color: draft.color,
+        icon: draft.icon.trim() || "▪",
+        order: orderFor(draft.before),
+        components: draft.components
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean),
+      },
+    ]);
+    setDraft(null);
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-secondary/30 rounded-lg border border-border">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-foreground">Block Palette</p>
+        <Button
+          onClick={() => setDraft(draft ? null : emptyDraft)}
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 gap-1"
+          title="Define a new block type"
+        >
+          <Plus className="w-3 h-3" />
+          New type
+        </Button>
+      </div>
+
+      {draft && (
+        <form onSubmit={handleSubmit} className="mb-3 space-y-2">
+          <div className="flex gap-2">
+            <Input
+              value={draft.icon}
+              onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+              className="h-8 w-10 px-1 text-center text-xs"
+              maxLength={4}
+              title="Icon"
+            />
+            <Input
+              value={draft.label}
+              onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+              placeholder="Name, e.g. RF Front End"
+              className="h-8 text-xs"
+              autoFocus
+            />
+            <input
+              type="color"
+              value={draft.color}
+              onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+              className="h-8 w-10 shrink-0 rounded-md border border-input bg-background p-1"
+              title="Colour"
+            />
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={draft.before}
+              onChange={(e) => setDraft({ ...draft, before: e.target.value })}
+              className="h-8 rounded-md border border-input bg-background px-2 text-xs"
+              title="Position in the layout order"
+            >
+              {types.map((type) => (
+                <option key={type.id} value={type.id}>
+                  Before {type.label}
+                </option>
+              ))}
+              <option value="">Last</option>
+            </select>
+            <Input
+              value={draft.components}
+              onChange={(e) => setDraft({ ...draft, components: e.target.value })}
+              placeholder="Default components, comma separated"
+              className="h-8 text-xs"
+            />
+          </div>
+          <Button type="submit" size="sm" className="h-7 w-full" disabled={!draft.label.trim()}>
+            Add block type
+          </Button>
+        </form>
+      )}
+
+      <ul className="space-y-0.5">
+        {types.map((type) => (
+          <PaletteItem key={type.id} type={type} />
+        ))}
+      </ul>
+      <p className="mt-2 text-xs text-muted-foreground">Drag a block onto the canvas to add it.</p>
+    </div>
+  );
+}
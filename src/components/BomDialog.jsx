@@ -0,0 +1,115 @@
+/**
+ * Bill of materials view
+ * Aggregates the components of all blocks into one table and exports it as CSV
+ */
+
+import { useMemo } from "react";
+import { FileSpreadsheet, FileText } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { buildBom, formatCost } from "@/lib/bom";
+import { datasheetUrl } from "@/lib/parts";
+
+export default function BomDialog({ open, onOpenChange, nodes, onExport }) {
+  // Only rebuild while the dialog is open
+  const bom = useMemo(() => (open ? buildBom(nodes) : null), [open, nodes]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl">
+        <DialogHeader>
+          <DialogTitle>Bill of materials</DialogTitle>
+          <DialogDescription>
+            Components from every block, with identical parts combined. Add part numbers and
+            costs by editing a block.
+          </DialogDescription>
+        </DialogHeader>
+
+        {bom && (
+          <div className="max-h-[60vh] overflow-auto">
+            <Table className="text-xs">
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Component</TableHead>
+                  <TableHead>Part number</TableHead>
+                  <TableHead>Manufacturer</TableHead>
+                  <TableHead>Package</TableHead>
+                  <TableHead className="text-right">Qty</TableHead>
+                  <TableHead className="text-right">Unit</TableHead>
+                  <TableHead className="text-right">Total</TableHead>
+                  <TableHead>Blocks</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {bom.rows.map((row, index) => (
+                  <TableRow key={index}>
+                    <TableCell className="font-medium">
+                      <span className="flex items-center gap-1">
+                        {row.name}
+                        {datasheetUrl(row) && (
+                          <a
+                            href={datasheetUrl(row)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-muted-foreground hover:text-primary"
+                            title="Open datasheet"
+                          >
+                            <FileText className="w-3 h-3" />
+                          </a>
+                        )}
+                      </span>
+                    </TableCell>
+                    <TableCell className="font-mono">{row.partNumber}</TableCell>
+                    <TableCell>{row.manufacturer}</TableCell>
+                    <TableCell>{row.package}</TableCell>
+                    <TableCell className="text-right font-mono">{row.quantity}</TableCell>
+                    <TableCell className="text-right font-mono">{formatCost(row.unitCost)}</TableCell>
+                    <TableCell className="text-right font-mono">{formatCost(row.extendedCost)}</TableCell>
+                    <TableCell className="text-muted-foreground">{row.blocks.join(", ")}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+              <TableFooter>
+                <TableRow>
+                  <TableCell colSpan={4}>
+                    {bom.rows.length} line{bom.rows.length === 1 ? "" : "s"}
+                    {bom.totals.unpriced > 0 && (
+                      <span className="text-muted-foreground"> · {bom.totals.unpriced} without a unit cost</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right font-mono">{bom.totals.quantity}</TableCell>
+                  <TableCell />
+                  <TableCell className="text-right font-mono">{formatCost(bom.totals.cost)}</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableFooter>
+            </Table>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button onClick={onExport} disabled={!bom?.rows.length} className="gap-2">
+            <FileSpreadsheet className="w-4 h-4" />
+            Export CSV
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * Boundary node inside a sub-diagram
+ * Stands for one port of the parent block: inputs feed the child's blocks,
+ * outputs and bidirectional ports collect connections leaving the block
+ */
+
+import { memo } from "react";
+import { Handle, Position } from "reactflow";
+import { cn } from "@/lib/utils";
+
+// Pill colour per port kind, matching the port handles on BlockNode
+const kindClasses = {
+  power: "border-block-power text-block-power",
+  ground: "border-muted-foreground text-muted-foreground",
+  data: "border-primary text-primary",
+  control: "border-block-outputs text-block-outputs",
+  analog: "border-block-inputs text-block-inputs",
+};
+
+const BoundaryNode = memo(({ data, selected, sourcePosition = Position.Right, targetPosition = Position.Left }) => {
+  const inbound = data.direction === "in";
+
+  return (
+    <div
+      className={cn(
+        "flex items-center gap-2 rounded-full border-2 border-dashed bg-card px-3 py-1.5 text-xs font-mono",
+        kindClasses[data.kind] || "border-foreground/40 text-foreground/80",
+        selected && "ring-2 ring-primary ring-offset-2 ring-offset-background"
+      )}
+      title={`Parent port ${data.title} (${data.direction}${data.kind ? `, ${data.kind}` : ""})`}
+    >
+      <span className="text-muted-foreground">{inbound ? "in" : "out"}</span>
+      <span className="font-semibold">{data.title}</span>
+      {inbound ? (
+        <Handle type="source" position={sourcePosition} className="w-3 h-3 border-2 border-background bg-primary" />
+      ) : (
+        <Handle type="target" position={targetPosition} className="w-3 h-3 border-2 border-background bg-primary" />
+      )}
+    </div>
+  );
+});
+
+BoundaryNode.displayName = "BoundaryNode";
+
+export default BoundaryNode;
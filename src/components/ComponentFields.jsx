@@ -0,0 +1,55 @@
+/**
+ * Part details for one component, shown inside a BlockNode while it is being edited
+ * Fields are kept as typed text here; BlockNode tidies them with cleanComponent on save
+ */
+
+import { PART_FIELDS, ELECTRICAL_FIELDS } from "@/lib/parts";
+
+const fieldClass =
+  "nodrag w-full bg-background/20 border border-foreground/20 rounded px-1.5 py-1 text-xs font-mono text-foreground placeholder:text-muted-foreground focus:outline-none focus:border-primary";
+
+export default function ComponentFields({ component, onChange }) {
+  const update = (key, value) => onChange({ ...component, [key]: value });
+
+  return (
+    <div className="grid grid-cols-2 gap-1 px-2 pb-2 pt-1 bg-background/10 rounded-b">
+      <label className="col-span-2 space-y-0.5">
+        <span className="text-[10px] text-muted-foreground">Name</span>
+        <input
+          type="text"
+          value={component.name}
+          onChange={(e) => update("name", e.target.value)}
+          className={fieldClass}
+        />
+      </label>
+      {PART_FIELDS.map((field) => (
+        <label key={field.key} className={field.key === "datasheet" ? "col-span-2 space-y-0.5" : "space-y-0.5"}>
+          <span className="text-[10px] text-muted-foreground">{field.label}</span>
+          <input
+            type={field.type || "text"}
+            min={field.type === "number" ? "0" : undefined}
+            step={field.key === "unitCost" ? "0.01" : undefined}
+            value={component[field.key] ?? ""}
+            onChange={(e) => update(field.key, e.target.value)}
+            placeholder={field.placeholder}
+            className={fieldClass}
+          />
+        </label>
+      ))}
+      <p className="col-span-2 pt-1 text-[10px] uppercase tracking-wide text-muted-foreground">Electrical</p>
+      {ELECTRICAL_FIELDS.map((field) => (
+        <label key={field.key} className="space-y-0.5" title={field.hint}>
+          <span className="text-[10px] text-muted-foreground">{field.label}</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={component[field.key] ?? ""}
+            onChange={(e) => update(field.key, e.target.value)}
+            className={fieldClass}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -1,9 +1,9 @@
 /**
  * Main diagram canvas component using React Flow
- * Handles node/edge rendering, interactions, and layout
+ * Handles node/edge rendering, interactions, selection, clipboard, and layout
  */
 
-import { useCallback, useMemo } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import ReactFlow, {
   Controls,
   Background,
@@ -11,23 +11,79 @@ import ReactFlow, {
   useNodesState,
   useEdgesState,
   addEdge,
-  MarkerType,
   Panel,
+  ConnectionMode,
 } from "reactflow";
 import "reactflow/dist/style.css";
+import { toast } from "sonner";
 import BlockNode from "./BlockNode";
-import { Download, RotateCcw } from "lucide-react";
+import BoundaryNode from "./BoundaryNode";
+import SubDiagramBreadcrumbs from "./SubDiagramBreadcrumbs";
+import ImageExportDialog from "./ImageExportDialog";
+import TextExportDialog from "./TextExportDialog";
+import BomDialog from "./BomDialog";
+import PowerPanel from "./PowerPanel";
+import ProblemsPanel from "./ProblemsPanel";
+import EdgeInspector from "./EdgeInspector";
+import EditableEdge from "./EditableEdge";
+import PresenceCursors from "./PresenceCursors";
+import {
+  Download,
+  Upload,
+  RotateCcw,
+  Undo2,
+  Redo2,
+  Image,
+  FileCode,
+  FileInput,
+  Share2,
+  Workflow,
+  ArrowRight,
+  ArrowDown,
+  ListChecks,
+  BatteryCharging,
+  ShieldAlert,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { exportDiagramAsImage } from "@/lib/imageExport";
+import { exportBomAsCsv } from "@/lib/bom";
+import { layoutNodes, LAYOUT_DIRECTIONS } from "@/lib/layout";
+import { cn } from "@/lib/utils";
+import { findPort, checkPortCompatibility, connectionMetadata } from "@/lib/ports";
+import { applyEdgeStyle, edgeStyleFor } from "@/lib/edgeStyles";
+import { runDesignRules, DESIGN_RULES } from "@/lib/designRules";
+import { createBlockNode, PALETTE_DRAG_TYPE } from "@/lib/palette";
+import { boundaryPorts, isBoundaryNode, syncBoundaryNodes } from "@/lib/subDiagrams";
+import { parseClipboardText, prepareForPaste, selectedSubgraph, selectionToClipboardText } from "@/lib/clipboard";
+import { addBlockTypes } from "@/lib/blockTypes";
+
+// Toolbar badge colour for the most severe problem
+const problemBadgeClasses = {
+  error: "bg-destructive text-destructive-foreground",
+  warning: "bg-block-power text-background",
+  info: "bg-primary text-primary-foreground",
+};
+
+// Keyboard shortcuts and clipboard events leave text fields alone
+function isTextInput(target) {
+  return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+}
 
 // Default edge style
 const defaultEdgeOptions = {
   type: "smoothstep",
   animated: true,
-  style: { stroke: "hsl(199 89% 48%)", strokeWidth: 2 },
-  markerEnd: {
-    type: MarkerType.ArrowClosed,
-    color: "hsl(199 89% 48%)",
-  },
+  ...edgeStyleFor(),
 };
 
 export default function DiagramCanvas({
@@ -36,8 +92,41 @@ export default function DiagramCanvas({
   onNodesChange,
   onEdgesChange,
   onExport,
+  onExportDrawio,
+  onImport,
+  onImportText,
   onReset,
+  confirmReset = false,
+  onRecordHistory,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  layoutDirection = LAYOUT_DIRECTIONS.LR,
+  onLayoutDirectionChange,
+  designRules = DESIGN_RULES,
+  trail = [],
+  onNavigate,
+  onOpenSubDiagram,
+  onExpandBlock,
+  isExpanding = false,
+  onCursorMove,
+  onEditingChange,
 }) {
+  const fileInputRef = useRef(null);
+  const containerRef = useRef(null);
+  const [reactFlowInstance, setReactFlowInstance] = useState(null);
+  const [isImageDialogOpen, setIsImageDialogOpen] = useState(false);
+  const [isTextDialogOpen, setIsTextDialogOpen] = useState(false);
+  const [isBomDialogOpen, setIsBomDialogOpen] = useState(false);
+  const [isPowerPanelOpen, setIsPowerPanelOpen] = useState(false);
+  const [isProblemsOpen, setIsProblemsOpen] = useState(false);
+  // Block dropped from the palette that should open in edit mode once mounted
+  const pendingEditRef = useRef(null);
+  // Last pointer position over the canvas, so pasted blocks land under the cursor
+  const pointerRef = useRef(null);
+  const [isResetDialogOpen, setIsResetDialogOpen] = useState(false);
+
   // Use React Flow state management
   const [nodes, setNodes, onNodesChangeInternal] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChangeInternal] = useEdgesState(initialEdges);
@@ -45,64 +134,162 @@ export default function DiagramCanvas({
   // Update parent when nodes change
   const handleNodesChange = useCallback(
     (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        onRecordHistory?.();
+      }
       onNodesChangeInternal(changes);
       setNodes((nds) => {
         onNodesChange(nds);
         return nds;
       });
     },
-    [onNodesChangeInternal, onNodesChange, setNodes]
+    [onNodesChangeInternal, onNodesChange, setNodes, onRecordHistory]
   );
 
   // Update parent when edges change
   const handleEdgesChange = useCallback(
     (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        onRecordHistory?.();
+      }
       onEdgesChangeInternal(changes);
       setEdges((eds) => {
         onEdgesChange(eds);
         return eds;
       });
     },
-    [onEdgesChangeInternal, onEdgesChange, setEdges]
+    [onEdgesChangeInternal, onEdgesChange, setEdges, onRecordHistory]
   );
 
-  // Handle new connections
+  // Check the ports at both ends of a connection and infer its signal metadata
+  const inspectConnection = useCallback(
+    (connection) => {
+      const sourcePort = findPort(nodes.find((n) => n.id === connection.source), connection.sourceHandle);
+      const targetPort = findPort(nodes.find((n) => n.id === connection.target), connection.targetHandle);
+      checkPortCompatibility(sourcePort, targetPort).forEach((warning) => toast.warning(warning));
+      return connectionMetadata(sourcePort, targetPort);
+    },
+    [nodes]
+  );
+
+  // Handle new connections, checking port compatibility and recording signal metadata
   const onConnect = useCallback(
     (params) => {
+      const metadata = inspectConnection(params);
+
+      onRecordHistory?.();
       setEdges((eds) => {
         const newEdges = addEdge(
-          {
+          applyEdgeStyle({
             ...params,
             ...defaultEdgeOptions,
-          },
+            ...(Object.keys(metadata).length && { data: metadata }),
+          }),
           eds
         );
         onEdgesChange(newEdges);
         return newEdges;
       });
     },
-    [setEdges, onEdgesChange]
+    [inspectConnection, setEdges, onEdgesChange, onRecordHistory]
+  );
+
+  // Move an edge endpoint to another block or port; port metadata replaces the old signal info
+  const handleReconnect = useCallback(
+    (oldEdge, connection) => {
+      const metadata = inspectConnection(connection);
+      const data = Object.keys(metadata).length ? metadata : oldEdge.data;
+
+      onRecordHistory?.();
+      setEdges((eds) => {
+        const updatedEdges = eds.map((edge) =>
+          edge.id === oldEdge.id
+            ? applyEdgeStyle({
+                ...edge,
+                source: connection.source,
+                target: connection.target,
+                sourceHandle: connection.sourceHandle,
+                targetHandle: connection.targetHandle,
+                data,
+              })
+            : edge
+        );
+        onEdgesChange(updatedEdges);
+        return updatedEdges;
+      });
+    },
+    [inspectConnection, setEdges, onEdgesChange, onRecordHistory]
+  );
+
+  // Apply label, animation or signal changes to one edge and restyle it
+  const handleEdgeChange = useCallback(
+    (edgeId, changes) => {
+      onRecordHistory?.();
+      setEdges((eds) => {
+        const updatedEdges = eds.map((edge) =>
+          edge.id === edgeId ? applyEdgeStyle({ ...edge, ...changes }) : edge
+        );
+        onEdgesChange(updatedEdges);
+        return updatedEdges;
+      });
+    },
+    [setEdges, onEdgesChange, onRecordHistory]
+  );
+
+  const handleEdgeLabelChange = useCallback(
+    (edgeId, label) => handleEdgeChange(edgeId, { label }),
+    [handleEdgeChange]
   );
 
-  // Update node data
+  // Update node data; edges attached to ports that no longer exist are removed,
+  // and a sub-diagram gets boundary nodes for the new set of ports
   const handleNodeUpdate = useCallback(
     (nodeId, newData) => {
+      onRecordHistory?.();
       setNodes((nds) => {
-        const updatedNodes = nds.map((node) =>
-          node.id === nodeId
-            ? { ...node, data: { ...node.data, ...newData } }
-            : node
-        );
+        const updatedNodes = nds.map((node) => {
+          if (node.id !== nodeId) return node;
+          const data = { ...node.data, ...newData };
+          if ("ports" in newData && data.subDiagram) {
+            data.subDiagram = syncBoundaryNodes(data.subDiagram, boundaryPorts(data), { direction: layoutDirection });
+          }
+          return { ...node, data };
+        });
         onNodesChange(updatedNodes);
         return updatedNodes;
       });
+
+      if ("ports" in newData) {
+        const portIds = new Set((newData.ports || []).map((port) => port.id));
+        const dangling = (handleId) => handleId && !portIds.has(handleId);
+        setEdges((eds) => {
+          const updatedEdges = eds.filter(
+            (edge) =>
+              !(edge.source === nodeId && dangling(edge.sourceHandle)) &&
+              !(edge.target === nodeId && dangling(edge.targetHandle))
+          );
+          if (updatedEdges.length === eds.length) return eds;
+          onEdgesChange(updatedEdges);
+          return updatedEdges;
+        });
+      }
     },
-    [setNodes, onNodesChange]
+    [setNodes, setEdges, onNodesChange, onEdgesChange, onRecordHistory, layoutDirection]
+  );
+
+  // Double-clicking a block opens its sub-diagram, unless the click was on one of its controls
+  const handleNodeDoubleClick = useCallback(
+    (event, node) => {
+      if (isBoundaryNode(node) || event.target.closest("input, textarea, button, a")) return;
+      onOpenSubDiagram?.(node.id);
+    },
+    [onOpenSubDiagram]
   );
 
   // Delete node
   const handleNodeDelete = useCallback(
     (nodeId) => {
+      onRecordHistory?.();
       setNodes((nds) => {
         const updatedNodes = nds.filter((node) => node.id !== nodeId);
         onNodesChange(updatedNodes);
@@ -116,9 +303,266 @@ export default function DiagramCanvas({
         return updatedEdges;
       });
     },
-    [setNodes, setEdges, onNodesChange, onEdgesChange]
+    [setNodes, setEdges, onNodesChange, onEdgesChange, onRecordHistory]
+  );
+
+  // Accept blocks dragged from the palette
+  const handleDragOver = useCallback((event) => {
+    if (event.dataTransfer.types.includes(PALETTE_DRAG_TYPE)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "move";
+    }
+  }, []);
+
+  // Create the dropped block at the cursor and open it for editing
+  const handleDrop = useCallback(
+    (event) => {
+      const payload = event.dataTransfer.getData(PALETTE_DRAG_TYPE);
+      if (!payload || !reactFlowInstance) return;
+      event.preventDefault();
+
+      const position = reactFlowInstance.screenToFlowPosition({ x: event.clientX, y: event.clientY });
+      const node = createBlockNode(JSON.parse(payload), position, nodes, { direction: layoutDirection });
+      pendingEditRef.current = node.id;
+
+      onRecordHistory?.();
+      setNodes((nds) => {
+        const updatedNodes = [...nds.map((n) => ({ ...n, selected: false })), { ...node, selected: true }];
+        onNodesChange(updatedNodes);
+        return updatedNodes;
+      });
+    },
+    [reactFlowInstance, nodes, layoutDirection, setNodes, onNodesChange, onRecordHistory]
+  );
+
+  const handleEditStarted = useCallback((nodeId) => {
+    if (pendingEditRef.current === nodeId) {
+      pendingEditRef.current = null;
+    }
+  }, []);
+
+  // A whole drag is one undo step, so snapshot only when it starts
+  const handleNodeDragStart = useCallback(() => {
+    onRecordHistory?.();
+  }, [onRecordHistory]);
+
+  // Add pasted or duplicated blocks with fresh ids; they become the selection
+  const insertBlocks = useCallback(
+    (pasted, position) => {
+      const added = prepareForPaste(pasted, nodes, edges, { position });
+
+      onRecordHistory?.();
+      setNodes((nds) => {
+        const updatedNodes = [...nds.map((node) => ({ ...node, selected: false })), ...added.nodes];
+        onNodesChange(updatedNodes);
+        return updatedNodes;
+      });
+      setEdges((eds) => {
+        const updatedEdges = [...eds.map((edge) => ({ ...edge, selected: false })), ...added.edges];
+        onEdgesChange(updatedEdges);
+        return updatedEdges;
+      });
+    },
+    [nodes, edges, setNodes, setEdges, onNodesChange, onEdgesChange, onRecordHistory]
+  );
+
+  // Remove the selected blocks with their edges, plus any other selected edges
+  const deleteSelection = useCallback(() => {
+    const removed = new Set(nodes.filter((node) => node.selected && !isBoundaryNode(node)).map((node) => node.id));
+
+    onRecordHistory?.();
+    setNodes((nds) => {
+      const updatedNodes = nds.filter((node) => !removed.has(node.id));
+      onNodesChange(updatedNodes);
+      return updatedNodes;
+    });
+    setEdges((eds) => {
+      const updatedEdges = eds.filter(
+        (edge) => !edge.selected && !removed.has(edge.source) && !removed.has(edge.target)
+      );
+      onEdgesChange(updatedEdges);
+      return updatedEdges;
+    });
+  }, [nodes, setNodes, setEdges, onNodesChange, onEdgesChange, onRecordHistory]);
+
+  const handleDuplicate = useCallback(() => {
+    const selection = selectedSubgraph(nodes, edges);
+    if (selection) {
+      insertBlocks(selection);
+    }
+  }, [nodes, edges, insertBlocks]);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo, Ctrl/Cmd+D to duplicate
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (isTextInput(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        onUndo?.();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        onRedo?.();
+      } else if (key === "d") {
+        event.preventDefault();
+        handleDuplicate();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onUndo, onRedo, handleDuplicate]);
+
+  // Copy and cut put the selected blocks on the clipboard in the export format;
+  // paste accepts that format from this or any other tab
+  useEffect(() => {
+    const handleCopy = (event) => {
+      if (isTextInput(event.target)) return;
+      const text = selectionToClipboardText(nodes, edges);
+      if (!text) return;
+      event.clipboardData.setData("text/plain", text);
+      event.preventDefault();
+      if (event.type === "cut") {
+        deleteSelection();
+      }
+    };
+
+    const handlePaste = (event) => {
+      if (isTextInput(event.target)) return;
+      try {
+        const pasted = parseClipboardText(event.clipboardData.getData("text/plain"));
+        if (!pasted?.nodes.length) return;
+        event.preventDefault();
+        addBlockTypes(pasted.blockTypes);
+        const position = pointerRef.current && reactFlowInstance?.screenToFlowPosition(pointerRef.current);
+        insertBlocks(pasted, position);
+        toast.success(`Pasted ${pasted.nodes.length} block${pasted.nodes.length === 1 ? "" : "s"}.`);
+      } catch (err) {
+        toast.error(`Could not paste: ${err.message}`);
+      }
+    };
+
+    window.addEventListener("copy", handleCopy);
+    window.addEventListener("cut", handleCopy);
+    window.addEventListener("paste", handlePaste);
+    return () => {
+      window.removeEventListener("copy", handleCopy);
+      window.removeEventListener("cut", handleCopy);
+      window.removeEventListener("paste", handlePaste);
+    };
+  }, [nodes, edges, deleteSelection, insertBlocks, reactFlowInstance]);
+
+  // Pass the chosen file up and clear the input so the same file can be re-imported
+  const handleFileChange = useCallback(
+    (event) => {
+      const file = event.target.files?.[0];
+      if (file && onImport) {
+        onImport(file);
+      }
+      event.target.value = "";
+    },
+    [onImport]
+  );
+
+  // Re-run the auto-layout using measured block sizes, then refit the view
+  const handleRelayout = useCallback(
+    (direction = layoutDirection) => {
+      onRecordHistory?.();
+      setNodes((nds) => {
+        const laidOut = layoutNodes(nds, edges, { direction });
+        onNodesChange(laidOut);
+        return laidOut;
+      });
+      requestAnimationFrame(() => reactFlowInstance?.fitView({ padding: 0.2 }));
+    },
+    [layoutDirection, edges, setNodes, onNodesChange, onRecordHistory, reactFlowInstance]
+  );
+
+  const handleDirectionChange = useCallback(
+    (direction) => {
+      onLayoutDirectionChange?.(direction);
+      handleRelayout(direction);
+    },
+    [onLayoutDirectionChange, handleRelayout]
+  );
+
+  // Ask before Reset throws away changes that are not saved to the library
+  const handleResetClick = useCallback(() => {
+    if (confirmReset) {
+      setIsResetDialogOpen(true);
+    } else {
+      onReset();
+    }
+  }, [confirmReset, onReset]);
+
+  // Export the canvas as an image, using the live viewport for "current view"
+  const handleExportImage = useCallback(
+    async (options) => {
+      try {
+        await exportDiagramAsImage(nodes, edges, {
+          ...options,
+          viewport: reactFlowInstance?.getViewport(),
+          width: containerRef.current?.clientWidth,
+          height: containerRef.current?.clientHeight,
+        });
+        toast.success(`Diagram exported as ${options.format.toUpperCase()}!`);
+      } catch (err) {
+        console.error("Error exporting image:", err);
+        toast.error("Failed to export image. Please try again.");
+      }
+    },
+    [nodes, edges, reactFlowInstance]
+  );
+
+  // Download the bill of materials for the current blocks
+  const handleExportBom = useCallback(() => {
+    try {
+      exportBomAsCsv(nodes);
+      toast.success("BOM exported as CSV!");
+    } catch (err) {
+      console.error("Error exporting BOM:", err);
+      toast.error("Failed to export BOM. Please try again.");
+    }
+  }, [nodes]);
+
+  // Design rule problems, re-checked on every change; boundary nodes are not blocks
+  const problems = useMemo(
+    () => runDesignRules(nodes.filter((node) => !isBoundaryNode(node)), edges, designRules),
+    [nodes, edges, designRules]
+  );
+
+  // Select the block or connection a problem refers to and bring it into view
+  const handleProblemSelect = useCallback(
+    (problem) => {
+      const edge = problem.edgeId && edges.find((e) => e.id === problem.edgeId);
+      const nodeIds = edge ? [edge.source, edge.target] : [problem.nodeId];
+
+      setNodes((nds) => {
+        const updatedNodes = nds.map((node) => ({ ...node, selected: !edge && node.id === problem.nodeId }));
+        onNodesChange(updatedNodes);
+        return updatedNodes;
+      });
+      setEdges((eds) => {
+        const updatedEdges = eds.map((e) => ({ ...e, selected: e.id === problem.edgeId }));
+        onEdgesChange(updatedEdges);
+        return updatedEdges;
+      });
+      reactFlowInstance?.fitView({
+        nodes: nodeIds.map((id) => ({ id })),
+        padding: 0.5,
+        maxZoom: 1.2,
+        duration: 400,
+      });
+    },
+    [edges, setNodes, setEdges, onNodesChange, onEdgesChange, reactFlowInstance]
   );
 
+  // The inspector is shown when exactly one connection is selected
+  const selectedEdges = edges.filter((edge) => edge.selected);
+  const selectedEdge = selectedEdges.length === 1 ? selectedEdges[0] : null;
+
   // Custom node component with handlers
   const nodeTypesWithHandlers = useMemo(
     () => ({
@@ -127,10 +571,23 @@ export default function DiagramCanvas({
           {...props}
           onUpdate={handleNodeUpdate}
           onDelete={handleNodeDelete}
+          startEditing={pendingEditRef.current === props.id}
+          onEditStarted={handleEditStarted}
+          onOpenSubDiagram={onOpenSubDiagram}
+          onEditingChange={onEditingChange}
         />
       ),
+      boundary: BoundaryNode,
+    }),
+    [handleNodeUpdate, handleNodeDelete, handleEditStarted, onOpenSubDiagram, onEditingChange]
+  );
+
+  // Smoothstep edges render through EditableEdge so labels can be edited in place
+  const edgeTypesWithHandlers = useMemo(
+    () => ({
+      smoothstep: (props) => <EditableEdge {...props} onLabelChange={handleEdgeLabelChange} />,
     }),
-    [handleNodeUpdate, handleNodeDelete]
+    [handleEdgeLabelChange]
   );
 
   // Sync with external state changes
@@ -147,14 +604,36 @@ export default function DiagramCanvas({
   }, [initialEdges]);
 
   return (
-    <div className="w-full h-full canvas-grid">
+    <div
+      ref={containerRef}
+      className="w-full h-full canvas-grid"
+      onMouseMove={(event) => {
+        pointerRef.current = { x: event.clientX, y: event.clientY };
+        if (onCursorMove && reactFlowInstance) onCursorMove(reactFlowInstance.screenToFlowPosition(pointerRef.current));
+      }}
+      onMouseLeave={() => {
+        pointerRef.current = null;
+        onCursorMove?.(null);
+      }}
+    >
       <ReactFlow
         nodes={nodes}
         edges={edges}
         onNodesChange={handleNodesChange}
         onEdgesChange={handleEdgesChange}
         onConnect={onConnect}
+        onReconnect={handleReconnect}
+        connectionMode={ConnectionMode.Loose}
+        onNodeDragStart={handleNodeDragStart}
+        onNodeDoubleClick={handleNodeDoubleClick}
+        zoomOnDoubleClick={false}
+        multiSelectionKeyCode={["Shift", "Meta", "Control"]}
+        deleteKeyCode={["Backspace", "Delete"]}
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
+        onInit={setReactFlowInstance}
         nodeTypes={nodeTypesWithHandlers}
+        edgeTypes={edgeTypesWithHandlers}
         defaultEdgeOptions={defaultEdgeOptions}
         fitView
         fitViewOptions={{ padding: 0.2 }}
@@ -172,9 +651,111 @@ export default function DiagramCanvas({
           className="bg-card border border-border rounded-lg overflow-hidden"
           showInteractive={false}
         />
+        <PresenceCursors />
         
+        {/* Selected connection */}
+        {selectedEdge && (
+          <Panel position="bottom-right">
+            <EdgeInspector
+              key={selectedEdge.id}
+              edge={selectedEdge}
+              sourceTitle={nodes.find((n) => n.id === selectedEdge.source)?.data.title}
+              targetTitle={nodes.find((n) => n.id === selectedEdge.target)?.data.title}
+              onChange={handleEdgeChange}
+            />
+          </Panel>
+        )}
+
+        {/* Breadcrumbs, layout panel and problems */}
+        <Panel position="top-left" className="flex flex-col items-start gap-2">
+          {trail.length > 0 && (
+            <SubDiagramBreadcrumbs
+              trail={trail}
+              onNavigate={onNavigate}
+              onExpand={onExpandBlock}
+              isExpanding={isExpanding}
+            />
+          )}
+          <div className="flex gap-2">
+            <div className="flex rounded-md border border-input overflow-hidden">
+              {[
+                { direction: LAYOUT_DIRECTIONS.LR, Icon: ArrowRight, title: "Left to right" },
+                { direction: LAYOUT_DIRECTIONS.TB, Icon: ArrowDown, title: "Top to bottom" },
+              ].map(({ direction, Icon, title }) => (
+                <button
+                  key={direction}
+                  onClick={() => handleDirectionChange(direction)}
+                  className={cn(
+                    "h-9 w-9 flex items-center justify-center bg-background hover:bg-accent hover:text-accent-foreground transition-colors",
+                    layoutDirection === direction && "bg-secondary text-primary"
+                  )}
+                  title={`Layout ${title.toLowerCase()}`}
+                >
+                  <Icon className="w-4 h-4" />
+                </button>
+              ))}
+            </div>
+            <Button
+              onClick={() => handleRelayout()}
+              variant="outline"
+              size="sm"
+              className="gap-2"
+            >
+              <Workflow className="w-4 h-4" />
+              Re-layout
+            </Button>
+            <Button
+              onClick={() => setIsProblemsOpen((open) => !open)}
+              variant="outline"
+              size="sm"
+              className={cn("gap-2", isProblemsOpen && "bg-secondary")}
+              title="Design rule checks"
+            >
+              <ShieldAlert className="w-4 h-4" />
+              Problems
+              {problems.length > 0 && (
+                <span
+                  className={cn(
+                    "rounded-full px-1.5 text-[10px] font-semibold leading-4",
+                    problemBadgeClasses[problems[0].severity]
+                  )}
+                >
+                  {problems.length}
+                </span>
+              )}
+            </Button>
+          </div>
+          {isProblemsOpen && (
+            <ProblemsPanel
+              problems={problems}
+              onSelect={handleProblemSelect}
+              onClose={() => setIsProblemsOpen(false)}
+            />
+          )}
+        </Panel>
+
         {/* Control panel */}
         <Panel position="top-right" className="flex gap-2">
+          <Button
+            onClick={onUndo}
+            disabled={!canUndo}
+            variant="outline"
+            size="icon"
+            className="h-9 w-9"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-4 h-4" />
+          </Button>
+          <Button
+            onClick={onRedo}
+            disabled={!canRedo}
+            variant="outline"
+            size="icon"
+            className="h-9 w-9"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-4 h-4" />
+          </Button>
           <Button
             onClick={onExport}
             variant="secondary"
@@ -184,8 +765,86 @@ export default function DiagramCanvas({
             <Download className="w-4 h-4" />
             Export JSON
           </Button>
+          {onExportDrawio && (
+            <Button
+              onClick={onExportDrawio}
+              variant="secondary"
+              size="sm"
+              className="gap-2"
+              title="mxGraph XML for draw.io / diagrams.net"
+            >
+              <Share2 className="w-4 h-4" />
+              Export draw.io
+            </Button>
+          )}
           <Button
-            onClick={onReset}
+            onClick={() => setIsImageDialogOpen(true)}
+            variant="secondary"
+            size="sm"
+            className="gap-2"
+          >
+            <Image className="w-4 h-4" />
+            Export Image
+          </Button>
+          <Button
+            onClick={() => setIsTextDialogOpen(true)}
+            variant="secondary"
+            size="sm"
+            className="gap-2"
+            title="Mermaid, Graphviz DOT or PlantUML"
+          >
+            <FileCode className="w-4 h-4" />
+            Export Text
+          </Button>
+          <Button
+            onClick={() => setIsBomDialogOpen(true)}
+            variant="secondary"
+            size="sm"
+            className="gap-2"
+          >
+            <ListChecks className="w-4 h-4" />
+            BOM
+          </Button>
+          <Button
+            onClick={() => setIsPowerPanelOpen(true)}
+            variant="secondary"
+            size="sm"
+            className="gap-2"
+          >
+            <BatteryCharging className="w-4 h-4" />
+            Power
+          </Button>
+          <Button
+            onClick={() => fileInputRef.current?.click()}
+            variant="secondary"
+            size="sm"
+            className="gap-2"
+            title="JSON export or draw.io file"
+          >
+            <Upload className="w-4 h-4" />
+            Import File
+          </Button>
+          {onImportText && (
+            <Button
+              onClick={onImportText}
+              variant="secondary"
+              size="sm"
+              className="gap-2"
+              title="Mermaid flowchart or Graphviz DOT"
+            >
+              <FileInput className="w-4 h-4" />
+              Import Text
+            </Button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json,.drawio,.xml"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <Button
+            onClick={handleResetClick}
             variant="outline"
             size="sm"
             className="gap-2"
@@ -195,6 +854,55 @@ export default function DiagramCanvas({
           </Button>
         </Panel>
       </ReactFlow>
+
+      <ImageExportDialog
+        open={isImageDialogOpen}
+        onOpenChange={setIsImageDialogOpen}
+        onExport={handleExportImage}
+      />
+
+      <TextExportDialog
+        open={isTextDialogOpen}
+        onOpenChange={setIsTextDialogOpen}
+        nodes={nodes}
+        edges={edges}
+        direction={layoutDirection}
+      />
+
+      <BomDialog
+        open={isBomDialogOpen}
+        onOpenChange={setIsBomDialogOpen}
+        nodes={nodes}
+        onExport={handleExportBom}
+      />
+
+      <PowerPanel
+        open={isPowerPanelOpen}
+        onOpenChange={setIsPowerPanelOpen}
+        nodes={nodes}
+        edges={edges}
+      />
+
+      <AlertDialog open={isResetDialogOpen} onOpenChange={setIsResetDialogOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Discard unsaved changes?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Reset clears the canvas. Changes that are not saved to the library
+              or exported will be lost.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Keep editing</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={onReset}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Reset canvas
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
     </div>
   );
 }
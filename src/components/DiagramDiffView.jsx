@@ -0,0 +1,114 @@
+/**
+ * Canvas overlay of two diagram versions
+ * Added blocks, components and connections are shown in green, removed ones in red
+ * and changed titles, annotations and labels in amber; either side can be switched
+ * between the saved snapshots and the current canvas
+ *
+ * base and target are { id, label, flow, restorable }, with flow null while a snapshot
+ * loads; choices are { id, label }.
+ */
+
+import { useMemo } from "react";
+import ReactFlow, { Background, BackgroundVariant, Controls } from "reactflow";
+import "reactflow/dist/style.css";
+import { ArrowRight, History, X } from "lucide-react";
+import DiffBlockNode from "./DiffBlockNode";
+import { Button } from "@/components/ui/button";
+import { DIFF_COLORS, diffToFlow, hasDifferences } from "@/lib/diagramDiff";
+
+const nodeTypes = { diffBlock: DiffBlockNode };
+
+const LEGEND = [
+  { status: "added", label: "Added" },
+  { status: "removed", label: "Removed" },
+  { status: "changed", label: "Changed" },
+];
+
+function summaryText({ added, removed, changed }, noun) {
+  const parts = [added && `+${added}`, removed && `−${removed}`, changed && `~${changed}`].filter(Boolean);
+  return parts.length ? `${noun} ${parts.join(" ")}` : null;
+}
+
+function VersionSelect({ value, choices, onChange, label }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="h-8 max-w-[180px] rounded-md border border-input bg-background px-2 text-xs"
+      aria-label={label}
+    >
+      {choices.map((choice) => (
+        <option key={choice.id} value={choice.id}>
+          {choice.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function DiagramDiffView({ base, target, choices, onChange, onRestore, onClose }) {
+  const overlay = useMemo(() => (base.flow && target.flow ? diffToFlow(base.flow, target.flow) : null), [base, target]);
+  const { summary } = overlay?.diff ?? {};
+
+  return (
+    <div className="w-full h-full canvas-grid">
+      {overlay && (
+        <ReactFlow
+          key={`${base.id}:${target.id}`}
+          nodes={overlay.nodes}
+          edges={overlay.edges}
+          nodeTypes={nodeTypes}
+          nodesDraggable={false}
+          nodesConnectable={false}
+          elementsSelectable={false}
+          fitView
+          fitViewOptions={{ padding: 0.2 }}
+          minZoom={0.3}
+          maxZoom={2}
+          attributionPosition="bottom-left"
+        >
+          <Background variant={BackgroundVariant.Dots} gap={20} size={1} color="hsl(217 33% 25%)" />
+          <Controls className="bg-card border border-border rounded-lg overflow-hidden" showInteractive={false} />
+        </ReactFlow>
+      )}
+
+      <div className="absolute top-4 left-4 right-4 flex flex-wrap items-center gap-2 rounded-lg border border-border bg-card/90 p-2 backdrop-blur-sm">
+        <History className="w-4 h-4 text-primary" />
+        <VersionSelect value={base.id} choices={choices} label="Older version" onChange={(id) => onChange({ base: id })} />
+        <ArrowRight className="w-4 h-4 text-muted-foreground" />
+        <VersionSelect value={target.id} choices={choices} label="Newer version" onChange={(id) => onChange({ target: id })} />
+
+        <span className="text-xs text-muted-foreground">
+          {!overlay
+            ? "Loading…"
+            : hasDifferences(overlay.diff)
+              ? [
+                  summaryText(summary.blocks, "Blocks"),
+                  summaryText(summary.components, "Components"),
+                  summaryText(summary.connections, "Connections"),
+                ]
+                  .filter(Boolean)
+                  .join(" · ")
+              : "No differences"}
+        </span>
+
+        <div className="ml-auto flex items-center gap-3">
+          {LEGEND.map(({ status, label }) => (
+            <span key={status} className="flex items-center gap-1 text-xs text-muted-foreground">
+              <span className="w-3 h-3 rounded" style={{ backgroundColor: DIFF_COLORS[status] }} />
+              {label}
+            </span>
+          ))}
+          {base.restorable && onRestore && (
+            <Button onClick={() => onRestore(base.id)} variant="secondary" size="sm" className="h-8" title="Replace the canvas with this version">
+              Restore {base.label}
+            </Button>
+          )}
+          <Button onClick={onClose} variant="ghost" size="icon" className="h-8 w-8" title="Close comparison">
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
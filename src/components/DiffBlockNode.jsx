@@ -0,0 +1,131 @@
+/**
+ * Read-only block for the version diff view
+ * Outlined by status (added, removed, changed) with component and field changes marked inline
+ */
+
+import { memo } from "react";
+import { Handle, Position } from "reactflow";
+import { cn } from "@/lib/utils";
+import { blockTypeStyle } from "@/lib/blockTypes";
+import { normalizeComponent } from "@/lib/parts";
+import { DIFF_COLORS, DIFF_STATUS } from "@/lib/diagramDiff";
+import { useBlockType } from "@/hooks/use-block-types";
+
+const handleClass = "w-2 h-2 border-0 bg-transparent";
+
+// Prefix and text colour of a component row per status
+const componentMarks = {
+  added: { sign: "+", className: "text-block-inputs" },
+  removed: { sign: "−", className: "text-destructive line-through" },
+  changed: { sign: "~", className: "text-block-power" },
+  unchanged: { sign: "", className: "text-foreground/90" },
+};
+
+const STATUS_LABELS = { added: "Added", removed: "Removed", changed: "Changed" };
+
+function componentDetail(component) {
+  const { quantity, partNumber } = normalizeComponent(component);
+  return [partNumber, quantity > 1 && `×${quantity}`].filter(Boolean).join(" ");
+}
+
+const DiffBlockNode = memo(({ data, sourcePosition = Position.Right, targetPosition = Position.Left }) => {
+  const { diff } = data;
+  const blockType = useBlockType(data.type);
+  const previousType = useBlockType(diff.before?.type);
+  const typeStyle = blockTypeStyle(blockType);
+  const changed = (field) => diff.changes.includes(field);
+  const color = DIFF_COLORS[diff.status];
+
+  return (
+    <div
+      className={cn(
+        "block-node relative p-4 min-w-[240px] max-w-[300px]",
+        typeStyle.className,
+        diff.status === DIFF_STATUS.REMOVED && "opacity-60",
+        diff.status === DIFF_STATUS.UNCHANGED && "opacity-80"
+      )}
+      style={{
+        ...typeStyle.style,
+        ...(diff.status !== DIFF_STATUS.UNCHANGED && { outline: `3px solid ${color}`, outlineOffset: 3 }),
+      }}
+      title={blockType.label}
+    >
+      <Handle type="target" position={targetPosition} isConnectable={false} className={handleClass} />
+      <Handle type="source" position={sourcePosition} isConnectable={false} className={handleClass} />
+
+      {STATUS_LABELS[diff.status] && (
+        <div
+          className="absolute -top-6 left-0 rounded px-1.5 py-0.5 text-[10px] font-medium text-white"
+          style={{ backgroundColor: color }}
+        >
+          {STATUS_LABELS[diff.status]}
+        </div>
+      )}
+
+      {/* Title, with the old one struck through when it changed */}
+      <div className="flex items-center gap-2 mb-3">
+        <span className="text-xl">{blockType.icon}</span>
+        <div className="min-w-0">
+          {changed("title") && (
+            <p className="text-xs text-destructive line-through truncate">{diff.before.title}</p>
+          )}
+          <h3
+            className={cn(
+              "font-semibold text-sm text-foreground",
+              diff.status === DIFF_STATUS.REMOVED && "line-through",
+              changed("title") && "rounded px-1 bg-block-power/30"
+            )}
+          >
+            {data.title}
+          </h3>
+          {changed("type") && (
+            <p className="text-[10px] text-block-power">was {previousType.label}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Components of both versions */}
+      <div className="space-y-1 mb-2">
+        {diff.components.map((entry, index) => {
+          const mark = componentMarks[entry.status];
+          const component = entry.after ?? entry.before;
+          return (
+            <div
+              key={index}
+              className="flex items-center justify-between gap-2 bg-background/20 rounded px-2 py-1 text-xs font-mono"
+              title={entry.status === DIFF_STATUS.CHANGED ? `was ${componentDetail(entry.before) || "no part details"}` : undefined}
+            >
+              <span className={cn("truncate", mark.className)}>
+                {mark.sign && `${mark.sign} `}
+                {entry.name}
+              </span>
+              <span className="shrink-0 text-muted-foreground">{componentDetail(component)}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Annotation, highlighted when it changed */}
+      {(data.annotation || changed("annotation")) && (
+        <div className="mt-3 pt-3 border-t border-foreground/20 text-xs italic">
+          {changed("annotation") && diff.before.annotation && (
+            <p className="text-destructive line-through">{diff.before.annotation}</p>
+          )}
+          <p className={cn("text-muted-foreground", changed("annotation") && "rounded px-1 bg-block-power/30 text-foreground")}>
+            {data.annotation || "No annotation"}
+          </p>
+        </div>
+      )}
+
+      {(changed("ports") || changed("subDiagram")) && (
+        <p className="mt-2 text-[10px] text-block-power">
+          {[changed("ports") && "Ports changed", changed("subDiagram") && "Sub-diagram changed"].filter(Boolean).join(" · ")}
+        </p>
+      )}
+    </div>
+  );
+});
+
+DiffBlockNode.displayName = "DiffBlockNode";
+
+export default DiffBlockNode;
@@ -0,0 +1,135 @@
+/**
+ * Inspector for the selected connection
+ * Edits the label, connection type, animation and the signal metadata
+ * stored on the edge (protocol, voltage and bus width)
+ */
+
+import { Cable } from "lucide-react";
+import { Switch } from "@/components/ui/switch";
+import { SIGNAL_TYPES, PROTOCOLS, removeEmpty } from "@/lib/ports";
+import { EDGE_TYPE_STYLES, edgeStyleFor } from "@/lib/edgeStyles";
+
+const fieldClass =
+  "w-full bg-secondary/50 border border-border rounded px-2 py-1 text-xs font-mono text-foreground placeholder:text-muted-foreground focus:outline-none focus:border-primary";
+
+// Parse a numeric field, treating blanks and junk as "not set"
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+export default function EdgeInspector({ edge, sourceTitle, targetTitle, onChange }) {
+  const signal = edge.data || {};
+
+  const label = typeof edge.label === "string" ? edge.label : "";
+
+  // Merge one field into the edge's signal metadata, dropping cleared fields
+  const update = (field, value) => {
+    if (signal[field] === value) return;
+    onChange(edge.id, { data: removeEmpty({ ...signal, [field]: value }) });
+  };
+
+  // Inputs commit on blur or Enter so typing is a single undo step
+  const commitOnEnter = (e) => e.key === "Enter" && e.currentTarget.blur();
+
+  return (
+    <div className="panel-glass p-3 w-64 space-y-2 text-xs">
+      <div className="flex items-center gap-2 text-foreground font-medium">
+        <Cable className="w-4 h-4 text-primary" />
+        <span className="truncate">
+          {sourceTitle} → {targetTitle}
+        </span>
+      </div>
+
+      <label className="block space-y-1">
+        <span className="text-muted-foreground">Label</span>
+        <input
+          key={label}
+          type="text"
+          defaultValue={label}
+          onBlur={(e) => {
+            const next = e.target.value.trim();
+            if (next !== label) onChange(edge.id, { label: next || undefined });
+          }}
+          onKeyDown={commitOnEnter}
+          placeholder="e.g. SPI"
+          className={fieldClass}
+        />
+      </label>
+
+      <label className="block space-y-1">
+        <span className="flex items-center justify-between text-muted-foreground">
+          Type
+          <svg width="32" height="6" aria-hidden="true">
+            <line x1="0" y1="3" x2="32" y2="3" style={edgeStyleFor(signal.signalType).style} />
+          </svg>
+        </span>
+        <select
+          value={signal.signalType ?? ""}
+          onChange={(e) => update("signalType", e.target.value || undefined)}
+          className={fieldClass}
+        >
+          <option value="">Unspecified</option>
+          {SIGNAL_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {EDGE_TYPE_STYLES[type].label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block space-y-1">
+        <span className="text-muted-foreground">Protocol</span>
+        <input
+          type="text"
+          list="edge-protocols"
+          defaultValue={signal.protocol ?? ""}
+          onBlur={(e) => update("protocol", e.target.value.trim() || undefined)}
+          onKeyDown={commitOnEnter}
+          placeholder="e.g. I2C"
+          className={fieldClass}
+        />
+        <datalist id="edge-protocols">
+          {PROTOCOLS.map((protocol) => (
+            <option key={protocol} value={protocol} />
+          ))}
+        </datalist>
+      </label>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block space-y-1">
+          <span className="text-muted-foreground">Voltage (V)</span>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            defaultValue={signal.voltage ?? ""}
+            onBlur={(e) => update("voltage", parseNumber(e.target.value))}
+            onKeyDown={commitOnEnter}
+            className={fieldClass}
+          />
+        </label>
+        <label className="block space-y-1">
+          <span className="text-muted-foreground">Bus width</span>
+          <input
+            type="number"
+            step="1"
+            min="1"
+            defaultValue={signal.busWidth ?? ""}
+            onBlur={(e) => update("busWidth", parseNumber(e.target.value))}
+            onKeyDown={commitOnEnter}
+            className={fieldClass}
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between pt-1">
+        <span className="text-muted-foreground">Animated</span>
+        <Switch
+          checked={edge.animated !== false}
+          onCheckedChange={(animated) => onChange(edge.id, { animated })}
+        />
+      </div>
+    </div>
+  );
+}
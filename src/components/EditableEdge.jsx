@@ -0,0 +1,108 @@
+/**
+ * Custom React Flow edge for connections
+ * Draws a smoothstep path and lets the label be edited in place
+ */
+
+import { memo, useRef, useState } from "react";
+import { BaseEdge, EdgeLabelRenderer, getSmoothStepPath } from "reactflow";
+import { cn } from "@/lib/utils";
+
+const labelClass = "nodrag nopan rounded-sm px-1.5 py-0.5 text-[10px] font-medium";
+
+function EditableEdge({
+  id,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  label,
+  selected,
+  style,
+  markerEnd,
+  interactionWidth,
+  onLabelChange,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const cancelledRef = useRef(false);
+  const [path, labelX, labelY] = getSmoothStepPath({
+    sourceX,
+    sourceY,
+    sourcePosition,
+    targetX,
+    targetY,
+    targetPosition,
+  });
+  const text = typeof label === "string" ? label : "";
+
+  const handleStartEdit = () => {
+    cancelledRef.current = false;
+    setDraft(text);
+    setIsEditing(true);
+  };
+
+  // Save on Enter or blur (unless Escape cancelled); an empty label removes it
+  const handleCommit = () => {
+    setIsEditing(false);
+    const next = draft.trim();
+    if (!cancelledRef.current && next !== text) {
+      onLabelChange(id, next || undefined);
+    }
+  };
+
+  return (
+    <>
+      <BaseEdge path={path} style={style} markerEnd={markerEnd} interactionWidth={interactionWidth} />
+
+      {(text || selected || isEditing) && (
+        <EdgeLabelRenderer>
+          <div
+            className="absolute"
+            style={{
+              transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)`,
+              pointerEvents: "all",
+            }}
+          >
+            {isEditing ? (
+              <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={handleCommit}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.currentTarget.blur();
+                  if (e.key === "Escape") {
+                    cancelledRef.current = true;
+                    e.currentTarget.blur();
+                  }
+                }}
+                placeholder="Label"
+                className={cn(labelClass, "w-28 bg-background border border-primary text-foreground focus:outline-none")}
+                autoFocus
+              />
+            ) : text ? (
+              <button
+                onDoubleClick={handleStartEdit}
+                className={cn(labelClass, "bg-white text-neutral-800", selected && "ring-2 ring-primary")}
+                title="Double-click to edit label"
+              >
+                {text}
+              </button>
+            ) : (
+              <button
+                onClick={handleStartEdit}
+                className={cn(labelClass, "bg-background/80 border border-dashed border-primary/60 text-primary")}
+              >
+                + Label
+              </button>
+            )}
+          </div>
+        </EdgeLabelRenderer>
+      )}
+    </>
+  );
+}
+
+export default memo(EditableEdge);
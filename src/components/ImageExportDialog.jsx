@@ -0,0 +1,131 @@
+/**
+ * Dialog for exporting the canvas as an SVG or PNG image
+ * Collects format, area, background and resolution before exporting
+ */
+
+import { useState } from "react";
+import { Image, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+
+// Option groups shown in the dialog, in display order
+const optionGroups = [
+  {
+    key: "format",
+    label: "Format",
+    options: [
+      { value: "svg", label: "SVG (vector)" },
+      { value: "png", label: "PNG (bitmap)" },
+    ],
+  },
+  {
+    key: "area",
+    label: "Area",
+    options: [
+      { value: "diagram", label: "Whole diagram" },
+      { value: "viewport", label: "Current view" },
+    ],
+  },
+  {
+    key: "background",
+    label: "Background",
+    options: [
+      { value: "dark", label: "Canvas" },
+      { value: "light", label: "Light" },
+      { value: "transparent", label: "Transparent" },
+    ],
+  },
+  {
+    key: "scale",
+    label: "PNG resolution",
+    options: [
+      { value: "1", label: "1×" },
+      { value: "2", label: "2×" },
+      { value: "4", label: "4×" },
+    ],
+  },
+];
+
+export default function ImageExportDialog({ open, onOpenChange, onExport }) {
+  const [options, setOptions] = useState({
+    format: "svg",
+    area: "diagram",
+    background: "dark",
+    scale: "2",
+  });
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await onExport({ ...options, scale: Number(options.scale) });
+      onOpenChange(false);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-sm">
+        <DialogHeader>
+          <DialogTitle>Export image</DialogTitle>
+          <DialogDescription>
+            Save the diagram for design reviews and datasheets.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {optionGroups.map((group) => {
+            const disabled = group.key === "scale" && options.format !== "png";
+            return (
+              <div key={group.key} className={disabled ? "opacity-50" : undefined}>
+                <p className="text-sm font-medium text-foreground mb-2">{group.label}</p>
+                <RadioGroup
+                  value={options[group.key]}
+                  onValueChange={(value) =>
+                    setOptions((prev) => ({ ...prev, [group.key]: value }))
+                  }
+                  className="flex flex-wrap gap-4"
+                  disabled={disabled}
+                >
+                  {group.options.map((option) => {
+                    const id = `image-export-${group.key}-${option.value}`;
+                    return (
+                      <div key={option.value} className="flex items-center gap-2">
+                        <RadioGroupItem value={option.value} id={id} />
+                        <Label htmlFor={id} className="text-sm text-muted-foreground">
+                          {option.label}
+                        </Label>
+                      </div>
+                    );
+                  })}
+                </RadioGroup>
+              </div>
+            );
+          })}
+        </div>
+
+        <DialogFooter>
+          <Button onClick={handleExport} disabled={isExporting} className="gap-2">
+            {isExporting ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <Image className="w-4 h-4" />
+            )}
+            Export {options.format.toUpperCase()}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
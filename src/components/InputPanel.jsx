@@ -1,12 +1,16 @@
 /**
  * Input panel for entering electronics product descriptions
- * Handles form submission and loading states
+ * Handles form submission and loading states, and follow-up refinement prompts
+ * A generation in progress can be cancelled
  */
 
 import { useState } from "react";
-import { Cpu, Sparkles, Loader2 } from "lucide-react";
+import { Cpu, Sparkles, Loader2, Wand2, X } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import { cn } from "@/lib/utils";
 
 // Example product descriptions for inspiration
 const examples = [
@@ -17,18 +21,36 @@ const examples = [
   "Smart home hub with voice control and touch screen",
 ];
 
-export default function InputPanel({ onSubmit, isLoading }) {
+// Example follow-up instructions for refining the current diagram
+const refineExamples = [
+  "Add a LoRa radio and switch to a Li-ion battery",
+  "Replace the LCD with an e-paper display",
+  "Add a USB-C charging circuit",
+];
+
+export default function InputPanel({ onSubmit, onRefine, onCancel, canRefine = false, isLoading }) {
   const [description, setDescription] = useState("");
+  const [instruction, setInstruction] = useState("");
+  const [detailed, setDetailed] = useState(false);
+  const [mode, setMode] = useState("generate");
+
+  // Refining needs a diagram on the canvas
+  const refining = mode === "refine" && canRefine;
+  const text = refining ? instruction : description;
+  const setText = refining ? setInstruction : setDescription;
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (description.trim() && !isLoading) {
-      onSubmit(description.trim());
+    if (!text.trim() || isLoading) return;
+    if (refining) {
+      onRefine(instruction.trim(), { detailed });
+    } else {
+      onSubmit(description.trim(), { detailed });
     }
   };
 
   const handleExampleClick = (example) => {
-    setDescription(example);
+    setText(example);
   };
 
   return (
@@ -39,32 +61,86 @@ export default function InputPanel({ onSubmit, isLoading }) {
           <Cpu className="w-6 h-6 text-primary" />
         </div>
         <div>
-          <h2 className="font-semibold text-foreground">Describe Your Product</h2>
+          <h2 className="font-semibold text-foreground">
+            {refining ? "Refine Your Diagram" : "Describe Your Product"}
+          </h2>
           <p className="text-sm text-muted-foreground">
-            Enter an electronics product description
+            {refining
+              ? "Describe what to change; manual edits are kept"
+              : "Enter an electronics product description"}
           </p>
         </div>
       </div>
 
+      {/* Mode switch: start over or refine the diagram on the canvas */}
+      {canRefine && (
+        <div className="flex mb-4 rounded-md border border-border overflow-hidden text-xs">
+          {[
+            { value: "generate", label: "New diagram" },
+            { value: "refine", label: "Refine current" },
+          ].map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              disabled={isLoading}
+              className={cn(
+                "flex-1 px-3 py-1.5 transition-colors",
+                mode === option.value
+                  ? "bg-primary/20 text-primary"
+                  : "text-muted-foreground hover:text-foreground hover:bg-secondary/50"
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Form */}
       <form onSubmit={handleSubmit} className="space-y-4">
         <Textarea
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          placeholder="e.g., Smart doorbell with camera and motion sensor..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={
+            refining
+              ? "e.g., Add a LoRa radio and switch to a Li-ion battery..."
+              : "e.g., Smart doorbell with camera and motion sensor..."
+          }
           className="input-glow min-h-[100px] bg-secondary/50 border-border text-foreground placeholder:text-muted-foreground resize-none"
           disabled={isLoading}
         />
 
+        {/* Detailed mode allows more than five blocks and repeated categories */}
+        <div className="flex items-center justify-between gap-3">
+          <Label htmlFor="detailed-mode" className="text-sm text-muted-foreground">
+            Detailed mode
+            <span className="block text-xs text-muted-foreground/70">
+              Multiple blocks per category (rails, sensor clusters, MCUs)
+            </span>
+          </Label>
+          <Switch
+            id="detailed-mode"
+            checked={detailed}
+            onCheckedChange={setDetailed}
+            disabled={isLoading}
+          />
+        </div>
+
         <Button
           type="submit"
-          disabled={!description.trim() || isLoading}
+          disabled={!text.trim() || isLoading}
           className="w-full btn-glow gap-2"
         >
           {isLoading ? (
             <>
               <Loader2 className="w-4 h-4 animate-spin" />
-              Generating Diagram...
+              {refining ? "Refining Diagram..." : "Generating Diagram..."}
+            </>
+          ) : refining ? (
+            <>
+              <Wand2 className="w-4 h-4" />
+              Refine Diagram
             </>
           ) : (
             <>
@@ -73,13 +149,21 @@ export default function InputPanel({ onSubmit, isLoading }) {
             </>
           )}
         </Button>
+
+        {/* Only passed while a cancellable generation is running */}
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} className="w-full gap-2">
+            <X className="w-4 h-4" />
+            Cancel
+          </Button>
+        )}
       </form>
 
       {/* Examples */}
       <div className="mt-6">
         <p className="text-xs text-muted-foreground mb-2">Try an example:</p>
         <div className="flex flex-wrap gap-2">
-          {examples.map((example, index) => (
+          {(refining ? refineExamples : examples).map((example, index) => (
             <button
               key={index}
               onClick={() => handleExampleClick(example)}
@@ -0,0 +1,93 @@
+/**
+ * Sidebar panel for live collaboration
+ * Starts or leaves a shared session, copies its invite link and lists who else is
+ * connected, with their colour and the block they are editing
+ */
+
+import { Users, Link2, LogOut, Radio } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { editedBlock } from "@/hooks/use-collaboration";
+
+export default function LiveSessionPanel({ room, peers, name, onNameChange, onStart, onLeave, canStart, nodes, inviteLink }) {
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      toast.success("Invite link copied.");
+    } catch {
+      toast.error(`Could not copy the link: ${inviteLink}`);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-secondary/30 rounded-lg border border-border">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-foreground flex items-center gap-2">
+          Live Session
+          {room && <Radio className="w-3 h-3 text-green-500 animate-pulse" />}
+        </p>
+        {room ? (
+          <div className="flex gap-1">
+            <Button onClick={handleCopyLink} variant="ghost" size="sm" className="h-7 px-2 gap-1" title="Copy invite link">
+              <Link2 className="w-3 h-3" />
+              Invite
+            </Button>
+            <Button onClick={onLeave} variant="ghost" size="sm" className="h-7 px-2 gap-1" title="Leave the session">
+              <LogOut className="w-3 h-3" />
+              Leave
+            </Button>
+          </div>
+        ) : (
+          <Button
+            onClick={onStart}
+            disabled={!canStart}
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 gap-1"
+            title="Edit this diagram together with others"
+          >
+            <Users className="w-3 h-3" />
+            Start
+          </Button>
+        )}
+      </div>
+
+      <label className="block text-xs text-muted-foreground mb-1" htmlFor="collab-name">
+        Your name
+      </label>
+      <Input
+        id="collab-name"
+        value={name}
+        onChange={(e) => onNameChange(e.target.value)}
+        className="h-8 text-xs"
+        maxLength={40}
+      />
+
+      {room && (
+        <div className="mt-3">
+          {peers.length === 0 ? (
+            <p className="text-xs text-muted-foreground">Waiting for others to join…</p>
+          ) : (
+            <ul className="space-y-1">
+              {peers.map((peer) => {
+                const block = editedBlock(nodes, peer.editing);
+                return (
+                  <li key={peer.clientId} className="flex items-center gap-2 text-xs">
+                    <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: peer.color }} />
+                    <span className="truncate text-foreground">{peer.name}</span>
+                    {block && (
+                      <span className="ml-auto truncate text-muted-foreground" title={block.data.title}>
+                        editing {block.data.title}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * Port list editor shown inside a BlockNode while it is being edited
+ * Adds, removes and seeds typed ports (name, direction, kind, protocol, voltage)
+ */
+
+import { useState } from "react";
+import { Plus, X, ListPlus } from "lucide-react";
+import {
+  SIGNAL_TYPES,
+  PORT_DIRECTIONS,
+  PROTOCOLS,
+  createPortId,
+  defaultPorts,
+  removeEmpty,
+} from "@/lib/ports";
+
+const fieldClass =
+  "nodrag bg-background/20 border border-foreground/20 rounded px-1.5 py-1 text-xs font-mono text-foreground placeholder:text-muted-foreground focus:outline-none focus:border-primary";
+
+const emptyPort = { name: "", direction: "in", kind: "data", protocol: "", voltage: "" };
+
+export default function PortEditor({ ports, blockType, onChange }) {
+  const [draft, setDraft] = useState(emptyPort);
+
+  const handleAdd = () => {
+    if (!draft.name.trim()) return;
+    const voltage = parseFloat(draft.voltage);
+    onChange([
+      ...ports,
+      removeEmpty({
+        id: createPortId(draft.name, ports),
+        name: draft.name.trim(),
+        direction: draft.direction,
+        kind: draft.kind,
+        protocol: draft.protocol.trim(),
+        voltage: Number.isFinite(voltage) ? voltage : undefined,
+      }),
+    ]);
+    setDraft(emptyPort);
+  };
+
+  return (
+    <div className="mb-2 space-y-1">
+      <div className="flex items-center justify-between">
+        <p className="text-[10px] uppercase tracking-wide text-muted-foreground">Ports</p>
+        {ports.length === 0 && (
+          <button
+            onClick={() => onChange(defaultPorts(blockType))}
+            className="flex items-center gap-1 text-[10px] text-primary hover:underline"
+            title="Add the usual ports for this block type"
+          >
+            <ListPlus className="w-3 h-3" />
+            Add default ports
+          </button>
+        )}
+      </div>
+
+      {ports.map((port) => (
+        <div
+          key={port.id}
+          className="flex items-center justify-between bg-background/20 rounded px-2 py-0.5 text-[10px] font-mono"
+        >
+          <span className="text-foreground/90">
+            {port.name}
+            <span className="text-muted-foreground">
+              {" "}
+              {port.direction} · {port.kind}
+              {port.protocol && ` · ${port.protocol}`}
+              {port.voltage !== undefined && ` · ${port.voltage}V`}
+            </span>
+          </span>
+          <button
+            onClick={() => onChange(ports.filter((p) => p.id !== port.id))}
+            className="p-0.5 hover:bg-destructive/20 rounded"
+          >
+            <X className="w-3 h-3 text-destructive" />
+          </button>
+        </div>
+      ))}
+
+      <div className="grid grid-cols-[1fr_auto_auto] gap-1">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+          placeholder="Port name (e.g. VIN)"
+          className={fieldClass}
+        />
+        <select
+          value={draft.direction}
+          onChange={(e) => setDraft({ ...draft, direction: e.target.value })}
+          className={fieldClass}
+        >
+          {PORT_DIRECTIONS.map((direction) => (
+            <option key={direction} value={direction}>
+              {direction}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.kind}
+          onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+          className={fieldClass}
+        >
+          {SIGNAL_TYPES.map((kind) => (
+            <option key={kind} value={kind}>
+              {kind}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          list="port-protocols"
+          value={draft.protocol}
+          onChange={(e) => setDraft({ ...draft, protocol: e.target.value })}
+          placeholder="Protocol"
+          className={fieldClass}
+        />
+        <input
+          type="number"
+          step="0.1"
+          min="0"
+          value={draft.voltage}
+          onChange={(e) => setDraft({ ...draft, voltage: e.target.value })}
+          placeholder="V"
+          className={`${fieldClass} w-14`}
+        />
+        <button
+          onClick={handleAdd}
+          className="p-1 bg-primary/20 hover:bg-primary/30 rounded transition-colors"
+          title="Add port"
+        >
+          <Plus className="w-4 h-4 text-primary" />
+        </button>
+      </div>
+      <datalist id="port-protocols">
+        {PROTOCOLS.map((protocol) => (
+          <option key={protocol} value={protocol} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+/**
+ * Power analysis panel
+ * Shows current per supply rail, regulator headroom and estimated battery life
+ */
+
+import { useMemo, useState } from "react";
+import { AlertTriangle, BatteryCharging } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import { cn } from "@/lib/utils";
+import { analyzePower, formatBatteryLife } from "@/lib/power";
+
+const statusClasses = {
+  ok: "bg-block-inputs/20 text-block-inputs",
+  "near-limit": "bg-block-power/20 text-block-power",
+  overloaded: "bg-destructive/20 text-destructive",
+};
+
+const statusLabels = { ok: "OK", "near-limit": "Near limit", overloaded: "Overloaded" };
+
+// Currents are shown in mA with up to two decimals
+const mA = (value) => `${Math.round(value * 100) / 100} mA`;
+
+export default function PowerPanel({ open, onOpenChange, nodes, edges }) {
+  const [capacity, setCapacity] = useState("");
+  const [activePercent, setActivePercent] = useState("100");
+
+  const analysis = useMemo(() => {
+    if (!open) return null;
+    const batteryCapacity = parseFloat(capacity);
+    const active = parseFloat(activePercent);
+    return analyzePower(nodes, edges, {
+      batteryCapacity: Number.isFinite(batteryCapacity) ? batteryCapacity : undefined,
+      activeRatio: Number.isFinite(active) ? Math.min(Math.max(active, 0), 100) / 100 : 1,
+    });
+  }, [open, nodes, edges, capacity, activePercent]);
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-[420px] sm:max-w-[420px] overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="flex items-center gap-2">
+            <BatteryCharging className="w-5 h-5 text-primary" />
+            Power budget
+          </SheetTitle>
+          <SheetDescription>
+            Rails follow power connections from the power block. Enter currents, supply voltages
+            and regulator ratings in each block&apos;s component details.
+          </SheetDescription>
+        </SheetHeader>
+
+        {analysis && (
+          <div className="mt-6 space-y-6 text-sm">
+            {/* Battery estimate */}
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <Label htmlFor="battery-capacity">Battery (mAh)</Label>
+                <Input
+                  id="battery-capacity"
+                  type="number"
+                  min="0"
+                  value={capacity}
+                  onChange={(e) => setCapacity(e.target.value)}
+                  placeholder={analysis.batteryCapacity ? String(analysis.batteryCapacity) : "e.g. 2000"}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="active-percent">Active time (%)</Label>
+                <Input
+                  id="active-percent"
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={activePercent}
+                  onChange={(e) => setActivePercent(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              {[
+                ["Typical", mA(analysis.totals.typical)],
+                ["Peak", mA(analysis.totals.peak)],
+                ["Sleep", mA(analysis.totals.sleep)],
+                ["Average", mA(analysis.totals.average)],
+              ].map(([label, value]) => (
+                <div key={label} className="rounded border border-border bg-secondary/30 px-3 py-2">
+                  <p className="text-muted-foreground">{label}</p>
+                  <p className="font-mono text-foreground">{value}</p>
+                </div>
+              ))}
+              <div className="col-span-2 rounded border border-primary/40 bg-primary/10 px-3 py-2">
+                <p className="text-muted-foreground">Estimated battery life</p>
+                <p className="font-mono text-lg text-foreground">
+                  {formatBatteryLife(analysis.batteryLifeHours)}
+                </p>
+              </div>
+            </div>
+
+            {/* Rails */}
+            <div className="space-y-3">
+              <p className="font-medium text-foreground">Rails</p>
+              {analysis.rails.length === 0 && (
+                <p className="text-xs text-muted-foreground">No supply rails found.</p>
+              )}
+              {analysis.rails.map((rail) => (
+                <div key={rail.id} className="rounded border border-border p-3 space-y-2 text-xs">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium text-foreground">{rail.name}</span>
+                    {rail.status && (
+                      <span className={cn("rounded px-1.5 py-0.5", statusClasses[rail.status])}>
+                        {statusLabels[rail.status]}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-muted-foreground">
+                    {mA(rail.typical)} typical · {mA(rail.peak)} peak · {mA(rail.sleep)} sleep
+                    {rail.maxCurrent !== undefined && ` · ${rail.regulator} rated ${rail.maxCurrent} mA`}
+                  </p>
+                  <ul className="space-y-0.5 font-mono">
+                    {rail.loads.map((load, index) => (
+                      <li key={index} className="flex justify-between gap-2">
+                        <span className={cn("truncate", !load.specified && "text-muted-foreground")}>
+                          {load.name}
+                        </span>
+                        <span className="shrink-0">{load.specified ? mA(load.typical) : "–"}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+              {analysis.totals.unspecified > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {analysis.totals.unspecified} component{analysis.totals.unspecified === 1 ? " has" : "s have"} no
+                  current figures and count as 0 mA.
+                </p>
+              )}
+            </div>
+
+            {/* Warnings */}
+            {analysis.warnings.length > 0 && (
+              <ul className="space-y-1 text-xs">
+                {analysis.warnings.map((warning, index) => (
+                  <li key={index} className="flex gap-2 text-block-power">
+                    <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+                    {warning}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * Cursors of the other users in a live session
+ * Rendered inside React Flow; positions are in flow coordinates, so they follow pan and zoom
+ */
+
+import { useStore } from "reactflow";
+import { MousePointer2 } from "lucide-react";
+import { usePeersInView } from "@/hooks/use-collaboration";
+
+const transformSelector = (state) => state.transform;
+
+export default function PresenceCursors() {
+  const peers = usePeersInView();
+  const [x, y, zoom] = useStore(transformSelector);
+
+  if (!peers.length) return null;
+
+  return (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden z-10">
+      {peers.map((peer) => (
+        <div
+          key={peer.clientId}
+          className="absolute left-0 top-0 transition-transform duration-75 ease-linear"
+          style={{ transform: `translate(${peer.cursor.x * zoom + x}px, ${peer.cursor.y * zoom + y}px)` }}
+        >
+          <MousePointer2 className="w-4 h-4" style={{ color: peer.color, fill: peer.color }} />
+          <span
+            className="ml-3 block whitespace-nowrap rounded px-1.5 py-0.5 text-[10px] font-medium text-white"
+            style={{ backgroundColor: peer.color }}
+          >
+            {peer.name}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+/**
+ * Problems panel listing design rule violations
+ * Clicking a problem focuses the block or connection it refers to
+ */
+
+import { AlertCircle, AlertTriangle, Info, CheckCircle2, X } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const severityIcons = {
+  error: { Icon: AlertCircle, className: "text-destructive" },
+  warning: { Icon: AlertTriangle, className: "text-block-power" },
+  info: { Icon: Info, className: "text-primary" },
+};
+
+export default function ProblemsPanel({ problems, onSelect, onClose }) {
+  return (
+    <div className="panel-glass w-80 max-h-[50vh] flex flex-col text-xs">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-border">
+        <span className="font-medium text-foreground">Problems ({problems.length})</span>
+        <button onClick={onClose} className="p-0.5 hover:bg-foreground/10 rounded" title="Close">
+          <X className="w-3 h-3 text-muted-foreground" />
+        </button>
+      </div>
+
+      {problems.length === 0 ? (
+        <p className="flex items-center gap-2 px-3 py-3 text-muted-foreground">
+          <CheckCircle2 className="w-4 h-4 text-block-inputs" />
+          No problems found.
+        </p>
+      ) : (
+        <ul className="overflow-y-auto py-1">
+          {problems.map((problem) => {
+            const { Icon, className } = severityIcons[problem.severity] || severityIcons.info;
+            const focusable = problem.nodeId || problem.edgeId;
+            return (
+              <li key={problem.id}>
+                <button
+                  onClick={() => focusable && onSelect(problem)}
+                  className={cn(
+                    "w-full flex gap-2 px-3 py-1.5 text-left",
+                    focusable ? "hover:bg-secondary/60" : "cursor-default"
+                  )}
+                >
+                  <Icon className={cn("w-3.5 h-3.5 mt-0.5 shrink-0", className)} />
+                  <span>
+                    <span className="block text-foreground">{problem.message}</span>
+                    <span className="text-muted-foreground">{problem.title}</span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
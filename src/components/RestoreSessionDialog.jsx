@@ -0,0 +1,43 @@
+/**
+ * Prompt shown on load when an autosaved session is found
+ * Offers to restore the previous canvas or discard it
+ */
+
+import { formatDistanceToNow } from "date-fns";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+
+export default function RestoreSessionDialog({ session, onRestore, onDiscard }) {
+  const savedAt = session?.savedAt ? new Date(session.savedAt) : null;
+
+  return (
+    <AlertDialog open={!!session}>
+      {/* Escape counts as Discard; the buttons report their own choice */}
+      <AlertDialogContent onEscapeKeyDown={() => onDiscard()}>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Restore previous session?</AlertDialogTitle>
+          <AlertDialogDescription>
+            A diagram with {session?.nodes.length} blocks was autosaved
+            {savedAt && !Number.isNaN(savedAt.getTime())
+              ? ` ${formatDistanceToNow(savedAt, { addSuffix: true })}`
+              : ""}
+            {session?.savedDiagram?.title ? ` (“${session.savedDiagram.title}”)` : ""}.
+            Discarding it starts with an empty canvas.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel onClick={onDiscard}>Discard</AlertDialogCancel>
+          <AlertDialogAction onClick={onRestore}>Restore</AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
@@ -0,0 +1,178 @@
+/**
+ * Sidebar library of diagrams saved to Supabase
+ * Lists recent diagrams and offers save, save-as, open and delete actions
+ */
+
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Save, CopyPlus, Trash2, Loader2, FolderOpen } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { cn } from "@/lib/utils";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+
+export default function SavedDiagramsPanel({
+  diagrams,
+  isLoading,
+  error,
+  currentId,
+  currentTitle,
+  defaultTitle,
+  canSave,
+  isSaving,
+  onSave,
+  onOpen,
+  onDelete,
+}) {
+  const [titleDialog, setTitleDialog] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  // Save in place when the diagram is already stored, otherwise ask for a title
+  const handleSaveClick = () => {
+    if (currentId) {
+      onSave({ title: currentTitle, asNew: false });
+    } else {
+      setTitleDialog({ title: defaultTitle });
+    }
+  };
+
+  const handleSaveAsClick = () => {
+    setTitleDialog({ title: currentTitle ? `${currentTitle} (copy)` : defaultTitle });
+  };
+
+  const handleTitleSubmit = async (e) => {
+    e.preventDefault();
+    const title = titleDialog.title.trim();
+    if (!title) return;
+    if (await onSave({ title, asNew: true })) {
+      setTitleDialog(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-secondary/30 rounded-lg border border-border">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-foreground">Saved Diagrams</p>
+        <div className="flex gap-1">
+          <Button
+            onClick={handleSaveClick}
+            disabled={!canSave || isSaving}
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 gap-1"
+            title={currentId ? "Save changes" : "Save diagram"}
+          >
+            {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Save className="w-3 h-3" />}
+            Save
+          </Button>
+          <Button
+            onClick={handleSaveAsClick}
+            disabled={!canSave || isSaving}
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 gap-1"
+            title="Save as a new diagram"
+          >
+            <CopyPlus className="w-3 h-3" />
+            Save as
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-xs text-muted-foreground">Loading…</p>
+      ) : error ? (
+        <p className="text-xs text-destructive-foreground">Could not load saved diagrams.</p>
+      ) : diagrams.length === 0 ? (
+        <p className="text-xs text-muted-foreground">No saved diagrams yet.</p>
+      ) : (
+        <ul className="space-y-1">
+          {diagrams.map((diagram) => (
+            <li
+              key={diagram.id}
+              className={cn(
+                "group flex items-center gap-2 rounded px-2 py-1.5 text-xs hover:bg-secondary/60",
+                diagram.id === currentId && "bg-secondary/60"
+              )}
+            >
+              <button
+                onClick={() => onOpen(diagram.id)}
+                className="flex-1 min-w-0 flex items-center gap-2 text-left"
+                title={diagram.description || diagram.title}
+              >
+                <FolderOpen className="w-3 h-3 shrink-0 text-primary" />
+                <span className="truncate text-foreground">{diagram.title}</span>
+                <span className="ml-auto shrink-0 text-muted-foreground">
+                  {formatDistanceToNow(new Date(diagram.updated_at), { addSuffix: true })}
+                </span>
+              </button>
+              <button
+                onClick={() => setPendingDelete(diagram)}
+                className="p-0.5 rounded opacity-0 group-hover:opacity-100 hover:bg-destructive/20 transition-opacity"
+                title="Delete diagram"
+              >
+                <Trash2 className="w-3 h-3 text-destructive" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Title prompt for save / save-as */}
+      <Dialog open={!!titleDialog} onOpenChange={(open) => !open && setTitleDialog(null)}>
+        <DialogContent className="max-w-sm">
+          <form onSubmit={handleTitleSubmit} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Save diagram</DialogTitle>
+              <DialogDescription>Give the diagram a name for the library.</DialogDescription>
+            </DialogHeader>
+            <Input
+              value={titleDialog?.title ?? ""}
+              onChange={(e) => setTitleDialog({ title: e.target.value })}
+              placeholder="Diagram title"
+              autoFocus
+            />
+            <DialogFooter>
+              <Button type="submit" disabled={!titleDialog?.title.trim() || isSaving}>
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Delete confirmation */}
+      <AlertDialog open={!!pendingDelete} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete “{pendingDelete?.title}”?</AlertDialogTitle>
+            <AlertDialogDescription>
+              This removes the diagram from the library. It cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => onDelete(pendingDelete.id)}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
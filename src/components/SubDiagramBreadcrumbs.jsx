@@ -0,0 +1,56 @@
+/**
+ * Breadcrumbs for navigating back up from a sub-diagram
+ * Also offers AI expansion of the block whose sub-diagram is open
+ */
+
+import { Fragment } from "react";
+import { Sparkles, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from "@/components/ui/breadcrumb";
+
+export default function SubDiagramBreadcrumbs({ trail, onNavigate, onExpand, isExpanding = false }) {
+  const crumbs = [{ id: null, title: "Top level" }, ...trail];
+
+  return (
+    <div className="panel-glass flex items-center gap-3 px-3 py-1.5">
+      <Breadcrumb>
+        <BreadcrumbList className="text-xs sm:gap-1.5">
+          {crumbs.map((crumb, depth) => (
+            <Fragment key={crumb.id ?? "root"}>
+              {depth > 0 && <BreadcrumbSeparator />}
+              <BreadcrumbItem>
+                {depth === crumbs.length - 1 ? (
+                  <BreadcrumbPage>{crumb.title}</BreadcrumbPage>
+                ) : (
+                  <BreadcrumbLink asChild>
+                    <button onClick={() => onNavigate(depth)}>{crumb.title}</button>
+                  </BreadcrumbLink>
+                )}
+              </BreadcrumbItem>
+            </Fragment>
+          ))}
+        </BreadcrumbList>
+      </Breadcrumb>
+      {onExpand && (
+        <Button
+          onClick={onExpand}
+          disabled={isExpanding}
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 gap-1 text-xs"
+          title="Let the AI fill this sub-diagram from the block's components and ports"
+        >
+          {isExpanding ? <Loader2 className="w-3 h-3 animate-spin" /> : <Sparkles className="w-3 h-3" />}
+          Expand with AI
+        </Button>
+      )}
+    </div>
+  );
+}
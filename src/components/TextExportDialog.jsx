@@ -0,0 +1,98 @@
+/**
+ * Dialog for exporting the diagram as Mermaid, Graphviz DOT or PlantUML text
+ * Previews each format and copies it, optionally inside a Markdown code fence
+ */
+
+import { useMemo, useState } from "react";
+import { Copy, Download, FileCode } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { TEXT_EXPORT_FORMATS, diagramToText, toMarkdownFence } from "@/lib/textExport";
+import { downloadBlob } from "@/lib/diagramUtils";
+
+export default function TextExportDialog({ open, onOpenChange, nodes, edges, direction }) {
+  const [format, setFormat] = useState("mermaid");
+
+  // Only rebuild while the dialog is open
+  const texts = useMemo(
+    () =>
+      open
+        ? Object.fromEntries(
+            Object.keys(TEXT_EXPORT_FORMATS).map((key) => [key, diagramToText(key, nodes, edges, { direction })])
+          )
+        : null,
+    [open, nodes, edges, direction]
+  );
+
+  const handleCopy = async (markdown) => {
+    const text = markdown ? toMarkdownFence(format, texts[format]) : texts[format];
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${TEXT_EXPORT_FORMATS[format].label} copied to clipboard!`);
+    } catch (err) {
+      console.error("Error copying text export:", err);
+      toast.error("Could not copy to the clipboard. Select the text and copy it instead.");
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([texts[format]], { type: "text/plain;charset=utf-8" });
+    downloadBlob(blob, `block-diagram-${Date.now()}.${TEXT_EXPORT_FORMATS[format].extension}`);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Export as text</DialogTitle>
+          <DialogDescription>
+            Diagram source for Markdown docs and READMEs, where it diffs like code.
+          </DialogDescription>
+        </DialogHeader>
+
+        {texts && (
+          <Tabs value={format} onValueChange={setFormat}>
+            <TabsList>
+              {Object.entries(TEXT_EXPORT_FORMATS).map(([key, { label }]) => (
+                <TabsTrigger key={key} value={key}>
+                  {label}
+                </TabsTrigger>
+              ))}
+            </TabsList>
+            {Object.keys(TEXT_EXPORT_FORMATS).map((key) => (
+              <TabsContent key={key} value={key}>
+                <pre className="max-h-[50vh] overflow-auto rounded-md border border-border bg-secondary/30 p-3 text-xs font-mono text-foreground select-all">
+                  {texts[key]}
+                </pre>
+              </TabsContent>
+            ))}
+          </Tabs>
+        )}
+
+        <DialogFooter className="gap-2">
+          <Button onClick={handleDownload} variant="outline" className="gap-2">
+            <Download className="w-4 h-4" />
+            Download .{TEXT_EXPORT_FORMATS[format].extension}
+          </Button>
+          <Button onClick={() => handleCopy(true)} variant="outline" className="gap-2">
+            <FileCode className="w-4 h-4" />
+            Copy as Markdown
+          </Button>
+          <Button onClick={() => handleCopy(false)} className="gap-2">
+            <Copy className="w-4 h-4" />
+            Copy
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
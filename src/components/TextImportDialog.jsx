@@ -0,0 +1,129 @@
+/**
+ * Dialog for importing a Mermaid flowchart or Graphviz DOT graph
+ * Parses the text as it is typed, shows errors with their line number and asks
+ * for a block type for every node whose type could not be inferred.
+ */
+
+import { useMemo, useRef, useState } from "react";
+import { FileInput, FileUp } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useBlockTypes } from "@/hooks/use-block-types";
+import { DEFAULT_IMPORT_TYPE, parseDiagramText, textImportToDiagram } from "@/lib/textImport";
+
+const FORMAT_LABELS = { mermaid: "Mermaid", dot: "Graphviz DOT" };
+
+export default function TextImportDialog({ open, onOpenChange, onImport }) {
+  const [text, setText] = useState("");
+  // Block types picked for nodes without an inferred one, by node id
+  const [types, setTypes] = useState({});
+  const fileInputRef = useRef(null);
+  const blockTypes = useBlockTypes();
+
+  const result = useMemo(() => {
+    if (!text.trim()) return null;
+    try {
+      return { parsed: parseDiagramText(text, { blockTypes }) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [text, blockTypes]);
+
+  const parsed = result?.parsed;
+  const unmatched = parsed ? parsed.nodes.filter((node) => !node.type) : [];
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) setText(await file.text());
+  };
+
+  const handleImport = () => {
+    onImport({ diagram: textImportToDiagram(parsed, types), direction: parsed.direction, format: parsed.format });
+    setText("");
+    setTypes({});
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import from text</DialogTitle>
+          <DialogDescription>
+            Paste a Mermaid flowchart or a Graphviz DOT graph. Block types are guessed from
+            classes, clusters and node names.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={"flowchart LR\n  battery[Battery] ==> mcu[MCU]\n  mcu --> display[OLED Display]"}
+          className="min-h-[200px] font-mono text-xs bg-secondary/30"
+          spellCheck={false}
+        />
+
+        {result?.error && (
+          <p className="rounded-md border border-destructive/50 bg-destructive/10 p-2 text-xs text-destructive">
+            {result.error}
+          </p>
+        )}
+
+        {parsed && (
+          <div className="space-y-2 text-sm">
+            <p className="text-muted-foreground">
+              {FORMAT_LABELS[parsed.format]}: {parsed.nodes.length} blocks, {parsed.connections.length} connections
+            </p>
+            {unmatched.length > 0 && (
+              <div className="max-h-48 space-y-1 overflow-y-auto rounded-md border border-border p-2">
+                <p className="text-xs text-muted-foreground">Choose a type for blocks that could not be matched:</p>
+                {unmatched.map((node) => (
+                  <label key={node.id} className="flex items-center justify-between gap-2 text-xs">
+                    <span className="truncate text-foreground">{node.title}</span>
+                    <select
+                      value={types[node.id] ?? DEFAULT_IMPORT_TYPE}
+                      onChange={(e) => setTypes({ ...types, [node.id]: e.target.value })}
+                      className="h-8 rounded-md border border-input bg-background px-2 text-xs"
+                    >
+                      {blockTypes.map((type) => (
+                        <option key={type.id} value={type.id}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          <Button onClick={() => fileInputRef.current?.click()} variant="outline" className="gap-2">
+            <FileUp className="w-4 h-4" />
+            Open file
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".mmd,.mermaid,.dot,.gv,.md,.txt,text/plain"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <Button onClick={handleImport} disabled={!parsed} className="gap-2">
+            <FileInput className="w-4 h-4" />
+            Import
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,131 @@
+/**
+ * Sidebar list of named snapshots of the open saved diagram
+ * Takes snapshots, compares one with the current canvas, restores or deletes it
+ */
+
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Camera, GitCompare, RotateCcw, Trash2, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+
+export default function VersionHistoryPanel({
+  versions,
+  isLoading,
+  error,
+  canSnapshot,
+  isSaving,
+  onSnapshot,
+  onCompare,
+  onRestore,
+  onDelete,
+}) {
+  const [name, setName] = useState("");
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim() || `Version ${versions.length + 1}`;
+    if (await onSnapshot(trimmed)) setName("");
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-secondary/30 rounded-lg border border-border">
+      <p className="text-sm font-medium text-foreground mb-3">Version History</p>
+
+      {!canSnapshot ? (
+        <p className="text-xs text-muted-foreground">Save the diagram to the library to keep named versions.</p>
+      ) : (
+        <>
+          <form onSubmit={handleSubmit} className="flex gap-1 mb-3">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={`Version ${versions.length + 1}, e.g. Rev B`}
+              className="h-8 text-xs"
+              maxLength={80}
+            />
+            <Button type="submit" disabled={isSaving} variant="ghost" size="sm" className="h-8 px-2 gap-1" title="Snapshot the canvas">
+              {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Camera className="w-3 h-3" />}
+              Snapshot
+            </Button>
+          </form>
+
+          {isLoading ? (
+            <p className="text-xs text-muted-foreground">Loading…</p>
+          ) : error ? (
+            <p className="text-xs text-destructive-foreground">Could not load versions.</p>
+          ) : versions.length === 0 ? (
+            <p className="text-xs text-muted-foreground">No versions yet.</p>
+          ) : (
+            <ul className="space-y-1">
+              {versions.map((version) => (
+                <li key={version.id} className="group flex items-center gap-2 rounded px-2 py-1.5 text-xs hover:bg-secondary/60">
+                  <div className="flex-1 min-w-0">
+                    <span className="block truncate text-foreground">{version.name}</span>
+                    <span className="text-muted-foreground">
+                      {formatDistanceToNow(new Date(version.created_at), { addSuffix: true })}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => onCompare(version.id)}
+                    className="p-1 rounded hover:bg-primary/20"
+                    title="Compare with the current canvas"
+                  >
+                    <GitCompare className="w-3 h-3 text-primary" />
+                  </button>
+                  <button
+                    onClick={() => onRestore(version.id)}
+                    className="p-1 rounded hover:bg-primary/20"
+                    title="Restore this version"
+                  >
+                    <RotateCcw className="w-3 h-3 text-primary" />
+                  </button>
+                  <button
+                    onClick={() => setPendingDelete(version)}
+                    className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-destructive/20 transition-opacity"
+                    title="Delete version"
+                  >
+                    <Trash2 className="w-3 h-3 text-destructive" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <AlertDialog open={!!pendingDelete} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete version?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{pendingDelete?.name}" will be removed from the history. The diagram itself is not affected.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                onDelete(pendingDelete.id);
+                setPendingDelete(null);
+              }}
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import * as React from "react";
+import { saveSession, clearSession } from "@/lib/autosave";
+
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Debounced autosave of the working session to browser storage
+ * Pass enabled=false to hold off, e.g. while a restore prompt is open
+ */
+export function useAutosave(session, { enabled = true, delay = AUTOSAVE_DELAY } = {}) {
+  React.useEffect(() => {
+    if (!enabled) return;
+
+    const timeout = setTimeout(() => {
+      if (session.nodes.length === 0) {
+        clearSession();
+      } else {
+        saveSession(session);
+      }
+    }, delay);
+    return () => clearTimeout(timeout);
+  }, [session, enabled, delay]);
+}
@@ -0,0 +1,17 @@
+import * as React from "react";
+import { getBlockType, getBlockTypes, subscribeBlockTypes } from "@/lib/blockTypes";
+
+/**
+ * Registered block types, re-rendering when custom types are added or removed
+ */
+export function useBlockTypes() {
+  return React.useSyncExternalStore(subscribeBlockTypes, getBlockTypes);
+}
+
+/**
+ * Registry entry for one block type, with a neutral fallback for unknown ids
+ */
+export function useBlockType(id) {
+  const types = useBlockTypes();
+  return React.useMemo(() => getBlockType(id, types), [types, id]);
+}
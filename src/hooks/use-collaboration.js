@@ -0,0 +1,154 @@
+import * as React from "react";
+import { createCollabSession, randomId } from "@/lib/collab";
+import { createTransport } from "@/lib/collabTransport";
+import { applyEdgeStyle } from "@/lib/edgeStyles";
+import { getBlockAt } from "@/lib/subDiagrams";
+
+const NAME_KEY = "block-diagram:collab-name";
+
+// Presence of the active session, read by blocks and the cursor layer without prop drilling
+let presenceState = { peers: [], view: "" };
+const presenceListeners = new Set();
+
+function setPresenceState(changes) {
+  presenceState = { ...presenceState, ...changes };
+  presenceListeners.forEach((listener) => listener());
+}
+
+function subscribePresence(listener) {
+  presenceListeners.add(listener);
+  return () => presenceListeners.delete(listener);
+}
+
+// Key of a block inside the (sub-)diagram view it is shown in
+const viewKey = (view) => view.join("/");
+const blockKey = (view, id) => `${viewKey(view)}#${id}`;
+
+/**
+ * Block a peer's editing marker points at, or undefined when it is gone
+ */
+export function editedBlock(nodes, editing) {
+  if (!editing) return undefined;
+  const split = editing.lastIndexOf("#");
+  const view = editing.slice(0, split);
+  return getBlockAt(nodes, [...(view ? view.split("/") : []), editing.slice(split + 1)]);
+}
+
+/**
+ * Other users in the live session, with { name, color, cursor, editing, view }
+ */
+export function usePeers() {
+  return React.useSyncExternalStore(subscribePresence, () => presenceState.peers);
+}
+
+/**
+ * Other users whose cursor is over the diagram view this user has open
+ */
+export function usePeersInView() {
+  const peers = usePeers();
+  const view = React.useSyncExternalStore(subscribePresence, () => presenceState.view);
+  return React.useMemo(() => peers.filter((peer) => peer.cursor && viewKey(peer.view ?? []) === view), [peers, view]);
+}
+
+/**
+ * Other users editing a block of the open view
+ */
+export function useBlockEditors(id) {
+  const peers = usePeers();
+  const view = React.useSyncExternalStore(subscribePresence, () => presenceState.view);
+  return React.useMemo(() => peers.filter((peer) => peer.editing === `${view}#${id}`), [peers, view, id]);
+}
+
+function storedName() {
+  try {
+    const name = localStorage.getItem(NAME_KEY);
+    if (name) return name;
+  } catch {
+    // Storage can be unavailable, e.g. in private windows
+  }
+  return `Guest ${Math.floor(1000 + Math.random() * 9000)}`;
+}
+
+// Remote nodes and edges with this client's selection and measured sizes kept
+function mergeRemote(remote, current, style = (item) => item) {
+  const local = new Map(current.map((item) => [item.id, item]));
+  return remote.map((item) => style({ ...local.get(item.id), ...item }));
+}
+
+/**
+ * Live collaboration on the diagram owned by the caller
+ * start(room, mode) connects, leave() disconnects; while connected every change to
+ * nodes and edges is shared and remote changes are merged in. view is the open
+ * sub-diagram path, so cursors and editing markers only show where they apply.
+ */
+export function useCollaboration({ nodes, edges, setNodes, setEdges, view = [] }) {
+  const [room, setRoom] = React.useState(null);
+  const [name, setNameState] = React.useState(storedName);
+  const sessionRef = React.useRef(null);
+  const editingRef = React.useRef(null);
+  const viewRef = React.useRef(view);
+  viewRef.current = view;
+  const peers = usePeers();
+
+  const leave = React.useCallback(() => {
+    sessionRef.current?.close();
+    sessionRef.current = null;
+    editingRef.current = null;
+    setPresenceState({ peers: [] });
+    setRoom(null);
+  }, []);
+
+  const start = React.useCallback(
+    (roomId = randomId(), mode = "host") => {
+      sessionRef.current?.close();
+      sessionRef.current = createCollabSession({
+        transport: createTransport(roomId),
+        user: { name },
+        mode,
+        onRemoteChange: (flow) => {
+          setNodes((current) => mergeRemote(flow.nodes, current));
+          setEdges((current) => mergeRemote(flow.edges, current, applyEdgeStyle));
+        },
+        onPeersChange: (list) => setPresenceState({ peers: list }),
+      });
+      setRoom(roomId);
+      return roomId;
+    },
+    [name, setNodes, setEdges]
+  );
+
+  React.useEffect(() => () => sessionRef.current?.close(), []);
+
+  // Share every local change; fields that did not change are not sent
+  React.useEffect(() => {
+    sessionRef.current?.update(nodes, edges);
+  }, [room, nodes, edges]);
+
+  const openView = viewKey(view);
+  React.useEffect(() => {
+    setPresenceState({ view: openView });
+    sessionRef.current?.setPresence({ view: viewRef.current, cursor: null });
+  }, [room, openView]);
+
+  const setName = React.useCallback((next) => {
+    setNameState(next);
+    try {
+      localStorage.setItem(NAME_KEY, next);
+    } catch {
+      // Keep the name for this session only
+    }
+    sessionRef.current?.setPresence({ name: next });
+  }, []);
+
+  const setCursor = React.useCallback((cursor) => sessionRef.current?.setPresence({ cursor }), []);
+
+  // Blocks report when their editor opens or closes; stable so block renderers are not rebuilt
+  const setEditing = React.useCallback((id, isEditing) => {
+    const key = blockKey(viewRef.current, id);
+    if (!isEditing && editingRef.current !== key) return;
+    editingRef.current = isEditing ? key : null;
+    sessionRef.current?.setPresence({ editing: editingRef.current });
+  }, []);
+
+  return { room, peers, name, setName, start, leave, setCursor, setEditing };
+}
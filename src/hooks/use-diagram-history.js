@@ -0,0 +1,50 @@
+import * as React from "react";
+import {
+  createHistory,
+  recordSnapshot,
+  undoSnapshot,
+  redoSnapshot,
+} from "@/lib/history";
+
+/**
+ * Undo/redo over the diagram nodes and edges owned by the caller
+ * Call record() right before applying an edit to make it undoable
+ */
+export function useDiagramHistory(nodes, edges, setNodes, setEdges) {
+  const [history, setHistory] = React.useState(createHistory);
+
+  // Always snapshot the latest rendered state, even from stale callbacks
+  const currentRef = React.useRef({ nodes, edges });
+  currentRef.current = { nodes, edges };
+  const historyRef = React.useRef(history);
+  historyRef.current = history;
+
+  const record = React.useCallback(() => {
+    setHistory((prev) => recordSnapshot(prev, currentRef.current));
+  }, []);
+
+  const restore = React.useCallback(
+    (step) => {
+      const result = step(historyRef.current, currentRef.current);
+      if (!result) return;
+      historyRef.current = result.history;
+      setHistory(result.history);
+      setNodes(result.snapshot.nodes);
+      setEdges(result.snapshot.edges);
+    },
+    [setNodes, setEdges]
+  );
+
+  const undo = React.useCallback(() => restore(undoSnapshot), [restore]);
+  const redo = React.useCallback(() => restore(redoSnapshot), [restore]);
+  const clear = React.useCallback(() => setHistory(createHistory()), []);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,25 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { listVersions, saveVersion, deleteVersion } from "@/lib/diagramStore";
+
+/**
+ * Named snapshots of a saved diagram, plus snapshot and delete mutations
+ * Nothing is fetched until the diagram has been saved
+ */
+export function useDiagramVersions(diagramId) {
+  const queryClient = useQueryClient();
+  const queryKey = ["diagram-versions", diagramId];
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const list = useQuery({ queryKey, queryFn: () => listVersions(diagramId), enabled: !!diagramId });
+  const save = useMutation({ mutationFn: saveVersion, onSuccess: invalidate });
+  const remove = useMutation({ mutationFn: deleteVersion, onSuccess: invalidate });
+
+  return {
+    versions: list.data ?? [],
+    isLoading: list.isLoading && !!diagramId,
+    error: list.error,
+    save: save.mutateAsync,
+    remove: remove.mutateAsync,
+    isSaving: save.isPending,
+  };
+}
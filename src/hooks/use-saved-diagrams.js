@@ -0,0 +1,26 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { listDiagrams, saveDiagram, deleteDiagram } from "@/lib/diagramStore";
+
+const DIAGRAMS_QUERY_KEY = ["diagrams"];
+
+/**
+ * Saved-diagram library: the recent list plus save and delete mutations
+ * Mutations refresh the list when they succeed
+ */
+export function useSavedDiagrams() {
+  const queryClient = useQueryClient();
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: DIAGRAMS_QUERY_KEY });
+
+  const list = useQuery({ queryKey: DIAGRAMS_QUERY_KEY, queryFn: listDiagrams });
+  const save = useMutation({ mutationFn: saveDiagram, onSuccess: invalidate });
+  const remove = useMutation({ mutationFn: deleteDiagram, onSuccess: invalidate });
+
+  return {
+    diagrams: list.data ?? [],
+    isLoading: list.isLoading,
+    error: list.error,
+    save: save.mutateAsync,
+    remove: remove.mutateAsync,
+    isSaving: save.isPending,
+  };
+}
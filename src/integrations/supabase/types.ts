@@ -14,7 +14,71 @@ export type Database = {
   }
   public: {
     Tables: {
-      [_ in never]: never
+      diagram_versions: {
+        Row: {
+          created_at: string
+          diagram: Json
+          diagram_id: string
+          id: string
+          name: string
+          positions: Json
+        }
+        Insert: {
+          created_at?: string
+          diagram: Json
+          diagram_id: string
+          id?: string
+          name: string
+          positions?: Json
+        }
+        Update: {
+          created_at?: string
+          diagram?: Json
+          diagram_id?: string
+          id?: string
+          name?: string
+          positions?: Json
+        }
+        Relationships: [
+          {
+            foreignKeyName: "diagram_versions_diagram_id_fkey"
+            columns: ["diagram_id"]
+            isOneToOne: false
+            referencedRelation: "diagrams"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      diagrams: {
+        Row: {
+          created_at: string
+          description: string
+          diagram: Json
+          id: string
+          positions: Json
+          title: string
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          description?: string
+          diagram: Json
+          id?: string
+          positions?: Json
+          title: string
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          description?: string
+          diagram?: Json
+          id?: string
+          positions?: Json
+          title?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
     }
     Views: {
       [_ in never]: never
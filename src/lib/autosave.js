@@ -0,0 +1,56 @@
+/**
+ * Local autosave of the working diagram in browser storage
+ * Lets the app offer to restore the previous session after a refresh or crash
+ */
+
+const AUTOSAVE_KEY = "block-diagram-canvas:autosave";
+const AUTOSAVE_VERSION = 1;
+
+/**
+ * Write the current session; failures (quota, private mode) are logged and ignored
+ */
+export function saveSession(session, storage = window.localStorage) {
+  try {
+    storage.setItem(
+      AUTOSAVE_KEY,
+      JSON.stringify({ version: AUTOSAVE_VERSION, savedAt: new Date().toISOString(), ...session })
+    );
+  } catch (err) {
+    console.warn("Autosave failed:", err);
+  }
+}
+
+/**
+ * Read the previous session, or null if there is none or it cannot be used
+ */
+export function loadSession(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(AUTOSAVE_KEY);
+    if (!raw) return null;
+
+    const session = JSON.parse(raw);
+    if (
+      session?.version !== AUTOSAVE_VERSION ||
+      !Array.isArray(session.nodes) ||
+      !Array.isArray(session.edges) ||
+      session.nodes.length === 0
+    ) {
+      return null;
+    }
+    return session;
+  } catch (err) {
+    console.warn("Could not read autosaved session:", err);
+    return null;
+  }
+}
+
+/**
+ * Forget the autosaved session
+ */
+export function clearSession(storage = window.localStorage) {
+  try {
+    storage.removeItem(AUTOSAVE_KEY);
+  } catch (err) {
+    console.warn("Could not clear autosaved session:", err);
+  }
+}
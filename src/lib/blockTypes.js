@@ -0,0 +1,288 @@
+/**
+ * Block type registry
+ * Single source for block categories: the five built-in types plus user-defined
+ * ones (name, colour, icon, layout position). BlockNode styling, the legend, the
+ * palette, image export, auto-layout order and the AI schema all read from here.
+ * Custom types are kept in browser storage.
+ */
+
+const BLOCK_TYPES_KEY = "block-diagram-canvas:block-types";
+
+// Palette templates saved before the registry existed: a name on a built-in type
+const LEGACY_PALETTE_KEY = "block-diagram-canvas:palette";
+
+// Canvas background the tinted block fill is mixed against (index.css --background)
+const CANVAS_BACKGROUND = "#0f1729";
+
+export const BUILT_IN_BLOCK_TYPES = [
+  {
+    id: "power",
+    label: "Power Supply",
+    icon: "⚡",
+    color: "hsl(25 95% 53%)",
+    fill: "hsl(25 95% 15%)",
+    className: "block-power",
+    order: 0,
+    description: "Power sources, voltage regulators, power management ICs",
+  },
+  {
+    id: "inputs",
+    label: "Inputs Block",
+    icon: "📥",
+    color: "hsl(142 71% 45%)",
+    fill: "hsl(142 71% 12%)",
+    className: "block-inputs",
+    order: 1,
+    description: "Sensors, buttons, switches, microphones, cameras, wireless receivers",
+  },
+  {
+    id: "processing",
+    label: "Control & Processing",
+    icon: "🔧",
+    color: "hsl(199 89% 48%)",
+    fill: "hsl(199 89% 15%)",
+    className: "block-processing",
+    order: 2,
+    description: "MCU, CPU, FPGA, memory, clock, communication interfaces",
+  },
+  {
+    id: "outputs",
+    label: "Outputs Block",
+    icon: "📤",
+    color: "hsl(270 67% 47%)",
+    fill: "hsl(270 67% 15%)",
+    className: "block-outputs",
+    order: 3,
+    description: "Displays, LEDs, speakers, motors, actuators, wireless transmitters",
+  },
+  {
+    id: "peripherals",
+    label: "Other Peripherals",
+    icon: "🔌",
+    color: "hsl(174 72% 40%)",
+    fill: "hsl(174 72% 12%)",
+    className: "block-peripherals",
+    order: 4,
+    description: "Storage, connectivity modules, debugging interfaces, external connectors",
+  },
+].map((type) => ({ ...type, builtIn: true }));
+
+// Style for blocks whose type is not registered, e.g. a custom type removed since
+const FALLBACK_TYPE = { label: "Unknown type", icon: "▪", color: "hsl(215 20% 65%)", fill: "hsl(217 33% 17%)" };
+
+// #rrggbb form of an "hsl(h s% l%)" colour
+function hslToHex(color) {
+  const [h, s, l] = color.match(/[\d.]+/g).map(Number);
+  const a = (s / 100) * Math.min(l / 100, 1 - l / 100);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = l / 100 - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Mix a #rrggbb colour with the canvas background; amount is the share of the colour
+function tint(hex, amount) {
+  const channels = (value) => [1, 3, 5].map((i) => parseInt(value.slice(i, i + 2), 16));
+  const [r, g, b] = channels(hex).map((channel, i) =>
+    Math.round(channel * amount + channels(CANVAS_BACKGROUND)[i] * (1 - amount))
+  );
+  return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Validate a custom block type; returns an error message or null
+ */
+export function validateBlockType(type) {
+  if (!type || typeof type !== "object") return "block type must be an object";
+  if (typeof type.id !== "string" || !/^[a-z][a-z0-9-]{0,31}$/.test(type.id)) {
+    return "block type id must be a short lowercase slug";
+  }
+  if (typeof type.label !== "string" || !type.label.trim()) return `block type "${type.id}" needs a name`;
+  if (typeof type.color !== "string" || !/^#[0-9a-f]{6}$/i.test(type.color)) {
+    return `block type "${type.id}" needs a #rrggbb colour`;
+  }
+  if (typeof type.icon !== "string" || !type.icon) return `block type "${type.id}" needs an icon`;
+  if (typeof type.order !== "number" || !Number.isFinite(type.order)) {
+    return `block type "${type.id}" needs a numeric position`;
+  }
+  const validComponents =
+    Array.isArray(type.components) && type.components.every((component) => typeof component === "string");
+  if (type.components !== undefined && !validComponents) {
+    return `block type "${type.id}" has invalid default components`;
+  }
+  return null;
+}
+
+/**
+ * Make a type id from its name that no registered type uses
+ */
+export function createBlockTypeId(label, types) {
+  const base =
+    String(label)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .replace(/^[^a-z]+/, "")
+      .slice(0, 28) || "custom";
+  const taken = new Set(types.map((type) => type.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Class and inline style for a block of this type
+ * Built-in types use their block-* classes from index.css; others are coloured inline
+ */
+export function blockTypeStyle(type) {
+  if (type.className) {
+    return { className: type.className };
+  }
+  return {
+    style: { borderColor: type.color, backgroundColor: type.fill, boxShadow: `0 0 20px ${type.color}33` },
+  };
+}
+
+// Registered custom types, kept in memory and mirrored to storage
+let customTypes = readCustomTypes();
+let allTypes = sortTypes([...BUILT_IN_BLOCK_TYPES, ...customTypes]);
+const listeners = new Set();
+
+function readCustomTypes() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BLOCK_TYPES_KEY) || "[]");
+    const types = Array.isArray(stored) ? stored.filter((type) => !validateBlockType(type)) : [];
+    const migrated = window.localStorage.getItem(LEGACY_PALETTE_KEY) === null ? types : migratePaletteTemplates(types);
+    return migrated.map(withFill);
+  } catch (err) {
+    console.warn("Could not read custom block types:", err);
+    return [];
+  }
+}
+
+// Turn saved palette templates into custom types styled like their built-in type, once
+function migratePaletteTemplates(types) {
+  let templates = [];
+  try {
+    templates = JSON.parse(window.localStorage.getItem(LEGACY_PALETTE_KEY));
+  } catch (err) {
+    console.warn("Could not read saved palette templates:", err);
+  }
+
+  const migrated = [...types];
+  (Array.isArray(templates) ? templates : []).forEach((template) => {
+    const base = BUILT_IN_BLOCK_TYPES.find((type) => type.id === template?.type);
+    if (!base || typeof template.label !== "string" || !template.label.trim()) return;
+    const type = {
+      id: createBlockTypeId(template.label, [...BUILT_IN_BLOCK_TYPES, ...migrated]),
+      label: template.label.trim(),
+      icon: base.icon,
+      color: hslToHex(base.color),
+      order: base.order + 0.5,
+      ...(template.components?.length && { components: template.components }),
+    };
+    if (!validateBlockType(type)) migrated.push(type);
+  });
+
+  window.localStorage.setItem(BLOCK_TYPES_KEY, JSON.stringify(migrated));
+  window.localStorage.removeItem(LEGACY_PALETTE_KEY);
+  return migrated;
+}
+
+function withFill(type) {
+  return { ...type, fill: tint(type.color, 0.18) };
+}
+
+/**
+ * A custom type as stored or exported, without the fill derived from its colour
+ */
+export function storableBlockType(type) {
+  const stored = { ...type };
+  delete stored.fill;
+  return stored;
+}
+
+function sortTypes(types) {
+  return types
+    .map((type, index) => ({ type, index }))
+    .sort((a, b) => a.type.order - b.type.order || a.index - b.index)
+    .map(({ type }) => type);
+}
+
+function setCustomTypes(next) {
+  customTypes = next.map(withFill);
+  allTypes = sortTypes([...BUILT_IN_BLOCK_TYPES, ...customTypes]);
+  try {
+    window.localStorage.setItem(
+      BLOCK_TYPES_KEY,
+      JSON.stringify(customTypes.map(storableBlockType))
+    );
+  } catch (err) {
+    console.warn("Could not save custom block types:", err);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * All registered block types, in layout order
+ */
+export function getBlockTypes() {
+  return allTypes;
+}
+
+/**
+ * Registered custom types only
+ */
+export function getCustomBlockTypes() {
+  return customTypes;
+}
+
+/**
+ * Type entry for an id; unknown ids get a neutral fallback instead of failing
+ * types defaults to the registered types.
+ */
+export function getBlockType(id, types = allTypes) {
+  return types.find((type) => type.id === id) ?? { ...FALLBACK_TYPE, id, label: id || FALLBACK_TYPE.label };
+}
+
+/**
+ * Register new custom types; ids that already exist are left as they are
+ * Returns the types that were added
+ */
+export function addBlockTypes(types) {
+  const added = types.filter(
+    (type) => !validateBlockType(type) && !allTypes.some((existing) => existing.id === type.id)
+  );
+  if (added.length) {
+    const stored = added.map(({ id, label, icon, color, order, description, components }) => ({
+      id,
+      label: label.trim(),
+      icon,
+      color,
+      order,
+      ...(description && { description }),
+      ...(components?.length && { components }),
+    }));
+    setCustomTypes([...customTypes, ...stored]);
+  }
+  return added;
+}
+
+/**
+ * Remove a custom type; blocks still using it fall back to the neutral style
+ */
+export function removeBlockType(id) {
+  setCustomTypes(customTypes.filter((type) => type.id !== id));
+}
+
+/**
+ * Subscribe to registry changes; returns the unsubscribe function
+ */
+export function subscribeBlockTypes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,119 @@
+/**
+ * Bill of materials built from the components of every block
+ * Aggregates identical parts across blocks and exports the result as CSV
+ */
+
+import { downloadBlob } from "@/lib/diagramUtils";
+import { normalizeComponent } from "@/lib/parts";
+
+// CSV columns, in order
+export const BOM_COLUMNS = [
+  { key: "name", label: "Component" },
+  { key: "partNumber", label: "Part Number" },
+  { key: "manufacturer", label: "Manufacturer" },
+  { key: "package", label: "Package" },
+  { key: "quantity", label: "Quantity" },
+  { key: "unitCost", label: "Unit Cost" },
+  { key: "extendedCost", label: "Extended Cost" },
+  { key: "datasheet", label: "Datasheet" },
+  { key: "blocks", label: "Blocks" },
+];
+
+// Parts with a part number are matched on it; others on name and package
+function partKey(part) {
+  const manufacturer = (part.manufacturer || "").toLowerCase();
+  if (part.partNumber) {
+    return `pn:${part.partNumber.toLowerCase()}|${manufacturer}`;
+  }
+  return `name:${part.name.toLowerCase()}|${(part.package || "").toLowerCase()}|${manufacturer}`;
+}
+
+/**
+ * Aggregate block components into BOM rows with totals
+ * Rows keep the first unit cost and datasheet seen for a part
+ */
+export function buildBom(nodes) {
+  const rows = new Map();
+
+  nodes.forEach((node) => {
+    (node.data.components || []).forEach((component) => {
+      const part = normalizeComponent(component);
+      const key = partKey(part);
+      const row = rows.get(key);
+      if (!row) {
+        rows.set(key, {
+          name: part.name,
+          partNumber: part.partNumber,
+          manufacturer: part.manufacturer,
+          package: part.package,
+          quantity: part.quantity,
+          unitCost: part.unitCost,
+          datasheet: part.datasheet,
+          blocks: [node.data.title],
+        });
+        return;
+      }
+      row.quantity += part.quantity;
+      row.unitCost ??= part.unitCost;
+      row.datasheet ??= part.datasheet;
+      if (!row.blocks.includes(node.data.title)) {
+        row.blocks.push(node.data.title);
+      }
+    });
+  });
+
+  const lines = [...rows.values()].map((row) => ({
+    ...row,
+    extendedCost: row.unitCost !== undefined ? row.unitCost * row.quantity : undefined,
+  }));
+
+  return {
+    rows: lines,
+    totals: {
+      quantity: lines.reduce((sum, row) => sum + row.quantity, 0),
+      cost: lines.reduce((sum, row) => sum + (row.extendedCost ?? 0), 0),
+      unpriced: lines.filter((row) => row.unitCost === undefined).length,
+    },
+  };
+}
+
+/**
+ * Format a cost for display and CSV (two decimals, blank when unknown)
+ */
+export function formatCost(value) {
+  return value === undefined ? "" : value.toFixed(2);
+}
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a formula
+function csvCell(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render BOM rows as CSV with a header line
+ */
+export function bomToCsv(rows) {
+  const lines = [BOM_COLUMNS.map((column) => csvCell(column.label)).join(",")];
+  rows.forEach((row) => {
+    const cells = BOM_COLUMNS.map(({ key }) => {
+      if (key === "unitCost" || key === "extendedCost") return formatCost(row[key]);
+      if (key === "blocks") return csvCell(row.blocks.join("; "));
+      return csvCell(row[key]);
+    });
+    lines.push(cells.join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Download the BOM for the given nodes as a CSV file
+ */
+export function exportBomAsCsv(nodes) {
+  const { rows } = buildBom(nodes);
+  const blob = new Blob([bomToCsv(rows)], { type: "text/csv;charset=utf-8" });
+  downloadBlob(blob, `bom-${Date.now()}.csv`);
+}
@@ -0,0 +1,96 @@
+/**
+ * Copy, cut, paste and duplicate for selected blocks
+ * The clipboard carries the same JSON format as the file export, so blocks
+ * copied in one browser tab can be pasted into another
+ */
+
+import { buildDiagramExport, parseDiagramImport } from "@/lib/diagramUtils";
+import { estimateNodeSize } from "@/lib/layout";
+import { uniqueNodeId } from "@/lib/palette";
+import { isBoundaryNode } from "@/lib/subDiagrams";
+
+// Shift for duplicates and for pastes without a pointer position on the canvas
+export const PASTE_OFFSET = 40;
+
+/**
+ * Selected blocks and the edges running between them; null when no block is selected
+ */
+export function selectedSubgraph(nodes, edges) {
+  const selected = nodes.filter((node) => node.selected && !isBoundaryNode(node));
+  if (!selected.length) return null;
+  const ids = new Set(selected.map((node) => node.id));
+  return { nodes: selected, edges: edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target)) };
+}
+
+/**
+ * Clipboard text for the selected blocks; null when nothing is selected
+ */
+export function selectionToClipboardText(nodes, edges) {
+  const selection = selectedSubgraph(nodes, edges);
+  return selection ? JSON.stringify(buildDiagramExport(selection.nodes, selection.edges, "")) : null;
+}
+
+/**
+ * Read pasted text as a diagram export
+ * Returns null for text that is not an export at all; throws for a malformed export
+ */
+export function parseClipboardText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== "object" || !("reactFlowData" in data || "diagram" in data)) {
+    return null;
+  }
+  return parseDiagramImport(text);
+}
+
+// Centre of the bounding box around a group of nodes
+function groupCentre(nodes) {
+  const size = (node) => ({
+    width: node.width || estimateNodeSize(node.data).width,
+    height: node.height || estimateNodeSize(node.data).height,
+  });
+  const left = Math.min(...nodes.map((node) => node.position.x));
+  const top = Math.min(...nodes.map((node) => node.position.y));
+  const right = Math.max(...nodes.map((node) => node.position.x + size(node).width));
+  const bottom = Math.max(...nodes.map((node) => node.position.y + size(node).height));
+  return { x: (left + right) / 2, y: (top + bottom) / 2 };
+}
+
+/**
+ * Give pasted nodes and edges ids that are free in the diagram
+ * The group is centred on position when given, otherwise shifted by PASTE_OFFSET.
+ * Returns only the new nodes and edges, selected so they can be moved together.
+ */
+export function prepareForPaste(pasted, nodes, edges, { position } = {}) {
+  const centre = groupCentre(pasted.nodes);
+  const dx = position ? position.x - centre.x : PASTE_OFFSET;
+  const dy = position ? position.y - centre.y : PASTE_OFFSET;
+
+  const taken = [...nodes];
+  const ids = new Map();
+  const newNodes = pasted.nodes.map(({ positionAbsolute, dragging, ...node }) => {
+    const id = uniqueNodeId(node.data.type, taken);
+    taken.push({ id });
+    ids.set(node.id, id);
+    return { ...node, id, position: { x: node.position.x + dx, y: node.position.y + dy }, selected: true };
+  });
+
+  const takenEdgeIds = new Set(edges.map((edge) => edge.id));
+  const newEdges = pasted.edges
+    .filter((edge) => ids.has(edge.source) && ids.has(edge.target))
+    .map((edge) => {
+      const source = ids.get(edge.source);
+      const target = ids.get(edge.target);
+      let n = 0;
+      while (takenEdgeIds.has(`edge-${source}-${target}-${n}`)) n++;
+      const id = `edge-${source}-${target}-${n}`;
+      takenEdgeIds.add(id);
+      return { ...edge, id, source, target, selected: false };
+    });
+
+  return { nodes: newNodes, edges: newEdges };
+}
@@ -0,0 +1,203 @@
+/**
+ * Live collaboration sessions
+ * Clients in the same room keep a replica of the diagram (see crdt.js) and exchange
+ * operations through a transport (see collabTransport.js). Local edits are batched
+ * and sent a few times a second; presence (name, colour, cursor and the block being
+ * edited) travels alongside and expires when a client goes quiet.
+ *
+ * Messages: "hello" when a client arrives, answered with "state" (every register)
+ * by everyone already there; "ops" for edits; "presence"; "bye" when leaving.
+ */
+
+import { applyOps, commitLocal, createDoc, materialize, snapshotOps } from "@/lib/crdt";
+
+// Delay before local edits and presence updates are sent, so drags become a few messages
+const FLUSH_DELAY = 50;
+// How long a joining client waits for the room's diagram before sharing its own
+const JOIN_TIMEOUT = 1500;
+// Presence is re-sent this often, and a peer not heard from for PEER_TIMEOUT is dropped
+const HEARTBEAT_INTERVAL = 5000;
+const PEER_TIMEOUT = 15000;
+
+export const PEER_COLORS = ["#f97316", "#22c55e", "#a855f7", "#ec4899", "#eab308", "#06b6d4", "#ef4444"];
+
+/**
+ * Random id for a client or a room
+ */
+export function randomId(length = 10) {
+  const alphabet = "abcdefghijkmnpqrstuvwxyz23456789";
+  return Array.from(crypto.getRandomValues(new Uint8Array(length)), (byte) => alphabet[byte % alphabet.length]).join("");
+}
+
+/**
+ * Stable colour for a client
+ */
+export function peerColor(clientId) {
+  const hash = [...clientId].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+/**
+ * Join a room over a transport
+ * mode "host" shares the local diagram straight away; "join" adopts the room's diagram
+ * and only shares the local one when nobody answers within the join timeout.
+ * onRemoteChange receives { nodes, edges } whenever other clients changed the diagram,
+ * onPeersChange the list of other clients' presence.
+ */
+export function createCollabSession({
+  transport,
+  clientId = randomId(),
+  user = {},
+  mode = "host",
+  onRemoteChange,
+  onPeersChange,
+  flushDelay = FLUSH_DELAY,
+  joinTimeout = JOIN_TIMEOUT,
+}) {
+  const doc = createDoc(clientId);
+  const peers = new Map();
+  // When each peer was last heard from
+  const lastSeen = new Map();
+  let presence = { name: user.name ?? "Guest", color: user.color ?? peerColor(clientId), cursor: null, editing: null, view: [] };
+  let pendingOps = [];
+  let pendingPresence = false;
+  let flushTimer = null;
+  let local = null;
+  let synced = mode === "host";
+  let closed = false;
+
+  const send = (message) => transport.send({ ...message, from: clientId });
+
+  const flush = () => {
+    flushTimer = null;
+    if (pendingOps.length) send({ type: "ops", ops: pendingOps });
+    if (pendingPresence) send({ type: "presence", presence });
+    pendingOps = [];
+    pendingPresence = false;
+  };
+  const scheduleFlush = () => {
+    if (closed) return;
+    if (flushDelay <= 0) flush();
+    else flushTimer ??= setTimeout(flush, flushDelay);
+  };
+
+  const commit = () => {
+    if (!local || !synced) return;
+    const ops = commitLocal(doc, local.nodes, local.edges);
+    if (ops.length) {
+      pendingOps.push(...ops);
+      scheduleFlush();
+    }
+  };
+
+  const finishJoin = () => {
+    if (synced) return;
+    synced = true;
+    clearTimeout(joinTimer);
+    commit();
+  };
+  const joinTimer = synced ? null : setTimeout(finishJoin, joinTimeout);
+
+  const notifyPeers = () => onPeersChange?.([...peers.values()]);
+  const touchPeer = (id, peerPresence) => {
+    peers.set(id, { ...peers.get(id), ...peerPresence, clientId: id });
+    lastSeen.set(id, Date.now());
+    notifyPeers();
+  };
+  const dropPeer = (id) => {
+    lastSeen.delete(id);
+    return peers.delete(id);
+  };
+
+  const unsubscribe = transport.subscribe((message) => {
+    if (closed || !message || message.from === clientId) return;
+    if (message.to && message.to !== clientId) return;
+
+    switch (message.type) {
+      case "hello":
+        touchPeer(message.from, message.presence);
+        send({ type: "state", to: message.from, ops: snapshotOps(doc), presence });
+        break;
+      case "state":
+      case "ops": {
+        if (message.presence) touchPeer(message.from, message.presence);
+        const changed = applyOps(doc, message.ops ?? []);
+        if (message.type === "state" && !synced) {
+          // Adopt the room's diagram; the canvas from before joining is not shared
+          synced = true;
+          local = null;
+          clearTimeout(joinTimer);
+          onRemoteChange?.(materialize(doc));
+        } else if (changed && synced) {
+          onRemoteChange?.(materialize(doc));
+        }
+        break;
+      }
+      case "presence":
+        touchPeer(message.from, message.presence);
+        break;
+      case "bye":
+        if (dropPeer(message.from)) notifyPeers();
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Keep presence alive and forget peers that went away without saying bye
+  const heartbeat = setInterval(() => {
+    send({ type: "presence", presence });
+    const cutoff = Date.now() - PEER_TIMEOUT;
+    const before = peers.size;
+    lastSeen.forEach((seen, id) => seen < cutoff && dropPeer(id));
+    if (peers.size !== before) notifyPeers();
+  }, HEARTBEAT_INTERVAL);
+
+  send({ type: "hello", presence });
+
+  return {
+    clientId,
+
+    /**
+     * Share the local nodes and edges; only fields that changed are sent
+     */
+    update(nodes, edges) {
+      local = { nodes, edges };
+      commit();
+    },
+
+    /**
+     * Update this client's presence, e.g. { cursor } or { editing }
+     */
+    setPresence(changes) {
+      presence = { ...presence, ...changes };
+      pendingPresence = true;
+      scheduleFlush();
+    },
+
+    /**
+     * The diagram as this replica sees it
+     */
+    snapshot() {
+      return materialize(doc);
+    },
+
+    get synced() {
+      return synced;
+    },
+
+    close() {
+      if (closed) return;
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+      }
+      send({ type: "bye" });
+      closed = true;
+      clearTimeout(joinTimer);
+      clearInterval(heartbeat);
+      unsubscribe();
+      transport.close();
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Transports for live collaboration
+ * A transport delivers session messages to every other client in the same room:
+ * { send(message), subscribe(listener) → unsubscribe, close() }. Messages sent
+ * before the connection is up are queued. Supabase Realtime broadcast is the default;
+ * set VITE_COLLAB_RELAY_URL to use a WebSocket relay such as scripts/collab-relay.js.
+ */
+
+import { supabase } from "@/integrations/supabase/client";
+
+const BROADCAST_EVENT = "collab";
+
+// Listener set plus the queue-until-open logic shared by the transports
+function createChannel() {
+  const listeners = new Set();
+  const queue = [];
+  let deliver = null;
+
+  return {
+    emit: (message) => listeners.forEach((listener) => listener(message)),
+    open(send) {
+      deliver = send;
+      queue.splice(0).forEach(send);
+    },
+    send: (message) => (deliver ? deliver(message) : queue.push(message)),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    clear() {
+      listeners.clear();
+      queue.length = 0;
+      deliver = null;
+    },
+  };
+}
+
+/**
+ * Transport over a Supabase Realtime broadcast channel named after the room
+ */
+export function supabaseTransport(room, client = supabase) {
+  const channel = createChannel();
+  const realtime = client.channel(`diagram-${room}`, { config: { broadcast: { self: false } } });
+
+  realtime
+    .on("broadcast", { event: BROADCAST_EVENT }, ({ payload }) => channel.emit(payload))
+    .subscribe((status) => {
+      if (status === "SUBSCRIBED") {
+        channel.open((message) => realtime.send({ type: "broadcast", event: BROADCAST_EVENT, payload: message }));
+      } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+        console.error(`Collaboration channel ${status.toLowerCase().replace("_", " ")}`);
+      }
+    });
+
+  return {
+    send: channel.send,
+    subscribe: channel.subscribe,
+    close() {
+      channel.clear();
+      client.removeChannel(realtime);
+    },
+  };
+}
+
+/**
+ * Transport over a WebSocket relay that forwards each message to the other sockets
+ * connected with the same ?room= parameter
+ */
+export function webSocketTransport(url, room) {
+  const channel = createChannel();
+  const socket = new WebSocket(`${url}${url.includes("?") ? "&" : "?"}room=${encodeURIComponent(room)}`);
+
+  socket.addEventListener("open", () => channel.open((message) => socket.send(JSON.stringify(message))));
+  socket.addEventListener("message", (event) => {
+    try {
+      channel.emit(JSON.parse(event.data));
+    } catch (err) {
+      console.error("Ignoring malformed collaboration message:", err);
+    }
+  });
+  socket.addEventListener("error", () => console.error(`Could not reach the collaboration relay at ${url}`));
+
+  return {
+    send: channel.send,
+    subscribe: channel.subscribe,
+    close() {
+      channel.clear();
+      // Let messages sent in this tick, such as the goodbye, go out before the close frame
+      setTimeout(() => socket.close(), 0);
+    },
+  };
+}
+
+/**
+ * Transport for a room, picked from the environment
+ */
+export function createTransport(room) {
+  const relay = import.meta.env.VITE_COLLAB_RELAY_URL;
+  return relay ? webSocketTransport(relay, room) : supabaseTransport(room);
+}
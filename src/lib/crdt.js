@@ -0,0 +1,162 @@
+/**
+ * Conflict-free replicated state for a shared diagram
+ * Every shared field of a node or edge is a last-writer-wins register stamped with a
+ * Lamport clock and the writing client's id, so replicas that have applied the same
+ * operations hold the same diagram whatever order the operations arrived in.
+ * Node data is split per key, so one user renaming a block while another edits its
+ * components keeps both edits. Deleting sets a "deleted" register; adding the node
+ * or edge again clears it.
+ *
+ * Local changes are found by comparing the nodes and edges React hands in with the
+ * ones it handed in last time, so remote operations that React has not rendered yet
+ * are never mistaken for local edits and written back.
+ */
+
+// Node and edge fields that are shared; selection, measured size and dragging stay local
+const NODE_FIELDS = ["type", "position", "sourcePosition", "targetPosition", "draggable", "deletable"];
+const EDGE_FIELDS = ["type", "source", "target", "sourceHandle", "targetHandle", "label", "data", "animated"];
+const DATA_PREFIX = "data.";
+const DELETED = "deleted";
+
+/**
+ * Empty replica for one client
+ */
+export function createDoc(clientId) {
+  return { clientId, clock: 0, entries: new Map(), local: new Map() };
+}
+
+// Stamps order by counter, then by client id so concurrent writes have one winner everywhere
+function compareStamps(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+const entryKey = (kind, id) => `${kind}:${id}`;
+
+// JSON comparison treats a missing register and an undefined value alike
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function sharedFields(kind, item) {
+  if (kind === "edge") return EDGE_FIELDS.map((field) => [field, item[field]]);
+  return [
+    ...NODE_FIELDS.map((field) => [field, item[field]]),
+    ...Object.entries(item.data ?? {}).map(([key, value]) => [`${DATA_PREFIX}${key}`, value]),
+  ];
+}
+
+// Shared fields of local nodes and edges by entry key
+function localSnapshot(nodes, edges) {
+  const snapshot = new Map();
+  [
+    ["node", nodes],
+    ["edge", edges],
+  ].forEach(([kind, items]) =>
+    items.forEach((item) => snapshot.set(entryKey(kind, item.id), { kind, id: item.id, fields: new Map(sharedFields(kind, item)) }))
+  );
+  return snapshot;
+}
+
+/**
+ * Apply operations from any replica; returns whether the visible state changed
+ * Operations are { kind, id, field, value, stamp } and may repeat or arrive out of order.
+ */
+export function applyOps(doc, ops) {
+  let changed = false;
+  ops.forEach(({ kind, id, field, value, stamp }) => {
+    doc.clock = Math.max(doc.clock, stamp[0]);
+    const key = entryKey(kind, id);
+    let entry = doc.entries.get(key);
+    if (!entry) {
+      entry = { kind, id, created: stamp, fields: new Map() };
+      doc.entries.set(key, entry);
+    }
+    if (compareStamps(stamp, entry.created) < 0) entry.created = stamp;
+
+    const current = entry.fields.get(field);
+    if (current && compareStamps(stamp, current.stamp) <= 0) return;
+    entry.fields.set(field, { value, stamp });
+    changed = changed || !sameValue(current?.value, value);
+  });
+  return changed;
+}
+
+/**
+ * Record local nodes and edges in the replica
+ * Only what changed since the previous call is written, and only where the replica
+ * does not already hold it. Returns the operations, already applied and ready to
+ * send to the other clients.
+ */
+export function commitLocal(doc, nodes, edges) {
+  const ops = [];
+  const write = (kind, id, field, value) => {
+    doc.clock += 1;
+    ops.push({ kind, id, field, value, stamp: [doc.clock, doc.clientId] });
+  };
+  const replicaValue = (key, field) => doc.entries.get(key)?.fields.get(field)?.value;
+
+  const next = localSnapshot(nodes, edges);
+  next.forEach(({ kind, id, fields }, key) => {
+    const previous = doc.local.get(key);
+    if (!previous && replicaValue(key, DELETED) !== false) write(kind, id, DELETED, false);
+    fields.forEach((value, field) => {
+      const edited = !previous || !sameValue(previous.fields.get(field), value);
+      if (edited && !sameValue(replicaValue(key, field), value)) write(kind, id, field, value);
+    });
+    // Data keys the user removed are cleared
+    previous?.fields.forEach((_, field) => {
+      if (field.startsWith(DATA_PREFIX) && !fields.has(field) && replicaValue(key, field) !== undefined) {
+        write(kind, id, field, undefined);
+      }
+    });
+  });
+
+  doc.local.forEach(({ kind, id }, key) => {
+    if (!next.has(key) && replicaValue(key, DELETED) === false) write(kind, id, DELETED, true);
+  });
+
+  doc.local = next;
+  applyOps(doc, ops);
+  return ops;
+}
+
+/**
+ * Every register of the replica as operations, for a client that joins late
+ */
+export function snapshotOps(doc) {
+  return [...doc.entries.values()].flatMap(({ kind, id, fields }) =>
+    [...fields].map(([field, { value, stamp }]) => ({ kind, id, field, value, stamp }))
+  );
+}
+
+/**
+ * Nodes and edges the replica currently holds, in creation order
+ * Edges whose block was deleted concurrently are hidden until the block comes back.
+ */
+export function materialize(doc) {
+  const live = [...doc.entries.values()]
+    .filter((entry) => entry.fields.get(DELETED)?.value === false)
+    .sort((a, b) => compareStamps(a.created, b.created) || (a.id < b.id ? -1 : 1));
+  const value = (entry, field) => entry.fields.get(field)?.value;
+
+  const nodes = live
+    .filter((entry) => entry.kind === "node")
+    .map((entry) => {
+      const data = {};
+      entry.fields.forEach(({ value: fieldValue }, field) => {
+        if (field.startsWith(DATA_PREFIX) && fieldValue !== undefined) data[field.slice(DATA_PREFIX.length)] = fieldValue;
+      });
+      return {
+        id: entry.id,
+        ...Object.fromEntries(NODE_FIELDS.map((field) => [field, value(entry, field)])),
+        data,
+      };
+    });
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = live
+    .filter((entry) => entry.kind === "edge")
+    .map((entry) => ({ id: entry.id, ...Object.fromEntries(EDGE_FIELDS.map((field) => [field, value(entry, field)])) }))
+    .filter((edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target));
+
+  return { nodes, edges };
+}
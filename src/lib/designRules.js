@@ -0,0 +1,151 @@
+/**
+ * Design rule checks for diagrams
+ * Each rule inspects the nodes and edges and reports problems tied to a block
+ * or connection; the Problems panel runs DESIGN_RULES, and callers can pass
+ * their own list to add or replace rules
+ */
+
+import { isPowerEdge } from "@/lib/power";
+import { findPort, checkPortCompatibility } from "@/lib/ports";
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+/**
+ * Built-in rules
+ * A rule is { id, title, severity, check(context) } where context is
+ * { nodes, edges, nodesById } and check returns [{ message, nodeId?, edgeId? }]
+ */
+export const DESIGN_RULES = [
+  {
+    id: "missing-processing",
+    title: "Missing processing block",
+    severity: "error",
+    check: ({ nodes }) =>
+      nodes.length && !nodes.some((node) => node.data.type === "processing")
+        ? [{ message: "The diagram has no control & processing block." }]
+        : [],
+  },
+  {
+    id: "unconnected-block",
+    title: "Unconnected block",
+    severity: "warning",
+    check: ({ nodes, edges }) => {
+      const connected = new Set(edges.flatMap((edge) => [edge.source, edge.target]));
+      return nodes
+        .filter((node) => !connected.has(node.id))
+        .map((node) => ({ nodeId: node.id, message: `"${node.data.title}" has no connections.` }));
+    },
+  },
+  {
+    id: "no-power-path",
+    title: "No power path",
+    severity: "warning",
+    check: ({ nodes, edges, nodesById }) => {
+      const sources = nodes.filter((node) => node.data.type === "power");
+      if (!sources.length) return [];
+
+      // Walk power connections out of every power block
+      const powerEdges = edges.filter((edge) => isPowerEdge(edge, nodesById));
+      const powered = new Set(sources.map((node) => node.id));
+      const queue = [...powered];
+      while (queue.length) {
+        const id = queue.shift();
+        powerEdges.forEach((edge) => {
+          if (edge.source === id && !powered.has(edge.target)) {
+            powered.add(edge.target);
+            queue.push(edge.target);
+          }
+        });
+      }
+
+      return nodes
+        .filter((node) => !powered.has(node.id))
+        .map((node) => ({
+          nodeId: node.id,
+          message: `"${node.data.title}" is not reached by any power connection.`,
+        }));
+    },
+  },
+  {
+    id: "self-loop",
+    title: "Self-connection",
+    severity: "error",
+    check: ({ edges, nodesById }) =>
+      edges
+        .filter((edge) => edge.source === edge.target)
+        .map((edge) => ({
+          edgeId: edge.id,
+          message: `"${nodesById.get(edge.source)?.data.title}" is connected to itself.`,
+        })),
+  },
+  {
+    id: "duplicate-connection",
+    title: "Duplicate connection",
+    severity: "warning",
+    check: ({ edges, nodesById }) => {
+      const seen = new Set();
+      return edges.flatMap((edge) => {
+        const key = [edge.source, edge.sourceHandle, edge.target, edge.targetHandle].join("|");
+        if (!seen.has(key)) {
+          seen.add(key);
+          return [];
+        }
+        const from = nodesById.get(edge.source)?.data.title;
+        const to = nodesById.get(edge.target)?.data.title;
+        return [{ edgeId: edge.id, message: `"${from}" → "${to}" is connected more than once.` }];
+      });
+    },
+  },
+  {
+    id: "empty-block",
+    title: "Empty block",
+    severity: "info",
+    check: ({ nodes }) =>
+      nodes
+        .filter((node) => !node.data.components?.length)
+        .map((node) => ({ nodeId: node.id, message: `"${node.data.title}" has no components.` })),
+  },
+  {
+    id: "port-mismatch",
+    title: "Incompatible ports",
+    severity: "warning",
+    check: ({ edges, nodesById }) =>
+      edges.flatMap((edge) =>
+        checkPortCompatibility(
+          findPort(nodesById.get(edge.source), edge.sourceHandle),
+          findPort(nodesById.get(edge.target), edge.targetHandle)
+        ).map((message) => ({ edgeId: edge.id, message }))
+      ),
+  },
+];
+
+/**
+ * Run rules over a diagram and return problems, most severe first
+ * A rule that throws or returns no list is reported as a problem instead of breaking the panel
+ */
+export function runDesignRules(nodes, edges, rules = DESIGN_RULES) {
+  const context = { nodes, edges, nodesById: new Map(nodes.map((node) => [node.id, node])) };
+  const problems = [];
+
+  rules.forEach((rule) => {
+    let found;
+    try {
+      found = rule.check(context);
+      if (!Array.isArray(found)) throw new TypeError("check must return a list of problems");
+    } catch (err) {
+      console.error(`Design rule "${rule.id}" failed:`, err);
+      found = [{ message: `Rule "${rule.title}" could not run.` }];
+    }
+    found.forEach((problem, index) => {
+      problems.push({
+        id: `${rule.id}:${problem.nodeId ?? problem.edgeId ?? ""}:${index}`,
+        ruleId: rule.id,
+        title: rule.title,
+        severity: rule.severity,
+        ...problem,
+      });
+    });
+  });
+
+  return problems.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
@@ -0,0 +1,188 @@
+/**
+ * Differences between two versions of a diagram
+ * Compares nodesToDiagram payloads block by block (by id), component by component
+ * (by name) and connection by connection (by endpoints and ports), and builds the
+ * overlay shown on the canvas: both versions merged, each item tagged with its status.
+ */
+
+import { MarkerType } from "reactflow";
+import { nodesToDiagram } from "@/lib/diagramUtils";
+import { componentName, normalizeComponent } from "@/lib/parts";
+
+export const DIFF_STATUS = {
+  ADDED: "added",
+  REMOVED: "removed",
+  CHANGED: "changed",
+  UNCHANGED: "unchanged",
+};
+
+// Overlay colours: green for added, red for removed, amber for changed
+export const DIFF_COLORS = {
+  added: "hsl(142 71% 45%)",
+  removed: "hsl(0 84% 60%)",
+  changed: "hsl(38 92% 50%)",
+  unchanged: "hsl(215 16% 57%)",
+};
+
+// Block fields compared directly; components are compared one by one
+const BLOCK_FIELDS = ["title", "annotation", "type", "ports"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Sub-diagram content without the positions of its blocks
+const subDiagramContent = (block) =>
+  block.subDiagram && { blocks: block.subDiagram.blocks, connections: block.subDiagram.connections };
+
+// Components matched by name; repeated names pair up in order
+function diffComponents(before = [], after = []) {
+  const remaining = new Map();
+  before.forEach((component) => {
+    const name = componentName(component);
+    remaining.set(name, [...(remaining.get(name) ?? []), component]);
+  });
+
+  const entries = after.map((component) => {
+    const name = componentName(component);
+    const previous = remaining.get(name)?.shift();
+    if (!previous) return { name, status: DIFF_STATUS.ADDED, after: component };
+    const status = same(normalizeComponent(previous), normalizeComponent(component))
+      ? DIFF_STATUS.UNCHANGED
+      : DIFF_STATUS.CHANGED;
+    return { name, status, before: previous, after: component };
+  });
+
+  remaining.forEach((list, name) =>
+    list.forEach((component) => entries.push({ name, status: DIFF_STATUS.REMOVED, before: component }))
+  );
+  return entries;
+}
+
+function diffBlock(before, after) {
+  if (!before) return { id: after.id, status: DIFF_STATUS.ADDED, after, changes: [], components: diffComponents([], after.components) };
+  if (!after) return { id: before.id, status: DIFF_STATUS.REMOVED, before, changes: [], components: diffComponents(before.components, []) };
+
+  const components = diffComponents(before.components, after.components);
+  const changes = BLOCK_FIELDS.filter((field) => !same(before[field], after[field]));
+  if (components.some((component) => component.status !== DIFF_STATUS.UNCHANGED)) changes.push("components");
+  if (!same(subDiagramContent(before), subDiagramContent(after))) changes.push("subDiagram");
+
+  const status = changes.length ? DIFF_STATUS.CHANGED : DIFF_STATUS.UNCHANGED;
+  return { id: after.id, status, before, after, changes, components };
+}
+
+const connectionKey = (c) => `${c.source}:${c.sourcePort ?? ""}->${c.target}:${c.targetPort ?? ""}`;
+
+// Connections matched by endpoints and ports; beforeIndex/afterIndex point into the input lists
+function diffConnections(before = [], after = []) {
+  const remaining = new Map();
+  before.forEach((connection, index) => {
+    const key = connectionKey(connection);
+    remaining.set(key, [...(remaining.get(key) ?? []), index]);
+  });
+
+  const entries = after.map((connection, afterIndex) => {
+    const key = connectionKey(connection);
+    const beforeIndex = remaining.get(key)?.shift();
+    if (beforeIndex === undefined) return { key, status: DIFF_STATUS.ADDED, after: connection, afterIndex, changes: [] };
+
+    const previous = before[beforeIndex];
+    const changes = ["label", "signal"].filter((field) => !same(previous[field], connection[field]));
+    const status = changes.length ? DIFF_STATUS.CHANGED : DIFF_STATUS.UNCHANGED;
+    return { key, status, before: previous, after: connection, beforeIndex, afterIndex, changes };
+  });
+
+  remaining.forEach((indexes, key) =>
+    indexes.forEach((beforeIndex) =>
+      entries.push({ key, status: DIFF_STATUS.REMOVED, before: before[beforeIndex], beforeIndex, changes: [] })
+    )
+  );
+  return entries;
+}
+
+function countStatuses(entries) {
+  const counts = { added: 0, removed: 0, changed: 0 };
+  entries.forEach(({ status }) => status in counts && counts[status]++);
+  return counts;
+}
+
+/**
+ * Compare two nodesToDiagram payloads
+ * Returns { blocks, connections, summary }: blocks in the newer version's order with
+ * removed ones last, each with its status, changed fields and per-component statuses
+ */
+export function diffDiagrams(before, after) {
+  const previous = new Map(before.blocks.map((block) => [block.id, block]));
+  const blocks = after.blocks.map((block) => {
+    const entry = diffBlock(previous.get(block.id), block);
+    previous.delete(block.id);
+    return entry;
+  });
+  previous.forEach((block) => blocks.push(diffBlock(block, undefined)));
+
+  const connections = diffConnections(before.connections, after.connections);
+
+  return {
+    blocks,
+    connections,
+    summary: {
+      blocks: countStatuses(blocks),
+      components: countStatuses(blocks.flatMap((block) => block.components)),
+      connections: countStatuses(connections),
+    },
+  };
+}
+
+/**
+ * Whether a diff found any difference at all
+ */
+export function hasDifferences({ summary }) {
+  return Object.values(summary).some(({ added, removed, changed }) => added + removed + changed > 0);
+}
+
+/**
+ * Overlay of two React Flow states for the diff view
+ * Blocks keep their position in the newer version, removed ones where they were;
+ * nodes are "diffBlock" nodes with data.diff, edges are coloured by status.
+ */
+export function diffToFlow(before, after) {
+  const diff = diffDiagrams(nodesToDiagram(before.nodes, before.edges), nodesToDiagram(after.nodes, after.edges));
+  const beforeNodes = new Map(before.nodes.map((node) => [node.id, node]));
+  const afterNodes = new Map(after.nodes.map((node) => [node.id, node]));
+
+  const nodes = diff.blocks.map((entry) => {
+    const node = afterNodes.get(entry.id) ?? beforeNodes.get(entry.id);
+    return {
+      id: node.id,
+      type: "diffBlock",
+      position: node.position,
+      sourcePosition: node.sourcePosition,
+      targetPosition: node.targetPosition,
+      data: { ...node.data, diff: entry },
+      draggable: false,
+      connectable: false,
+    };
+  });
+
+  const edges = diff.connections.map((entry, index) => {
+    const edge = entry.afterIndex !== undefined ? after.edges[entry.afterIndex] : before.edges[entry.beforeIndex];
+    const color = DIFF_COLORS[entry.status];
+    const changedLabel = entry.changes.includes("label");
+    return {
+      id: `diff-${index}`,
+      source: edge.source,
+      target: edge.target,
+      type: "smoothstep",
+      label: changedLabel ? `${entry.before.label ?? "—"} → ${entry.after.label ?? "—"}` : edge.label,
+      animated: entry.status === DIFF_STATUS.ADDED,
+      style: {
+        stroke: color,
+        strokeWidth: entry.status === DIFF_STATUS.UNCHANGED ? 1.5 : 3,
+        ...(entry.status === DIFF_STATUS.REMOVED && { strokeDasharray: "6 4" }),
+      },
+      markerEnd: { type: MarkerType.ArrowClosed, color },
+      data: { diff: entry },
+    };
+  });
+
+  return { nodes, edges, diff };
+}
@@ -0,0 +1,21 @@
+/**
+ * Checks for diagrams returned by the generate-diagram function
+ * The schema and repairs are shared with the function itself, so the client
+ * holds AI output to the same rules even when it talks to an older deployment.
+ */
+
+import { checkDiagram } from "../../supabase/functions/_shared/diagram-schema.ts";
+import { getBlockTypes } from "@/lib/blockTypes";
+
+/**
+ * Repair and validate a diagram generated for a generate-diagram request body
+ * Returns { diagram, repairs, errors }; the diagram is only usable when errors is empty.
+ */
+export function checkGeneratedDiagram(diagram, body) {
+  const expanding = body.expandBlock !== undefined;
+  return checkDiagram(diagram, {
+    mode: expanding ? "expand" : body.mode,
+    types: getBlockTypes().map((type) => type.id),
+    boundaryIds: expanding ? body.expandBlock.ports.map((port) => port.id) : undefined,
+  });
+}
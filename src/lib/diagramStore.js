@@ -0,0 +1,159 @@
+/**
+ * Saved-diagram library backed by the Supabase "diagrams" table
+ * Converts between React Flow state and table rows; named snapshots of a saved
+ * diagram live in "diagram_versions"
+ */
+
+import { supabase } from "@/integrations/supabase/client";
+import { diagramToNodes, connectionsToEdges, nodesToDiagram } from "@/lib/diagramUtils";
+
+// Columns needed for the sidebar list; the diagram payload is only fetched on open
+const LIST_COLUMNS = "id, title, description, created_at, updated_at";
+const VERSION_LIST_COLUMNS = "id, diagram_id, name, created_at";
+
+// Number of recent diagrams shown in the library
+export const RECENT_DIAGRAMS_LIMIT = 20;
+
+/**
+ * Convert React Flow state into the columns stored for a diagram
+ */
+export function flowToRecord(nodes, edges, { title, description }) {
+  const positions = {};
+  nodes.forEach((node) => {
+    positions[node.id] = {
+      x: node.position.x,
+      y: node.position.y,
+      ...(node.sourcePosition && { sourcePosition: node.sourcePosition }),
+      ...(node.targetPosition && { targetPosition: node.targetPosition }),
+    };
+  });
+
+  return {
+    title,
+    description: description || "",
+    diagram: nodesToDiagram(nodes, edges),
+    positions,
+  };
+}
+
+/**
+ * Convert a stored diagram row back into React Flow state
+ * Blocks without a saved position fall back to the auto-layout
+ */
+export function recordToFlow(record) {
+  const positions = record.positions || {};
+  const nodes = diagramToNodes(record.diagram).map((node) => {
+    const saved = positions[node.id];
+    if (!saved) return node;
+    return {
+      ...node,
+      position: { x: saved.x, y: saved.y },
+      sourcePosition: saved.sourcePosition ?? node.sourcePosition,
+      targetPosition: saved.targetPosition ?? node.targetPosition,
+    };
+  });
+
+  return {
+    nodes,
+    edges: connectionsToEdges(record.diagram.connections ?? []),
+    description: record.description,
+    title: record.title,
+  };
+}
+
+/**
+ * List the most recently updated diagrams
+ */
+export async function listDiagrams() {
+  const { data, error } = await supabase
+    .from("diagrams")
+    .select(LIST_COLUMNS)
+    .order("updated_at", { ascending: false })
+    .limit(RECENT_DIAGRAMS_LIMIT);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Load a full diagram row by id
+ */
+export async function loadDiagram(id) {
+  const { data, error } = await supabase.from("diagrams").select("*").eq("id", id).single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert a new diagram, or update the existing one when an id is given
+ * Returns the saved row's list columns
+ */
+export async function saveDiagram({ id, title, description, nodes, edges }) {
+  const record = flowToRecord(nodes, edges, { title, description });
+  const query = id
+    ? supabase.from("diagrams").update(record).eq("id", id)
+    : supabase.from("diagrams").insert(record);
+  const { data, error } = await query.select(LIST_COLUMNS).single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a diagram by id
+ */
+export async function deleteDiagram(id) {
+  const { error } = await supabase.from("diagrams").delete().eq("id", id);
+
+  if (error) throw error;
+}
+
+/**
+ * List the snapshots of a saved diagram, newest first
+ */
+export async function listVersions(diagramId) {
+  const { data, error } = await supabase
+    .from("diagram_versions")
+    .select(VERSION_LIST_COLUMNS)
+    .eq("diagram_id", diagramId)
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Load a full snapshot row by id; recordToFlow turns it into React Flow state
+ */
+export async function loadVersion(id) {
+  const { data, error } = await supabase.from("diagram_versions").select("*").eq("id", id).single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store the current canvas as a named snapshot of a saved diagram
+ * Returns the new row's list columns
+ */
+export async function saveVersion({ diagramId, name, nodes, edges }) {
+  const { diagram, positions } = flowToRecord(nodes, edges, {});
+  const { data, error } = await supabase
+    .from("diagram_versions")
+    .insert({ diagram_id: diagramId, name, diagram, positions })
+    .select(VERSION_LIST_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a snapshot by id
+ */
+export async function deleteVersion(id) {
+  const { error } = await supabase.from("diagram_versions").delete().eq("id", id);
+
+  if (error) throw error;
+}
@@ -0,0 +1,187 @@
+/**
+ * Streaming diagram generation
+ * The generate-diagram function relays the AI's JSON while it is being written.
+ * Blocks and connections are picked out of the partial text as soon as each one
+ * is complete, so the canvas can show the diagram taking shape.
+ * Set VITE_MOCK_GENERATION=true to stream the default template instead of calling the AI.
+ */
+
+import { supabase } from "@/integrations/supabase/client";
+import { generateDefaultDiagram } from "@/lib/diagramUtils";
+import { checkGeneratedDiagram } from "@/lib/diagramSchema";
+
+// Top-level arrays of the diagram whose items are reported while streaming
+const STREAMED_ARRAYS = ["blocks", "connections"];
+
+/**
+ * Complete items of the blocks and connections arrays in partial diagram JSON
+ * Items still being written are left out until their closing brace arrives.
+ */
+export function extractStreamedItems(text) {
+  const items = Object.fromEntries(STREAMED_ARRAYS.map((key) => [key, []]));
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  // Last string seen directly inside the top-level object, i.e. the key before a "["
+  let lastKey = null;
+  let arrayKey = null;
+  let itemStart = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1) lastKey = JSON.parse(text.slice(stringStart, i + 1));
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      stringStart = i;
+    } else if (char === "{" || char === "[") {
+      depth++;
+      if (depth === 2 && char === "[") arrayKey = STREAMED_ARRAYS.includes(lastKey) ? lastKey : null;
+      if (depth === 3 && char === "{" && arrayKey) itemStart = i;
+    } else if (char === "}" || char === "]") {
+      if (depth === 3 && char === "}" && itemStart >= 0) {
+        items[arrayKey].push(JSON.parse(text.slice(itemStart, i + 1)));
+        itemStart = -1;
+      }
+      if (depth === 2) arrayKey = null;
+      depth--;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Server-sent events from a response body as { event, data }, with data parsed as JSON
+ */
+export async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events end with a blank line; keep an unfinished one for the next read
+      const chunks = buffer.split("\n\n");
+      buffer = chunks.pop() ?? "";
+      for (const chunk of chunks) {
+        let event = "message";
+        let data = "";
+        chunk.split("\n").forEach((line) => {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          if (line.startsWith("data:")) data += line.slice(5).trim();
+        });
+        if (data) yield { event, data: JSON.parse(data) };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Resolve after ms, or reject with an AbortError as soon as signal aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Generation cancelled", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Stand-in for the AI: the default template written out a few characters at a time
+ */
+export async function* mockDiagramEvents({ signal, chunkSize = 24, delay = 25 } = {}) {
+  const diagram = generateDefaultDiagram();
+  const text = JSON.stringify(diagram, null, 2);
+  for (let i = 0; i < text.length; i += chunkSize) {
+    await wait(delay, signal);
+    yield { event: "delta", data: { text: text.slice(i, i + chunkSize) } };
+  }
+  yield { event: "done", data: { diagram } };
+}
+
+/**
+ * Follow a stream of generate-diagram events through to the final diagram
+ * onProgress receives { blocks, connections } each time another item is complete,
+ * and empty lists when the function rejected the attempt so far and starts over;
+ * onRetry then receives the errors the attempt was rejected for.
+ */
+export async function collectDiagram(events, onProgress, onRetry) {
+  let text = "";
+  let count = 0;
+
+  for await (const { event, data } of events) {
+    if (event === "delta") {
+      text += data.text;
+      const items = extractStreamedItems(text);
+      const total = items.blocks.length + items.connections.length;
+      if (total !== count) {
+        count = total;
+        onProgress?.(items);
+      }
+    } else if (event === "retry") {
+      text = "";
+      count = 0;
+      onProgress?.({ blocks: [], connections: [] });
+      onRetry?.(data.errors ?? []);
+    } else if (event === "done") {
+      return data.diagram;
+    } else if (event === "error") {
+      throw new Error(data.error);
+    }
+  }
+
+  throw new Error("Invalid response from AI");
+}
+
+// Events from the generate-diagram function, or from the mock when it is enabled
+async function diagramEvents(body, signal) {
+  if (import.meta.env.VITE_MOCK_GENERATION === "true") {
+    return mockDiagramEvents({ signal });
+  }
+
+  const { data, error } = await supabase.functions.invoke("generate-diagram", {
+    body: { ...body, stream: true },
+    signal,
+  });
+  if (error) throw error;
+  if (!data?.body) throw new Error("Invalid response from AI");
+  return readServerSentEvents(data.body);
+}
+
+/**
+ * Call the generate-diagram edge function with streaming enabled
+ * Resolves with the checked diagram; rejects with the function's error, an invalid
+ * diagram error, or an AbortError when signal aborts. onRetry receives the errors of
+ * each rejected attempt, onRepair the fixes applied to the final diagram.
+ */
+export async function streamDiagram(body, { signal, onProgress, onRetry, onRepair } = {}) {
+  const raw = await collectDiagram(await diagramEvents(body, signal), onProgress, onRetry);
+  const { diagram, repairs, errors } = checkGeneratedDiagram(raw, body);
+  if (repairs.length) onRepair?.(repairs);
+  if (errors.length) throw new Error(`Invalid diagram from AI: ${errors[0]}`);
+  return diagram;
+}
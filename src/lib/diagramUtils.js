@@ -3,111 +3,304 @@
  * Handles conversion between API responses and React Flow format
  */
 
-import { MarkerType } from "reactflow";
-
-// Layout configuration for block positioning
-// Arranged in a logical flow: Power -> Inputs -> Processing -> Outputs, with Peripherals below
-const blockPositions = {
-  power: { x: 50, y: 200 },
-  inputs: { x: 350, y: 50 },
-  processing: { x: 650, y: 200 },
-  outputs: { x: 950, y: 50 },
-  peripherals: { x: 650, y: 400 },
-};
+import { layoutNodes, estimateNodeSize, LAYOUT_DIRECTIONS } from "@/lib/layout";
+import { validatePorts, SIGNAL_TYPES } from "@/lib/ports";
+import { edgeStyleFor } from "@/lib/edgeStyles";
+import { normalizeComponent, componentName, validateComponent } from "@/lib/parts";
+import { getCustomBlockTypes, storableBlockType, validateBlockType } from "@/lib/blockTypes";
+import {
+  boundaryNodeId,
+  boundaryPorts,
+  flattenBlocks,
+  isBoundaryNode,
+  subDiagramBlockCount,
+  syncBoundaryNodes,
+} from "@/lib/subDiagrams";
+import { defaultDiagram } from "../../supabase/functions/_shared/default-diagram.ts";
+
+// Version written by exportDiagramAsJson and accepted by parseDiagramImport
+export const EXPORT_FORMAT_VERSION = "1.0";
 
 /**
  * Convert API diagram data to React Flow nodes
+ * Blocks are positioned by the layered auto-layout along their connections;
+ * component names from the AI become structured component entries
  */
-export function diagramToNodes(diagram) {
-  return diagram.blocks.map((block) => ({
+export function diagramToNodes(diagram, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const nodes = diagram.blocks.map((block) => ({
     id: block.id,
     type: "block",
-    position: blockPositions[block.type] || { x: 400, y: 200 },
+    position: { x: 0, y: 0 },
     data: {
       type: block.type,
       title: block.title,
-      components: block.components,
+      components: block.components.map(normalizeComponent),
       annotation: block.annotation,
+      ...(block.ports && { ports: block.ports }),
+      ...(block.subDiagram && { subDiagram: subDiagramToFlow(block.subDiagram, block, { direction }) }),
     },
     draggable: true,
   }));
+
+  return layoutNodes(nodes, diagram.connections ?? [], { direction });
+}
+
+/**
+ * Convert a block's sub-diagram from diagram format to React Flow state
+ * Boundary nodes for the parent's ports are added; saved positions win over the auto-layout
+ */
+export function subDiagramToFlow(subDiagram, parent, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const connections = subDiagram.connections ?? [];
+  const flow = syncBoundaryNodes(
+    { nodes: diagramToNodes({ ...subDiagram, connections }, { direction }), edges: connectionsToEdges(connections) },
+    boundaryPorts(parent),
+    { direction }
+  );
+
+  const positions = subDiagram.positions ?? {};
+  const nodes = Object.keys(positions).length ? flow.nodes : layoutNodes(flow.nodes, flow.edges, { direction });
+  return {
+    nodes: nodes.map((node) => (positions[node.id] ? { ...node, position: { ...positions[node.id] } } : node)),
+    edges: flow.edges,
+  };
 }
 
 /**
  * Convert API connections to React Flow edges
+ * Port ids become handle ids, signal metadata is kept in edge data and
+ * the stroke follows the signal type
  */
 export function connectionsToEdges(connections) {
   return connections.map((conn, index) => ({
     id: `edge-${conn.source}-${conn.target}-${index}`,
     source: conn.source,
     target: conn.target,
+    ...(conn.sourcePort && { sourceHandle: conn.sourcePort }),
+    ...(conn.targetPort && { targetHandle: conn.targetPort }),
+    ...(conn.signal && { data: { ...conn.signal } }),
     label: conn.label,
     type: "smoothstep",
-    animated: true,
-    style: { stroke: "hsl(199 89% 48%)", strokeWidth: 2 },
-    markerEnd: {
-      type: MarkerType.ArrowClosed,
-      color: "hsl(199 89% 48%)",
-    },
+    animated: conn.animated ?? true,
+    ...edgeStyleFor(conn.signal?.signalType),
   }));
 }
 
 /**
  * Convert React Flow nodes back to diagram format for export
+ * Non-empty sub-diagrams are nested in their block with the positions of their nodes;
+ * connections to a boundary node use its "port:<id>" node id
  */
 export function nodesToDiagram(nodes, edges) {
-  const blocks = nodes.map((node) => ({
+  const blocks = nodes.filter((node) => !isBoundaryNode(node)).map((node) => ({
     id: node.id,
     type: node.data.type,
     title: node.data.title,
     components: node.data.components,
     annotation: node.data.annotation,
+    ...(node.data.ports?.length && { ports: node.data.ports }),
+    ...(subDiagramBlockCount(node.data) > 0 && {
+      subDiagram: {
+        ...nodesToDiagram(node.data.subDiagram.nodes, node.data.subDiagram.edges),
+        positions: Object.fromEntries(
+          node.data.subDiagram.nodes.map((child) => [child.id, { x: child.position.x, y: child.position.y }])
+        ),
+      },
+    }),
   }));
 
   const connections = edges.map((edge) => ({
     source: edge.source,
     target: edge.target,
+    ...(edge.sourceHandle && { sourcePort: edge.sourceHandle }),
+    ...(edge.targetHandle && { targetPort: edge.targetHandle }),
     label: typeof edge.label === "string" ? edge.label : undefined,
+    ...(edge.data && Object.keys(edge.data).length && { signal: { ...edge.data } }),
+    ...(edge.animated === false && { animated: false }),
   }));
 
   return { blocks, connections };
 }
 
+// Vertical gap between existing blocks and blocks added by a refinement
+const REFINE_GAP = 80;
+
+// The AI only sees and returns component names, so blocks are compared by name
+function sameComponents(a = [], b = []) {
+  return (
+    a.length === b.length &&
+    a.every((component, index) => componentName(component) === componentName(b[index]))
+  );
+}
+
+// Keep part details the user entered for components the AI kept
+function mergeComponents(previous = [], next = []) {
+  const byName = new Map(previous.map((component) => [componentName(component), component]));
+  return next.map((component) => normalizeComponent(byName.get(componentName(component)) ?? component));
+}
+
 /**
- * Export diagram data as JSON file
+ * Merge a refined diagram from the AI into the current canvas
+ * Unchanged blocks are kept as they are (position, annotation, handles);
+ * changed blocks keep their position and any annotation the AI dropped;
+ * new blocks are auto-laid out below the existing ones
+ * Returns the merged nodes and edges plus a summary of what changed
  */
-export function exportDiagramAsJson(nodes, edges, originalDescription) {
+export function mergeRefinedDiagram(currentNodes, currentEdges, refined, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const existing = new Map(currentNodes.map((node) => [node.id, node]));
+  const laidOut = new Map(diagramToNodes(refined, { direction }).map((node) => [node.id, node]));
+  const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+
+  const merged = refined.blocks.map((block) => {
+    const previous = existing.get(block.id);
+    if (!previous) {
+      summary.added += 1;
+      return laidOut.get(block.id);
+    }
+
+    const unchanged =
+      previous.data.type === block.type &&
+      previous.data.title === block.title &&
+      sameComponents(previous.data.components, block.components) &&
+      (block.annotation === undefined || block.annotation === previous.data.annotation);
+    if (unchanged) {
+      summary.unchanged += 1;
+      return previous;
+    }
+
+    summary.changed += 1;
+    return {
+      ...previous,
+      data: {
+        ...previous.data,
+        type: block.type,
+        title: block.title,
+        components: mergeComponents(previous.data.components, block.components),
+        annotation: block.annotation ?? previous.data.annotation,
+        ...(block.ports && { ports: block.ports }),
+      },
+    };
+  });
+  summary.removed = currentNodes.filter((node) => !laidOut.has(node.id)).length;
+
+  // Shift new blocks as a group so they sit below everything the user placed
+  const kept = merged.filter((node) => existing.has(node.id));
+  const added = merged.filter((node) => !existing.has(node.id));
+  if (kept.length && added.length) {
+    const bottom = Math.max(...kept.map((node) => node.position.y + (node.height || estimateNodeSize(node.data).height)));
+    const top = Math.min(...added.map((node) => node.position.y));
+    const left = Math.min(...kept.map((node) => node.position.x));
+    const addedLeft = Math.min(...added.map((node) => node.position.x));
+    added.forEach((node) => {
+      node.position = {
+        x: node.position.x - addedLeft + left,
+        y: node.position.y - top + bottom + REFINE_GAP,
+      };
+    });
+  }
+
+  // Reuse existing edges for connections that did not change
+  const edgeKey = (conn) => `${conn.source}->${conn.target}:${typeof conn.label === "string" ? conn.label : ""}`;
+  const previousEdges = new Map(currentEdges.map((edge) => [edgeKey(edge), edge]));
+  const edges = connectionsToEdges(refined.connections ?? []).map(
+    (edge) => previousEdges.get(edgeKey(edge)) ?? edge
+  );
+
+  return { nodes: merged, edges, summary };
+}
+
+/**
+ * Stable string for the saved content of a diagram (blocks, connections, positions)
+ * Two states with equal signatures differ only in transient UI state such as selection
+ */
+export function diagramSignature(nodes, edges) {
+  return JSON.stringify({
+    diagram: nodesToDiagram(nodes, edges),
+    positions: nodes.map((node) => [node.id, node.position.x, node.position.y]),
+  });
+}
+
+/**
+ * Build the JSON export object for a diagram
+ * Also used as the clipboard format for copied blocks
+ */
+export function buildDiagramExport(nodes, edges, originalDescription) {
   const diagram = nodesToDiagram(nodes, edges);
-  
-  const exportData = {
-    version: "1.0",
+  const usedTypes = new Set(flattenBlocks(nodes).map((n) => n.data.type));
+
+  return {
+    version: EXPORT_FORMAT_VERSION,
     generatedAt: new Date().toISOString(),
     description: originalDescription,
     diagram,
+    // Custom block types the diagram uses, so another browser can render them
+    blockTypes: getCustomBlockTypes()
+      .filter((type) => usedTypes.has(type.id))
+      .map(storableBlockType),
     // Include React Flow compatible format for reimporting
     reactFlowData: {
-      nodes: nodes.map((n) => ({
-        id: n.id,
-        type: n.type,
-        position: n.position,
-        data: n.data,
-      })),
-      edges: edges.map((e) => ({
-        id: e.id,
-        source: e.source,
-        target: e.target,
-        label: e.label,
-      })),
+      nodes: exportFlowNodes(nodes),
+      edges: exportFlowEdges(edges),
     },
   };
+}
 
+/**
+ * Export diagram data as JSON file
+ */
+export function exportDiagramAsJson(nodes, edges, originalDescription) {
+  const exportData = buildDiagramExport(nodes, edges, originalDescription);
   const blob = new Blob([JSON.stringify(exportData, null, 2)], {
     type: "application/json",
   });
+  downloadBlob(blob, `block-diagram-${Date.now()}.json`);
+}
+
+/**
+ * React Flow nodes without transient UI state; sub-diagrams are exported the same way
+ */
+export function exportFlowNodes(nodes) {
+  return nodes.map((n) => ({
+    id: n.id,
+    type: n.type,
+    position: n.position,
+    sourcePosition: n.sourcePosition,
+    targetPosition: n.targetPosition,
+    data: n.data.subDiagram
+      ? {
+          ...n.data,
+          subDiagram: {
+            nodes: exportFlowNodes(n.data.subDiagram.nodes),
+            edges: exportFlowEdges(n.data.subDiagram.edges),
+          },
+        }
+      : n.data,
+  }));
+}
+
+/**
+ * React Flow edges without transient UI state
+ */
+export function exportFlowEdges(edges) {
+  return edges.map((e) => ({
+    id: e.id,
+    source: e.source,
+    target: e.target,
+    sourceHandle: e.sourceHandle,
+    targetHandle: e.targetHandle,
+    label: e.label,
+    animated: e.animated,
+    data: e.data,
+  }));
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
   link.href = url;
-  link.download = `block-diagram-${Date.now()}.json`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
@@ -116,46 +309,252 @@ export function exportDiagramAsJson(nodes, edges, originalDescription) {
 
 /**
  * Generate default diagram with empty blocks
+ * Same template the mock AI provider falls back to
  */
 export function generateDefaultDiagram() {
+  return defaultDiagram();
+}
+
+/**
+ * Parse a JSON file written by exportDiagramAsJson back into React Flow state
+ * Throws an Error with a user-facing message when the file is malformed
+ */
+export function parseDiagramImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("File does not contain a diagram export.");
+  }
+  if (data.version === undefined) {
+    throw new Error("File is missing the export format version.");
+  }
+  if (data.version !== EXPORT_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported export version "${data.version}" (expected "${EXPORT_FORMAT_VERSION}").`
+    );
+  }
+
+  const flow = data.reactFlowData;
+  if (flow && typeof flow === "object") {
+    if (!Array.isArray(flow.nodes) || !Array.isArray(flow.edges)) {
+      throw new Error("reactFlowData must contain nodes and edges arrays.");
+    }
+  } else if (!data.diagram || typeof data.diagram !== "object") {
+    throw new Error("File contains neither reactFlowData nor a diagram.");
+  }
+
+  const blockTypes = importBlockTypes(data.blockTypes ?? []);
+  const nodes = flow ? importNodes(flow.nodes) : importBlocks(data.diagram);
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const edges = flow ? importEdges(flow.edges, nodesById) : importConnections(data.diagram, nodesById);
+
   return {
-    blocks: [
-      {
-        id: "power-1",
-        type: "power",
-        title: "Power Supply",
-        components: ["Battery", "Voltage Regulator"],
-      },
-      {
-        id: "inputs-1",
-        type: "inputs",
-        title: "Inputs Block",
-        components: ["Sensor Module", "Button Interface"],
-      },
-      {
-        id: "processing-1",
-        type: "processing",
-        title: "Control and Processing",
-        components: ["Microcontroller", "Memory"],
-      },
-      {
-        id: "outputs-1",
-        type: "outputs",
-        title: "Outputs Block",
-        components: ["LED Indicator", "Display"],
-      },
-      {
-        id: "peripherals-1",
-        type: "peripherals",
-        title: "Other Peripherals",
-        components: ["Debug Interface", "External Connector"],
-      },
-    ],
-    connections: [
-      { source: "power-1", target: "processing-1", label: "VCC" },
-      { source: "inputs-1", target: "processing-1", label: "Data" },
-      { source: "processing-1", target: "outputs-1", label: "Control" },
-      { source: "processing-1", target: "peripherals-1", label: "I/O" },
-    ],
+    nodes,
+    edges,
+    blockTypes,
+    description: typeof data.description === "string" ? data.description : "",
   };
 }
+
+/**
+ * Validate exported React Flow nodes and edges, with the custom block types they use
+ * For importers of other file formats that rebuild the exported flow first;
+ * throws an Error with a user-facing message when something is malformed
+ */
+export function importFlowData({ nodes, edges, blockTypes = [] }) {
+  const importedTypes = importBlockTypes(blockTypes);
+  const importedNodes = importNodes(nodes);
+  const nodesById = new Map(importedNodes.map((node) => [node.id, node]));
+  return { nodes: importedNodes, edges: importEdges(edges, nodesById), blockTypes: importedTypes };
+}
+
+// Validate the custom block type definitions shipped with an export
+function importBlockTypes(types) {
+  if (!Array.isArray(types)) {
+    throw new Error("blockTypes must be an array.");
+  }
+  types.forEach((type, index) => {
+    const error = validateBlockType(type);
+    if (error) {
+      throw new Error(`Block type ${index + 1}: ${error}.`);
+    }
+  });
+  return types;
+}
+
+// Validate exported React Flow nodes and restore their saved positions
+// Boundary nodes are only accepted inside sub-diagrams; prefix locates nested errors
+function importNodes(rawNodes, { nested = false, prefix = "" } = {}) {
+  const seen = new Set();
+  return rawNodes.map((node, index) => {
+    const where = `${prefix}Node ${index + 1}`;
+    if (!node || typeof node.id !== "string" || !node.id) {
+      throw new Error(`${where} is missing an id.`);
+    }
+    if (seen.has(node.id)) {
+      throw new Error(`${prefix}Duplicate node id "${node.id}".`);
+    }
+    seen.add(node.id);
+
+    const { position, data } = node;
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      throw new Error(`${where} ("${node.id}") has an invalid position.`);
+    }
+    const placement = {
+      id: node.id,
+      position: { x: position.x, y: position.y },
+      ...(node.sourcePosition && { sourcePosition: node.sourcePosition }),
+      ...(node.targetPosition && { targetPosition: node.targetPosition }),
+    };
+
+    // Boundary data is rebuilt from the parent's ports once the sub-diagram is read
+    if (nested && node.type === "boundary") {
+      return { ...placement, type: "boundary", data: { ...data }, deletable: false };
+    }
+
+    validateBlockData(data, `${where} ("${node.id}")`);
+    return {
+      ...placement,
+      type: "block",
+      data: {
+        ...data,
+        ...(data.subDiagram !== undefined && {
+          subDiagram: importSubFlow(data.subDiagram, data, `${where} ("${node.id}") sub-diagram › `),
+        }),
+      },
+      draggable: true,
+    };
+  });
+}
+
+// Validate an exported sub-diagram and match its boundary nodes to the parent's ports
+function importSubFlow(subDiagram, parent, prefix) {
+  if (!subDiagram || !Array.isArray(subDiagram.nodes) || !Array.isArray(subDiagram.edges)) {
+    throw new Error(`${prefix}must contain nodes and edges arrays.`);
+  }
+  const nodes = importNodes(subDiagram.nodes, { nested: true, prefix });
+  const edges = importEdges(subDiagram.edges, new Map(nodes.map((node) => [node.id, node])), prefix);
+  return syncBoundaryNodes({ nodes, edges }, boundaryPorts(parent));
+}
+
+// Validate exported React Flow edges and re-apply the styling for their signal type
+function importEdges(rawEdges, nodesById, prefix = "") {
+  return rawEdges.map((edge, index) => {
+    const conn = {
+      source: edge?.source,
+      target: edge?.target,
+      sourcePort: edge?.sourceHandle ?? undefined,
+      targetPort: edge?.targetHandle ?? undefined,
+      label: edge?.label,
+      animated: edge?.animated ?? undefined,
+      signal: edge?.data ?? undefined,
+    };
+    validateConnection(conn, `${prefix}Edge ${index + 1}`, nodesById);
+    return {
+      ...connectionsToEdges([conn])[0],
+      id: typeof edge.id === "string" && edge.id ? edge.id : `edge-${edge.source}-${edge.target}-${index}`,
+    };
+  });
+}
+
+// Fall back to the plain diagram section when reactFlowData is absent
+function importBlocks(diagram) {
+  validateBlocks(diagram.blocks);
+  return diagramToNodes(diagram);
+}
+
+// Check blocks along with the blocks and connections of their sub-diagrams
+function validateBlocks(blocks, prefix = "") {
+  if (!Array.isArray(blocks)) {
+    throw new Error(prefix ? `${prefix}blocks must be an array.` : "diagram.blocks must be an array.");
+  }
+  blocks.forEach((block, index) => {
+    if (!block || typeof block.id !== "string" || !block.id) {
+      throw new Error(`${prefix}Block ${index + 1} is missing an id.`);
+    }
+    const where = `${prefix}Block ${index + 1} ("${block.id}")`;
+    validateBlockData(block, where);
+    if (block.subDiagram === undefined) return;
+
+    const subPrefix = `${where} sub-diagram › `;
+    if (!block.subDiagram || typeof block.subDiagram !== "object") {
+      throw new Error(`${subPrefix}must be an object.`);
+    }
+    validateBlocks(block.subDiagram.blocks, subPrefix);
+    const connections = block.subDiagram.connections ?? [];
+    if (!Array.isArray(connections)) {
+      throw new Error(`${subPrefix}connections must be an array.`);
+    }
+    const nodesById = new Map([
+      ...block.subDiagram.blocks.map((child) => [child.id, { data: child }]),
+      ...boundaryPorts(block).map((port) => [boundaryNodeId(port.id), { data: {} }]),
+    ]);
+    connections.forEach((conn, i) => validateConnection(conn, `${subPrefix}Connection ${i + 1}`, nodesById));
+  });
+}
+
+function importConnections(diagram, nodesById) {
+  const connections = diagram.connections ?? [];
+  if (!Array.isArray(connections)) {
+    throw new Error("diagram.connections must be an array.");
+  }
+  connections.forEach((conn, index) => validateConnection(conn, `Connection ${index + 1}`, nodesById));
+  return connectionsToEdges(connections);
+}
+
+function validateBlockData(data, where) {
+  if (!data || typeof data !== "object") {
+    throw new Error(`${where} has no block data.`);
+  }
+  if (typeof data.type !== "string" || !data.type) {
+    throw new Error(`${where} is missing a block type.`);
+  }
+  if (typeof data.title !== "string") {
+    throw new Error(`${where} is missing a title.`);
+  }
+  if (!Array.isArray(data.components)) {
+    throw new Error(`${where} must have a list of components.`);
+  }
+  const componentError = data.components.map(validateComponent).find(Boolean);
+  if (componentError) {
+    throw new Error(`${where}: ${componentError}.`);
+  }
+  const portError = validatePorts(data.ports);
+  if (portError) {
+    throw new Error(`${where}: ${portError}.`);
+  }
+}
+
+function validateConnection(conn, where, nodesById) {
+  if (!conn || typeof conn.source !== "string" || typeof conn.target !== "string") {
+    throw new Error(`${where} must have a source and target.`);
+  }
+  if (!nodesById.has(conn.source) || !nodesById.has(conn.target)) {
+    throw new Error(`${where} references a block that does not exist.`);
+  }
+  if (conn.label !== undefined && conn.label !== null && typeof conn.label !== "string") {
+    throw new Error(`${where} has a non-text label.`);
+  }
+  const hasPort = (nodeId, portId) =>
+    nodesById.get(nodeId).data.ports?.some((port) => port.id === portId);
+  if (conn.sourcePort && !hasPort(conn.source, conn.sourcePort)) {
+    throw new Error(`${where} uses unknown port "${conn.sourcePort}" on "${conn.source}".`);
+  }
+  if (conn.targetPort && !hasPort(conn.target, conn.targetPort)) {
+    throw new Error(`${where} uses unknown port "${conn.targetPort}" on "${conn.target}".`);
+  }
+  if (conn.signal !== undefined && (typeof conn.signal !== "object" || Array.isArray(conn.signal))) {
+    throw new Error(`${where} has invalid signal metadata.`);
+  }
+  if (conn.signal?.signalType !== undefined && !SIGNAL_TYPES.includes(conn.signal.signalType)) {
+    throw new Error(`${where} has unknown signal type "${conn.signal.signalType}".`);
+  }
+  if (conn.animated !== undefined && typeof conn.animated !== "boolean") {
+    throw new Error(`${where} has a non-boolean "animated" flag.`);
+  }
+}
@@ -0,0 +1,406 @@
+/**
+ * draw.io (diagrams.net) export and import
+ * Blocks become rounded vertices in their type colour with the title, components and
+ * annotation as cell text; connections become edges with their label. Block type,
+ * part details, ports and signal metadata travel as custom properties, which draw.io
+ * keeps when the file is edited there, so the file reads back without losing anything.
+ * Files drawn in draw.io itself are read too: types are recovered from the colour or
+ * guessed from the text, and containers act as a type hint for the shapes inside.
+ */
+
+import { estimateNodeSize } from "@/lib/layout";
+import { getBlockTypes, getCustomBlockTypes, storableBlockType } from "@/lib/blockTypes";
+import { componentName, normalizeComponent } from "@/lib/parts";
+import { EDGE_TYPE_STYLES, DEFAULT_EDGE_COLOR } from "@/lib/edgeStyles";
+import { isBoundaryNode } from "@/lib/subDiagrams";
+import { colorToHex } from "@/lib/textExport";
+import { DEFAULT_IMPORT_TYPE, inferBlockType } from "@/lib/textImport";
+import { downloadBlob, exportFlowEdges, exportFlowNodes, importFlowData } from "@/lib/diagramUtils";
+
+export const DRAWIO_EXTENSION = "drawio";
+
+// Ids of the root cell and the default layer every draw.io model starts with
+const ROOT_ID = "0";
+const LAYER_ID = "1";
+
+// Share of white mixed into the type colour for the block fill
+const FILL_TINT = 0.85;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\n/g, "&#10;");
+}
+
+const escapeHtml = (value) => String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function decodeHtml(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Hex colour mixed with white, for fills light enough to read the text on
+function tint(hex, amount) {
+  const channels = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return `#${channels
+    .map((value) => Math.round(value + (255 - value) * amount).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+const styleString = (entries) =>
+  Object.entries(entries)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(";") + ";";
+
+function parseStyle(style) {
+  return Object.fromEntries(
+    (style ?? "")
+      .split(";")
+      .filter(Boolean)
+      .map((entry) => {
+        const [key, ...value] = entry.split("=");
+        return [key, value.length ? value.join("=") : true];
+      })
+  );
+}
+
+// Cell text: bold title, one line per component and the annotation in italics
+function blockLabel({ title, components = [], annotation }) {
+  return [
+    `<b>${escapeHtml(title)}</b>`,
+    ...components.map((component) => `• ${escapeHtml(componentName(component))}`),
+    ...(annotation ? [`<i>${escapeHtml(annotation)}</i>`] : []),
+  ].join("<br>");
+}
+
+function blockCell(node) {
+  const { type, title, components, annotation, subDiagram, ...rest } = node.data;
+  const hex = colorToHex(getBlockTypes().find((t) => t.id === type)?.color);
+  const estimate = estimateNodeSize(node.data);
+  const style = styleString({
+    rounded: 1,
+    whiteSpace: "wrap",
+    html: 1,
+    align: "left",
+    verticalAlign: "top",
+    spacingLeft: 8,
+    spacingTop: 4,
+    fillColor: hex ? tint(hex, FILL_TINT) : undefined,
+    strokeColor: hex ?? undefined,
+    strokeWidth: 2,
+  });
+  // Everything the cell text cannot show, so part details and sub-diagrams survive
+  const data = {
+    ...rest,
+    components,
+    ...(subDiagram && {
+      subDiagram: { nodes: exportFlowNodes(subDiagram.nodes), edges: exportFlowEdges(subDiagram.edges) },
+    }),
+  };
+
+  return [
+    `        <object id="${escapeXml(node.id)}" label="${escapeXml(blockLabel({ title, components, annotation }))}" blockType="${escapeXml(type)}" blockData="${escapeXml(JSON.stringify(data))}">`,
+    `          <mxCell style="${style}" vertex="1" parent="${LAYER_ID}">`,
+    `            <mxGeometry x="${node.position.x}" y="${node.position.y}" width="${Math.round(node.width || estimate.width)}" height="${Math.round(node.height || estimate.height)}" as="geometry" />`,
+    "          </mxCell>",
+    "        </object>",
+  ];
+}
+
+function edgeCell(edge, index) {
+  const signalType = edge.data?.signalType;
+  const { stroke, strokeWidth, strokeDasharray } = EDGE_TYPE_STYLES[signalType] ?? {
+    stroke: DEFAULT_EDGE_COLOR,
+    strokeWidth: 2,
+  };
+  const style = styleString({
+    edgeStyle: "orthogonalEdgeStyle",
+    rounded: 1,
+    html: 1,
+    endArrow: "block",
+    endFill: 1,
+    strokeColor: colorToHex(stroke) ?? undefined,
+    strokeWidth,
+    dashed: strokeDasharray ? 1 : undefined,
+    dashPattern: strokeDasharray,
+  });
+  const attributes = [
+    ["id", edge.id || `edge-${index}`],
+    // Cell text is HTML (html=1), so the label is escaped as markup like block text
+    ["label", typeof edge.label === "string" ? escapeHtml(edge.label) : ""],
+    ...(edge.data && Object.keys(edge.data).length ? [["signal", JSON.stringify(edge.data)]] : []),
+    ...(edge.sourceHandle ? [["sourcePort", edge.sourceHandle]] : []),
+    ...(edge.targetHandle ? [["targetPort", edge.targetHandle]] : []),
+    ...(edge.animated === false ? [["animated", "0"]] : []),
+  ];
+
+  return [
+    `        <object ${attributes.map(([key, value]) => `${key}="${escapeXml(value)}"`).join(" ")}>`,
+    `          <mxCell style="${style}" edge="1" parent="${LAYER_ID}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+    '            <mxGeometry relative="1" as="geometry" />',
+    "          </mxCell>",
+    "        </object>",
+  ];
+}
+
+/**
+ * draw.io file for the canvas; boundary ports of an open sub-diagram are left out
+ */
+export function toDrawio(nodes, edges, { name = "Block diagram" } = {}) {
+  const blocks = nodes.filter((node) => !isBoundaryNode(node));
+  const ids = new Set(blocks.map((node) => node.id));
+  const usedTypes = new Set(blocks.map((node) => node.data.type));
+  // Custom types ride on the root cell so another browser can register them
+  const blockTypes = getCustomBlockTypes()
+    .filter((type) => usedTypes.has(type.id))
+    .map(storableBlockType);
+  const root = blockTypes.length
+    ? [`        <object id="${ROOT_ID}" blockTypes="${escapeXml(JSON.stringify(blockTypes))}">`, "          <mxCell />", "        </object>"]
+    : [`        <mxCell id="${ROOT_ID}" />`];
+
+  return [
+    '<mxfile host="block-diagram" type="device">',
+    `  <diagram id="block-diagram" name="${escapeXml(name)}">`,
+    '    <mxGraphModel grid="1" gridSize="10" guides="1" connect="1" arrows="1" fold="1" page="0" math="0" shadow="0">',
+    "      <root>",
+    ...root,
+    `        <mxCell id="${LAYER_ID}" parent="${ROOT_ID}" />`,
+    ...blocks.flatMap(blockCell),
+    ...edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target)).flatMap(edgeCell),
+    "      </root>",
+    "    </mxGraphModel>",
+    "  </diagram>",
+    "</mxfile>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Download the canvas as a .drawio file
+ */
+export function exportDiagramAsDrawio(nodes, edges) {
+  const blob = new Blob([toDrawio(nodes, edges)], { type: "application/xml" });
+  downloadBlob(blob, `block-diagram-${Date.now()}.${DRAWIO_EXTENSION}`);
+}
+
+// ---------------------------------------------------------------------------
+
+// Older draw.io versions save each page deflated, base64 encoded and URI escaped
+async function inflatePage(data) {
+  const bytes = Uint8Array.from(atob(data.trim()), (char) => char.charCodeAt(0));
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream("deflate-raw"));
+  return decodeURIComponent(await new Response(stream).text());
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("File is not valid draw.io XML.");
+  }
+  return doc;
+}
+
+// The graph model of the first page, whether stored plain or compressed
+async function readGraphModel(text) {
+  const doc = parseXml(text);
+  const top = doc.documentElement;
+  if (top.nodeName === "mxGraphModel") return top;
+  if (top.nodeName !== "mxfile") throw new Error("File is not a draw.io diagram.");
+
+  const page = top.getElementsByTagName("diagram")[0];
+  if (!page) throw new Error("The draw.io file has no pages.");
+  const model = page.getElementsByTagName("mxGraphModel")[0];
+  if (model) return model;
+
+  let xml;
+  try {
+    xml = await inflatePage(page.textContent);
+  } catch {
+    throw new Error("Could not decompress the draw.io page.");
+  }
+  return readGraphModel(xml);
+}
+
+// Cells with the attributes of their <object>/<UserObject> wrapper, keyed by id
+function readCells(model) {
+  const root = model.getElementsByTagName("root")[0];
+  if (!root) throw new Error("The draw.io page has no cells.");
+
+  return [...root.children].map((element) => {
+    const wrapped = element.nodeName !== "mxCell";
+    const cell = wrapped ? element.getElementsByTagName("mxCell")[0] : element;
+    const attribute = (name) => (wrapped ? element.getAttribute(name) : null) ?? cell?.getAttribute(name) ?? null;
+    const geometry = cell?.getElementsByTagName("mxGeometry")[0];
+    const number = (name) => Number(geometry?.getAttribute(name) ?? 0) || 0;
+
+    return {
+      id: element.getAttribute("id"),
+      label: (wrapped ? element.getAttribute("label") : cell?.getAttribute("value")) ?? "",
+      attribute,
+      style: parseStyle(cell?.getAttribute("style")),
+      parent: cell?.getAttribute("parent"),
+      vertex: cell?.getAttribute("vertex") === "1",
+      edge: cell?.getAttribute("edge") === "1",
+      source: cell?.getAttribute("source"),
+      target: cell?.getAttribute("target"),
+      geometry: { x: number("x"), y: number("y"), width: number("width"), height: number("height") },
+    };
+  });
+}
+
+// Lines of cell text; HTML text breaks at <br>, <div> and <p>
+function labelLines(label, html) {
+  if (!html) return label.split("\n").map((line) => line.trim());
+  return label
+    .replace(/<br\s*\/?>|<\/(div|p|li)>|<hr\s*\/?>/gi, "\n")
+    .replace(/<(div|p|li|ul|span)\b[^>]*>|<\/(ul|span)>/gi, "")
+    .split("\n")
+    .map((line) => line.trim());
+}
+
+function parseJsonAttribute(cell, name) {
+  const value = cell.attribute(name);
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`Cell "${cell.id}" has an unreadable ${name} property.`);
+  }
+}
+
+const cleanLine = (line) => decodeHtml(line.replace(/<[^>]*>/g, "")).trim();
+
+// Cell text on one line, for edge labels
+const plainText = (cell) => labelLines(cell.label, cell.style.html === "1").map(cleanLine).filter(Boolean).join(" ");
+
+// Title, components and annotation from cell text; an italic line is the annotation
+function readBlockText(cell) {
+  const html = cell.style.html === "1";
+  const lines = labelLines(cell.label, html).filter(Boolean);
+  const [title = "", ...rest] = lines;
+  const italic = (line) => html && /^<i>.*<\/i>$/i.test(line);
+
+  return {
+    title: cleanLine(title) || cell.id,
+    components: rest
+      .filter((line) => !italic(line))
+      .map((line) => cleanLine(line).replace(/^[•*-]\s*/, ""))
+      .filter(Boolean),
+    annotation: rest.filter(italic).map(cleanLine).join(" ") || undefined,
+  };
+}
+
+// Type for a shape drawn in draw.io: its stroke or fill colour, else the text
+function recoverBlockType(cell, text, hints) {
+  const colors = [cell.style.strokeColor, cell.style.fillColor].filter((color) => typeof color === "string");
+  const byColor = getBlockTypes().find((type) => {
+    const hex = colorToHex(type.color);
+    return hex && colors.some((color) => color.toLowerCase() === hex || color.toLowerCase() === tint(hex, FILL_TINT));
+  });
+  return byColor?.id ?? inferBlockType({ id: cell.id, ...text, hints }) ?? DEFAULT_IMPORT_TYPE;
+}
+
+// Signal metadata for an edge drawn in draw.io, from a stroke colour the export uses
+function recoverSignal(cell) {
+  const color = typeof cell.style.strokeColor === "string" ? cell.style.strokeColor.toLowerCase() : null;
+  const match = Object.entries(EDGE_TYPE_STYLES).find(
+    ([, { stroke }]) => stroke !== DEFAULT_EDGE_COLOR && colorToHex(stroke) === color
+  );
+  return match ? { signalType: match[0] } : undefined;
+}
+
+/**
+ * Read a draw.io file back into React Flow state, with the custom block types it uses
+ * Resolves with { nodes, edges, blockTypes }; rejects with a user-facing message
+ * when the file is not a draw.io diagram. Only the first page is read.
+ */
+export async function parseDrawio(text) {
+  const cells = readCells(await readGraphModel(text));
+  const byId = new Map(cells.map((cell) => [cell.id, cell]));
+  const rootCell = cells.find((cell) => !cell.parent && !cell.vertex && !cell.edge);
+
+  // Vertices holding other vertices are containers, not blocks; their text is a type hint
+  const containers = new Set(cells.filter((cell) => cell.vertex && byId.get(cell.parent)?.vertex).map((cell) => cell.parent));
+  // Text shapes and labels attached to edges are not blocks either
+  const edgeLabels = cells.filter((cell) => cell.vertex && byId.get(cell.parent)?.edge);
+  const blockCells = cells.filter(
+    (cell) => cell.vertex && !containers.has(cell.id) && !cell.style.text && !byId.get(cell.parent)?.edge
+  );
+
+  // Geometry inside a container is relative to it
+  const absolute = (cell) => {
+    const parent = byId.get(cell.parent);
+    if (!parent?.vertex) return { x: cell.geometry.x, y: cell.geometry.y };
+    const offset = absolute(parent);
+    return { x: offset.x + cell.geometry.x, y: offset.y + cell.geometry.y };
+  };
+  const containerHints = (cell) => {
+    const hints = [];
+    for (let parent = byId.get(cell.parent); parent && containers.has(parent.id); parent = byId.get(parent.parent)) {
+      hints.push(readBlockText(parent).title);
+    }
+    return hints;
+  };
+
+  const nodes = blockCells.map((cell) => {
+    const text = readBlockText(cell);
+    const data = parseJsonAttribute(cell, "blockData") ?? {};
+    // Part details are kept for components whose name is still in the cell text
+    const details = new Map((data.components ?? []).map((component) => [componentName(component), component]));
+    return {
+      id: cell.id,
+      type: "block",
+      position: absolute(cell),
+      data: {
+        ...data,
+        type: cell.attribute("blockType") || recoverBlockType(cell, text, containerHints(cell)),
+        title: text.title,
+        components: text.components.map((name) => normalizeComponent(details.get(name) ?? name)),
+        annotation: text.annotation,
+      },
+    };
+  });
+
+  const blockIds = new Set(nodes.map((node) => node.id));
+  const edges = cells
+    .filter((cell) => cell.edge && blockIds.has(cell.source) && blockIds.has(cell.target))
+    .map((cell) => {
+      // draw.io keeps labels dragged along an edge in child cells
+      const label = [cell, ...edgeLabels.filter((child) => child.parent === cell.id)]
+        .map(plainText)
+        .filter(Boolean)
+        .join(" ");
+      return {
+        id: cell.id,
+        source: cell.source,
+        target: cell.target,
+        sourceHandle: cell.attribute("sourcePort") ?? undefined,
+        targetHandle: cell.attribute("targetPort") ?? undefined,
+        label: label || undefined,
+        animated: cell.attribute("animated") === "0" ? false : undefined,
+        data: parseJsonAttribute(cell, "signal") ?? recoverSignal(cell),
+      };
+    });
+
+  if (!nodes.length) throw new Error("The draw.io page has no shapes to import.");
+  return importFlowData({ nodes, edges, blockTypes: (rootCell && parseJsonAttribute(rootCell, "blockTypes")) ?? [] });
+}
+
+/**
+ * Whether an imported file is a draw.io diagram rather than a JSON export
+ */
+export function isDrawioFile(file, text) {
+  if (/\.drawio$/i.test(file.name)) return true;
+  // Other XML only when its root element is a draw.io file or model
+  const root = text.replace(/^\uFEFF?\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*/, "");
+  return /^<(mxfile|mxGraphModel)[\s>/]/.test(root);
+}
@@ -0,0 +1,41 @@
+/**
+ * Connection styling by signal type
+ * Power, data and control links each get their own colour and dash pattern;
+ * the style is derived from edge.data.signalType so it survives export/import
+ */
+
+import { MarkerType } from "reactflow";
+
+// Colour used for connections without a signal type
+export const DEFAULT_EDGE_COLOR = "hsl(199 89% 48%)";
+
+// Connection types offered in the edge inspector, with their stroke
+export const EDGE_TYPE_STYLES = {
+  power: { label: "Power", stroke: "hsl(0 84% 60%)", strokeWidth: 3 },
+  ground: { label: "Ground", stroke: "hsl(215 16% 57%)", strokeWidth: 2 },
+  data: { label: "Data", stroke: DEFAULT_EDGE_COLOR, strokeWidth: 2 },
+  control: { label: "Control", stroke: "hsl(38 92% 50%)", strokeWidth: 2, strokeDasharray: "6 4" },
+  analog: { label: "Analog", stroke: "hsl(142 71% 45%)", strokeWidth: 2, strokeDasharray: "2 4" },
+};
+
+/**
+ * Stroke and arrow marker for a signal type (unknown types get the default look)
+ */
+export function edgeStyleFor(signalType) {
+  const { stroke, strokeWidth, strokeDasharray } = EDGE_TYPE_STYLES[signalType] || {
+    stroke: DEFAULT_EDGE_COLOR,
+    strokeWidth: 2,
+  };
+
+  return {
+    style: { stroke, strokeWidth, ...(strokeDasharray && { strokeDasharray }) },
+    markerEnd: { type: MarkerType.ArrowClosed, color: stroke },
+  };
+}
+
+/**
+ * Re-apply the style that matches an edge's signal type
+ */
+export function applyEdgeStyle(edge) {
+  return { ...edge, ...edgeStyleFor(edge.data?.signalType) };
+}
@@ -0,0 +1,67 @@
+/**
+ * Undo/redo history for diagram edits
+ * Stores immutable { nodes, edges } snapshots in past and future stacks
+ */
+
+// Maximum number of undo steps kept in memory
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Create an empty history
+ */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Record the state before an edit; any redo steps are discarded
+ * Recording the same snapshot twice in a row is a no-op, which lets
+ * one user action that fires several change events count as one step
+ */
+export function recordSnapshot(history, snapshot) {
+  const last = history.past[history.past.length - 1];
+  if (last && last.nodes === snapshot.nodes && last.edges === snapshot.edges) {
+    return history;
+  }
+
+  return {
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+/**
+ * Step back one edit
+ * Returns the snapshot to restore and the new history, or null if there is nothing to undo
+ */
+export function undoSnapshot(history, current) {
+  if (history.past.length === 0) {
+    return null;
+  }
+
+  return {
+    snapshot: history.past[history.past.length - 1],
+    history: {
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future],
+    },
+  };
+}
+
+/**
+ * Step forward one undone edit
+ * Returns the snapshot to restore and the new history, or null if there is nothing to redo
+ */
+export function redoSnapshot(history, current) {
+  if (history.future.length === 0) {
+    return null;
+  }
+
+  return {
+    snapshot: history.future[0],
+    history: {
+      past: [...history.past, current],
+      future: history.future.slice(1),
+    },
+  };
+}
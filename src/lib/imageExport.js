@@ -0,0 +1,280 @@
+/**
+ * Image export for diagrams
+ * Renders React Flow nodes and edges to a standalone SVG, optionally rasterized to PNG
+ */
+
+import { getSmoothStepPath, Position } from "reactflow";
+import { downloadBlob } from "@/lib/diagramUtils";
+import { DEFAULT_EDGE_COLOR } from "@/lib/edgeStyles";
+import { componentName } from "@/lib/parts";
+import { getBlockType } from "@/lib/blockTypes";
+
+// Page backgrounds offered by the export dialog
+export const IMAGE_BACKGROUNDS = {
+  dark: "hsl(222 47% 8%)",
+  light: "#ffffff",
+  transparent: null,
+};
+
+const TEXT_COLOR = "hsl(210 40% 98%)";
+const MUTED_TEXT_COLOR = "hsl(215 20% 65%)";
+const FONT_SANS = "Inter, system-ui, sans-serif";
+const FONT_MONO = "'JetBrains Mono', monospace";
+
+// Block geometry, matching the padding and row sizes used by BlockNode
+const NODE_WIDTH = 260;
+const NODE_PADDING = 16;
+const HEADER_HEIGHT = 28;
+const ROW_HEIGHT = 22;
+const ROW_GAP = 4;
+const ANNOTATION_LINE_HEIGHT = 16;
+const MONO_CHAR_WIDTH = 7.2;
+const SANS_CHAR_WIDTH = 7;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Greedy word wrap by character count; SVG text has no native wrapping
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= maxChars) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+    while (line.length > maxChars) {
+      lines.push(line.slice(0, maxChars));
+      line = line.slice(maxChars);
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [""];
+}
+
+// Work out where each piece of a block goes, and its resulting size
+function layoutNode(node) {
+  const width = node.width || NODE_WIDTH;
+  const innerWidth = width - NODE_PADDING * 2;
+  const components = (node.data.components || []).map((component) =>
+    wrapText(componentName(component), Math.floor((innerWidth - 16) / MONO_CHAR_WIDTH))
+  );
+  const annotation = node.data.annotation
+    ? wrapText(node.data.annotation, Math.floor(innerWidth / SANS_CHAR_WIDTH))
+    : [];
+
+  let y = NODE_PADDING + HEADER_HEIGHT + 12;
+  const rows = components.map((lines) => {
+    const height = ROW_HEIGHT + (lines.length - 1) * 14;
+    const row = { y, height, lines };
+    y += height + ROW_GAP;
+    return row;
+  });
+
+  let annotationY = null;
+  if (annotation.length) {
+    annotationY = y + 12;
+    y = annotationY + annotation.length * ANNOTATION_LINE_HEIGHT;
+  }
+
+  const height = Math.max(node.height || 0, y + NODE_PADDING);
+  return { width, height, rows, annotation, annotationY };
+}
+
+function renderNode(node, layout) {
+  const blockType = getBlockType(node.data.type);
+  const { x, y } = node.positionAbsolute || node.position;
+  const parts = [
+    `<g transform="translate(${x} ${y})">`,
+    `<rect width="${layout.width}" height="${layout.height}" rx="8" fill="${blockType.fill}" stroke="${blockType.color}" stroke-width="2"/>`,
+    `<text x="${NODE_PADDING}" y="${NODE_PADDING + 19}" font-size="18">${escapeXml(blockType.icon)}</text>`,
+    `<text x="${NODE_PADDING + 30}" y="${NODE_PADDING + 18}" font-family="${FONT_SANS}" font-size="14" font-weight="600" fill="${TEXT_COLOR}">${escapeXml(node.data.title)}</text>`,
+  ];
+
+  for (const row of layout.rows) {
+    parts.push(
+      `<rect x="${NODE_PADDING}" y="${row.y}" width="${layout.width - NODE_PADDING * 2}" height="${row.height}" rx="4" fill="#000000" fill-opacity="0.2"/>`
+    );
+    row.lines.forEach((line, index) => {
+      parts.push(
+        `<text x="${NODE_PADDING + 8}" y="${row.y + 15 + index * 14}" font-family="${FONT_MONO}" font-size="12" fill="${TEXT_COLOR}" fill-opacity="0.9">${escapeXml(line)}</text>`
+      );
+    });
+  }
+
+  if (layout.annotationY !== null) {
+    const lineY = layout.annotationY - 8;
+    parts.push(
+      `<line x1="${NODE_PADDING}" y1="${lineY}" x2="${layout.width - NODE_PADDING}" y2="${lineY}" stroke="${TEXT_COLOR}" stroke-opacity="0.2"/>`
+    );
+    layout.annotation.forEach((line, index) => {
+      parts.push(
+        `<text x="${NODE_PADDING}" y="${layout.annotationY + 12 + index * ANNOTATION_LINE_HEIGHT}" font-family="${FONT_SANS}" font-size="12" font-style="italic" fill="${MUTED_TEXT_COLOR}">${escapeXml(line)}</text>`
+      );
+    });
+  }
+
+  parts.push("</g>");
+  return parts.join("");
+}
+
+function renderEdge(edge, boxes) {
+  const source = boxes.get(edge.source);
+  const target = boxes.get(edge.target);
+  if (!source || !target) return "";
+
+  const color = edge.style?.stroke || DEFAULT_EDGE_COLOR;
+  const sourcePosition = source.sourcePosition || Position.Right;
+  const targetPosition = target.targetPosition || Position.Left;
+  const sourcePoint = handlePoint(source, sourcePosition);
+  const targetPoint = handlePoint(target, targetPosition);
+  const [path, labelX, labelY] = getSmoothStepPath({
+    sourceX: sourcePoint.x,
+    sourceY: sourcePoint.y,
+    sourcePosition,
+    targetX: targetPoint.x,
+    targetY: targetPoint.y,
+    targetPosition,
+  });
+  const dash = edge.style?.strokeDasharray ? ` stroke-dasharray="${edge.style.strokeDasharray}"` : "";
+  const parts = [
+    `<path d="${path}" fill="none" stroke="${color}" stroke-width="${edge.style?.strokeWidth || 2}"${dash} marker-end="url(#arrow-${markerId(color)})"/>`,
+  ];
+
+  if (typeof edge.label === "string" && edge.label) {
+    const labelWidth = edge.label.length * SANS_CHAR_WIDTH + 12;
+    parts.push(
+      `<rect x="${labelX - labelWidth / 2}" y="${labelY - 10}" width="${labelWidth}" height="20" rx="2" fill="#ffffff"/>`,
+      `<text x="${labelX}" y="${labelY + 4}" text-anchor="middle" font-family="${FONT_SANS}" font-size="10" fill="#222222">${escapeXml(edge.label)}</text>`
+    );
+  }
+  return parts.join("");
+}
+
+// Centre of the block side a handle sits on
+function handlePoint(box, position) {
+  switch (position) {
+    case Position.Top:
+      return { x: box.x + box.width / 2, y: box.y };
+    case Position.Bottom:
+      return { x: box.x + box.width / 2, y: box.y + box.height };
+    case Position.Left:
+      return { x: box.x, y: box.y + box.height / 2 };
+    default:
+      return { x: box.x + box.width, y: box.y + box.height / 2 };
+  }
+}
+
+function markerId(color) {
+  return color.replace(/[^a-zA-Z0-9]/g, "");
+}
+
+/**
+ * Render nodes and edges as a standalone SVG document string
+ * area "diagram" fits every block; area "viewport" reproduces the visible
+ * canvas region and needs the React Flow viewport and the canvas size
+ */
+export function diagramToSvg(
+  nodes,
+  edges,
+  { area = "diagram", viewport, width, height, background = "dark", padding = 40 } = {}
+) {
+  const boxes = new Map();
+  const renderedNodes = nodes.map((node) => {
+    const layout = layoutNode(node);
+    const { x, y } = node.positionAbsolute || node.position;
+    boxes.set(node.id, {
+      x,
+      y,
+      width: layout.width,
+      height: layout.height,
+      sourcePosition: node.sourcePosition,
+      targetPosition: node.targetPosition,
+    });
+    return renderNode(node, layout);
+  });
+
+  let viewBox;
+  let outWidth;
+  let outHeight;
+  if (area === "viewport" && viewport && width && height) {
+    viewBox = [-viewport.x / viewport.zoom, -viewport.y / viewport.zoom, width / viewport.zoom, height / viewport.zoom];
+    outWidth = width;
+    outHeight = height;
+  } else {
+    const all = [...boxes.values()];
+    const minX = all.length ? Math.min(...all.map((b) => b.x)) : 0;
+    const minY = all.length ? Math.min(...all.map((b) => b.y)) : 0;
+    const maxX = all.length ? Math.max(...all.map((b) => b.x + b.width)) : 0;
+    const maxY = all.length ? Math.max(...all.map((b) => b.y + b.height)) : 0;
+    viewBox = [minX - padding, minY - padding, maxX - minX + padding * 2, maxY - minY + padding * 2];
+    outWidth = viewBox[2];
+    outHeight = viewBox[3];
+  }
+
+  const colors = new Set(edges.map((edge) => edge.style?.stroke || DEFAULT_EDGE_COLOR));
+  const markers = [...colors].map(
+    (color) =>
+      `<marker id="arrow-${markerId(color)}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  );
+  const fill = IMAGE_BACKGROUNDS[background];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(outWidth)}" height="${Math.round(outHeight)}" viewBox="${viewBox.join(" ")}">`,
+    `<defs>${markers.join("")}</defs>`,
+    fill ? `<rect x="${viewBox[0]}" y="${viewBox[1]}" width="${viewBox[2]}" height="${viewBox[3]}" fill="${fill}"/>` : "",
+    ...edges.map((edge) => renderEdge(edge, boxes)),
+    ...renderedNodes,
+    "</svg>",
+  ].join("");
+}
+
+// Draw an SVG string onto a canvas scaled by the resolution multiplier
+function svgToPngBlob(svg, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode PNG"))),
+        "image/png"
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render diagram image"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Export the diagram as an SVG or PNG download
+ * Options are passed to diagramToSvg, plus format ("svg" | "png") and scale for PNG
+ */
+export async function exportDiagramAsImage(nodes, edges, { format = "svg", scale = 2, ...options } = {}) {
+  const svg = diagramToSvg(nodes, edges, options);
+  const filename = `block-diagram-${Date.now()}.${format}`;
+
+  if (format === "png") {
+    downloadBlob(await svgToPngBlob(svg, scale), filename);
+  } else {
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), filename);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Layered (hierarchical) auto-layout for block diagrams
+ * Places blocks in layers that follow the connection graph, orders each layer
+ * to reduce edge crossings, and spaces blocks by their measured size
+ */
+
+import { Position } from "reactflow";
+import { getBlockTypes } from "@/lib/blockTypes";
+
+// Supported flow directions: left-to-right or top-to-bottom
+export const LAYOUT_DIRECTIONS = {
+  LR: "LR",
+  TB: "TB",
+};
+
+
+// Size estimate for blocks that React Flow has not measured yet
+const DEFAULT_WIDTH = 260;
+const HEADER_HEIGHT = 76;
+const COMPONENT_ROW_HEIGHT = 28;
+const ANNOTATION_HEIGHT = 48;
+
+const ORDERING_SWEEPS = 4;
+
+/**
+ * Estimate the rendered size of a BlockNode from its data
+ */
+export function estimateNodeSize(data) {
+  const components = data?.components?.length ?? 0;
+  return {
+    width: DEFAULT_WIDTH,
+    height: HEADER_HEIGHT + components * COMPONENT_ROW_HEIGHT + (data?.annotation ? ANNOTATION_HEIGHT : 0),
+  };
+}
+
+function nodeSize(node) {
+  const estimate = estimateNodeSize(node.data);
+  return {
+    width: node.width || estimate.width,
+    height: node.height || estimate.height,
+  };
+}
+
+// Drop edges that close a cycle so the remaining graph can be layered
+function acyclicEdges(ids, edges) {
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => {
+    if (edge.source !== edge.target && outgoing.has(edge.source) && outgoing.has(edge.target)) {
+      outgoing.get(edge.source).push(edge);
+    }
+  });
+
+  const state = new Map();
+  const kept = [];
+  const visit = (id) => {
+    state.set(id, "active");
+    for (const edge of outgoing.get(id)) {
+      const next = state.get(edge.target);
+      if (next === "active") continue;
+      kept.push(edge);
+      if (!next) visit(edge.target);
+    }
+    state.set(id, "done");
+  };
+  ids.forEach((id) => !state.has(id) && visit(id));
+  return kept;
+}
+
+// Longest-path layering: every block sits one layer after its deepest predecessor
+function assignLayers(ids, edges) {
+  const incoming = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => incoming.get(edge.target).push(edge.source));
+
+  const layers = new Map();
+  const layerOf = (id) => {
+    if (layers.has(id)) return layers.get(id);
+    layers.set(id, 0);
+    const layer = Math.max(-1, ...incoming.get(id).map(layerOf)) + 1;
+    layers.set(id, layer);
+    return layer;
+  };
+  ids.forEach(layerOf);
+  return layers;
+}
+
+// Barycenter heuristic: sort each layer by the mean position of its neighbours
+function orderLayers(layerLists, edges) {
+  const neighbours = (id, forward) =>
+    edges.filter((e) => (forward ? e.target === id : e.source === id)).map((e) => (forward ? e.source : e.target));
+
+  for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+    const forward = sweep % 2 === 0;
+    const indices = layerLists.map((_, i) => i);
+    if (!forward) indices.reverse();
+
+    for (const layerIndex of indices.slice(1)) {
+      const reference = layerLists[forward ? layerIndex - 1 : layerIndex + 1];
+      const position = new Map(reference.map((id, i) => [id, i]));
+      const current = layerLists[layerIndex];
+      const barycenter = new Map(
+        current.map((id, i) => {
+          const ranks = neighbours(id, forward).filter((n) => position.has(n)).map((n) => position.get(n));
+          return [id, ranks.length ? ranks.reduce((a, b) => a + b, 0) / ranks.length : i];
+        })
+      );
+      current.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    }
+  }
+  return layerLists;
+}
+
+/**
+ * Lay out React Flow nodes along the connection graph
+ * Returns new nodes with positions and handle sides set for the direction
+ */
+export function layoutNodes(nodes, edges, { direction = LAYOUT_DIRECTIONS.LR, nodeGap = 40, layerGap = 120 } = {}) {
+  if (nodes.length === 0) return nodes;
+
+  const horizontal = direction === LAYOUT_DIRECTIONS.LR;
+  const ids = nodes.map((node) => node.id);
+  const byId = new Map(nodes.map((node, index) => [node.id, { node, index, size: nodeSize(node) }]));
+  const dagEdges = acyclicEdges(ids, edges);
+  const layers = assignLayers(ids, dagEdges);
+
+  // Seed each layer in block-type order so unconnected diagrams still look familiar
+  const layerLists = [];
+  ids.forEach((id) => {
+    const layer = layers.get(id);
+    if (!layerLists[layer]) layerLists[layer] = [];
+    layerLists[layer].push(id);
+  });
+  const typeOrder = getBlockTypes().map((type) => type.id);
+  const typeRank = (id) => {
+    const rank = typeOrder.indexOf(byId.get(id).node.data?.type);
+    return rank === -1 ? typeOrder.length : rank;
+  };
+  layerLists.forEach((list) => list.sort((a, b) => typeRank(a) - typeRank(b) || byId.get(a).index - byId.get(b).index));
+  orderLayers(layerLists, dagEdges);
+
+  // Main axis follows the layers; cross axis stacks blocks within a layer, centred
+  const along = (size) => (horizontal ? size.width : size.height);
+  const across = (size) => (horizontal ? size.height : size.width);
+  const layerExtents = layerLists.map((list) => Math.max(...list.map((id) => along(byId.get(id).size))));
+  const layerSpans = layerLists.map(
+    (list) => list.reduce((sum, id) => sum + across(byId.get(id).size), 0) + nodeGap * (list.length - 1)
+  );
+  const widestSpan = Math.max(...layerSpans);
+
+  const positions = new Map();
+  let mainOffset = 0;
+  layerLists.forEach((list, layerIndex) => {
+    let crossOffset = (widestSpan - layerSpans[layerIndex]) / 2;
+    list.forEach((id) => {
+      const size = byId.get(id).size;
+      const main = mainOffset + (layerExtents[layerIndex] - along(size)) / 2;
+      positions.set(id, horizontal ? { x: main, y: crossOffset } : { x: crossOffset, y: main });
+      crossOffset += across(size) + nodeGap;
+    });
+    mainOffset += layerExtents[layerIndex] + layerGap;
+  });
+
+  return nodes.map((node) => ({
+    ...node,
+    position: positions.get(node.id),
+    sourcePosition: horizontal ? Position.Right : Position.Bottom,
+    targetPosition: horizontal ? Position.Left : Position.Top,
+  }));
+}
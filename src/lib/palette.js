@@ -0,0 +1,43 @@
+/**
+ * Block palette: drag payload and node creation for blocks dropped on the canvas
+ * The palette itself lists the entries of the block type registry
+ */
+
+import { Position } from "reactflow";
+import { LAYOUT_DIRECTIONS, estimateNodeSize } from "@/lib/layout";
+
+// MIME type used to carry a palette entry through drag-and-drop
+export const PALETTE_DRAG_TYPE = "application/x-block-template";
+
+/**
+ * Node id of the form "<type>-<n>" that no existing node uses
+ */
+export function uniqueNodeId(type, nodes) {
+  const taken = new Set(nodes.map((node) => node.id));
+  let n = 1;
+  while (taken.has(`${type}-${n}`)) n++;
+  return `${type}-${n}`;
+}
+
+/**
+ * Create a block node from a palette entry ({ type, label, components }), centred on a flow position
+ */
+export function createBlockNode(template, position, nodes, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const data = {
+    type: template.type,
+    title: template.label,
+    components: (template.components || []).map((name) => ({ name, quantity: 1 })),
+  };
+  const size = estimateNodeSize(data);
+  const horizontal = direction === LAYOUT_DIRECTIONS.LR;
+
+  return {
+    id: uniqueNodeId(template.type, nodes),
+    type: "block",
+    position: { x: position.x - size.width / 2, y: position.y - size.height / 2 },
+    sourcePosition: horizontal ? Position.Right : Position.Bottom,
+    targetPosition: horizontal ? Position.Left : Position.Top,
+    data,
+    draggable: true,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Structured component entries on blocks
+ * A component is { name, partNumber, manufacturer, quantity, package, unitCost, datasheet }
+ * plus optional electrical figures used by the power budget; plain strings from
+ * the AI and from older diagrams are read as name-only entries
+ */
+
+import { removeEmpty } from "@/lib/ports";
+
+// Editable fields besides the name, in display order
+export const PART_FIELDS = [
+  { key: "partNumber", label: "Part number", placeholder: "e.g. AP2112K-3.3" },
+  { key: "manufacturer", label: "Manufacturer", placeholder: "e.g. Diodes Inc." },
+  { key: "quantity", label: "Qty", type: "number" },
+  { key: "package", label: "Package", placeholder: "e.g. SOT-23-5" },
+  { key: "unitCost", label: "Unit cost", type: "number" },
+  { key: "datasheet", label: "Datasheet", placeholder: "https://…" },
+];
+
+// Electrical figures per unit; currents in mA, capacity in mAh
+export const ELECTRICAL_FIELDS = [
+  { key: "supplyVoltage", label: "Supply (V)" },
+  { key: "typicalCurrent", label: "Typical (mA)" },
+  { key: "peakCurrent", label: "Peak (mA)" },
+  { key: "sleepCurrent", label: "Sleep (mA)" },
+  { key: "outputVoltage", label: "Reg. out (V)", hint: "Regulators: output voltage" },
+  { key: "maxCurrent", label: "Reg. max (mA)", hint: "Regulators: rated output current" },
+  { key: "capacity", label: "Capacity (mAh)", hint: "Batteries" },
+];
+
+/**
+ * Read a component as a structured entry with a quantity
+ */
+export function normalizeComponent(component) {
+  if (typeof component === "string") {
+    return { name: component, quantity: 1 };
+  }
+  return { ...component, quantity: component.quantity ?? 1 };
+}
+
+/**
+ * Display name of a component, whether stored as a string or an entry
+ */
+export function componentName(component) {
+  return typeof component === "string" ? component : component.name;
+}
+
+/**
+ * Datasheet link of a component, only when it is an http(s) URL safe to open
+ */
+export function datasheetUrl(component) {
+  const url = typeof component === "string" ? undefined : component.datasheet;
+  return url && /^https?:\/\//i.test(url) ? url : undefined;
+}
+
+/**
+ * Tidy a component entry from the editor: trim text, drop blanks, parse numbers
+ */
+export function cleanComponent(component) {
+  const text = (value) => (typeof value === "string" ? value.trim() : value);
+  const number = (value) => {
+    const parsed = typeof value === "number" ? value : parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  };
+
+  const electrical = Object.fromEntries(
+    ELECTRICAL_FIELDS.map(({ key }) => [key, number(component[key])])
+  );
+
+  return removeEmpty({
+    name: text(component.name),
+    partNumber: text(component.partNumber),
+    manufacturer: text(component.manufacturer),
+    quantity: Math.max(1, Math.round(number(component.quantity) ?? 1)),
+    package: text(component.package),
+    unitCost: number(component.unitCost),
+    datasheet: text(component.datasheet),
+    ...electrical,
+  });
+}
+
+/**
+ * Validate one component (string or entry); returns an error message or null
+ */
+export function validateComponent(component) {
+  if (typeof component === "string") return null;
+  if (!component || typeof component !== "object" || typeof component.name !== "string") {
+    return "every component needs a name";
+  }
+
+  const label = `component "${component.name}"`;
+  if (component.quantity !== undefined && !(Number.isInteger(component.quantity) && component.quantity > 0)) {
+    return `${label} must have a positive whole quantity`;
+  }
+  if (component.unitCost !== undefined && !(typeof component.unitCost === "number" && component.unitCost >= 0)) {
+    return `${label} has an invalid unit cost`;
+  }
+  for (const { key, label: field } of ELECTRICAL_FIELDS) {
+    const value = component[key];
+    if (value !== undefined && !(typeof value === "number" && Number.isFinite(value) && value >= 0)) {
+      return `${label} has an invalid ${field.toLowerCase()} value`;
+    }
+  }
+  for (const key of ["partNumber", "manufacturer", "package", "datasheet"]) {
+    if (component[key] !== undefined && typeof component[key] !== "string") {
+      return `${label} has a non-text ${key}`;
+    }
+  }
+  if (component.datasheet && !datasheetUrl(component)) {
+    return `${label} has a datasheet link that is not http(s)`;
+  }
+  return null;
+}
@@ -0,0 +1,177 @@
+/**
+ * Typed ports on blocks and signal metadata on connections
+ * Defines the port vocabulary, default ports per block type, and the
+ * compatibility checks run when two ports are connected
+ */
+
+// Kind of signal a port carries; also used as a connection's signal type
+export const SIGNAL_TYPES = ["power", "ground", "data", "control", "analog"];
+
+export const PORT_DIRECTIONS = ["in", "out", "bidir"];
+
+// Common protocols offered as suggestions in the editors
+export const PROTOCOLS = ["I2C", "SPI", "UART", "USB", "CAN", "I2S", "SDIO", "GPIO", "PWM"];
+
+// Starting ports for each block type, used by "Add default ports"
+const defaultPortsByType = {
+  power: [
+    { name: "VIN", kind: "power", direction: "in", voltage: 5 },
+    { name: "VOUT", kind: "power", direction: "out", voltage: 3.3 },
+    { name: "GND", kind: "ground", direction: "bidir" },
+  ],
+  inputs: [
+    { name: "VCC", kind: "power", direction: "in", voltage: 3.3 },
+    { name: "GND", kind: "ground", direction: "bidir" },
+    { name: "SDA/SCL", kind: "data", direction: "bidir", protocol: "I2C", voltage: 3.3, busWidth: 2 },
+    { name: "INT", kind: "control", direction: "out", protocol: "GPIO", voltage: 3.3 },
+  ],
+  processing: [
+    { name: "VCC", kind: "power", direction: "in", voltage: 3.3 },
+    { name: "GND", kind: "ground", direction: "bidir" },
+    { name: "SDA/SCL", kind: "data", direction: "bidir", protocol: "I2C", voltage: 3.3, busWidth: 2 },
+    { name: "SPI", kind: "data", direction: "out", protocol: "SPI", voltage: 3.3, busWidth: 4 },
+    { name: "UART TX", kind: "data", direction: "out", protocol: "UART", voltage: 3.3 },
+    { name: "UART RX", kind: "data", direction: "in", protocol: "UART", voltage: 3.3 },
+    { name: "GPIO", kind: "control", direction: "out", protocol: "GPIO", voltage: 3.3 },
+  ],
+  outputs: [
+    { name: "VCC", kind: "power", direction: "in", voltage: 5 },
+    { name: "GND", kind: "ground", direction: "bidir" },
+    { name: "CTRL", kind: "control", direction: "in", protocol: "GPIO", voltage: 5 },
+  ],
+  peripherals: [
+    { name: "VCC", kind: "power", direction: "in", voltage: 3.3 },
+    { name: "GND", kind: "ground", direction: "bidir" },
+    { name: "UART RX", kind: "data", direction: "in", protocol: "UART", voltage: 3.3 },
+    { name: "UART TX", kind: "data", direction: "out", protocol: "UART", voltage: 3.3 },
+  ],
+};
+
+/**
+ * Make a port id from its name that is unique among existing ports
+ */
+export function createPortId(name, existingPorts = []) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "port";
+  const taken = new Set(existingPorts.map((port) => port.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Default ports for a block type, with ids assigned
+ */
+export function defaultPorts(type) {
+  const ports = [];
+  (defaultPortsByType[type] || []).forEach((port) => {
+    ports.push({ ...port, id: createPortId(port.name, ports) });
+  });
+  return ports;
+}
+
+/**
+ * Look up a port on a node by React Flow handle id
+ */
+export function findPort(node, handleId) {
+  if (!node || !handleId) return undefined;
+  return node.data.ports?.find((port) => port.id === handleId);
+}
+
+// Format a voltage for messages, e.g. 3.3 -> "3.3V"
+const volts = (value) => `${value}V`;
+
+/**
+ * Check whether two ports can be connected
+ * Returns human-readable warnings; an empty list means the link looks fine
+ */
+export function checkPortCompatibility(sourcePort, targetPort) {
+  if (!sourcePort || !targetPort) return [];
+  const warnings = [];
+  const link = `${sourcePort.name} → ${targetPort.name}`;
+
+  if (sourcePort.direction === "in" && targetPort.direction === "in") {
+    warnings.push(`${link}: connects two inputs.`);
+  }
+  if (sourcePort.direction === "out" && targetPort.direction === "out") {
+    warnings.push(`${link}: connects two outputs.`);
+  }
+
+  const isSupply = (port) => port.kind === "power" || port.kind === "ground";
+  if (sourcePort.kind !== targetPort.kind && (isSupply(sourcePort) || isSupply(targetPort))) {
+    warnings.push(`${link}: ${sourcePort.kind} port wired to ${targetPort.kind} port.`);
+  }
+
+  if (sourcePort.protocol && targetPort.protocol && sourcePort.protocol !== targetPort.protocol) {
+    warnings.push(`${link}: ${sourcePort.protocol} connected to ${targetPort.protocol}.`);
+  }
+
+  const { voltage: from } = sourcePort;
+  const { voltage: to } = targetPort;
+  if (from !== undefined && to !== undefined && from !== to) {
+    if (from > to && !(targetPort.maxVoltage >= from)) {
+      warnings.push(`${link}: ${volts(from)} output exceeds the ${volts(to)} input rating.`);
+    } else if (from < to) {
+      warnings.push(`${link}: ${volts(from)} output may not drive a ${volts(to)}-only input.`);
+    }
+  }
+
+  if (sourcePort.busWidth && targetPort.busWidth && sourcePort.busWidth !== targetPort.busWidth) {
+    warnings.push(`${link}: bus width ${sourcePort.busWidth} vs ${targetPort.busWidth}.`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Signal metadata for a new connection, inferred from the ports it joins
+ */
+export function connectionMetadata(sourcePort, targetPort) {
+  const port = sourcePort || targetPort;
+  if (!port) return {};
+
+  return removeEmpty({
+    signalType: port.kind,
+    protocol: sourcePort?.protocol ?? targetPort?.protocol,
+    voltage: sourcePort?.voltage ?? targetPort?.voltage,
+    busWidth: sourcePort?.busWidth ?? targetPort?.busWidth,
+  });
+}
+
+/**
+ * Drop undefined, null and empty-string fields from a metadata object
+ */
+export function removeEmpty(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== "")
+  );
+}
+
+/**
+ * Validate a block's port list; returns an error message or null
+ */
+export function validatePorts(ports) {
+  if (ports === undefined) return null;
+  if (!Array.isArray(ports)) return "ports must be a list";
+
+  const ids = new Set();
+  for (const port of ports) {
+    if (!port || typeof port.id !== "string" || !port.id || typeof port.name !== "string") {
+      return "every port needs an id and a name";
+    }
+    if (ids.has(port.id)) return `duplicate port id "${port.id}"`;
+    ids.add(port.id);
+    if (!PORT_DIRECTIONS.includes(port.direction)) {
+      return `port "${port.name}" has an invalid direction`;
+    }
+    if (port.kind !== undefined && !SIGNAL_TYPES.includes(port.kind)) {
+      return `port "${port.name}" has an invalid kind`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,195 @@
+/**
+ * Power budget for a diagram
+ * Follows power connections out of the power blocks to find each supply rail,
+ * sums the current drawn by the components on it, checks regulator limits and
+ * estimates battery life
+ */
+
+import { findPort } from "@/lib/ports";
+import { normalizeComponent, componentName } from "@/lib/parts";
+
+// Share of a regulator's rating above which the rail is reported as near its limit
+export const REGULATOR_HEADROOM = 0.8;
+
+// Voltage written in a connection label, e.g. "VCC 3.3V" or "5 V"
+function labelVoltage(label) {
+  const match = typeof label === "string" && label.match(/(\d+(?:\.\d+)?)\s*V\b/i);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+// Round a current or duration for display
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Whether a connection carries power: typed as power, or untyped and leaving a power block
+ */
+export function isPowerEdge(edge, nodesById) {
+  const signalType = edge.data?.signalType;
+  if (signalType) return signalType === "power";
+  return nodesById.get(edge.source)?.data.type === "power";
+}
+
+// Components of a block as structured entries
+const componentsOf = (node) => (node.data.components || []).map(normalizeComponent);
+
+// Current of one component line in mA (per-unit figure times quantity)
+const draw = (component, field) => (component[field] ?? 0) * component.quantity;
+
+const hasCurrent = (component) =>
+  component.typicalCurrent !== undefined || component.peakCurrent !== undefined;
+
+/**
+ * Analyse supply rails, loads and battery life
+ * batteryCapacity is in mAh (defaults to the capacity of batteries in power blocks);
+ * activeRatio is the share of time spent awake, the rest at sleep current
+ */
+export function analyzePower(nodes, edges, { batteryCapacity, activeRatio = 1 } = {}) {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const powerEdges = edges.filter((edge) => isPowerEdge(edge, nodesById));
+  const warnings = [];
+
+  // One rail per power-block output (port, or voltage when no port is used)
+  const rails = new Map();
+  powerEdges.forEach((edge) => {
+    const source = nodesById.get(edge.source);
+    if (source?.data.type !== "power") return;
+
+    const regulators = componentsOf(source).filter((c) => c.outputVoltage !== undefined);
+    let voltage =
+      edge.data?.voltage ?? findPort(source, edge.sourceHandle)?.voltage ?? labelVoltage(edge.label);
+    if (voltage === undefined && regulators.length === 1) {
+      voltage = regulators[0].outputVoltage;
+    }
+
+    const key = `${source.id}|${edge.sourceHandle ?? voltage ?? ""}`;
+    if (!rails.has(key)) {
+      const regulator = regulators.find((c) => c.outputVoltage === voltage);
+      const port = findPort(source, edge.sourceHandle);
+      rails.set(key, {
+        id: key,
+        name: [source.data.title, port?.name, voltage !== undefined && `${voltage}V`].filter(Boolean).join(" · "),
+        sourceId: source.id,
+        voltage,
+        regulator: regulator && componentName(regulator),
+        maxCurrent: regulator?.maxCurrent,
+        targets: [],
+      });
+    }
+    rails.get(key).targets.push(edge.target);
+  });
+
+  // Loads fed by each rail, following power connections downstream
+  const feeds = new Map();
+  rails.forEach((rail) => {
+    const queue = [...rail.targets];
+    const seen = new Set();
+    while (queue.length) {
+      const id = queue.shift();
+      const node = nodesById.get(id);
+      if (seen.has(id) || !node || node.data.type === "power") continue;
+      seen.add(id);
+      if (!feeds.has(id)) feeds.set(id, []);
+      feeds.get(id).push(rail);
+      powerEdges.filter((edge) => edge.source === id).forEach((edge) => queue.push(edge.target));
+    }
+  });
+
+  const railResults = new Map(
+    [...rails.values()].map((rail) => [rail.id, { ...rail, loads: [], typical: 0, peak: 0, sleep: 0 }])
+  );
+
+  // Put each component on the rail matching its supply voltage, else the first rail feeding it
+  feeds.forEach((feedingRails, nodeId) => {
+    const node = nodesById.get(nodeId);
+    componentsOf(node).forEach((component) => {
+      const rail =
+        feedingRails.find((r) => r.voltage !== undefined && r.voltage === component.supplyVoltage) ??
+        feedingRails[0];
+      const result = railResults.get(rail.id);
+      const name = `${node.data.title}: ${component.name}`;
+
+      if (
+        component.supplyVoltage !== undefined &&
+        rail.voltage !== undefined &&
+        component.supplyVoltage !== rail.voltage
+      ) {
+        warnings.push(`${name} needs ${component.supplyVoltage}V but is fed from ${rail.name}.`);
+      }
+
+      result.loads.push({
+        nodeId,
+        name,
+        typical: draw(component, "typicalCurrent"),
+        peak: draw(component, "peakCurrent") || draw(component, "typicalCurrent"),
+        sleep: draw(component, "sleepCurrent"),
+        specified: hasCurrent(component),
+      });
+    });
+  });
+
+  const railList = [...railResults.values()].map(({ targets, ...rail }) => {
+    const sum = (field) => rail.loads.reduce((total, load) => total + load[field], 0);
+    const result = { ...rail, typical: sum("typical"), peak: sum("peak"), sleep: sum("sleep") };
+
+    if (rail.maxCurrent !== undefined) {
+      if (result.peak > rail.maxCurrent) {
+        result.status = "overloaded";
+        warnings.push(
+          `${rail.regulator} on ${rail.name} is overloaded: ${round(result.peak)} mA peak vs ${rail.maxCurrent} mA rating.`
+        );
+      } else if (result.peak > rail.maxCurrent * REGULATOR_HEADROOM) {
+        result.status = "near-limit";
+        warnings.push(`${rail.regulator} on ${rail.name} runs above ${REGULATOR_HEADROOM * 100}% of its rating.`);
+      } else {
+        result.status = "ok";
+      }
+    }
+    return result;
+  });
+
+  if (!nodes.some((node) => node.data.type === "power")) {
+    warnings.push("The diagram has no power block.");
+  } else if (railList.length === 0) {
+    warnings.push("No power connections leave the power block.");
+  }
+  const unpowered = nodes.filter((node) => node.data.type !== "power" && !feeds.has(node.id));
+  if (railList.length && unpowered.length) {
+    warnings.push(`Not on any rail: ${unpowered.map((node) => node.data.title).join(", ")}.`);
+  }
+
+  // Battery current assumes linear regulators, so input current equals load current
+  const totals = {
+    typical: railList.reduce((total, rail) => total + rail.typical, 0),
+    peak: railList.reduce((total, rail) => total + rail.peak, 0),
+    sleep: railList.reduce((total, rail) => total + rail.sleep, 0),
+    unspecified: railList.reduce((count, rail) => count + rail.loads.filter((load) => !load.specified).length, 0),
+  };
+  totals.average = totals.typical * activeRatio + totals.sleep * (1 - activeRatio);
+
+  const capacity =
+    batteryCapacity ??
+    nodes
+      .filter((node) => node.data.type === "power")
+      .flatMap(componentsOf)
+      .reduce((total, component) => total + draw(component, "capacity"), 0);
+
+  return {
+    rails: railList,
+    totals,
+    batteryCapacity: capacity || undefined,
+    batteryLifeHours: capacity && totals.average > 0 ? capacity / totals.average : undefined,
+    warnings,
+  };
+}
+
+/**
+ * Format a duration in hours as hours, days or months for display
+ */
+export function formatBatteryLife(hours) {
+  if (hours === undefined) return "–";
+  if (hours < 48) return `${round(hours)} h`;
+  if (hours < 24 * 60) return `${round(hours / 24)} days`;
+  return `${round(hours / (24 * 30))} months`;
+}
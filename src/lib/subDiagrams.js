@@ -0,0 +1,218 @@
+/**
+ * Hierarchical sub-diagrams
+ * A block can own a child diagram, stored as { nodes, edges } in its data.subDiagram.
+ * Each port of the parent block appears in the child as a boundary node, so
+ * connections inside the child can continue the signals wired to the block outside.
+ */
+
+import { Position } from "reactflow";
+import { LAYOUT_DIRECTIONS, estimateNodeSize } from "@/lib/layout";
+
+// Boundary node ids are the parent's port id behind this prefix, e.g. "port:vin"
+export const BOUNDARY_PREFIX = "port:";
+
+// Stand-in ports for blocks that only have the single default in/out handle pair
+const DEFAULT_BOUNDARY_PORTS = [
+  { id: "in", name: "In", direction: "in" },
+  { id: "out", name: "Out", direction: "out" },
+];
+
+const EMPTY_SUB_DIAGRAM = { nodes: [], edges: [] };
+
+// Spacing for boundary nodes placed around the child's blocks
+const BOUNDARY_GAP = 160;
+const BOUNDARY_SPACING = 70;
+const BOUNDARY_WIDTH = 140;
+
+export function boundaryNodeId(portId) {
+  return `${BOUNDARY_PREFIX}${portId}`;
+}
+
+export function isBoundaryNode(node) {
+  return node.type === "boundary";
+}
+
+/**
+ * Ports of a block as seen from inside its sub-diagram
+ */
+export function boundaryPorts(blockData) {
+  return blockData.ports?.length ? blockData.ports : DEFAULT_BOUNDARY_PORTS;
+}
+
+function boundaryData(port) {
+  return {
+    portId: port.id,
+    title: port.name,
+    direction: port.direction,
+    ...(port.kind && { kind: port.kind }),
+  };
+}
+
+function sameBoundaryData(a, b) {
+  return a.title === b.title && a.direction === b.direction && a.kind === b.kind;
+}
+
+// Inputs enter on the leading side of the child diagram, everything else leaves on the trailing side
+const isInbound = (port) => port.direction === "in";
+
+// Bounding box of the child's own blocks, or a default box for an empty child
+function blockBounds(nodes) {
+  const blocks = nodes.filter((node) => !isBoundaryNode(node));
+  if (!blocks.length) return { left: 0, top: 0, right: 520, bottom: 200 };
+  const size = (node) => ({
+    width: node.width || estimateNodeSize(node.data).width,
+    height: node.height || estimateNodeSize(node.data).height,
+  });
+  return {
+    left: Math.min(...blocks.map((node) => node.position.x)),
+    top: Math.min(...blocks.map((node) => node.position.y)),
+    right: Math.max(...blocks.map((node) => node.position.x + size(node).width)),
+    bottom: Math.max(...blocks.map((node) => node.position.y + size(node).height)),
+  };
+}
+
+/**
+ * Bring the boundary nodes of a sub-diagram in line with the parent's ports
+ * Boundary nodes for removed ports are dropped together with their edges;
+ * new ports get boundary nodes next to the existing ones on their side.
+ * Returns the sub-diagram unchanged when it already matches.
+ */
+export function syncBoundaryNodes(subDiagram, ports, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const wanted = new Map(ports.map((port) => [boundaryNodeId(port.id), port]));
+  const kept = subDiagram.nodes.filter((node) => !isBoundaryNode(node) || wanted.has(node.id));
+  const present = new Set(kept.map((node) => node.id));
+  const missing = ports.filter((port) => !present.has(boundaryNodeId(port.id)));
+
+  const unchanged =
+    kept.length === subDiagram.nodes.length &&
+    missing.length === 0 &&
+    kept.every((node) => !isBoundaryNode(node) || sameBoundaryData(node.data, boundaryData(wanted.get(node.id))));
+  if (unchanged) return subDiagram;
+
+  const nodes = kept.map((node) =>
+    isBoundaryNode(node) ? { ...node, data: boundaryData(wanted.get(node.id)) } : node
+  );
+
+  // Stack new boundary nodes after the ones already on the same side
+  const horizontal = direction === LAYOUT_DIRECTIONS.LR;
+  const bounds = blockBounds(nodes);
+  const sideCount = (inbound) => nodes.filter((node) => isBoundaryNode(node) && isInbound(node.data) === inbound).length;
+  const counts = { true: sideCount(true), false: sideCount(false) };
+  const added = missing.map((port) => {
+    const inbound = isInbound(port);
+    const slot = counts[inbound]++;
+    const position = horizontal
+      ? {
+          x: inbound ? bounds.left - BOUNDARY_GAP - BOUNDARY_WIDTH : bounds.right + BOUNDARY_GAP,
+          y: bounds.top + slot * BOUNDARY_SPACING,
+        }
+      : {
+          x: bounds.left + slot * (BOUNDARY_WIDTH + 20),
+          y: inbound ? bounds.top - BOUNDARY_GAP : bounds.bottom + BOUNDARY_GAP,
+        };
+    return {
+      id: boundaryNodeId(port.id),
+      type: "boundary",
+      position,
+      sourcePosition: horizontal ? Position.Right : Position.Bottom,
+      targetPosition: horizontal ? Position.Left : Position.Top,
+      data: boundaryData(port),
+      deletable: false,
+    };
+  });
+
+  const ids = new Set([...nodes, ...added].map((node) => node.id));
+  return {
+    nodes: [...nodes, ...added],
+    edges: subDiagram.edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target)),
+  };
+}
+
+/**
+ * Sub-diagram of a block, created with boundary nodes when it has none yet
+ */
+export function blockSubDiagram(blockData, options) {
+  return syncBoundaryNodes(blockData.subDiagram ?? EMPTY_SUB_DIAGRAM, boundaryPorts(blockData), options);
+}
+
+/**
+ * Number of blocks inside a block's sub-diagram, not counting boundary nodes
+ */
+export function subDiagramBlockCount(blockData) {
+  return blockData.subDiagram?.nodes.filter((node) => !isBoundaryNode(node)).length ?? 0;
+}
+
+// Follow a path of block ids from the top level; returns the blocks along it, or null
+function blocksAlong(nodes, path) {
+  const blocks = [];
+  let current = nodes;
+  for (const id of path) {
+    const block = current.find((node) => node.id === id && !isBoundaryNode(node));
+    if (!block) return null;
+    blocks.push(block);
+    current = block.data.subDiagram?.nodes ?? [];
+  }
+  return blocks;
+}
+
+/**
+ * Sub-diagram at a non-empty path of block ids; null when the path no longer exists
+ */
+export function getSubDiagram(nodes, path, options) {
+  const block = getBlockAt(nodes, path);
+  return block ? blockSubDiagram(block.data, options) : null;
+}
+
+/**
+ * Block at the end of a path of block ids, or undefined when the path no longer exists
+ */
+export function getBlockAt(nodes, path) {
+  return blocksAlong(nodes, path)?.at(-1);
+}
+
+/**
+ * Replace the sub-diagram at a path; update receives the current { nodes, edges }
+ * Returns new top-level nodes
+ */
+export function updateSubDiagram(nodes, path, update, options) {
+  const [id, ...rest] = path;
+  return nodes.map((node) => {
+    if (node.id !== id) return node;
+    const subDiagram = blockSubDiagram(node.data, options);
+    const next = rest.length
+      ? { ...subDiagram, nodes: updateSubDiagram(subDiagram.nodes, rest, update, options) }
+      : update(subDiagram);
+    return { ...node, data: { ...node.data, subDiagram: next } };
+  });
+}
+
+/**
+ * Longest leading part of a path that still exists, e.g. after an undo removed a block
+ */
+export function resolvePath(nodes, path) {
+  const resolved = [];
+  let current = nodes;
+  for (const id of path) {
+    const block = current.find((node) => node.id === id && !isBoundaryNode(node));
+    if (!block) break;
+    resolved.push(id);
+    current = block.data.subDiagram?.nodes ?? [];
+  }
+  return resolved;
+}
+
+/**
+ * Breadcrumb entries ({ id, title }) for the blocks along a path
+ */
+export function breadcrumbTrail(nodes, path) {
+  return (blocksAlong(nodes, path) ?? []).map((block) => ({ id: block.id, title: block.data.title }));
+}
+
+/**
+ * Every block at every level, for checks that span the whole hierarchy
+ */
+export function flattenBlocks(nodes) {
+  return nodes
+    .filter((node) => !isBoundaryNode(node))
+    .flatMap((node) => [node, ...flattenBlocks(node.data.subDiagram?.nodes ?? [])]);
+}
@@ -0,0 +1,231 @@
+/**
+ * Text exports of the diagram: Mermaid flowchart, Graphviz DOT and PlantUML
+ * These diff well in Markdown repos, unlike the JSON export or an image.
+ * Blocks become labelled nodes styled by block type, components are listed in
+ * the label, connection labels become edge labels and the signal type sets the line style.
+ */
+
+import { nodesToDiagram } from "@/lib/diagramUtils";
+import { getBlockType } from "@/lib/blockTypes";
+import { componentName } from "@/lib/parts";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+import { isBoundaryNode } from "@/lib/subDiagrams";
+
+export const TEXT_EXPORT_FORMATS = {
+  mermaid: { label: "Mermaid", extension: "mmd", fence: "mermaid" },
+  dot: { label: "Graphviz DOT", extension: "dot", fence: "dot" },
+  plantuml: { label: "PlantUML", extension: "puml", fence: "plantuml" },
+};
+
+/**
+ * Hex form of a CSS colour for formats without hsl() support; null when not understood
+ */
+export function colorToHex(color) {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+  const match = /^hsl\(\s*([\d.]+)[\s,]+([\d.]+)%[\s,]+([\d.]+)%\s*\)$/i.exec(color ?? "");
+  if (!match) return null;
+
+  const [h, s, l] = [Number(match[1]), Number(match[2]) / 100, Number(match[3]) / 100];
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Identifiers safe in all three formats, unique across blocks and boundary ports
+function identifiers(ids) {
+  const map = new Map();
+  const taken = new Set();
+  ids.forEach((id) => {
+    let base = id.replace(/[^A-Za-z0-9_]/g, "_");
+    if (!/^[A-Za-z_]/.test(base)) base = `n_${base}`;
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+    taken.add(name);
+    map.set(id, name);
+  });
+  return map;
+}
+
+// Blocks, boundary ports and connections of the canvas, with identifiers and type details
+function exportModel(nodes, edges) {
+  const diagram = nodesToDiagram(nodes, edges);
+  const ports = nodes
+    .filter(isBoundaryNode)
+    .map((node) => ({ id: node.id, title: node.data.title ?? node.id }));
+  const ids = identifiers([...diagram.blocks.map((block) => block.id), ...ports.map((port) => port.id)]);
+
+  // Types in order of first use, so the output stays stable while blocks are edited
+  const types = [...new Set(diagram.blocks.map((block) => block.type))].map((id) => {
+    const type = getBlockType(id);
+    return { ...type, id, className: id.replace(/[^A-Za-z0-9_]/g, "_"), hex: colorToHex(type.color) };
+  });
+
+  const connections = diagram.connections
+    .filter((connection) => ids.has(connection.source) && ids.has(connection.target))
+    .map((connection) => ({ ...connection, signalType: connection.signal?.signalType }));
+
+  return {
+    blocks: diagram.blocks.map((block) => ({ ...block, components: block.components.map(componentName) })),
+    ports,
+    connections,
+    types,
+    ids,
+  };
+}
+
+// Mermaid label text: quotes and angle brackets as entities so they cannot end the label
+function mermaidText(value) {
+  return String(value).replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
+
+const MERMAID_ARROWS = { power: "==>", control: "-.->" };
+
+/**
+ * Mermaid flowchart; block types become classes with their colour
+ */
+export function toMermaid(nodes, edges, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const { blocks, ports, connections, types, ids } = exportModel(nodes, edges);
+  const lines = [`flowchart ${direction === LAYOUT_DIRECTIONS.TB ? "TB" : "LR"}`];
+
+  blocks.forEach((block) => {
+    const label = [
+      `<b>${mermaidText(block.title)}</b>`,
+      ...block.components.map(mermaidText),
+      ...(block.annotation ? [`<i>${mermaidText(block.annotation)}</i>`] : []),
+    ].join("<br/>");
+    const type = types.find((t) => t.id === block.type);
+    lines.push(`  ${ids.get(block.id)}["${label}"]:::${type.className}`);
+  });
+  ports.forEach((port) => lines.push(`  ${ids.get(port.id)}(["${mermaidText(port.title)}"])`));
+
+  connections.forEach((connection) => {
+    const arrow = MERMAID_ARROWS[connection.signalType] ?? "-->";
+    const label = connection.label ? `|"${mermaidText(connection.label)}"|` : "";
+    lines.push(`  ${ids.get(connection.source)} ${arrow}${label} ${ids.get(connection.target)}`);
+  });
+
+  types.forEach((type) => {
+    if (type.hex) lines.push(`  classDef ${type.className} stroke:${type.hex},stroke-width:2px`);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+// DOT string contents
+function dotText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+const DOT_EDGE_STYLES = { power: "bold", control: "dashed", analog: "dotted" };
+
+/**
+ * Graphviz digraph; blocks of the same type are grouped in a labelled cluster
+ */
+export function toDot(nodes, edges, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const { blocks, ports, connections, types, ids } = exportModel(nodes, edges);
+  const lines = [
+    "digraph BlockDiagram {",
+    `  rankdir=${direction === LAYOUT_DIRECTIONS.TB ? "TB" : "LR"};`,
+    '  node [shape=box, style="rounded"];',
+  ];
+
+  types.forEach((type) => {
+    lines.push("", `  subgraph cluster_${type.className} {`, `    label="${dotText(type.label)}";`);
+    if (type.hex) lines.push(`    color="${type.hex}";`);
+    blocks
+      .filter((block) => block.type === type.id)
+      .forEach((block) => {
+        const label = [block.title, "", ...block.components, ...(block.annotation ? ["", block.annotation] : [])]
+          .map(dotText)
+          .join("\\n");
+        const color = type.hex ? `, color="${type.hex}"` : "";
+        lines.push(`    ${ids.get(block.id)} [label="${label}"${color}];`);
+      });
+    lines.push("  }");
+  });
+
+  if (ports.length) lines.push("");
+  ports.forEach((port) => lines.push(`  ${ids.get(port.id)} [label="${dotText(port.title)}", shape=oval];`));
+
+  if (connections.length) lines.push("");
+  connections.forEach((connection) => {
+    const attributes = [
+      ...(connection.label ? [`label="${dotText(connection.label)}"`] : []),
+      ...(DOT_EDGE_STYLES[connection.signalType] ? [`style=${DOT_EDGE_STYLES[connection.signalType]}`] : []),
+    ];
+    const suffix = attributes.length ? ` [${attributes.join(", ")}]` : "";
+    lines.push(`  ${ids.get(connection.source)} -> ${ids.get(connection.target)}${suffix};`);
+  });
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+// PlantUML has no escape for double quotes inside names, so they become single quotes
+function plantUmlText(value) {
+  return String(value).replace(/"/g, "'").replace(/\n/g, " ");
+}
+
+const PLANTUML_ARROWS = { power: "-[bold]->", control: "-[dashed]->", analog: "-[dotted]->" };
+
+/**
+ * PlantUML component diagram; blocks of the same type are grouped in a package
+ */
+export function toPlantUml(nodes, edges, { direction = LAYOUT_DIRECTIONS.LR } = {}) {
+  const { blocks, ports, connections, types, ids } = exportModel(nodes, edges);
+  const lines = [
+    "@startuml",
+    direction === LAYOUT_DIRECTIONS.TB ? "top to bottom direction" : "left to right direction",
+    "skinparam componentStyle rectangle",
+  ];
+
+  types.forEach((type) => {
+    lines.push("", `package "${plantUmlText(type.label)}" {`);
+    blocks
+      .filter((block) => block.type === type.id)
+      .forEach((block) => {
+        const label = [block.title, ...block.components.map((name) => `- ${name}`)].map(plantUmlText).join("\\n");
+        const color = type.hex ? ` ${type.hex}` : "";
+        lines.push(`  component "${label}" as ${ids.get(block.id)} <<${type.className}>>${color}`);
+      });
+    lines.push("}");
+  });
+
+  if (ports.length) lines.push("");
+  ports.forEach((port) => lines.push(`interface "${plantUmlText(port.title)}" as ${ids.get(port.id)}`));
+
+  const notes = blocks.filter((block) => block.annotation);
+  if (notes.length) lines.push("");
+  notes.forEach((block) => lines.push(`note right of ${ids.get(block.id)} : ${plantUmlText(block.annotation)}`));
+
+  if (connections.length) lines.push("");
+  connections.forEach((connection) => {
+    const arrow = PLANTUML_ARROWS[connection.signalType] ?? "-->";
+    const label = connection.label ? ` : ${plantUmlText(connection.label)}` : "";
+    lines.push(`${ids.get(connection.source)} ${arrow} ${ids.get(connection.target)}${label}`);
+  });
+
+  lines.push("@enduml");
+  return `${lines.join("\n")}\n`;
+}
+
+const EXPORTERS = { mermaid: toMermaid, dot: toDot, plantuml: toPlantUml };
+
+/**
+ * Canvas contents in one of the TEXT_EXPORT_FORMATS
+ */
+export function diagramToText(format, nodes, edges, options) {
+  return EXPORTERS[format](nodes, edges, options);
+}
+
+/**
+ * Text wrapped in a Markdown code fence for the format, ready to paste into a README
+ */
+export function toMarkdownFence(format, text) {
+  return `\`\`\`${TEXT_EXPORT_FORMATS[format].fence}\n${text}\`\`\`\n`;
+}
@@ -0,0 +1,635 @@
+/**
+ * Import of hand-written Mermaid flowcharts and Graphviz DOT graphs
+ * Both are parsed into the { blocks, connections } shape used by diagramToNodes,
+ * with a block type inferred from class names, subgraph titles, ids and labels.
+ * Nodes whose type cannot be inferred are reported so the user can pick one.
+ * Parse errors are thrown as Errors whose message starts with the line number.
+ */
+
+import { getBlockTypes } from "@/lib/blockTypes";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+
+// Type given to nodes the user did not map to anything else
+export const DEFAULT_IMPORT_TYPE = "peripherals";
+
+// Words in node names and labels that point at a built-in block type
+const TYPE_KEYWORDS = {
+  power: ["power", "battery", "regulator", "ldo", "buck", "boost", "pmic", "charger", "supply", "psu", "solar", "adapter", "vcc"],
+  inputs: ["input", "inputs", "sensor", "sensors", "button", "buttons", "switch", "microphone", "mic", "camera", "touch", "keypad", "encoder", "imu", "accelerometer", "gps"],
+  processing: ["processing", "processor", "mcu", "cpu", "microcontroller", "fpga", "soc", "controller", "control", "dsp", "memory", "ram", "flash"],
+  outputs: ["output", "outputs", "display", "lcd", "oled", "led", "leds", "speaker", "buzzer", "motor", "actuator", "relay", "screen", "amplifier"],
+  peripherals: ["peripheral", "peripherals", "wifi", "bluetooth", "ble", "usb", "connector", "storage", "sd", "debug", "jtag", "ethernet", "antenna", "radio", "lora", "modem"],
+};
+
+function lineError(line, message) {
+  return new Error(`Line ${line}: ${message}`);
+}
+
+const words = (text) => String(text).toLowerCase().match(/[a-z0-9]+/g) ?? [];
+
+/**
+ * Block type for an imported node, or null when nothing points at one
+ * Class names and subgraph titles are checked first, then an id like "power_1",
+ * then keywords in the id and label. types defaults to the registered block types.
+ */
+export function inferBlockType({ id, title, components = [], hints = [] }, types = getBlockTypes()) {
+  const normalize = (text) => words(text).join(" ");
+
+  for (const hint of hints) {
+    const match = types.find((type) => [type.id, type.label].some((name) => normalize(name) === normalize(hint)));
+    if (match) return match.id;
+  }
+
+  const prefix = normalize(String(id).replace(/[-_]?\d+$/, ""));
+  const byId = types.find((type) => normalize(type.id) === prefix);
+  if (byId) return byId.id;
+
+  // Count keyword hits; the title counts double so "Power Supply (USB)" stays power
+  const scores = Object.entries(TYPE_KEYWORDS).map(([type, keywords]) => {
+    const hits = (text) => words(text).filter((word) => keywords.includes(word)).length;
+    return [type, hits(id) + 2 * hits(title) + components.reduce((sum, component) => sum + hits(component), 0)];
+  });
+  const [best, score] = scores.reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+  return score > 0 ? best : null;
+}
+
+// Title, components and annotation from the lines of a node label
+// clean turns a raw line into plain text; with italics, an <i> line is the annotation.
+function splitLabel(lines, fallback, { clean = (line) => line.trim(), italics = false } = {}) {
+  const [title, ...rest] = lines.map((line) => line.trim());
+  const annotationLines = [];
+  const components = [];
+  // A blank line after the components starts the annotation, as written by the DOT export
+  let seenComponents = false;
+  let inAnnotation = false;
+  rest.forEach((line) => {
+    const italic = italics && /^<i>(.*)<\/i>$/i.exec(line);
+    if (italic) {
+      annotationLines.push(clean(italic[1]));
+    } else if (!line) {
+      inAnnotation = seenComponents;
+    } else if (inAnnotation) {
+      annotationLines.push(clean(line));
+    } else {
+      components.push(clean(line).replace(/^[-•*]\s+/, ""));
+      seenComponents = true;
+    }
+  });
+  return {
+    title: clean(title ?? "") || fallback,
+    components: components.filter(Boolean),
+    ...(annotationLines.length && { annotation: annotationLines.join(" ") }),
+  };
+}
+
+function stripTags(text) {
+  return text.replace(/<[^>]*>/g, "").trim();
+}
+
+function decodeEntities(text) {
+  return text.replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+// ---------------------------------------------------------------------------
+// Mermaid
+
+// Node shape delimiters, longest first so "([" wins over "("
+const MERMAID_SHAPES = [
+  ["([", "])"],
+  ["[[", "]]"],
+  ["[(", ")]"],
+  ["((", "))"],
+  ["{{", "}}"],
+  ["[", "]"],
+  ["(", ")"],
+  ["{", "}"],
+  [">", "]"],
+];
+
+const MERMAID_ARROW = /^<?(-{2,}>|={2,}>|-\.+->|-{3,}|={3,}|-\.+-|~~~|--[ox]|==[ox])/;
+const MERMAID_TEXT_ARROW = /^(--|==|-\.)\s*(.+?)\s*(-{2,}>|={2,}>|\.-+>|-{3,}|={3,}|\.-+)/;
+
+// Statement keywords that carry nothing the canvas can show
+const MERMAID_IGNORED = /^(classDef|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+// Mermaid writes entities as #quot; as well as &quot;
+function decodeMermaid(text) {
+  return decodeEntities(text.replace(/#(quot|lt|gt|amp);/g, "&$1;"));
+}
+
+// Lines of a Mermaid label, split at <br> tags and \n escapes
+function mermaidLabelLines(label) {
+  return label.replace(/^`|`$/g, "").split(/<br\s*\/?>|\\n|\n/i);
+}
+
+const cleanMermaid = (line) => decodeMermaid(stripTags(line));
+
+// Statements with their line numbers; ";" separates statements outside quotes
+function mermaidStatements(text) {
+  const statements = [];
+  let frontMatter = false;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const trimmed = raw.trim();
+    if (index === 0 && trimmed === "---") {
+      frontMatter = true;
+      return;
+    }
+    if (frontMatter) {
+      if (trimmed === "---") frontMatter = false;
+      return;
+    }
+    if (!trimmed || trimmed.startsWith("%%")) return;
+
+    let current = "";
+    let quoted = false;
+    for (const char of trimmed) {
+      if (char === '"') quoted = !quoted;
+      if (char === ";" && !quoted) {
+        if (current.trim()) statements.push({ text: current.trim(), line: index + 1 });
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) statements.push({ text: current.trim(), line: index + 1 });
+  });
+  return statements;
+}
+
+/**
+ * Parse a Mermaid flowchart into nodes, connections and the layout direction
+ */
+export function parseMermaid(text) {
+  const [header, ...statements] = mermaidStatements(text);
+  const heading = header && /^(flowchart|graph)(?:\s+(TB|TD|BT|RL|LR))?$/i.exec(header.text);
+  if (!heading) {
+    throw lineError(header?.line ?? 1, 'Expected "flowchart" or "graph" with a direction, e.g. "flowchart LR"');
+  }
+  const direction = /^(LR|RL)$/i.test(heading[2] ?? "") ? LAYOUT_DIRECTIONS.LR : LAYOUT_DIRECTIONS.TB;
+
+  const nodes = new Map();
+  const connections = [];
+  const subgraphs = [];
+
+  const touchNode = (id, line) => {
+    if (!nodes.has(id)) nodes.set(id, { id, line, label: null, hints: subgraphs.map((s) => s.title) });
+    return nodes.get(id);
+  };
+
+  statements.forEach(({ text: statement, line }) => {
+    if (MERMAID_IGNORED.test(statement)) return;
+
+    const subgraph = /^subgraph\s+(?:"([^"]*)"|([\w-]+)(?:\s*\[\s*"?([^"\]]*)"?\s*\])?(.*))$/.exec(statement);
+    if (subgraph) {
+      subgraphs.push({ title: (subgraph[1] ?? subgraph[3] ?? `${subgraph[2]}${subgraph[4] ?? ""}`).trim() });
+      return;
+    }
+    if (statement === "end") {
+      if (!subgraphs.length) throw lineError(line, '"end" without a matching "subgraph"');
+      subgraphs.pop();
+      return;
+    }
+    const classStatement = /^class\s+([\w,\s-]+?)\s+(\w+)$/.exec(statement);
+    if (classStatement) {
+      classStatement[1].split(",").forEach((id) => nodes.get(id.trim())?.hints.unshift(classStatement[2]));
+      return;
+    }
+
+    parseMermaidChain(statement, line, touchNode, connections);
+  });
+
+  if (subgraphs.length) throw lineError(statements.at(-1)?.line ?? header.line, 'Missing "end" for a subgraph');
+
+  return {
+    direction,
+    nodes: [...nodes.values()].map(({ id, label, hints }) => ({
+      id,
+      hints,
+      ...splitLabel(label === null ? [id] : mermaidLabelLines(label), id, { clean: cleanMermaid, italics: true }),
+    })),
+    connections,
+  };
+}
+
+// A chain of node groups joined by links, e.g. "a & b --> c -->|x| d"
+function parseMermaidChain(statement, line, touchNode, connections) {
+  let pos = 0;
+  const rest = () => statement.slice(pos);
+  const skipSpace = () => {
+    while (/\s/.test(statement[pos] ?? "")) pos++;
+  };
+
+  const readNode = () => {
+    skipSpace();
+    const idMatch = /^\w+(?:-\w+)*/.exec(rest());
+    if (!idMatch) throw lineError(line, `Expected a node id at "${rest().slice(0, 20)}"`);
+    const id = idMatch[0];
+    pos += id.length;
+    const node = touchNode(id, line);
+
+    const shape = MERMAID_SHAPES.find(([open]) => rest().startsWith(open));
+    if (shape) {
+      const [open, close] = shape;
+      pos += open.length;
+      let label;
+      if (statement[pos] === '"') {
+        const end = statement.indexOf('"', pos + 1);
+        if (end < 0) throw lineError(line, `Missing closing quote in the label of "${id}"`);
+        label = statement.slice(pos + 1, end);
+        pos = end + 1;
+        if (!rest().startsWith(close)) throw lineError(line, `Missing "${close}" after the label of "${id}"`);
+      } else {
+        const end = statement.indexOf(close, pos);
+        if (end < 0) throw lineError(line, `Missing "${close}" after the label of "${id}"`);
+        label = statement.slice(pos, end);
+        pos = end;
+      }
+      pos += close.length;
+      node.label = label.trim();
+    }
+
+    const className = /^:::(\w+)/.exec(rest());
+    if (className) {
+      node.hints.unshift(className[1]);
+      pos += className[0].length;
+    }
+    return id;
+  };
+
+  const readGroup = () => {
+    const ids = [readNode()];
+    skipSpace();
+    while (statement[pos] === "&") {
+      pos++;
+      ids.push(readNode());
+      skipSpace();
+    }
+    return ids;
+  };
+
+  const readLink = () => {
+    skipSpace();
+    let arrow;
+    let label;
+    const plain = MERMAID_ARROW.exec(rest());
+    if (plain) {
+      arrow = plain[0];
+      pos += arrow.length;
+      const piped = /^\s*\|([^|]*)\|/.exec(rest());
+      if (piped) {
+        label = piped[1].trim().replace(/^"(.*)"$/, "$1");
+        pos += piped[0].length;
+      }
+    } else {
+      const texted = MERMAID_TEXT_ARROW.exec(rest());
+      if (!texted) return null;
+      arrow = texted[1] + texted[3];
+      label = texted[2].replace(/^"(.*)"$/, "$1");
+      pos += texted[0].length;
+    }
+    // Thick links are power and dotted links control, as written by the Mermaid export
+    const signalType = arrow.includes("=") ? "power" : arrow.includes(".") ? "control" : undefined;
+    return { label: label ? decodeMermaid(label) : undefined, signalType };
+  };
+
+  let sources = readGroup();
+  skipSpace();
+  while (pos < statement.length) {
+    const link = readLink();
+    if (!link) throw lineError(line, `Expected a link such as "-->" at "${rest().slice(0, 20)}"`);
+    const targets = readGroup();
+    sources.forEach((source) =>
+      targets.forEach((target) =>
+        connections.push({
+          source,
+          target,
+          ...(link.label && { label: link.label }),
+          ...(link.signalType && { signal: { signalType: link.signalType } }),
+        })
+      )
+    );
+    sources = targets;
+    skipSpace();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Graphviz DOT
+
+function dotTokens(text) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  let lineStart = true;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\n") {
+      line++;
+      i++;
+      lineStart = true;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    // Comments: //, /* */ and preprocessor-style # lines
+    if (text.startsWith("//", i) || (lineStart && char === "#")) {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    lineStart = false;
+    if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      if (end < 0) throw lineError(line, "Unclosed /* comment");
+      line += (text.slice(i, end).match(/\n/g) ?? []).length;
+      i = end + 2;
+      continue;
+    }
+
+    const start = line;
+    if (char === '"') {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === "n" || next === "l" || next === "r" ? "\n" : next === '"' ? '"' : `\\${next}`;
+          i += 2;
+        } else {
+          if (text[i] === "\n") line++;
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw lineError(start, "Unclosed string");
+      i++;
+      tokens.push({ kind: "id", value, line: start });
+    } else if (char === "<") {
+      let depth = 0;
+      const from = i;
+      do {
+        if (text[i] === "<") depth++;
+        if (text[i] === ">") depth--;
+        if (text[i] === "\n") line++;
+        i++;
+      } while (i < text.length && depth > 0);
+      if (depth > 0) throw lineError(start, "Unclosed HTML label");
+      tokens.push({ kind: "id", value: text.slice(from + 1, i - 1), html: true, line: start });
+    } else if (text.startsWith("->", i) || text.startsWith("--", i)) {
+      tokens.push({ kind: "edgeop", value: text.slice(i, i + 2), line });
+      i += 2;
+    } else if ("{}[]=;,:".includes(char)) {
+      tokens.push({ kind: char, value: char, line });
+      i++;
+    } else {
+      const match = /^(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/.exec(text.slice(i));
+      if (!match) throw lineError(line, `Unexpected character "${char}"`);
+      tokens.push({ kind: "id", value: match[0], line });
+      i += match[0].length;
+    }
+  }
+  tokens.push({ kind: "eof", value: "end of file", line });
+  return tokens;
+}
+
+const DOT_SIGNAL_STYLES = { bold: "power", dashed: "control", dotted: "analog" };
+
+const cleanHtml = (line) => decodeEntities(stripTags(line));
+
+/**
+ * Parse a Graphviz digraph or graph into nodes, connections and the layout direction
+ */
+export function parseDot(text) {
+  const tokens = dotTokens(text);
+  let index = 0;
+  const peek = (offset = 0) => tokens[index + offset];
+  const next = () => tokens[index++];
+  const expect = (kind, what = `"${kind}"`) => {
+    const token = next();
+    if (token.kind !== kind) throw lineError(token.line, `Expected ${what} but found "${token.value}"`);
+    return token;
+  };
+  const isKeyword = (token, keyword) => token.kind === "id" && token.value.toLowerCase() === keyword;
+
+  const nodes = new Map();
+  const connections = [];
+  const subgraphs = [];
+  let direction = LAYOUT_DIRECTIONS.TB;
+
+  const touchNode = (id, line) => {
+    if (!nodes.has(id)) {
+      const hints = subgraphs.flatMap((s) => [s.label, s.name?.replace(/^cluster_?/, "")]).filter(Boolean).reverse();
+      nodes.set(id, { id, line, label: null, html: false, hints });
+    }
+    return nodes.get(id);
+  };
+
+  // Attribute lists: [a=b, c=d][e=f]
+  const readAttributes = () => {
+    const attributes = {};
+    while (peek().kind === "[") {
+      next();
+      while (peek().kind !== "]") {
+        const key = expect("id", "an attribute name");
+        let value = { value: "true" };
+        if (peek().kind === "=") {
+          next();
+          value = expect("id", "an attribute value");
+        }
+        attributes[key.value] = value;
+        if (peek().kind === "," || peek().kind === ";") next();
+      }
+      next();
+    }
+    return attributes;
+  };
+
+  const setGraphAttribute = (key, token) => {
+    if (key === "rankdir") {
+      direction = /^(LR|RL)$/i.test(token.value) ? LAYOUT_DIRECTIONS.LR : LAYOUT_DIRECTIONS.TB;
+    }
+    if (key === "label" && subgraphs.length) subgraphs.at(-1).label = token.html ? cleanHtml(token.value) : token.value;
+  };
+
+  // A node id or a subgraph; returns the node ids it stands for in an edge
+  const readOperand = () => {
+    const token = peek();
+    if (isKeyword(token, "subgraph") || token.kind === "{") {
+      if (isKeyword(token, "subgraph")) next();
+      const name = peek().kind === "id" ? next().value : undefined;
+      expect("{");
+      subgraphs.push({ name, label: undefined });
+      const before = new Set(nodes.keys());
+      const declared = readStatements();
+      expect("}");
+      subgraphs.pop();
+      return [...new Set([...declared, ...[...nodes.keys()].filter((id) => !before.has(id))])];
+    }
+    const id = expect("id", "a node id");
+    // Ports (node:port:compass) only say where an edge attaches
+    while (peek().kind === ":") {
+      next();
+      expect("id", "a port name");
+    }
+    touchNode(id.value, id.line);
+    return [id.value];
+  };
+
+  const readStatement = () => {
+    const token = peek();
+    if (["graph", "node", "edge"].some((keyword) => isKeyword(token, keyword)) && peek(1).kind === "[") {
+      next();
+      const attributes = readAttributes();
+      if (isKeyword(token, "graph")) Object.entries(attributes).forEach(([key, value]) => setGraphAttribute(key, value));
+      return [];
+    }
+    if (token.kind === "id" && peek(1).kind === "=") {
+      next();
+      next();
+      setGraphAttribute(token.value, expect("id", "a value"));
+      return [];
+    }
+
+    const groups = [readOperand()];
+    while (peek().kind === "edgeop") {
+      next();
+      groups.push(readOperand());
+    }
+    const attributes = readAttributes();
+
+    if (groups.length === 1) {
+      if (attributes.label) {
+        groups[0].forEach((id) => {
+          const node = nodes.get(id);
+          node.label = attributes.label.value;
+          node.html = Boolean(attributes.label.html);
+        });
+      }
+      return groups[0];
+    }
+
+    const signalType = DOT_SIGNAL_STYLES[attributes.style?.value];
+    for (let i = 1; i < groups.length; i++) {
+      groups[i - 1].forEach((source) =>
+        groups[i].forEach((target) =>
+          connections.push({
+            source,
+            target,
+            ...(attributes.label && { label: attributes.label.html ? cleanHtml(attributes.label.value) : attributes.label.value }),
+            ...(signalType && { signal: { signalType } }),
+          })
+        )
+      );
+    }
+    return groups.flat();
+  };
+
+  // Statements up to the closing brace; returns the node ids they mention
+  const readStatements = () => {
+    const ids = [];
+    while (peek().kind !== "}" && peek().kind !== "eof") {
+      ids.push(...readStatement());
+      if (peek().kind === ";" || peek().kind === ",") next();
+    }
+    return ids;
+  };
+
+  if (isKeyword(peek(), "strict")) next();
+  const header = next();
+  if (!isKeyword(header, "digraph") && !isKeyword(header, "graph")) {
+    throw lineError(header.line, `Expected "digraph" or "graph" but found "${header.value}"`);
+  }
+  if (peek().kind === "id") next();
+  expect("{");
+  readStatements();
+  expect("}");
+  const trailing = peek();
+  if (trailing.kind !== "eof") throw lineError(trailing.line, `Unexpected "${trailing.value}" after the graph`);
+
+  return {
+    direction,
+    nodes: [...nodes.values()].map(({ id, label, html, hints }) => ({
+      id,
+      hints,
+      ...(label === null
+        ? splitLabel([id], id)
+        : html
+          ? splitLabel(label.split(/<br\s*\/?>/i), id, { clean: cleanHtml })
+          : splitLabel(label.split("\n"), id)),
+    })),
+    connections,
+  };
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Which text format a diagram is written in: "mermaid", "dot", or null
+ */
+export function detectTextFormat(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  // Mermaid front matter runs from a "---" first line to the next "---"
+  let start = 0;
+  if (lines[0] === "---") {
+    const end = lines.indexOf("---", 1);
+    start = end === -1 ? lines.length : end + 1;
+  }
+  const first = lines
+    .slice(start)
+    .find((line) => line && !line.startsWith("%%") && !line.startsWith("//") && !line.startsWith("#"));
+  if (!first) return null;
+  if (/^(flowchart|graph)(\s+(TB|TD|BT|RL|LR))?\s*;?$/i.test(first)) return "mermaid";
+  if (/^(strict\s+)?(di)?graph\b/i.test(first) || first.startsWith("/*")) return "dot";
+  return null;
+}
+
+/**
+ * Parse Mermaid or DOT text into nodes with an inferred type (null when unknown),
+ * connections and the layout direction; blockTypes are the types to infer from
+ */
+export function parseDiagramText(text, { blockTypes = getBlockTypes() } = {}) {
+  // Only the code inside a Markdown fence, when the text is a Markdown snippet
+  const fenced = /```\s*(?:mermaid|dot|graphviz)?\s*\n([\s\S]*?)```/i.exec(text);
+  const source = fenced ? fenced[1] : text;
+  const lineOffset = fenced ? text.slice(0, fenced.index).split("\n").length : 0;
+
+  const format = detectTextFormat(source);
+  if (!format) {
+    throw lineError(1 + lineOffset, 'Expected a Mermaid "flowchart" or a Graphviz "digraph"');
+  }
+
+  let parsed;
+  try {
+    parsed = format === "mermaid" ? parseMermaid(source) : parseDot(source);
+  } catch (err) {
+    // Report lines of the whole text, not of the fenced block
+    const line = /^Line (\d+): /.exec(err.message);
+    throw line ? lineError(Number(line[1]) + lineOffset, err.message.slice(line[0].length)) : err;
+  }
+  if (!parsed.nodes.length) throw new Error("The diagram has no nodes.");
+
+  return {
+    format,
+    direction: parsed.direction,
+    nodes: parsed.nodes.map((node) => ({ ...node, type: inferBlockType(node, blockTypes) })),
+    connections: parsed.connections,
+  };
+}
+
+/**
+ * Diagram for diagramToNodes/connectionsToEdges from parsed text
+ * types maps node ids to the block type the user picked for them.
+ */
+export function textImportToDiagram(parsed, types = {}) {
+  return {
+    blocks: parsed.nodes.map((node) => ({
+      id: node.id,
+      type: types[node.id] ?? node.type ?? DEFAULT_IMPORT_TYPE,
+      title: node.title,
+      components: node.components,
+      ...(node.annotation && { annotation: node.annotation }),
+    })),
+    connections: parsed.connections,
+  };
+}
@@ -2,28 +2,128 @@
  * Interactive Block Diagram Canvas - Main Page
  * 
  * This application generates editable block diagrams of electronics products
- * from natural language descriptions. The diagram always contains exactly
+ * from natural language descriptions. A standard diagram contains exactly
  * 5 sections: Power Supply, Inputs, Control/Processing, Outputs, and Peripherals.
+ * Detailed mode may use several blocks per section.
  * 
  * Architecture:
  * - InputPanel: Accepts product descriptions from users
  * - DiagramCanvas: React Flow canvas for rendering and editing blocks
  * - AI Edge Function: Converts descriptions to structured diagram JSON
+ * - SavedDiagramsPanel: Library of diagrams persisted to Supabase
+ * - LiveSessionPanel: Live multi-user editing of the open diagram
+ * - VersionHistoryPanel / DiagramDiffView: Named snapshots and visual diffs between them
  */
 
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import { toast } from "sonner";
 import { Zap, Info } from "lucide-react";
 import DiagramCanvas from "@/components/DiagramCanvas";
 import InputPanel from "@/components/InputPanel";
+import SavedDiagramsPanel from "@/components/SavedDiagramsPanel";
+import RestoreSessionDialog from "@/components/RestoreSessionDialog";
+import BlockPalette from "@/components/BlockPalette";
+import TextImportDialog from "@/components/TextImportDialog";
+import LiveSessionPanel from "@/components/LiveSessionPanel";
+import VersionHistoryPanel from "@/components/VersionHistoryPanel";
+import DiagramDiffView from "@/components/DiagramDiffView";
+import { useSavedDiagrams } from "@/hooks/use-saved-diagrams";
+import { useAutosave } from "@/hooks/use-autosave";
+import { useDiagramHistory } from "@/hooks/use-diagram-history";
+import { useBlockTypes } from "@/hooks/use-block-types";
+import { useCollaboration } from "@/hooks/use-collaboration";
+import { useDiagramVersions } from "@/hooks/use-diagram-versions";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+import { EDGE_TYPE_STYLES, edgeStyleFor } from "@/lib/edgeStyles";
+import { BUILT_IN_BLOCK_TYPES, addBlockTypes, getBlockTypes } from "@/lib/blockTypes";
+import { loadDiagram, loadVersion, recordToFlow } from "@/lib/diagramStore";
+import { loadSession, clearSession } from "@/lib/autosave";
+import { componentName } from "@/lib/parts";
+import {
+  boundaryNodeId,
+  boundaryPorts,
+  breadcrumbTrail,
+  getBlockAt,
+  getSubDiagram,
+  resolvePath,
+  updateSubDiagram,
+} from "@/lib/subDiagrams";
 import {
   diagramToNodes,
   connectionsToEdges,
   exportDiagramAsJson,
+  parseDiagramImport,
+  diagramSignature,
+  nodesToDiagram,
+  mergeRefinedDiagram,
   generateDefaultDiagram,
+  subDiagramToFlow,
 } from "@/lib/diagramUtils";
+import { streamDiagram } from "@/lib/diagramStream";
+import { exportDiagramAsDrawio, isDrawioFile, parseDrawio } from "@/lib/drawio";
+import { checkGeneratedDiagram } from "@/lib/diagramSchema";
 import { supabase } from "@/integrations/supabase/client";
 
+// Registered block types as sent to the AI, so it can use custom categories
+function requestBlockTypes() {
+  return getBlockTypes().map(({ id, label, description }) => ({ id, label, description }));
+}
+
+// Tell the user why the generate-diagram function failed
+function reportFunctionError(error) {
+  console.error("Function error:", error);
+
+  // Handle specific error types
+  if (error.message?.includes("429") || error.message?.includes("Rate limit")) {
+    toast.error("Rate limit exceeded. Please wait a moment and try again.");
+  } else if (error.message?.includes("402") || error.message?.includes("Payment")) {
+    toast.error("Usage limit reached. Please add credits to continue.");
+  } else {
+    toast.error("Failed to generate diagram. Please try again.");
+  }
+}
+
+/**
+ * Call the generate-diagram edge function
+ * Returns the checked diagram, or null after telling the user what went wrong
+ */
+async function requestDiagram(body) {
+  const { data, error } = await supabase.functions.invoke("generate-diagram", {
+    body: { ...body, blockTypes: requestBlockTypes() },
+  });
+
+  if (error) {
+    reportFunctionError(error);
+    return null;
+  }
+
+  if (!data?.diagram) {
+    toast.error("Invalid response from AI. Please try again.");
+    return null;
+  }
+
+  const { diagram, errors } = checkGeneratedDiagram(data.diagram, body);
+  if (errors.length) {
+    console.error("Invalid generated diagram:", errors);
+    toast.error("Invalid response from AI. Please try again.");
+    return null;
+  }
+  return diagram;
+}
+
+const SESSION_PARAM = "session";
+
+// Comparison side that stands for the canvas rather than a snapshot
+const CURRENT_VERSION = "current";
+
+// Page URL with the live session room in it, or without when room is null
+function sessionUrl(room) {
+  const url = new URL(window.location.href);
+  if (room) url.searchParams.set(SESSION_PARAM, room);
+  else url.searchParams.delete(SESSION_PARAM);
+  return url.toString();
+}
+
 export default function Index() {
   // Diagram state
   const [nodes, setNodes] = useState([]);
@@ -31,55 +131,129 @@ export default function Index() {
   const [isLoading, setIsLoading] = useState(false);
   const [currentDescription, setCurrentDescription] = useState("");
   const [hasGenerated, setHasGenerated] = useState(false);
+  const [layoutDirection, setLayoutDirection] = useState(LAYOUT_DIRECTIONS.LR);
+  const [savedDiagram, setSavedDiagram] = useState(null);
+  // Signature of the diagram as last saved to the library, for unsaved-change checks
+  const [savedSignature, setSavedSignature] = useState(null);
+  // Autosaved session waiting for the user to restore or discard it
+  const [pendingSession, setPendingSession] = useState(() => loadSession());
+  // Block ids from the top level down to the sub-diagram shown on the canvas
+  const [subPath, setSubPath] = useState([]);
+  // AbortController of the streaming generation in progress
+  const [generation, setGeneration] = useState(null);
+  const [isTextImportOpen, setIsTextImportOpen] = useState(false);
+  // Version ids shown in the diff view, and snapshots loaded for it by id
+  const [comparison, setComparison] = useState(null);
+  const [versionFlows, setVersionFlows] = useState({});
+  const importInputRef = useRef(null);
+  const library = useSavedDiagrams();
+  const history = useDiagramHistory(nodes, edges, setNodes, setEdges);
+  const blockTypes = useBlockTypes();
+  const versions = useDiagramVersions(savedDiagram?.id);
+  const { clear: clearHistory } = history;
 
-  // Generate diagram from description
-  const handleGenerateDiagram = useCallback(async (description) => {
+  // Generate diagram from description, drawing blocks and connections as the AI writes them
+  const handleGenerateDiagram = useCallback(async (description, { detailed = false } = {}) => {
+    const controller = new AbortController();
+    setGeneration(controller);
+    const previous = { nodes, edges, hasGenerated, subPath, description: currentDescription };
     setIsLoading(true);
     setCurrentDescription(description);
 
-    try {
-      // Call the edge function
-      const { data, error } = await supabase.functions.invoke("generate-diagram", {
-        body: { description },
-      });
+    // Show the finished items; connections wait until both of their blocks are on the canvas
+    const showProgress = ({ blocks, connections }) => {
+      const ready = blocks.filter((block) => block.id && block.type && Array.isArray(block.components));
+      const ids = new Set(ready.map((block) => block.id));
+      const wired = connections.filter((connection) => ids.has(connection.source) && ids.has(connection.target));
+      setNodes(diagramToNodes({ blocks: ready, connections: wired }, { direction: layoutDirection }));
+      setEdges(connectionsToEdges(wired));
+      setHasGenerated(true);
+      setSubPath([]);
+    };
 
-      if (error) {
-        console.error("Function error:", error);
-        
-        // Handle specific error types
-        if (error.message?.includes("429") || error.message?.includes("Rate limit")) {
-          toast.error("Rate limit exceeded. Please wait a moment and try again.");
-        } else if (error.message?.includes("402") || error.message?.includes("Payment")) {
-          toast.error("Usage limit reached. Please add credits to continue.");
-        } else {
-          toast.error("Failed to generate diagram. Please try again.");
+    try {
+      const diagram = await streamDiagram(
+        { description, mode: detailed ? "detailed" : "standard", blockTypes: requestBlockTypes() },
+        {
+          signal: controller.signal,
+          onProgress: showProgress,
+          onRetry: () => toast.info("The AI's diagram did not pass the checks. Trying again…"),
+          onRepair: (fixes) => toast.info(`Fixed ${fixes.length} problem(s) in the AI's diagram.`),
         }
-        return;
-      }
-
-      if (!data?.diagram) {
-        toast.error("Invalid response from AI. Please try again.");
-        return;
-      }
-
-      const diagram = data.diagram;
+      );
 
       // Convert to React Flow format
-      const newNodes = diagramToNodes(diagram);
+      const newNodes = diagramToNodes(diagram, { direction: layoutDirection });
       const newEdges = connectionsToEdges(diagram.connections);
 
       setNodes(newNodes);
       setEdges(newEdges);
       setHasGenerated(true);
+      setSubPath([]);
+      clearHistory();
+      setSavedDiagram(null);
+      setSavedSignature(null);
 
       toast.success(`Generated diagram with ${diagram.blocks.length} blocks!`);
     } catch (err) {
-      console.error("Error generating diagram:", err);
+      // Put back whatever was on the canvas before the partial diagram
+      setNodes(previous.nodes);
+      setEdges(previous.edges);
+      setHasGenerated(previous.hasGenerated);
+      setSubPath(previous.subPath);
+      setCurrentDescription(previous.description);
+
+      if (controller.signal.aborted) {
+        toast.info("Generation cancelled.");
+      } else {
+        reportFunctionError(err);
+      }
+    } finally {
+      setGeneration(null);
+      setIsLoading(false);
+    }
+  }, [nodes, edges, hasGenerated, subPath, currentDescription, clearHistory, layoutDirection]);
+
+  // Refine the current diagram with a follow-up instruction, keeping manual edits
+  const { record: recordHistory } = history;
+  const handleRefineDiagram = useCallback(async (instruction, { detailed = false } = {}) => {
+    setIsLoading(true);
+
+    try {
+      // Stay in detailed mode unless the diagram is exactly one block per built-in type
+      const types = new Set(nodes.map((node) => node.data.type));
+      const standard = nodes.length === 5 && BUILT_IN_BLOCK_TYPES.every((type) => types.has(type.id));
+      const diagram = await requestDiagram({
+        description: currentDescription,
+        mode: detailed || !standard ? "detailed" : "standard",
+        currentDiagram: nodesToDiagram(nodes, edges),
+        instruction,
+      });
+      if (!diagram) return;
+
+      const merged = mergeRefinedDiagram(nodes, edges, diagram, { direction: layoutDirection });
+      recordHistory();
+      setNodes(merged.nodes);
+      setEdges(merged.edges);
+
+      const { added, changed, removed } = merged.summary;
+      toast.success(`Refined diagram: ${added} added, ${changed} changed, ${removed} removed.`);
+    } catch (err) {
+      console.error("Error refining diagram:", err);
       toast.error("An unexpected error occurred. Please try again.");
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [nodes, edges, currentDescription, layoutDirection, recordHistory]);
+
+  // Count blocks per type for the legend
+  const blockCounts = useMemo(() => {
+    const counts = {};
+    nodes.forEach((node) => {
+      counts[node.data.type] = (counts[node.data.type] || 0) + 1;
+    });
+    return counts;
+  }, [nodes]);
 
   // Handle export
   const handleExport = useCallback(() => {
@@ -91,27 +265,423 @@ export default function Index() {
     toast.success("Diagram exported as JSON!");
   }, [nodes, edges, currentDescription]);
 
+  // Handle export as a draw.io file
+  const handleExportDrawio = useCallback(() => {
+    if (nodes.length === 0) {
+      toast.error("No diagram to export. Generate a diagram first.");
+      return;
+    }
+    exportDiagramAsDrawio(nodes, edges);
+    toast.success("Diagram exported for draw.io!");
+  }, [nodes, edges]);
+
+  // Handle import of a previously exported JSON file or a draw.io file
+  const handleImport = useCallback(async (file) => {
+    try {
+      const text = await file.text();
+      const { nodes: importedNodes, edges: importedEdges, description = "", blockTypes: importedTypes } =
+        isDrawioFile(file, text) ? await parseDrawio(text) : parseDiagramImport(text);
+
+      // Register custom types the file brings along before its blocks render
+      addBlockTypes(importedTypes);
+      setNodes(importedNodes);
+      setEdges(importedEdges);
+      setCurrentDescription(description);
+      setHasGenerated(true);
+      setSubPath([]);
+      clearHistory();
+      setSavedDiagram(null);
+      setSavedSignature(null);
+      toast.success(`Imported diagram with ${importedNodes.length} blocks.`);
+    } catch (err) {
+      console.error("Error importing diagram:", err);
+      toast.error(`Could not import ${file.name}: ${err.message}`);
+    }
+  }, [clearHistory]);
+
+  // Handle import of a Mermaid or DOT diagram, laid out in the direction it was written for
+  const handleTextImport = useCallback(({ diagram, direction, format }) => {
+    setLayoutDirection(direction);
+    setNodes(diagramToNodes(diagram, { direction }));
+    setEdges(connectionsToEdges(diagram.connections));
+    setCurrentDescription("");
+    setHasGenerated(true);
+    setSubPath([]);
+    clearHistory();
+    setSavedDiagram(null);
+    setSavedSignature(null);
+    setIsTextImportOpen(false);
+    toast.success(`Imported ${format === "dot" ? "DOT" : "Mermaid"} diagram with ${diagram.blocks.length} blocks.`);
+  }, [clearHistory]);
+
   // Handle reset
   const handleReset = useCallback(() => {
     setNodes([]);
     setEdges([]);
     setHasGenerated(false);
+    setSubPath([]);
+    clearHistory();
+    setSavedDiagram(null);
+    setSavedSignature(null);
     setCurrentDescription("");
     toast.info("Canvas cleared.");
+  }, [clearHistory]);
+
+  // Save to the library; asNew inserts a copy instead of updating the open diagram
+  const { save: saveToLibrary, remove: removeFromLibrary } = library;
+  const handleSave = useCallback(
+    async ({ title, asNew }) => {
+      try {
+        const saved = await saveToLibrary({
+          id: asNew ? undefined : savedDiagram?.id,
+          title,
+          description: currentDescription,
+          nodes,
+          edges,
+        });
+        setSavedDiagram({ id: saved.id, title: saved.title });
+        setSavedSignature(diagramSignature(nodes, edges));
+        toast.success(`Saved "${saved.title}".`);
+        return true;
+      } catch (err) {
+        console.error("Error saving diagram:", err);
+        toast.error("Failed to save diagram. Please try again.");
+        return false;
+      }
+    },
+    [saveToLibrary, savedDiagram, currentDescription, nodes, edges]
+  );
+
+  // Open a saved diagram from the library
+  const handleOpenSaved = useCallback(
+    async (id) => {
+      try {
+        const flow = recordToFlow(await loadDiagram(id));
+        setNodes(flow.nodes);
+        setEdges(flow.edges);
+        setCurrentDescription(flow.description);
+        setHasGenerated(true);
+        setSubPath([]);
+        clearHistory();
+        setSavedDiagram({ id, title: flow.title });
+        setSavedSignature(diagramSignature(flow.nodes, flow.edges));
+        toast.success(`Opened "${flow.title}".`);
+      } catch (err) {
+        console.error("Error opening diagram:", err);
+        toast.error("Failed to open diagram. Please try again.");
+      }
+    },
+    [clearHistory]
+  );
+
+  // Delete a saved diagram; the canvas keeps its content as an unsaved diagram
+  const handleDeleteSaved = useCallback(
+    async (id) => {
+      try {
+        await removeFromLibrary(id);
+        setSavedDiagram((current) => (current?.id === id ? null : current));
+        toast.success("Diagram deleted.");
+      } catch (err) {
+        console.error("Error deleting diagram:", err);
+        toast.error("Failed to delete diagram. Please try again.");
+      }
+    },
+    [removeFromLibrary]
+  );
+
+  // Snapshot the canvas as a named version of the open saved diagram
+  const { save: saveVersion, remove: removeVersion } = versions;
+  const handleSnapshot = useCallback(
+    async (name) => {
+      try {
+        await saveVersion({ diagramId: savedDiagram.id, name, nodes, edges });
+        toast.success(`Saved version "${name}".`);
+        return true;
+      } catch (err) {
+        console.error("Error saving version:", err);
+        toast.error("Failed to save version. Please try again.");
+        return false;
+      }
+    },
+    [saveVersion, savedDiagram, nodes, edges]
+  );
+
+  // A snapshot as React Flow state, fetched once per version
+  const loadVersionFlow = useCallback(
+    async (id) => {
+      if (versionFlows[id]) return versionFlows[id];
+      const flow = recordToFlow(await loadVersion(id));
+      setVersionFlows((current) => ({ ...current, [id]: flow }));
+      return flow;
+    },
+    [versionFlows]
+  );
+
+  // Open or update the diff view; changes is { base, target } with version ids
+  const handleCompare = useCallback(
+    async (changes) => {
+      const next = { base: CURRENT_VERSION, target: CURRENT_VERSION, ...comparison, ...changes };
+      setComparison(next);
+      try {
+        await Promise.all([next.base, next.target].filter((id) => id !== CURRENT_VERSION).map(loadVersionFlow));
+      } catch (err) {
+        console.error("Error loading version:", err);
+        toast.error("Failed to load version. Please try again.");
+        setComparison(null);
+      }
+    },
+    [comparison, loadVersionFlow]
+  );
+
+  // Put a snapshot back on the canvas; undo returns to what was there before
+  const handleRestoreVersion = useCallback(
+    async (id) => {
+      try {
+        const flow = await loadVersionFlow(id);
+        const name = versions.versions.find((version) => version.id === id)?.name ?? "version";
+        recordHistory();
+        setNodes(flow.nodes);
+        setEdges(flow.edges);
+        setSubPath([]);
+        setComparison(null);
+        toast.success(`Restored "${name}".`);
+      } catch (err) {
+        console.error("Error restoring version:", err);
+        toast.error("Failed to restore version. Please try again.");
+      }
+    },
+    [loadVersionFlow, versions.versions, recordHistory]
+  );
+
+  const handleDeleteVersion = useCallback(
+    async (id) => {
+      try {
+        await removeVersion(id);
+        setComparison((current) => (current && (current.base === id || current.target === id) ? null : current));
+        toast.success("Version deleted.");
+      } catch (err) {
+        console.error("Error deleting version:", err);
+        toast.error("Failed to delete version. Please try again.");
+      }
+    },
+    [removeVersion]
+  );
+
+  // Versions belong to one saved diagram, so opening another ends the comparison
+  useEffect(() => {
+    setComparison(null);
+  }, [savedDiagram?.id]);
+
+  const versionChoices = useMemo(
+    () => [
+      { id: CURRENT_VERSION, label: "Current canvas" },
+      ...versions.versions.map((version) => ({ id: version.id, label: version.name })),
+    ],
+    [versions.versions]
+  );
+
+  // Both sides of the diff view; the current canvas side follows edits from a live session
+  const comparisonSides = useMemo(() => {
+    if (!comparison) return null;
+    const side = (id) =>
+      id === CURRENT_VERSION
+        ? { id, label: "current canvas", flow: { nodes, edges }, restorable: false }
+        : {
+            id,
+            label: `"${versionChoices.find((choice) => choice.id === id)?.label ?? "version"}"`,
+            flow: versionFlows[id] ?? null,
+            restorable: true,
+          };
+    return { base: side(comparison.base), target: side(comparison.target) };
+  }, [comparison, nodes, edges, versionChoices, versionFlows]);
+
+  // Sub-diagram navigation; parts of the path removed by undo or deletion are dropped
+  const openPath = useMemo(() => resolvePath(nodes, subPath), [nodes, subPath]);
+  useEffect(() => {
+    if (openPath.length !== subPath.length) setSubPath(openPath);
+  }, [openPath, subPath]);
+  const trail = useMemo(() => breadcrumbTrail(nodes, openPath), [nodes, openPath]);
+
+  // Live session: every edit is shared with the others in the room
+  const collab = useCollaboration({ nodes, edges, setNodes, setEdges, view: openPath });
+  const { start: startCollab, leave: leaveCollab } = collab;
+
+  const handleStartSession = useCallback(() => {
+    const room = startCollab();
+    window.history.replaceState(null, "", sessionUrl(room));
+    toast.success("Live session started. Share the invite link to edit together.");
+  }, [startCollab]);
+
+  // Room of the invite link the page was opened with, until that session is left
+  const [inviteRoom, setInviteRoom] = useState(() => new URLSearchParams(window.location.search).get(SESSION_PARAM));
+
+  const handleLeaveSession = useCallback(() => {
+    leaveCollab();
+    setInviteRoom(null);
+    window.history.replaceState(null, "", sessionUrl(null));
+    toast.info("Left the live session.");
+  }, [leaveCollab]);
+
+  // Opening an invite link joins its session and shows the shared diagram, once per page load.
+  // An autosaved session is kept and offered again once the user leaves the shared one.
+  const joinedFromLinkRef = useRef(false);
+  useEffect(() => {
+    if (!inviteRoom || joinedFromLinkRef.current) return;
+    joinedFromLinkRef.current = true;
+    setHasGenerated(true);
+    startCollab(inviteRoom, "join");
+  }, [inviteRoom, startCollab]);
+
+  // The canvas shows the open sub-diagram; its edits are written back into the parent block
+  const view = useMemo(
+    () => (openPath.length ? getSubDiagram(nodes, openPath, { direction: layoutDirection }) : { nodes, edges }),
+    [nodes, edges, openPath, layoutDirection]
+  );
+
+  const handleViewNodesChange = useCallback(
+    (viewNodes) => {
+      if (!openPath.length) {
+        setNodes(viewNodes);
+        return;
+      }
+      setNodes((current) =>
+        updateSubDiagram(current, openPath, (sub) => ({ ...sub, nodes: viewNodes }), { direction: layoutDirection })
+      );
+    },
+    [openPath, layoutDirection]
+  );
+
+  const handleViewEdgesChange = useCallback(
+    (viewEdges) => {
+      if (!openPath.length) {
+        setEdges(viewEdges);
+        return;
+      }
+      setNodes((current) =>
+        updateSubDiagram(current, openPath, (sub) => ({ ...sub, edges: viewEdges }), { direction: layoutDirection })
+      );
+    },
+    [openPath, layoutDirection]
+  );
+
+  const handleOpenSubDiagram = useCallback((nodeId) => setSubPath([...openPath, nodeId]), [openPath]);
+  const handleNavigate = useCallback((depth) => setSubPath(openPath.slice(0, depth)), [openPath]);
+
+  // Ask the AI to fill the open sub-diagram from its block's components and ports
+  const handleExpandBlock = useCallback(async () => {
+    const block = getBlockAt(nodes, openPath);
+    if (!block) return;
+    setIsLoading(true);
+
+    try {
+      const diagram = await requestDiagram({
+        description: currentDescription,
+        mode: "detailed",
+        expandBlock: {
+          id: block.id,
+          type: block.data.type,
+          title: block.data.title,
+          components: block.data.components.map(componentName),
+          annotation: block.data.annotation,
+          ports: boundaryPorts(block.data).map((port) => ({
+            id: boundaryNodeId(port.id),
+            name: port.name,
+            direction: port.direction,
+            ...(port.kind && { kind: port.kind }),
+          })),
+        },
+      });
+      if (!diagram) return;
+
+      const subDiagram = subDiagramToFlow(diagram, block.data, { direction: layoutDirection });
+      recordHistory();
+      setNodes((current) => updateSubDiagram(current, openPath, () => subDiagram, { direction: layoutDirection }));
+      toast.success(`Expanded "${block.data.title}" into ${diagram.blocks.length} blocks.`);
+    } catch (err) {
+      console.error("Error expanding block:", err);
+      toast.error("An unexpected error occurred. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [nodes, openPath, currentDescription, layoutDirection, recordHistory]);
+
+  // Anything on the canvas that differs from the library copy counts as unsaved
+  const currentSignature = useMemo(() => diagramSignature(nodes, edges), [nodes, edges]);
+  const hasUnsavedChanges = nodes.length > 0 && currentSignature !== savedSignature;
+
+  // Autosave the working session, but not while the autosaved one still awaits restore or discard
+  const session = useMemo(
+    () => ({
+      nodes,
+      edges,
+      description: currentDescription,
+      layoutDirection,
+      savedDiagram,
+      savedSignature,
+    }),
+    [nodes, edges, currentDescription, layoutDirection, savedDiagram, savedSignature]
+  );
+  useAutosave(session, { enabled: !pendingSession });
+
+  const handleRestoreSession = useCallback(() => {
+    if (!pendingSession) return;
+    setNodes(pendingSession.nodes);
+    setEdges(pendingSession.edges);
+    setCurrentDescription(pendingSession.description || "");
+    setLayoutDirection(pendingSession.layoutDirection || LAYOUT_DIRECTIONS.LR);
+    setSavedDiagram(pendingSession.savedDiagram || null);
+    setSavedSignature(pendingSession.savedSignature || null);
+    setHasGenerated(true);
+    setSubPath([]);
+    clearHistory();
+    setPendingSession(null);
+    toast.success("Previous session restored.");
+  }, [pendingSession, clearHistory]);
+
+  const handleDiscardSession = useCallback(() => {
+    clearSession();
+    setPendingSession(null);
   }, []);
 
   // Load default diagram for demo
   const handleLoadDefault = useCallback(() => {
     const defaultDiagram = generateDefaultDiagram();
-    setNodes(diagramToNodes(defaultDiagram));
+    setNodes(diagramToNodes(defaultDiagram, { direction: layoutDirection }));
     setEdges(connectionsToEdges(defaultDiagram.connections));
     setHasGenerated(true);
+    setSubPath([]);
+    clearHistory();
+    setSavedDiagram(null);
+    setSavedSignature(null);
     setCurrentDescription("Default template diagram");
     toast.success("Loaded default template.");
-  }, []);
+  }, [clearHistory, layoutDirection]);
+
+  // Open an empty canvas to build a diagram from the block palette
+  const handleStartBlank = useCallback(() => {
+    setNodes([]);
+    setEdges([]);
+    setHasGenerated(true);
+    setSubPath([]);
+    clearHistory();
+    setSavedDiagram(null);
+    setSavedSignature(null);
+    setCurrentDescription("");
+  }, [clearHistory]);
 
   return (
     <div className="h-screen w-screen flex flex-col bg-background overflow-hidden">
+      <RestoreSessionDialog
+        session={inviteRoom ? null : pendingSession}
+        onRestore={handleRestoreSession}
+        onDiscard={handleDiscardSession}
+      />
+      <TextImportDialog
+        open={isTextImportOpen}
+        onOpenChange={setIsTextImportOpen}
+        onImport={handleTextImport}
+      />
+
       {/* Header */}
       <header className="flex items-center justify-between px-6 py-4 border-b border-border bg-card/50 backdrop-blur-sm">
         <div className="flex items-center gap-3">
@@ -132,7 +702,7 @@ export default function Index() {
         <div className="flex items-center gap-2 text-sm text-muted-foreground">
           <Info className="w-4 h-4" />
           <span className="hidden sm:inline">
-            Drag blocks to reposition • Click to edit • Connect blocks by dragging handles
+            Drag blocks to reposition • Click to edit • Connect blocks by dragging handles • Double-click a block to open its sub-diagram
           </span>
         </div>
       </header>
@@ -141,7 +711,13 @@ export default function Index() {
       <div className="flex-1 flex overflow-hidden">
         {/* Input panel (sidebar) */}
         <aside className="w-full max-w-md p-6 border-r border-border overflow-y-auto bg-background/50">
-          <InputPanel onSubmit={handleGenerateDiagram} isLoading={isLoading} />
+          <InputPanel
+            onSubmit={handleGenerateDiagram}
+            onRefine={handleRefineDiagram}
+            onCancel={generation ? () => generation.abort() : undefined}
+            canRefine={hasGenerated && nodes.length > 0}
+            isLoading={isLoading}
+          />
 
           {/* Quick actions */}
           {!hasGenerated && (
@@ -155,47 +731,154 @@ export default function Index() {
               >
                 Load default template →
               </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="block mt-2 text-sm text-primary hover:text-primary/80 transition-colors underline-offset-4 hover:underline"
+              >
+                Import exported JSON or draw.io file →
+              </button>
+              <button
+                onClick={() => setIsTextImportOpen(true)}
+                className="block mt-2 text-sm text-primary hover:text-primary/80 transition-colors underline-offset-4 hover:underline"
+              >
+                Import Mermaid or DOT text →
+              </button>
+              <button
+                onClick={handleStartBlank}
+                className="block mt-2 text-sm text-primary hover:text-primary/80 transition-colors underline-offset-4 hover:underline"
+              >
+                Start with an empty canvas →
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json,.drawio,.xml"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) handleImport(file);
+                  e.target.value = "";
+                }}
+              />
             </div>
           )}
 
+          {/* Block palette */}
+          {hasGenerated && (
+            <BlockPalette />
+          )}
+
+          {/* Live session */}
+          <LiveSessionPanel
+            room={collab.room}
+            peers={collab.peers}
+            name={collab.name}
+            onNameChange={collab.setName}
+            onStart={handleStartSession}
+            onLeave={handleLeaveSession}
+            canStart={hasGenerated}
+            nodes={nodes}
+            inviteLink={collab.room ? sessionUrl(collab.room) : ""}
+          />
+
+          {/* Saved diagrams */}
+          <SavedDiagramsPanel
+            diagrams={library.diagrams}
+            isLoading={library.isLoading}
+            error={library.error}
+            currentId={savedDiagram?.id}
+            currentTitle={savedDiagram?.title}
+            defaultTitle={currentDescription.slice(0, 60) || "Untitled diagram"}
+            canSave={hasGenerated && nodes.length > 0}
+            isSaving={library.isSaving}
+            onSave={handleSave}
+            onOpen={handleOpenSaved}
+            onDelete={handleDeleteSaved}
+          />
+
+          {/* Version history of the saved diagram */}
+          {hasGenerated && (
+            <VersionHistoryPanel
+              versions={versions.versions}
+              isLoading={versions.isLoading}
+              error={versions.error}
+              canSnapshot={!!savedDiagram}
+              isSaving={versions.isSaving}
+              onSnapshot={handleSnapshot}
+              onCompare={(id) => handleCompare({ base: id, target: CURRENT_VERSION })}
+              onRestore={handleRestoreVersion}
+              onDelete={handleDeleteVersion}
+            />
+          )}
+
           {/* Legend */}
           <div className="mt-6 p-4 bg-secondary/30 rounded-lg border border-border">
             <p className="text-sm font-medium text-foreground mb-3">Block Types</p>
             <div className="space-y-2">
-              <div className="flex items-center gap-2 text-xs">
-                <span className="w-3 h-3 rounded bg-block-power" />
-                <span className="text-muted-foreground">Power Supply</span>
-              </div>
-              <div className="flex items-center gap-2 text-xs">
-                <span className="w-3 h-3 rounded bg-block-inputs" />
-                <span className="text-muted-foreground">Inputs Block</span>
-              </div>
-              <div className="flex items-center gap-2 text-xs">
-                <span className="w-3 h-3 rounded bg-block-processing" />
-                <span className="text-muted-foreground">Control & Processing</span>
-              </div>
-              <div className="flex items-center gap-2 text-xs">
-                <span className="w-3 h-3 rounded bg-block-outputs" />
-                <span className="text-muted-foreground">Outputs Block</span>
-              </div>
-              <div className="flex items-center gap-2 text-xs">
-                <span className="w-3 h-3 rounded bg-block-peripherals" />
-                <span className="text-muted-foreground">Other Peripherals</span>
-              </div>
+              {blockTypes.map((type) => (
+                <div key={type.id} className="flex items-center gap-2 text-xs">
+                  <span className="w-3 h-3 rounded" style={{ backgroundColor: type.color }} />
+                  <span className="text-muted-foreground">{type.label}</span>
+                  {blockCounts[type.id] > 1 && (
+                    <span className="ml-auto font-mono text-foreground/70">
+                      ×{blockCounts[type.id]}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+            <p className="text-sm font-medium text-foreground mt-4 mb-3">Connection Types</p>
+            <div className="space-y-2">
+              {Object.entries(EDGE_TYPE_STYLES).map(([type, { label }]) => (
+                <div key={type} className="flex items-center gap-2 text-xs">
+                  <svg width="20" height="6" aria-hidden="true">
+                    <line x1="0" y1="3" x2="20" y2="3" style={edgeStyleFor(type).style} />
+                  </svg>
+                  <span className="text-muted-foreground">{label}</span>
+                </div>
+              ))}
             </div>
           </div>
         </aside>
 
         {/* Canvas area */}
         <main className="flex-1 relative">
-          {hasGenerated ? (
+          {comparisonSides ? (
+            <DiagramDiffView
+              base={comparisonSides.base}
+              target={comparisonSides.target}
+              choices={versionChoices}
+              onChange={handleCompare}
+              onRestore={handleRestoreVersion}
+              onClose={() => setComparison(null)}
+            />
+          ) : hasGenerated ? (
             <DiagramCanvas
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={setNodes}
-              onEdgesChange={setEdges}
+              key={openPath.join("/")}
+              nodes={view.nodes}
+              edges={view.edges}
+              onNodesChange={handleViewNodesChange}
+              onEdgesChange={handleViewEdgesChange}
               onExport={handleExport}
+              onExportDrawio={handleExportDrawio}
+              onImport={handleImport}
+              onImportText={() => setIsTextImportOpen(true)}
               onReset={handleReset}
+              onRecordHistory={history.record}
+              onUndo={history.undo}
+              onRedo={history.redo}
+              canUndo={history.canUndo}
+              canRedo={history.canRedo}
+              confirmReset={hasUnsavedChanges}
+              layoutDirection={layoutDirection}
+              onLayoutDirectionChange={setLayoutDirection}
+              trail={trail}
+              onNavigate={handleNavigate}
+              onOpenSubDiagram={handleOpenSubDiagram}
+              onExpandBlock={handleExpandBlock}
+              isExpanding={isLoading}
+              onCursorMove={collab.room ? collab.setCursor : undefined}
+              onEditingChange={collab.setEditing}
             />
           ) : (
             /* Empty state */
@@ -210,7 +893,8 @@ export default function Index() {
                 <p className="text-muted-foreground">
                   Describe an electronics product in the input panel to generate
                   a block diagram with 5 sections: Power, Inputs, Processing,
-                  Outputs, and Peripherals.
+                  Outputs, and Peripherals. Use detailed mode for several blocks
+                  per section.
                 </p>
               </div>
             </div>
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { saveSession, loadSession, clearSession } from "@/lib/autosave";
+
+describe("autosave", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it("restores what was saved", () => {
+    const nodes = [{ id: "power-1", position: { x: 1, y: 2 }, data: { type: "power" } }];
+    saveSession({ nodes, edges: [], description: "Doorbell" });
+
+    const session = loadSession();
+    expect(session.nodes).toEqual(nodes);
+    expect(session.description).toBe("Doorbell");
+    expect(typeof session.savedAt).toBe("string");
+  });
+
+  it("ignores empty, corrupt or cleared sessions", () => {
+    saveSession({ nodes: [], edges: [] });
+    expect(loadSession()).toBeNull();
+
+    window.localStorage.setItem("block-diagram-canvas:autosave", "{oops");
+    expect(loadSession()).toBeNull();
+
+    saveSession({ nodes: [{ id: "a" }], edges: [] });
+    clearSession();
+    expect(loadSession()).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  addBlockTypes,
+  blockTypeStyle,
+  createBlockTypeId,
+  getBlockType,
+  getBlockTypes,
+  getCustomBlockTypes,
+  removeBlockType,
+  validateBlockType,
+} from "@/lib/blockTypes";
+
+const rfFrontEnd = { id: "rf-front-end", label: "RF Front End", color: "#e11d48", icon: "📡", order: 2.5 };
+
+describe("blockTypes", () => {
+  afterEach(() => getCustomBlockTypes().forEach((type) => removeBlockType(type.id)));
+
+  it("falls back to a neutral style for unknown types", () => {
+    const type = getBlockType("mystery");
+    expect(type.label).toBe("mystery");
+    expect(blockTypeStyle(type).style.borderColor).toBe(type.color);
+    expect(blockTypeStyle(getBlockType("power"))).toEqual({ className: "block-power" });
+  });
+
+  it("validates custom type definitions", () => {
+    expect(validateBlockType(rfFrontEnd)).toBeNull();
+    expect(validateBlockType({ ...rfFrontEnd, id: "RF Front End" })).toMatch(/slug/);
+    expect(validateBlockType({ ...rfFrontEnd, color: "red" })).toMatch(/colour/);
+    expect(createBlockTypeId("Power Supply", getBlockTypes())).toBe("power-supply");
+    expect(createBlockTypeId("RF Front End", [rfFrontEnd])).toBe("rf-front-end-2");
+  });
+
+  it("registers custom types in layout order and persists them", () => {
+    expect(addBlockTypes([rfFrontEnd, { ...rfFrontEnd, id: "power" }])).toHaveLength(1);
+    expect(getBlockTypes().map((type) => type.id)).toEqual([
+      "power",
+      "inputs",
+      "processing",
+      "rf-front-end",
+      "outputs",
+      "peripherals",
+    ]);
+    expect(getBlockType("rf-front-end").fill).toMatch(/^#[0-9a-f]{6}$/);
+
+    const stored = JSON.parse(window.localStorage.getItem("block-diagram-canvas:block-types"));
+    expect(stored).toEqual([rfFrontEnd]);
+
+    removeBlockType("rf-front-end");
+    expect(getBlockType("rf-front-end").label).toBe("rf-front-end");
+  });
+
+  it("turns palette templates saved before the registry into custom types", async () => {
+    window.localStorage.setItem(
+      "block-diagram-canvas:palette",
+      JSON.stringify([
+        { id: "custom-1", label: "Motor Driver", type: "outputs", components: ["H-Bridge"] },
+        { id: "custom-2", label: "Mystery", type: "unknown" },
+      ])
+    );
+    vi.resetModules();
+    const registry = await import("@/lib/blockTypes");
+
+    expect(registry.getCustomBlockTypes().map(registry.storableBlockType)).toEqual([
+      { id: "motor-driver", label: "Motor Driver", icon: "📤", color: "#7828c8", order: 3.5, components: ["H-Bridge"] },
+    ]);
+    expect(window.localStorage.getItem("block-diagram-canvas:palette")).toBeNull();
+    registry.removeBlockType("motor-driver");
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { buildBom, bomToCsv } from "@/lib/bom";
+import { cleanComponent, validateComponent } from "@/lib/parts";
+
+const block = (title, components) => ({ id: title, data: { title, components } });
+
+describe("buildBom", () => {
+  it("combines identical parts across blocks and totals the cost", () => {
+    const ldo = { name: "LDO", partNumber: "AP2112K-3.3", manufacturer: "Diodes", quantity: 1, unitCost: 0.25 };
+    const { rows, totals } = buildBom([
+      block("Power", [ldo, "Battery"]),
+      block("Sensors", [{ ...ldo, name: "3.3V regulator", quantity: 2 }, "Battery"]),
+    ]);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ name: "LDO", quantity: 3, extendedCost: 0.75, blocks: ["Power", "Sensors"] });
+    expect(rows[1]).toMatchObject({ name: "Battery", quantity: 2 });
+    expect(totals).toEqual({ quantity: 5, cost: 0.75, unpriced: 1 });
+  });
+
+  it("escapes CSV cells and neutralises formulas", () => {
+    const { rows } = buildBom([block("Main", [{ name: 'Header, 2x5 "Tag"', quantity: 1 }, "=SUM(A1)"])]);
+    const lines = bomToCsv(rows).trim().split("\r\n");
+
+    expect(lines[0]).toBe(
+      "Component,Part Number,Manufacturer,Package,Quantity,Unit Cost,Extended Cost,Datasheet,Blocks"
+    );
+    expect(lines[1]).toBe('"Header, 2x5 ""Tag""",,,,1,,,,Main');
+    expect(lines[2].startsWith("'=SUM(A1)")).toBe(true);
+  });
+});
+
+describe("component entries", () => {
+  it("tidies editor input", () => {
+    expect(cleanComponent({ name: " MCU ", quantity: "2", unitCost: "3.5", partNumber: "" })).toEqual({
+      name: "MCU",
+      quantity: 2,
+      unitCost: 3.5,
+    });
+  });
+
+  it("rejects bad quantities and datasheet links", () => {
+    expect(validateComponent("Battery")).toBeNull();
+    expect(validateComponent({ name: "MCU", quantity: 0 })).toMatch("positive whole quantity");
+    expect(validateComponent({ name: "MCU", datasheet: "javascript:alert(1)" })).toMatch("not http(s)");
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import {
+  PASTE_OFFSET,
+  parseClipboardText,
+  prepareForPaste,
+  selectedSubgraph,
+  selectionToClipboardText,
+} from "@/lib/clipboard";
+import { defaultFlow } from "./fixtures";
+
+// Default template with the power supply and the MCU selected
+function selectedFlow() {
+  const select = new Set(["power-1", "processing-1"]);
+  const { nodes, edges } = defaultFlow();
+  return { nodes: nodes.map((node) => ({ ...node, selected: select.has(node.id) })), edges };
+}
+
+describe("clipboard", () => {
+  it("copies selected blocks with only the edges between them", () => {
+    const { nodes, edges } = selectedFlow();
+    const selection = selectedSubgraph(nodes, edges);
+    expect(selection.nodes.map((node) => node.id)).toEqual(["power-1", "processing-1"]);
+    expect(selection.edges.map((edge) => edge.label)).toEqual(["VCC"]);
+    expect(selectedSubgraph(nodes.map((node) => ({ ...node, selected: false })), edges)).toBeNull();
+  });
+
+  it("pastes the export format back with fresh ids", () => {
+    const { nodes, edges } = selectedFlow();
+    const pasted = parseClipboardText(selectionToClipboardText(nodes, edges));
+    const added = prepareForPaste(pasted, nodes, edges);
+
+    expect(added.nodes.map((node) => node.id)).toEqual(["power-2", "processing-2"]);
+    expect(added.nodes.every((node) => node.selected)).toBe(true);
+    expect(added.nodes[0].position.x).toBe(nodes[0].position.x + PASTE_OFFSET);
+    expect(added.edges).toHaveLength(1);
+    expect(added.edges[0]).toMatchObject({ source: "power-2", target: "processing-2", label: "VCC" });
+    expect(edges.some((edge) => edge.id === added.edges[0].id)).toBe(false);
+  });
+
+  it("ignores text that is not a diagram export", () => {
+    expect(parseClipboardText("hello")).toBeNull();
+    expect(parseClipboardText('{"foo": 1}')).toBeNull();
+    expect(() => parseClipboardText('{"version": "9", "diagram": {}}')).toThrow("Unsupported export version");
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { applyOps, commitLocal, createDoc, materialize, snapshotOps } from "@/lib/crdt";
+import { createCollabSession } from "@/lib/collab";
+import { startRelay } from "../../scripts/collab-relay.js";
+import { defaultFlow } from "./fixtures";
+
+vi.mock("@/integrations/supabase/client", () => ({ supabase: {} }));
+const { webSocketTransport } = await import("@/lib/collabTransport");
+
+// Shared fields only, as the other replica sees them
+const shared = ({ nodes, edges }) => ({
+  nodes: nodes.map(({ id, position, data }) => ({ id, position, data: JSON.parse(JSON.stringify(data)) })),
+  edges: edges.map(({ id, source, target, label }) => ({ id, source, target, label })),
+});
+
+const rename = (nodes, id, title) => nodes.map((n) => (n.id === id ? { ...n, data: { ...n.data, title } } : n));
+
+// Second replica that has received a's diagram and handed it to React
+function replicaOf(a, clientId) {
+  const doc = createDoc(clientId);
+  applyOps(doc, snapshotOps(a));
+  const { nodes, edges } = materialize(doc);
+  expect(commitLocal(doc, nodes, edges)).toEqual([]);
+  return doc;
+}
+
+async function until(check, timeout = 3000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting for sync");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("diagram CRDT", () => {
+  it("converges on concurrent edits whatever order the operations arrive in", () => {
+    const { nodes, edges } = defaultFlow();
+    const a = createDoc("a");
+    commitLocal(a, nodes, edges);
+    const b = replicaOf(a, "b");
+
+    // a renames and moves a block while b edits its components and deletes another
+    const fromA = commitLocal(
+      a,
+      rename(nodes, "power-1", "Battery pack").map((n) => (n.id === "power-1" ? { ...n, position: { x: 5, y: 5 } } : n)),
+      edges
+    );
+    const bNodes = nodes
+      .filter((n) => n.id !== "outputs-1")
+      .map((n) => (n.id === "power-1" ? { ...n, data: { ...n.data, components: [{ name: "LiPo", quantity: 1 }] } } : n));
+    const fromB = commitLocal(
+      b,
+      bNodes,
+      edges.filter((e) => e.target !== "outputs-1")
+    );
+
+    applyOps(a, fromB);
+    applyOps(b, [...fromA].reverse());
+    expect(shared(materialize(a))).toEqual(shared(materialize(b)));
+
+    const power = materialize(a).nodes.find((n) => n.id === "power-1");
+    expect(power.data.title).toBe("Battery pack");
+    expect(power.data.components).toEqual([{ name: "LiPo", quantity: 1 }]);
+    expect(power.position).toEqual({ x: 5, y: 5 });
+    expect(materialize(a).nodes.map((n) => n.id)).not.toContain("outputs-1");
+  });
+
+  it("lets the later write win when two clients change the same field", () => {
+    const { nodes, edges } = defaultFlow();
+    const a = createDoc("a");
+    commitLocal(a, nodes, edges);
+    const b = replicaOf(a, "b");
+
+    const fromA = commitLocal(a, rename(nodes, "inputs-1", "From A"), edges);
+    applyOps(b, fromA);
+    const fromB = commitLocal(b, rename(nodes, "inputs-1", "From B"), edges);
+    applyOps(a, fromB);
+    applyOps(b, fromA);
+
+    expect(materialize(a).nodes.find((n) => n.id === "inputs-1").data.title).toBe("From B");
+    expect(shared(materialize(a))).toEqual(shared(materialize(b)));
+  });
+
+  it("sends nothing when the local state already matches the replica", () => {
+    const { nodes, edges } = defaultFlow();
+    const doc = createDoc("a");
+    commitLocal(doc, nodes, edges);
+    const selected = nodes.map((n) => ({ ...n, selected: true, width: 260, height: 120 }));
+    expect(commitLocal(doc, selected, edges)).toEqual([]);
+
+    const copy = createDoc("c");
+    applyOps(copy, snapshotOps(doc));
+    expect(shared(materialize(copy))).toEqual(shared({ nodes, edges }));
+  });
+
+  it("hides edges whose block was deleted", () => {
+    const { nodes, edges } = defaultFlow();
+    const doc = createDoc("a");
+    commitLocal(doc, nodes, edges);
+    const other = replicaOf(doc, "b");
+    applyOps(doc, commitLocal(other, nodes.filter((n) => n.id !== "processing-1"), edges));
+    expect(materialize(doc).edges).toEqual([]);
+  });
+
+  it("does not undo remote changes that reach the replica before React renders them", () => {
+    const { nodes, edges } = defaultFlow();
+    const a = createDoc("a");
+    commitLocal(a, nodes, edges);
+    const b = replicaOf(a, "b");
+    const stale = materialize(b);
+
+    // a deletes a block and adds another; b applies that before its React state catches up
+    const added = { ...nodes[0], id: "radio-1", data: { ...nodes[0].data, title: "Radio" } };
+    applyOps(b, commitLocal(a, [...nodes.filter((n) => n.id !== "outputs-1"), added], edges.filter((e) => e.target !== "outputs-1")));
+
+    // b's next update still holds the old nodes, with one local rename
+    const fromB = commitLocal(b, rename(stale.nodes, "power-1", "Battery"), stale.edges);
+    expect(fromB.map(({ id, field }) => `${id} ${field}`)).toEqual(["power-1 data.title"]);
+    applyOps(a, fromB);
+
+    for (const doc of [a, b]) {
+      const ids = materialize(doc).nodes.map((n) => n.id);
+      expect(ids).not.toContain("outputs-1");
+      expect(ids).toContain("radio-1");
+    }
+    // Rendering the remote state afterwards sends nothing back
+    const caughtUp = materialize(b);
+    expect(commitLocal(b, caughtUp.nodes, caughtUp.edges)).toEqual([]);
+    expect(caughtUp.nodes.find((n) => n.id === "power-1").data.title).toBe("Battery");
+  });
+});
+
+describe("collaboration sessions over the WebSocket relay", () => {
+  let relay;
+  const sessions = [];
+
+  afterEach(async () => {
+    sessions.splice(0).forEach((session) => session.close());
+    await relay?.close();
+    relay = undefined;
+  });
+
+  function connect(room, options) {
+    const state = { flow: null, peers: [] };
+    const session = createCollabSession({
+      transport: webSocketTransport(`ws://127.0.0.1:${relay.port}`, room),
+      flushDelay: 0,
+      joinTimeout: 500,
+      onRemoteChange: (flow) => (state.flow = flow),
+      onPeersChange: (peers) => (state.peers = peers),
+      ...options,
+    });
+    sessions.push(session);
+    return { session, state };
+  }
+
+  it("syncs a hosted diagram to a joining client and edits both ways", async () => {
+    relay = await startRelay({ port: 0 });
+    const { nodes, edges } = defaultFlow();
+
+    const host = connect("room-1", { user: { name: "Ada" } });
+    host.session.update(nodes, edges);
+
+    const guest = connect("room-1", { mode: "join", user: { name: "Grace" } });
+    await until(() => guest.state.flow?.nodes.length === 5);
+    expect(guest.session.synced).toBe(true);
+    expect(shared(guest.state.flow)).toEqual(shared({ nodes, edges }));
+    await until(() => host.state.peers.some((peer) => peer.name === "Grace"));
+
+    guest.session.update(rename(guest.state.flow.nodes, "outputs-1", "Screen"), guest.state.flow.edges);
+    await until(() => host.state.flow?.nodes.find((n) => n.id === "outputs-1")?.data.title === "Screen");
+
+    host.session.setPresence({ editing: "power-1", cursor: { x: 10, y: 20 } });
+    await until(() => guest.state.peers.some((peer) => peer.editing === "power-1"));
+    expect(guest.state.peers[0]).toMatchObject({ name: "Ada", cursor: { x: 10, y: 20 } });
+
+    // Other rooms hear nothing
+    const stranger = connect("room-2", { mode: "join" });
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    expect(stranger.state.flow).toBeNull();
+    expect(stranger.session.synced).toBe(true);
+
+    guest.session.close();
+    await until(() => host.state.peers.length === 0);
+  });
+});
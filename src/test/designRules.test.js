@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { runDesignRules, DESIGN_RULES } from "@/lib/designRules";
+import { defaultFlow } from "./fixtures";
+
+describe("runDesignRules", () => {
+  it("reports orphans, missing processing and power paths after deleting the MCU", () => {
+    const { nodes, edges } = defaultFlow();
+    const remaining = nodes.filter((node) => node.id !== "processing-1");
+    const problems = runDesignRules(
+      remaining,
+      edges.filter((edge) => edge.source !== "processing-1" && edge.target !== "processing-1")
+    );
+
+    expect(problems[0]).toMatchObject({ ruleId: "missing-processing", severity: "error" });
+    expect(problems.filter((p) => p.ruleId === "unconnected-block")).toHaveLength(4);
+    expect(problems.filter((p) => p.ruleId === "no-power-path").map((p) => p.nodeId)).toEqual([
+      "inputs-1",
+      "outputs-1",
+      "peripherals-1",
+    ]);
+  });
+
+  it("flags self-loops, duplicates and empty blocks", () => {
+    const { nodes, edges } = defaultFlow();
+    nodes[1].data.components = [];
+    const extra = [
+      { ...edges[0], id: "dup" },
+      { id: "loop", source: "outputs-1", target: "outputs-1" },
+    ];
+    const problems = runDesignRules(nodes, [...edges, ...extra]);
+
+    const structural = problems.filter((p) => p.ruleId !== "no-power-path");
+    expect(structural.map((p) => [p.ruleId, p.edgeId ?? p.nodeId])).toEqual([
+      ["self-loop", "loop"],
+      ["duplicate-connection", "dup"],
+      ["empty-block", "inputs-1"],
+    ]);
+  });
+
+  it("accepts a custom rule list and survives a failing rule", () => {
+    const broken = { id: "broken", title: "Broken", severity: "info", check: () => null.x };
+    const problems = runDesignRules([], [], [...DESIGN_RULES, broken]);
+    expect(problems).toEqual([expect.objectContaining({ ruleId: "broken", message: 'Rule "Broken" could not run.' })]);
+  });
+
+  it("reports a custom rule that returns no list of problems", () => {
+    const silent = { id: "silent", title: "Silent", severity: "info", check: () => undefined };
+    const chatty = { id: "chatty", title: "Chatty", severity: "warning", check: () => "looks fine" };
+    const { nodes, edges } = defaultFlow();
+    const problems = runDesignRules(nodes, edges, [silent, chatty]);
+    expect(problems.map((p) => [p.ruleId, p.message])).toEqual([
+      ["chatty", 'Rule "Chatty" could not run.'],
+      ["silent", 'Rule "Silent" could not run.'],
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { DIFF_COLORS, diffDiagrams, diffToFlow, hasDifferences } from "@/lib/diagramDiff";
+import { generateDefaultDiagram } from "@/lib/diagramUtils";
+import { defaultFlow, toFlow } from "./fixtures";
+
+// Rev B of the default template: a block renamed and re-annotated, parts swapped,
+// a block added, another removed and the wiring changed to match
+function revisionB() {
+  const diagram = generateDefaultDiagram();
+  const blocks = diagram.blocks
+    .filter((block) => block.id !== "peripherals-1")
+    .map((block) => {
+      if (block.id === "power-1") {
+        return { ...block, title: "Battery Pack", annotation: "2S Li-ion", components: ["Battery", "Buck Converter"] };
+      }
+      if (block.id === "processing-1") {
+        return { ...block, components: ["Microcontroller", { name: "Memory", partNumber: "W25Q128", quantity: 2 }] };
+      }
+      return block;
+    });
+  blocks.push({ id: "radio-1", type: "peripherals", title: "Radio", components: ["BLE Module"] });
+
+  const connections = diagram.connections
+    .filter((connection) => connection.target !== "peripherals-1")
+    .map((connection) => (connection.label === "VCC" ? { ...connection, label: "3V3" } : connection));
+  connections.push({ source: "processing-1", target: "radio-1", label: "UART" });
+  return { blocks, connections };
+}
+
+describe("diagram diff", () => {
+  it("reports added, removed and changed blocks, components and connections", () => {
+    const diff = diffDiagrams(generateDefaultDiagram(), revisionB());
+    const byId = Object.fromEntries(diff.blocks.map((block) => [block.id, block]));
+
+    expect(byId["radio-1"].status).toBe("added");
+    expect(byId["peripherals-1"].status).toBe("removed");
+    expect(byId["inputs-1"].status).toBe("unchanged");
+    expect(byId["power-1"]).toMatchObject({ status: "changed", changes: ["title", "annotation", "components"] });
+    expect(byId["power-1"].components.map(({ name, status }) => `${status} ${name}`)).toEqual([
+      "unchanged Battery",
+      "added Buck Converter",
+      "removed Voltage Regulator",
+    ]);
+    // Same part name with new details counts as a changed component
+    expect(byId["processing-1"].components[1]).toMatchObject({ name: "Memory", status: "changed" });
+
+    expect(diff.connections.map(({ status, key }) => `${status} ${key}`)).toEqual([
+      "changed power-1:->processing-1:",
+      "unchanged inputs-1:->processing-1:",
+      "unchanged processing-1:->outputs-1:",
+      "added processing-1:->radio-1:",
+      "removed processing-1:->peripherals-1:",
+    ]);
+    expect(diff.summary).toEqual({
+      blocks: { added: 1, removed: 1, changed: 2 },
+      components: { added: 2, removed: 3, changed: 1 },
+      connections: { added: 1, removed: 1, changed: 1 },
+    });
+  });
+
+  it("finds nothing between identical versions", () => {
+    const diff = diffDiagrams(generateDefaultDiagram(), generateDefaultDiagram());
+    expect(hasDifferences(diff)).toBe(false);
+    expect(diff.blocks.every((block) => block.status === "unchanged")).toBe(true);
+  });
+
+  it("overlays both versions with removed blocks where they used to be", () => {
+    const before = defaultFlow();
+    const after = toFlow(revisionB());
+    const { nodes, edges } = diffToFlow(before, after);
+
+    expect(nodes.map((node) => node.id)).toEqual([
+      "power-1",
+      "inputs-1",
+      "processing-1",
+      "outputs-1",
+      "radio-1",
+      "peripherals-1",
+    ]);
+    const removed = nodes.find((node) => node.id === "peripherals-1");
+    expect(removed.type).toBe("diffBlock");
+    expect(removed.position).toEqual(before.nodes.find((node) => node.id === "peripherals-1").position);
+    expect(removed.data.diff.status).toBe("removed");
+
+    const power = edges.find((edge) => edge.source === "power-1");
+    expect(power.label).toBe("VCC → 3V3");
+    expect(power.style.stroke).toBe(DIFF_COLORS.changed);
+    const gone = edges.find((edge) => edge.target === "peripherals-1");
+    expect(gone.style).toMatchObject({ stroke: DIFF_COLORS.removed, strokeDasharray: "6 4" });
+    expect(edges.find((edge) => edge.target === "radio-1").style.stroke).toBe(DIFF_COLORS.added);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { checkDiagram, repairDiagram, validateDiagram } from "../../supabase/functions/_shared/diagram-schema.ts";
+import { generateDefaultDiagram } from "@/lib/diagramUtils";
+
+describe("diagram schema", () => {
+  it("accepts a valid standard diagram unchanged", () => {
+    const diagram = generateDefaultDiagram();
+    expect(checkDiagram(diagram, { mode: "standard" })).toEqual({ diagram, repairs: [], errors: [] });
+  });
+
+  it("dedupes ids, drops dangling connections and fills missing types", () => {
+    const raw = generateDefaultDiagram();
+    delete raw.blocks[3].type;
+    raw.blocks[4].id = "power-1";
+    raw.blocks[1].components = [{ name: "PIR Sensor", partNumber: "EKMC1601111" }, null];
+    raw.connections.push({ source: "processing-1", target: "missing-1" });
+
+    const { diagram, repairs, errors } = checkDiagram(raw, { mode: "standard" });
+    expect(errors).toEqual([]);
+    expect(diagram.blocks.map((block) => [block.id, block.type])).toEqual([
+      ["power-1", "power"],
+      ["inputs-1", "inputs"],
+      ["processing-1", "processing"],
+      ["outputs-1", "outputs"],
+      ["power-1-2", "peripherals"],
+    ]);
+    expect(diagram.blocks[1].components).toEqual(["PIR Sensor"]);
+    // The connection to the renamed block went with its old id
+    expect(diagram.connections.map((connection) => connection.target)).toEqual([
+      "processing-1",
+      "processing-1",
+      "outputs-1",
+    ]);
+    expect(repairs).toHaveLength(3);
+  });
+
+  it("reports what cannot be repaired", () => {
+    const raw = generateDefaultDiagram();
+    raw.blocks[4].type = "power";
+    expect(validateDiagram(raw, { mode: "standard" })).toEqual([
+      'blocks: needs exactly one "power" block, found 2',
+      'blocks: needs exactly one "peripherals" block, found 0',
+    ]);
+    expect(checkDiagram({ blocks: "none" }, { mode: "detailed" }).errors).toEqual([
+      "blocks: Expected array, received string",
+      "connections: Required",
+    ]);
+    expect(validateDiagram(raw, { mode: "detailed", types: ["sensor"] })).toEqual([]);
+  });
+
+  it("lets sub-diagrams connect to boundary endpoints only", () => {
+    const raw = {
+      blocks: [{ id: "port:mcu", type: "processing", title: "MCU", components: [] }],
+      connections: [
+        { source: "port:vin", target: "mcu" },
+        { source: "mcu", target: "port:gone" },
+      ],
+    };
+    const { diagram, errors } = checkDiagram(raw, { mode: "expand", boundaryIds: ["port:vin"] });
+    expect(errors).toEqual([]);
+    expect(diagram.blocks[0].id).toBe("mcu");
+    expect(diagram.connections).toEqual([{ source: "port:vin", target: "mcu" }]);
+    expect(repairDiagram(null, { mode: "expand" })).toEqual({ diagram: null, repairs: [] });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  diagramToNodes,
+  connectionsToEdges,
+  generateDefaultDiagram,
+} from "@/lib/diagramUtils";
+
+vi.mock("@/integrations/supabase/client", () => ({ supabase: {} }));
+
+const { flowToRecord, recordToFlow } = await import("@/lib/diagramStore");
+
+describe("diagram records", () => {
+  it("round-trips blocks, edge labels and manual positions", () => {
+    const diagram = generateDefaultDiagram();
+    const nodes = diagramToNodes(diagram);
+    const edges = connectionsToEdges(diagram.connections);
+    nodes[2] = { ...nodes[2], position: { x: 999, y: -5 } };
+
+    const record = flowToRecord(nodes, edges, { title: "Doorbell", description: "Smart doorbell" });
+    expect(record.positions["processing-1"]).toMatchObject({ x: 999, y: -5 });
+
+    const flow = recordToFlow({ ...record, id: "abc" });
+    expect(flow.title).toBe("Doorbell");
+    expect(flow.description).toBe("Smart doorbell");
+    expect(flow.nodes.find((n) => n.id === "processing-1").position).toEqual({ x: 999, y: -5 });
+    expect(flow.edges.map((e) => e.label)).toEqual(["VCC", "Data", "Control", "I/O"]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from "vitest";
+import { generateDefaultDiagram } from "@/lib/diagramUtils";
+
+vi.mock("@/integrations/supabase/client", () => ({ supabase: {} }));
+
+const { collectDiagram, extractStreamedItems, mockDiagramEvents, readServerSentEvents } = await import(
+  "@/lib/diagramStream"
+);
+
+describe("diagramStream", () => {
+  it("picks complete blocks and connections out of partial JSON", () => {
+    const text = JSON.stringify(generateDefaultDiagram());
+    const cut = text.indexOf('"title":"Control');
+    const partial = extractStreamedItems(text.slice(0, cut));
+    expect(partial.blocks.map((block) => block.id)).toEqual(["power-1", "inputs-1"]);
+    expect(partial.connections).toEqual([]);
+
+    const tricky = '{"blocks":[{"id":"a","title":"Brace } and \\" quote","components":[]},{"id":"b"';
+    expect(extractStreamedItems(tricky).blocks).toEqual([{ id: "a", title: 'Brace } and " quote', components: [] }]);
+  });
+
+  it("reports progress while the mock stream is written out", async () => {
+    const progress = [];
+    const diagram = await collectDiagram(mockDiagramEvents({ delay: 0, chunkSize: 40 }), (items) =>
+      progress.push(items.blocks.length + items.connections.length)
+    );
+    expect(diagram).toEqual(generateDefaultDiagram());
+    expect(progress.at(-1)).toBe(diagram.blocks.length + diagram.connections.length);
+    expect(progress.length).toBeGreaterThan(2);
+  });
+
+  it("stops with an AbortError when cancelled", async () => {
+    const controller = new AbortController();
+    const pending = collectDiagram(mockDiagramEvents({ signal: controller.signal, delay: 5 }), () =>
+      controller.abort()
+    );
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("reads server-sent events split across chunks", async () => {
+    const encoder = new TextEncoder();
+    const chunks = ['event: delta\ndata: {"text":"{\\"bl', 'ocks\\""}\n\nevent: error\ndata: {"error":"Too many blocks"}\n\n'];
+    const body = new ReadableStream({
+      start(controller) {
+        chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      },
+    });
+    const events = [];
+    for await (const event of readServerSentEvents(body)) events.push(event);
+    expect(events).toEqual([
+      { event: "delta", data: { text: '{"blocks"' } },
+      { event: "error", data: { error: "Too many blocks" } },
+    ]);
+    await expect(collectDiagram(events)).rejects.toThrow("Too many blocks");
+
+    const progress = [];
+    const retried = [
+      { event: "delta", data: { text: '{"blocks":[{"id":"a"},' } },
+      { event: "retry", data: { errors: ["blocks: must contain exactly 5 blocks"] } },
+      { event: "delta", data: { text: '{"blocks":[{"id":"b"}' } },
+    ];
+    const retries = [];
+    await expect(
+      collectDiagram(retried, (items) => progress.push(items.blocks.map((block) => block.id)), (errors) => retries.push(errors))
+    ).rejects.toThrow();
+    expect(progress).toEqual([["a"], [], ["b"]]);
+    expect(retries).toEqual([["blocks: must contain exactly 5 blocks"]]);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect } from "vitest";
+import {
+  diagramToNodes,
+  connectionsToEdges,
+  generateDefaultDiagram,
+  parseDiagramImport,
+  mergeRefinedDiagram,
+  nodesToDiagram,
+} from "@/lib/diagramUtils";
+
+// Build the same payload exportDiagramAsJson writes to disk
+function buildExport(overrides = {}) {
+  const diagram = generateDefaultDiagram();
+  const nodes = diagramToNodes(diagram);
+  const edges = connectionsToEdges(diagram.connections);
+  nodes[0].position = { x: 12, y: 34 };
+
+  return {
+    version: "1.0",
+    generatedAt: new Date().toISOString(),
+    description: "Smart doorbell",
+    diagram,
+    reactFlowData: {
+      nodes: nodes.map((n) => ({ id: n.id, type: n.type, position: n.position, data: n.data })),
+      edges: edges.map((e) => ({ id: e.id, source: e.source, target: e.target, label: e.label })),
+    },
+    ...overrides,
+  };
+}
+
+describe("parseDiagramImport", () => {
+  it("restores positions, edge labels and description", () => {
+    const result = parseDiagramImport(JSON.stringify(buildExport()));
+
+    expect(result.description).toBe("Smart doorbell");
+    expect(result.nodes).toHaveLength(5);
+    expect(result.nodes[0].position).toEqual({ x: 12, y: 34 });
+    expect(result.edges.map((e) => e.label)).toEqual(["VCC", "Data", "Control", "I/O"]);
+    expect(result.edges[0].type).toBe("smoothstep");
+  });
+
+  it("falls back to the diagram section without reactFlowData", () => {
+    const result = parseDiagramImport(JSON.stringify(buildExport({ reactFlowData: undefined })));
+
+    expect(result.nodes).toHaveLength(5);
+    expect(result.edges).toHaveLength(4);
+  });
+
+  it("rejects malformed JSON", () => {
+    expect(() => parseDiagramImport("{not json")).toThrow("not valid JSON");
+  });
+
+  it("rejects an unsupported version", () => {
+    expect(() => parseDiagramImport(JSON.stringify(buildExport({ version: "2.0" })))).toThrow(
+      'Unsupported export version "2.0"'
+    );
+  });
+
+  it("rejects edges pointing at missing blocks", () => {
+    const data = buildExport();
+    data.reactFlowData.edges.push({ id: "x", source: "power-1", target: "ghost" });
+
+    expect(() => parseDiagramImport(JSON.stringify(data))).toThrow("does not exist");
+  });
+});
+
+describe("mergeRefinedDiagram", () => {
+  it("keeps manual positions and annotations and lays out new blocks below", () => {
+    const diagram = generateDefaultDiagram();
+    const nodes = diagramToNodes(diagram).map((node) =>
+      node.id === "inputs-1"
+        ? { ...node, position: { x: -400, y: 900 }, data: { ...node.data, annotation: "Check ESD" } }
+        : node
+    );
+    const edges = connectionsToEdges(diagram.connections);
+
+    const refined = structuredClone(diagram);
+    refined.blocks[0].components = ["Li-ion Battery", "Voltage Regulator"];
+    refined.blocks.push({ id: "radio-1", type: "peripherals", title: "LoRa", components: ["SX1276"] });
+    refined.connections.push({ source: "processing-1", target: "radio-1", label: "SPI" });
+
+    const { nodes: merged, edges: mergedEdges, summary } = mergeRefinedDiagram(nodes, edges, refined);
+    const byId = Object.fromEntries(merged.map((n) => [n.id, n]));
+
+    expect(summary).toEqual({ added: 1, changed: 1, removed: 0, unchanged: 4 });
+    expect(byId["inputs-1"]).toBe(nodes[1]);
+    expect(byId["inputs-1"].data.annotation).toBe("Check ESD");
+    expect(byId["power-1"].position).toEqual(nodes[0].position);
+    expect(byId["power-1"].data.components[0]).toEqual({ name: "Li-ion Battery", quantity: 1 });
+    expect(byId["radio-1"].position.y).toBeGreaterThan(900);
+    expect(mergedEdges[0]).toBe(edges[0]);
+    expect(mergedEdges).toHaveLength(5);
+  });
+
+  it("counts blocks the AI removed", () => {
+    const diagram = generateDefaultDiagram();
+    const nodes = diagramToNodes(diagram);
+    const refined = structuredClone(diagram);
+    refined.blocks = refined.blocks.filter((b) => b.id !== "outputs-1");
+    refined.connections = refined.connections.filter((c) => c.target !== "outputs-1");
+
+    const { nodes: merged, summary } = mergeRefinedDiagram(nodes, [], refined);
+    expect(merged).toHaveLength(4);
+    expect(summary.removed).toBe(1);
+  });
+});
+
+describe("ports and signal metadata", () => {
+  it("round-trip through the JSON export", () => {
+    const data = buildExport();
+    data.reactFlowData.nodes[0].data.ports = [
+      { id: "vout", name: "VOUT", direction: "out", kind: "power", voltage: 3.3 },
+    ];
+    data.reactFlowData.nodes[2].data.ports = [
+      { id: "vcc", name: "VCC", direction: "in", kind: "power", voltage: 3.3 },
+    ];
+    Object.assign(data.reactFlowData.edges[0], {
+      sourceHandle: "vout",
+      targetHandle: "vcc",
+      data: { signalType: "power", voltage: 3.3 },
+    });
+
+    const { nodes, edges } = parseDiagramImport(JSON.stringify(data));
+    expect(edges[0]).toMatchObject({
+      sourceHandle: "vout",
+      targetHandle: "vcc",
+      data: { signalType: "power", voltage: 3.3 },
+    });
+
+    const { blocks, connections } = nodesToDiagram(nodes, edges);
+    expect(blocks[0].ports[0].name).toBe("VOUT");
+    expect(connections[0]).toMatchObject({ sourcePort: "vout", targetPort: "vcc", signal: { voltage: 3.3 } });
+    expect(connectionsToEdges(connections)[0].sourceHandle).toBe("vout");
+  });
+
+  it("rejects connections to unknown ports", () => {
+    const data = buildExport();
+    data.reactFlowData.edges[0].sourceHandle = "missing";
+    expect(() => parseDiagramImport(JSON.stringify(data))).toThrow('unknown port "missing"');
+  });
+});
+
+describe("edge styling", () => {
+  it("restores type, label and animation from the export", () => {
+    const data = buildExport();
+    Object.assign(data.reactFlowData.edges[1], {
+      label: "PIR trigger",
+      animated: false,
+      data: { signalType: "control" },
+    });
+
+    const { nodes, edges } = parseDiagramImport(JSON.stringify(data));
+    expect(edges[1]).toMatchObject({ label: "PIR trigger", animated: false });
+    expect(edges[1].style.strokeDasharray).toBeDefined();
+    expect(edges[1].style.stroke).not.toBe(edges[0].style.stroke);
+    expect(edges[0].animated).toBe(true);
+    expect(nodesToDiagram(nodes, edges).connections[1].animated).toBe(false);
+  });
+
+  it("rejects unknown signal types", () => {
+    const data = buildExport();
+    data.reactFlowData.edges[0].data = { signalType: "plasma" };
+    expect(() => parseDiagramImport(JSON.stringify(data))).toThrow('unknown signal type "plasma"');
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { deflateRawSync } from "node:zlib";
+import { isDrawioFile, parseDrawio, toDrawio } from "@/lib/drawio";
+import { addBlockTypes, getCustomBlockTypes, removeBlockType } from "@/lib/blockTypes";
+import { connectionsToEdges, diagramToNodes } from "@/lib/diagramUtils";
+
+const rfFrontEnd = { id: "rf-front-end", label: "RF Front End", color: "#e11d48", icon: "📡", order: 2.5 };
+
+const diagram = {
+  blocks: [
+    {
+      id: "power-1",
+      type: "power",
+      title: "Power <Supply> & more",
+      components: [{ name: "LDO", partNumber: "AP2112K-3.3", quantity: 2 }, "Li-ion Battery"],
+      annotation: "3.3 V rail",
+    },
+    {
+      id: "processing-1",
+      type: "processing",
+      title: "MCU",
+      components: ["ESP32"],
+      ports: [{ id: "spi", name: "SPI", direction: "out", kind: "data" }],
+    },
+    { id: "rf-1", type: "rf-front-end", title: "Radio", components: [] },
+  ],
+  connections: [
+    { source: "power-1", target: "processing-1", label: "3V3", signal: { signalType: "power", voltage: 3.3 } },
+    { source: "processing-1", target: "rf-1", sourcePort: "spi", label: 'SPI "fast"', animated: false },
+  ],
+};
+
+function flow() {
+  return { nodes: diagramToNodes(diagram), edges: connectionsToEdges(diagram.connections) };
+}
+
+describe("draw.io export and import", () => {
+  afterEach(() => getCustomBlockTypes().forEach((type) => removeBlockType(type.id)));
+
+  it("reads its own export back without losing positions, labels or details", async () => {
+    addBlockTypes([rfFrontEnd]);
+    const { nodes, edges } = flow();
+    const xml = toDrawio(nodes, edges);
+    removeBlockType(rfFrontEnd.id);
+
+    const imported = await parseDrawio(xml);
+    expect(imported.blockTypes).toEqual([rfFrontEnd]);
+    expect(imported.nodes.map((node) => node.position)).toEqual(nodes.map((node) => node.position));
+    expect(imported.nodes.map((node) => node.data)).toEqual(nodes.map((node) => node.data));
+    expect(imported.edges.map(({ source, target, sourceHandle, label, data, animated }) => ({
+      source,
+      target,
+      sourceHandle,
+      label,
+      data,
+      animated,
+    }))).toEqual(edges.map(({ source, target, sourceHandle, label, data, animated }) => ({
+      source,
+      target,
+      sourceHandle,
+      label,
+      data,
+      animated,
+    })));
+
+    // draw.io → canvas → draw.io writes the same file again
+    addBlockTypes(imported.blockTypes);
+    expect(toDrawio(imported.nodes, imported.edges)).toBe(xml);
+  });
+
+  it("keeps markup characters in edge labels and fractional positions", async () => {
+    const { nodes, edges } = flow();
+    nodes[0] = { ...nodes[0], position: { x: 12.5, y: -40.25 } };
+    edges[0] = { ...edges[0], label: "V<5> & <3.3V>" };
+    const xml = toDrawio(nodes, edges);
+    expect(xml).toContain('label="V&amp;lt;5&amp;gt; &amp;amp; &amp;lt;3.3V&amp;gt;"');
+
+    const imported = await parseDrawio(xml);
+    expect(imported.edges[0].label).toBe("V<5> & <3.3V>");
+    expect(imported.nodes[0].position).toEqual({ x: 12.5, y: -40.25 });
+  });
+
+  it("colours blocks by type and styles edges by signal type", () => {
+    const { nodes, edges } = flow();
+    const xml = toDrawio(nodes, edges);
+    expect(xml).toContain("strokeColor=#f97415");
+    expect(xml).toMatch(/edge="1"[^>]*source="power-1"/);
+    expect(xml).toContain("strokeWidth=3");
+    expect(xml).toContain("&lt;b&gt;Power &amp;lt;Supply&amp;gt; &amp;amp; more&lt;/b&gt;");
+  });
+
+  it("imports shapes drawn in draw.io, recovering types from colour, containers and text", async () => {
+    const xml = `
+      <mxGraphModel>
+        <root>
+          <mxCell id="0" />
+          <mxCell id="1" parent="0" />
+          <mxCell id="bat" value="Battery&lt;br&gt;18650" style="rounded=1;html=1;strokeColor=#f97415;" vertex="1" parent="1">
+            <mxGeometry x="40" y="60" width="120" height="60" as="geometry" />
+          </mxCell>
+          <mxCell id="grp" value="Outputs" style="swimlane;" vertex="1" parent="1">
+            <mxGeometry x="300" y="20" width="200" height="200" as="geometry" />
+          </mxCell>
+          <mxCell id="box" value="Thing" style="rounded=1;" vertex="1" parent="grp">
+            <mxGeometry x="20" y="40" width="120" height="60" as="geometry" />
+          </mxCell>
+          <mxCell id="oled" value="OLED display" style="rounded=1;" vertex="1" parent="1">
+            <mxGeometry x="40" y="200" width="120" height="60" as="geometry" />
+          </mxCell>
+          <mxCell id="note" value="Draft" style="text;html=1;" vertex="1" parent="1">
+            <mxGeometry x="0" y="0" width="60" height="20" as="geometry" />
+          </mxCell>
+          <mxCell id="e1" style="strokeColor=#f59f0a;" edge="1" parent="1" source="bat" target="box">
+            <mxGeometry relative="1" as="geometry" />
+          </mxCell>
+          <mxCell id="e1-label" value="EN" style="edgeLabel;html=1;" vertex="1" connectable="0" parent="e1">
+            <mxGeometry x="-0.2" relative="1" as="geometry" />
+          </mxCell>
+          <mxCell id="e2" edge="1" parent="1" source="bat" />
+        </root>
+      </mxGraphModel>`;
+
+    const { nodes, edges } = await parseDrawio(xml);
+    expect(nodes.map((node) => [node.id, node.data.type, node.data.title, node.position])).toEqual([
+      ["bat", "power", "Battery", { x: 40, y: 60 }],
+      ["box", "outputs", "Thing", { x: 320, y: 60 }],
+      ["oled", "outputs", "OLED display", { x: 40, y: 200 }],
+    ]);
+    expect(nodes[0].data.components).toEqual([{ name: "18650", quantity: 1 }]);
+    expect(edges).toHaveLength(1);
+    expect(edges[0]).toMatchObject({ source: "bat", target: "box", label: "EN", data: { signalType: "control" } });
+  });
+
+  it("reads compressed pages", async () => {
+    const { nodes, edges } = flow();
+    const model = /<mxGraphModel[\s\S]*<\/mxGraphModel>/.exec(toDrawio(nodes, edges))[0];
+    const packed = deflateRawSync(Buffer.from(encodeURIComponent(model))).toString("base64");
+    const imported = await parseDrawio(`<mxfile><diagram id="p" name="Page-1">${packed}</diagram></mxfile>`);
+    expect(imported.nodes.map((node) => node.id)).toEqual(["power-1", "processing-1", "rf-1"]);
+  });
+
+  it("rejects files that are not draw.io diagrams", async () => {
+    await expect(parseDrawio("<mxfile")).rejects.toThrow("not valid draw.io XML");
+    await expect(parseDrawio("<svg></svg>")).rejects.toThrow("not a draw.io diagram");
+    await expect(parseDrawio('<mxfile><diagram id="p">%%%</diagram></mxfile>')).rejects.toThrow("decompress");
+    expect(isDrawioFile({ name: "board.drawio" }, "")).toBe(true);
+    expect(isDrawioFile({ name: "board.json" }, '{"version":"1.0"}')).toBe(false);
+    expect(isDrawioFile({ name: "board.xml" }, '<?xml version="1.0"?>\n<!-- export -->\n<mxfile host="x">')).toBe(true);
+    expect(isDrawioFile({ name: "icon.xml" }, '<?xml version="1.0"?><svg></svg>')).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Diagrams shared by the test files
+ */
+
+import { connectionsToEdges, diagramToNodes, generateDefaultDiagram } from "@/lib/diagramUtils";
+
+/**
+ * React Flow state of a diagram payload
+ */
+export function toFlow(diagram) {
+  return { nodes: diagramToNodes(diagram), edges: connectionsToEdges(diagram.connections) };
+}
+
+/**
+ * React Flow state of the default template; edit may change the payload before it is converted
+ */
+export function defaultFlow(edit = () => {}) {
+  const diagram = generateDefaultDiagram();
+  edit(diagram);
+  return toFlow(diagram);
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import {
+  HISTORY_LIMIT,
+  createHistory,
+  recordSnapshot,
+  undoSnapshot,
+  redoSnapshot,
+} from "@/lib/history";
+
+const snap = (label) => ({ nodes: [{ id: label }], edges: [] });
+
+describe("history", () => {
+  it("undoes and redoes in order", () => {
+    const a = snap("a");
+    const b = snap("b");
+    const c = snap("c");
+    let history = recordSnapshot(createHistory(), a);
+    history = recordSnapshot(history, b);
+
+    const undone = undoSnapshot(history, c);
+    expect(undone.snapshot).toBe(b);
+
+    const redone = redoSnapshot(undone.history, b);
+    expect(redone.snapshot).toBe(c);
+    expect(redone.history.past).toEqual([a, b]);
+  });
+
+  it("coalesces repeated records of the same state", () => {
+    const a = snap("a");
+    const history = recordSnapshot(recordSnapshot(createHistory(), a), { ...a });
+    expect(history.past).toHaveLength(1);
+  });
+
+  it("drops redo steps on a new edit", () => {
+    const undone = undoSnapshot(recordSnapshot(createHistory(), snap("a")), snap("b"));
+    const history = recordSnapshot(undone.history, snap("c"));
+    expect(history.future).toEqual([]);
+    expect(redoSnapshot(history, snap("d"))).toBeNull();
+  });
+
+  it("caps the number of undo steps", () => {
+    let history = createHistory();
+    for (let i = 0; i < HISTORY_LIMIT + 10; i++) {
+      history = recordSnapshot(history, snap(String(i)));
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { diagramToSvg } from "@/lib/imageExport";
+import { defaultFlow } from "./fixtures";
+
+describe("diagramToSvg", () => {
+  it("includes block colours, components, annotations and edge labels", () => {
+    const { nodes, edges } = defaultFlow((diagram) => {
+      diagram.blocks[0].annotation = "Runs <2 days> on battery";
+    });
+    const svg = diagramToSvg(nodes, edges);
+
+    expect(svg.startsWith("<svg")).toBe(true);
+    expect(svg).toContain("hsl(25 95% 53%)");
+    expect(svg).toContain("Voltage Regulator");
+    expect(svg).toContain("Runs &lt;2 days&gt; on battery");
+    // Every edge is drawn as an arrowed path with its label
+    expect(svg.match(/<path d="[^"]+" fill="none"[^>]* marker-end="url\(#arrow-[^"]+\)"\/>/g)).toHaveLength(edges.length);
+    edges.forEach((edge) => expect(svg).toContain(`>${edge.label}</text>`));
+  });
+
+  it("omits the background rect when transparent", () => {
+    const { nodes, edges } = defaultFlow();
+    expect(diagramToSvg(nodes, edges, { background: "transparent" })).not.toContain(
+      'fill="hsl(222 47% 8%)"'
+    );
+    expect(diagramToSvg(nodes, edges, { background: "light" })).toContain('fill="#ffffff"/>');
+  });
+
+  it("maps the viewport to the visible flow region", () => {
+    const { nodes, edges } = defaultFlow();
+    const svg = diagramToSvg(nodes, edges, {
+      area: "viewport",
+      viewport: { x: 100, y: 50, zoom: 2 },
+      width: 800,
+      height: 600,
+    });
+
+    expect(svg).toContain('width="800" height="600" viewBox="-50 -25 400 300"');
+  });
+});
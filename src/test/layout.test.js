@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { layoutNodes, LAYOUT_DIRECTIONS } from "@/lib/layout";
+
+const node = (id, type, extra = {}) => ({
+  id,
+  type: "block",
+  position: { x: 0, y: 0 },
+  data: { type, title: id, components: ["A", "B"] },
+  ...extra,
+});
+
+function overlaps(a, b) {
+  const size = (n) => ({ w: n.width ?? 260, h: n.height ?? 132 });
+  const sa = size(a);
+  const sb = size(b);
+  return (
+    a.position.x < b.position.x + sb.w &&
+    b.position.x < a.position.x + sa.w &&
+    a.position.y < b.position.y + sb.h &&
+    b.position.y < a.position.y + sa.h
+  );
+}
+
+describe("layoutNodes", () => {
+  const nodes = [
+    node("power-1", "power"),
+    node("power-2", "power"),
+    node("mcu", "processing"),
+    node("led", "outputs"),
+  ];
+  const edges = [
+    { source: "power-1", target: "mcu" },
+    { source: "power-2", target: "mcu" },
+    { source: "mcu", target: "led" },
+  ];
+
+  it("places blocks in layers following connections", () => {
+    const laidOut = layoutNodes(nodes, edges);
+    const x = Object.fromEntries(laidOut.map((n) => [n.id, n.position.x]));
+
+    expect(x["power-1"]).toBe(x["power-2"]);
+    expect(x.mcu).toBeGreaterThan(x["power-1"]);
+    expect(x.led).toBeGreaterThan(x.mcu);
+  });
+
+  it("never stacks blocks of the same type on top of each other", () => {
+    const laidOut = layoutNodes(nodes, edges);
+    for (let i = 0; i < laidOut.length; i++) {
+      for (let j = i + 1; j < laidOut.length; j++) {
+        expect(overlaps(laidOut[i], laidOut[j])).toBe(false);
+      }
+    }
+  });
+
+  it("respects measured sizes and the top-to-bottom direction", () => {
+    const measured = nodes.map((n) => ({ ...n, width: 400, height: 300 }));
+    const laidOut = layoutNodes(measured, edges, { direction: LAYOUT_DIRECTIONS.TB });
+    const byId = Object.fromEntries(laidOut.map((n) => [n.id, n]));
+
+    expect(byId.mcu.position.y).toBeGreaterThanOrEqual(byId["power-1"].position.y + 300);
+    expect(Math.abs(byId["power-1"].position.x - byId["power-2"].position.x)).toBeGreaterThanOrEqual(400);
+    expect(byId.mcu.targetPosition).toBe("top");
+  });
+
+  it("handles cycles and self-loops", () => {
+    const cyclic = [
+      { source: "mcu", target: "led" },
+      { source: "led", target: "mcu" },
+      { source: "mcu", target: "mcu" },
+    ];
+    const laidOut = layoutNodes(nodes, cyclic);
+    expect(laidOut.every((n) => Number.isFinite(n.position.x) && Number.isFinite(n.position.y))).toBe(true);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from "vitest";
+import { createBlockNode, uniqueNodeId } from "@/lib/palette";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+
+describe("palette", () => {
+  it("creates a node with the next free id centred on the drop point", () => {
+    const nodes = [{ id: "power-1" }, { id: "power-3" }];
+    const node = createBlockNode(
+      { type: "power", label: "Backup Battery", components: ["CR2032"] },
+      { x: 500, y: 300 },
+      nodes,
+      { direction: LAYOUT_DIRECTIONS.TB }
+    );
+
+    expect(node.id).toBe("power-2");
+    expect(node.data).toEqual({ type: "power", title: "Backup Battery", components: [{ name: "CR2032", quantity: 1 }] });
+    expect(node.position.x).toBeLessThan(500);
+    expect(node.sourcePosition).toBe("bottom");
+    expect(uniqueNodeId("outputs", nodes)).toBe("outputs-1");
+  });
+});
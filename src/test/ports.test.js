@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import {
+  checkPortCompatibility,
+  connectionMetadata,
+  createPortId,
+  defaultPorts,
+  validatePorts,
+} from "@/lib/ports";
+
+const port = (overrides) => ({ id: "p", name: "P", direction: "out", kind: "data", ...overrides });
+
+describe("ports", () => {
+  it("warns when a 3.3V output drives a 5V-only input", () => {
+    const warnings = checkPortCompatibility(
+      port({ name: "GPIO", voltage: 3.3 }),
+      port({ name: "CTRL", direction: "in", voltage: 5 })
+    );
+    expect(warnings).toEqual(["GPIO → CTRL: 3.3V output may not drive a 5V-only input."]);
+  });
+
+  it("accepts a higher voltage into a tolerant input", () => {
+    const source = port({ voltage: 5 });
+    expect(checkPortCompatibility(source, port({ direction: "in", voltage: 3.3 }))).toHaveLength(1);
+    expect(
+      checkPortCompatibility(source, port({ direction: "in", voltage: 3.3, maxVoltage: 5.5 }))
+    ).toEqual([]);
+  });
+
+  it("flags protocol, supply and direction mismatches", () => {
+    const warnings = checkPortCompatibility(
+      port({ name: "SPI", protocol: "SPI" }),
+      port({ name: "VIN", kind: "power", protocol: "I2C" })
+    );
+    expect(warnings).toHaveLength(3);
+  });
+
+  it("derives connection metadata from the source port", () => {
+    expect(
+      connectionMetadata(port({ protocol: "SPI", voltage: 3.3, busWidth: 4 }), port({ direction: "in" }))
+    ).toEqual({ signalType: "data", protocol: "SPI", voltage: 3.3, busWidth: 4 });
+    expect(connectionMetadata(undefined, undefined)).toEqual({});
+  });
+
+  it("creates unique ids and valid default ports", () => {
+    expect(createPortId("UART TX", [{ id: "uart-tx" }])).toBe("uart-tx-2");
+    const ports = defaultPorts("processing");
+    expect(validatePorts(ports)).toBeNull();
+    expect(new Set(ports.map((p) => p.id)).size).toBe(ports.length);
+    expect(validatePorts([port({ direction: "sideways" })])).toMatch("invalid direction");
+  });
+});
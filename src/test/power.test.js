@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { analyzePower, formatBatteryLife } from "@/lib/power";
+
+const block = (id, type, components) => ({ id, data: { type, title: id, components } });
+const link = (source, target, data, label) => ({ id: `${source}-${target}`, source, target, label, data });
+
+const nodes = [
+  block("Supply", "power", [
+    { name: "Li-ion cell", quantity: 1, capacity: 1000 },
+    { name: "LDO", quantity: 1, outputVoltage: 3.3, maxCurrent: 150 },
+  ]),
+  block("MCU", "processing", [{ name: "ESP32", quantity: 1, typicalCurrent: 80, peakCurrent: 240, sleepCurrent: 0.01 }]),
+  block("Sensor", "inputs", [{ name: "BME280", quantity: 2, typicalCurrent: 0.5, supplyVoltage: 5 }]),
+  block("Debug", "peripherals", ["USB-UART"]),
+];
+
+describe("analyzePower", () => {
+  it("sums loads on a rail and flags an overloaded regulator", () => {
+    const edges = [
+      link("Supply", "MCU", undefined, "VCC"),
+      link("MCU", "Sensor", { signalType: "power" }),
+      link("MCU", "Debug", { signalType: "data" }),
+    ];
+    const result = analyzePower(nodes, edges);
+
+    expect(result.rails).toHaveLength(1);
+    expect(result.rails[0]).toMatchObject({ voltage: 3.3, typical: 81, peak: 241, status: "overloaded" });
+    expect(result.warnings).toEqual(
+      expect.arrayContaining([
+        expect.stringContaining("LDO"),
+        "Sensor: BME280 needs 5V but is fed from Supply · 3.3V.",
+        "Not on any rail: Debug.",
+      ])
+    );
+    expect(result.batteryLifeHours).toBeCloseTo(1000 / 81);
+  });
+
+  it("uses the duty cycle and an explicit battery capacity", () => {
+    const edges = [link("Supply", "MCU", { signalType: "power", voltage: 3.3 })];
+    const result = analyzePower(nodes, edges, { batteryCapacity: 2000, activeRatio: 0.01 });
+
+    expect(result.totals.average).toBeCloseTo(0.8 + 0.0099);
+    expect(formatBatteryLife(result.batteryLifeHours)).toBe("3.4 months");
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { mockProvider, providerFromEnv } from "../../supabase/functions/generate-diagram/providers.ts";
+import { DEFAULT_MOCK_DIAGRAM, MOCK_DIAGRAMS } from "../../supabase/functions/generate-diagram/mock-diagrams.ts";
+import { parseDiagramImport } from "@/lib/diagramUtils";
+
+const request = (stream = false) => ({
+  messages: [],
+  tools: [],
+  tool_choice: { type: "function", function: { name: "generate_block_diagram" } },
+  stream,
+});
+
+// Tool-call arguments from an OpenAI-style JSON or server-sent event response
+async function toolArguments(response) {
+  if (response.headers.get("Content-Type") === "application/json") {
+    return JSON.parse((await response.json()).choices[0].message.tool_calls[0].function.arguments);
+  }
+  const text = await response.text();
+  const args = text
+    .split("\n\n")
+    .map((event) => event.replace(/^data: /, ""))
+    .filter((data) => data && data !== "[DONE]")
+    .map((data) => JSON.parse(data).choices[0].delta.tool_calls[0].function.arguments)
+    .join("");
+  return JSON.parse(args);
+}
+
+const env = (values) => ({ get: (key) => values[key] });
+
+describe("AI providers", () => {
+  it("answers new diagrams from canned diagrams keyed by description", async () => {
+    const provider = mockProvider();
+    const doorbell = await provider.complete(request(), { description: "  Smart DOORBELL with camera and motion sensor!" });
+    expect(await toolArguments(doorbell)).toEqual(MOCK_DIAGRAMS["smart doorbell with camera and motion sensor"]);
+
+    const unknown = await provider.complete(request(true), { description: "Robot lawn mower" });
+    expect(unknown.headers.get("Content-Type")).toBe("text/event-stream");
+    expect(await toolArguments(unknown)).toEqual(DEFAULT_MOCK_DIAGRAM);
+  });
+
+  it("keeps refined diagrams and wires expanded blocks to their ports", async () => {
+    const provider = mockProvider({ "Custom Product": DEFAULT_MOCK_DIAGRAM });
+    expect(await toolArguments(await provider.complete(request(), { description: "custom product" }))).toEqual(
+      DEFAULT_MOCK_DIAGRAM
+    );
+
+    const currentDiagram = { blocks: [], connections: [] };
+    expect(await toolArguments(await provider.complete(request(), { currentDiagram }))).toEqual(currentDiagram);
+
+    const expandBlock = {
+      type: "power",
+      title: "Supply",
+      components: [],
+      ports: [
+        { id: "port:vin", name: "VIN", direction: "in" },
+        { id: "port:3v3", name: "3V3", direction: "out" },
+      ],
+    };
+    const expanded = await toolArguments(await provider.complete(request(), { expandBlock }));
+    expect(expanded.blocks.map((block) => block.id)).toEqual(["core-1"]);
+    expect(expanded.connections.map(({ source, target }) => [source, target])).toEqual([
+      ["port:vin", "core-1"],
+      ["core-1", "port:3v3"],
+    ]);
+  });
+
+  it("only ships canned diagrams the app can load", () => {
+    [DEFAULT_MOCK_DIAGRAM, ...Object.values(MOCK_DIAGRAMS)].forEach((diagram) => {
+      expect(parseDiagramImport(JSON.stringify({ version: "1.0", diagram })).nodes).toHaveLength(5);
+    });
+  });
+
+  it("selects the provider from env config", () => {
+    expect(providerFromEnv(env({ AI_PROVIDER: "mock" })).provider.name).toBe("mock");
+    expect(providerFromEnv(env({ LOVABLE_API_KEY: "key" })).provider.name).toBe("lovable");
+    expect(providerFromEnv(env({})).error).toBe("LOVABLE_API_KEY is not configured");
+    expect(providerFromEnv(env({ AI_PROVIDER: "openai", AI_BASE_URL: "http://localhost:11434/v1" })).error).toMatch(
+      /AI_MODEL/
+    );
+    expect(providerFromEnv(env({ AI_PROVIDER: "other" })).error).toBe('Unknown AI_PROVIDER "other"');
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  blockSubDiagram,
+  breadcrumbTrail,
+  getSubDiagram,
+  resolvePath,
+  syncBoundaryNodes,
+  updateSubDiagram,
+} from "@/lib/subDiagrams";
+import { diagramToNodes, nodesToDiagram, parseDiagramImport } from "@/lib/diagramUtils";
+
+const ports = [
+  { id: "vin", name: "VIN", kind: "power", direction: "in" },
+  { id: "tx", name: "TX", kind: "data", direction: "out" },
+];
+
+// A processing block whose sub-diagram holds an MCU wired to both boundary nodes
+const diagram = {
+  blocks: [
+    {
+      id: "processing-1",
+      type: "processing",
+      title: "Controller",
+      components: ["MCU"],
+      ports,
+      subDiagram: {
+        blocks: [{ id: "mcu", type: "processing", title: "MCU", components: ["STM32"] }],
+        connections: [
+          { source: "port:vin", target: "mcu", label: "3V3" },
+          { source: "mcu", target: "port:tx", label: "UART" },
+        ],
+      },
+    },
+  ],
+  connections: [],
+};
+
+describe("subDiagrams", () => {
+  it("creates a boundary node for every parent port", () => {
+    const sub = blockSubDiagram({ type: "processing", title: "Controller", components: [], ports });
+    expect(sub.nodes.map((node) => [node.id, node.type, node.data.title])).toEqual([
+      ["port:vin", "boundary", "VIN"],
+      ["port:tx", "boundary", "TX"],
+    ]);
+    expect(sub.nodes[0].position.x).toBeLessThan(sub.nodes[1].position.x);
+
+    const portless = blockSubDiagram({ type: "outputs", title: "LEDs", components: [] });
+    expect(portless.nodes.map((node) => node.id)).toEqual(["port:in", "port:out"]);
+  });
+
+  it("drops boundary nodes and their edges when a port is removed", () => {
+    const sub = diagramToNodes(diagram)[0].data.subDiagram;
+    expect(syncBoundaryNodes(sub, ports)).toBe(sub);
+
+    const synced = syncBoundaryNodes(sub, ports.slice(0, 1));
+    expect(synced.nodes.map((node) => node.id)).toEqual(["mcu", "port:vin"]);
+    expect(synced.edges.map((edge) => edge.label)).toEqual(["3V3"]);
+  });
+
+  it("reads and writes the diagram at a path", () => {
+    const nodes = diagramToNodes(diagram);
+    expect(getSubDiagram(nodes, ["processing-1"]).nodes).toHaveLength(3);
+    expect(breadcrumbTrail(nodes, ["processing-1"])).toEqual([{ id: "processing-1", title: "Controller" }]);
+    expect(resolvePath(nodes, ["processing-1", "missing"])).toEqual(["processing-1"]);
+
+    const updated = updateSubDiagram(nodes, ["processing-1"], (sub) => ({ ...sub, edges: [] }));
+    expect(getSubDiagram(updated, ["processing-1"]).edges).toEqual([]);
+    expect(nodes[0].data.subDiagram.edges).toHaveLength(2);
+  });
+
+  it("round-trips nested diagrams through export and import", () => {
+    const nodes = diagramToNodes(diagram);
+    const exported = nodesToDiagram(nodes, []);
+    expect(exported.blocks[0].subDiagram.blocks.map((block) => block.id)).toEqual(["mcu"]);
+    expect(exported.blocks[0].subDiagram.positions["port:vin"]).toBeDefined();
+
+    const fromDiagram = parseDiagramImport(JSON.stringify({ version: "1.0", diagram: exported }));
+    expect(fromDiagram.nodes[0].data.subDiagram.edges.map((edge) => edge.source)).toEqual(["port:vin", "mcu"]);
+
+    const reactFlowData = {
+      nodes: nodes.map((n) => ({ id: n.id, type: n.type, position: n.position, data: n.data })),
+      edges: [],
+    };
+    const fromFlow = parseDiagramImport(JSON.stringify({ version: "1.0", reactFlowData }));
+    expect(fromFlow.nodes[0].data.subDiagram.nodes.map((node) => node.type)).toEqual([
+      "block",
+      "boundary",
+      "boundary",
+    ]);
+
+    const broken = structuredClone(exported);
+    broken.blocks[0].subDiagram.connections[0].source = "port:missing";
+    expect(() => parseDiagramImport(JSON.stringify({ version: "1.0", diagram: broken }))).toThrow(
+      /sub-diagram › Connection 1 references a block that does not exist/
+    );
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { colorToHex, toDot, toMarkdownFence, toMermaid, toPlantUml } from "@/lib/textExport";
+import { connectionsToEdges, diagramToNodes } from "@/lib/diagramUtils";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+
+const diagram = {
+  blocks: [
+    { id: "power-1", type: "power", title: "Power Supply", components: ["Li-ion Battery"] },
+    {
+      id: "processing-1",
+      type: "processing",
+      title: 'MCU "main"',
+      components: [{ name: "STM32F4", partNumber: "STM32F401" }],
+      annotation: "Runs <RTOS>",
+    },
+  ],
+  connections: [{ source: "power-1", target: "processing-1", label: "3V3" }],
+};
+
+function flow() {
+  const edges = connectionsToEdges(diagram.connections).map((edge) => ({ ...edge, data: { signalType: "power" } }));
+  return { nodes: diagramToNodes(diagram), edges };
+}
+
+describe("text export", () => {
+  it("converts hsl block colours to hex", () => {
+    expect(colorToHex("hsl(0 100% 50%)")).toBe("#ff0000");
+    expect(colorToHex("hsl(199 89% 48%)")).toBe("#0da2e7");
+    expect(colorToHex("#ABCDEF")).toBe("#abcdef");
+    expect(colorToHex("red")).toBeNull();
+  });
+
+  it("writes a Mermaid flowchart with type classes and escaped labels", () => {
+    const { nodes, edges } = flow();
+    expect(toMermaid(nodes, edges, { direction: LAYOUT_DIRECTIONS.TB }).split("\n")).toEqual([
+      "flowchart TB",
+      '  power_1["<b>Power Supply</b><br/>Li-ion Battery"]:::power',
+      '  processing_1["<b>MCU #quot;main#quot;</b><br/>STM32F4<br/><i>Runs #lt;RTOS#gt;</i>"]:::processing',
+      '  power_1 ==>|"3V3"| processing_1',
+      "  classDef power stroke:#f97415,stroke-width:2px",
+      "  classDef processing stroke:#0da2e7,stroke-width:2px",
+      "",
+    ]);
+  });
+
+  it("groups blocks by type in DOT clusters and PlantUML packages", () => {
+    const { nodes, edges } = flow();
+    const dot = toDot(nodes, edges);
+    expect(dot).toContain("rankdir=LR;");
+    expect(dot).toContain('subgraph cluster_power {\n    label="Power Supply";');
+    expect(dot).toContain('processing_1 [label="MCU \\"main\\"\\n\\nSTM32F4\\n\\nRuns <RTOS>", color="#0da2e7"];');
+    expect(dot).toContain('power_1 -> processing_1 [label="3V3", style=bold];');
+
+    const puml = toPlantUml(nodes, edges);
+    expect(puml.startsWith("@startuml\nleft to right direction")).toBe(true);
+    expect(puml).toContain('package "Control & Processing" {');
+    expect(puml).toContain(`component "MCU 'main'\\n- STM32F4" as processing_1 <<processing>> #0da2e7`);
+    expect(puml).toContain("note right of processing_1 : Runs <RTOS>");
+    expect(puml).toContain("power_1 -[bold]-> processing_1 : 3V3");
+    expect(puml.trimEnd().endsWith("@enduml")).toBe(true);
+  });
+
+  it("wraps output in a Markdown fence", () => {
+    expect(toMarkdownFence("dot", "digraph {}\n")).toBe("```dot\ndigraph {}\n```\n");
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from "vitest";
+import {
+  detectTextFormat,
+  inferBlockType,
+  parseDiagramText,
+  parseDot,
+  parseMermaid,
+  textImportToDiagram,
+} from "@/lib/textImport";
+import { toDot, toMermaid } from "@/lib/textExport";
+import { connectionsToEdges, diagramToNodes } from "@/lib/diagramUtils";
+import { LAYOUT_DIRECTIONS } from "@/lib/layout";
+
+const diagram = {
+  blocks: [
+    { id: "power-1", type: "power", title: "Power Supply", components: ["Li-ion Battery"] },
+    {
+      id: "processing-1",
+      type: "processing",
+      title: 'MCU "main"',
+      components: ["STM32F4", "Flash"],
+      annotation: "Runs <RTOS>",
+    },
+    { id: "outputs-1", type: "outputs", title: "Display", components: [] },
+  ],
+  connections: [
+    { source: "power-1", target: "processing-1", label: "3V3", signal: { signalType: "power" } },
+    { source: "processing-1", target: "outputs-1", label: "SPI" },
+  ],
+};
+
+function flow() {
+  return { nodes: diagramToNodes(diagram), edges: connectionsToEdges(diagram.connections) };
+}
+
+// Blocks and connections without ids, which the exporters rewrite
+function shape({ blocks, connections }) {
+  return {
+    blocks: blocks.map(({ type, title, components, annotation }) => ({ type, title, components, annotation })),
+    connections: connections.map(({ label, signal }) => ({ label, signalType: signal?.signalType })),
+  };
+}
+
+describe("text import", () => {
+  it("detects the format from the first statement", () => {
+    expect(detectTextFormat("%% comment\nflowchart LR\n  a --> b")).toBe("mermaid");
+    expect(detectTextFormat("graph TD;\na-->b")).toBe("mermaid");
+    expect(detectTextFormat("// comment\ndigraph G {\n}")).toBe("dot");
+    expect(detectTextFormat("graph G { a -- b }")).toBe("dot");
+    expect(detectTextFormat("sequenceDiagram\n  A->>B: hi")).toBeNull();
+  });
+
+  it("skips Mermaid front matter before detecting the format", () => {
+    const text = "---\ntitle: Doorbell\nconfig:\n  theme: dark\n---\nflowchart LR\n  power[Power] --> mcu[MCU]";
+    expect(detectTextFormat(text)).toBe("mermaid");
+    expect(parseDiagramText(text).nodes.map((node) => node.id)).toEqual(["power", "mcu"]);
+    expect(detectTextFormat("---\ntitle: Unclosed\nflowchart LR")).toBeNull();
+  });
+
+  it("round-trips the Mermaid export", () => {
+    const { nodes, edges } = flow();
+    const parsed = parseDiagramText(toMermaid(nodes, edges, { direction: LAYOUT_DIRECTIONS.TB }));
+    expect(parsed.format).toBe("mermaid");
+    expect(parsed.direction).toBe(LAYOUT_DIRECTIONS.TB);
+    expect(shape(textImportToDiagram(parsed))).toEqual(shape(diagram));
+  });
+
+  it("round-trips the DOT export", () => {
+    const { nodes, edges } = flow();
+    const parsed = parseDiagramText(toDot(nodes, edges));
+    expect(parsed.format).toBe("dot");
+    expect(parsed.direction).toBe(LAYOUT_DIRECTIONS.LR);
+    expect(shape(textImportToDiagram(parsed))).toEqual(shape(diagram));
+  });
+
+  it("parses Mermaid shapes, chains, groups and link labels", () => {
+    const { nodes, connections } = parseMermaid(
+      [
+        "flowchart LR",
+        "  bat([Battery]) ==> reg{{LDO}} --> mcu[MCU<br/>ESP32]",
+        "  mcu -- I2C --> imu & oled((OLED))",
+        "  mcu -.->|enable| reg; mcu --- led",
+      ].join("\n")
+    );
+    expect(nodes.map((node) => [node.id, node.title, node.components])).toEqual([
+      ["bat", "Battery", []],
+      ["reg", "LDO", []],
+      ["mcu", "MCU", ["ESP32"]],
+      ["imu", "imu", []],
+      ["oled", "OLED", []],
+      ["led", "led", []],
+    ]);
+    expect(connections).toEqual([
+      { source: "bat", target: "reg", signal: { signalType: "power" } },
+      { source: "reg", target: "mcu" },
+      { source: "mcu", target: "imu", label: "I2C" },
+      { source: "mcu", target: "oled", label: "I2C" },
+      { source: "mcu", target: "reg", label: "enable", signal: { signalType: "control" } },
+      { source: "mcu", target: "led" },
+    ]);
+  });
+
+  it("parses DOT attributes, edge chains and HTML labels", () => {
+    const { nodes, connections, direction } = parseDot(`
+      strict digraph "board" {
+        graph [rankdir=TB];
+        /* nodes */
+        bat [label=<<b>Battery</b><br/>18650>];
+        "main mcu" [label="MCU\\nnRF52"];
+        bat -> "main mcu" -> radio [style=dashed, label="ctl"];
+      }
+    `);
+    expect(direction).toBe(LAYOUT_DIRECTIONS.TB);
+    expect(nodes.map((node) => [node.id, node.title, node.components])).toEqual([
+      ["bat", "Battery", ["18650"]],
+      ["main mcu", "MCU", ["nRF52"]],
+      ["radio", "radio", []],
+    ]);
+    expect(connections).toEqual([
+      { source: "bat", target: "main mcu", label: "ctl", signal: { signalType: "control" } },
+      { source: "main mcu", target: "radio", label: "ctl", signal: { signalType: "control" } },
+    ]);
+  });
+
+  it("infers types from classes, clusters, ids and keywords", () => {
+    expect(inferBlockType({ id: "x", title: "X", hints: ["Outputs"] })).toBe("outputs");
+    expect(inferBlockType({ id: "inputs_2", title: "Thing" })).toBe("inputs");
+    expect(inferBlockType({ id: "psu", title: "Li-ion Battery Charger" })).toBe("power");
+    expect(inferBlockType({ id: "u1", title: "OLED Display" })).toBe("outputs");
+    expect(inferBlockType({ id: "n1", title: "Widget" })).toBeNull();
+
+    const parsed = parseDiagramText("digraph { subgraph cluster_a { label=Processing; core } thing }");
+    expect(parsed.nodes.map((node) => node.type)).toEqual(["processing", null]);
+  });
+
+  it("uses the type picked for unmatched nodes, defaulting to peripherals", () => {
+    const parsed = parseDiagramText("flowchart LR\n  a[Widget] --> b[Gizmo]");
+    const { blocks } = textImportToDiagram(parsed, { a: "inputs" });
+    expect(blocks.map((block) => block.type)).toEqual(["inputs", "peripherals"]);
+  });
+
+  it("reports parse errors with line numbers", () => {
+    expect(() => parseDiagramText("flowchart LR\n  a --> b\n  c[Open")).toThrow(/^Line 3: Missing "\]"/);
+    expect(() => parseDiagramText("flowchart LR\n  subgraph x\n  a --> b")).toThrow(/^Line 3: Missing "end"/);
+    expect(() => parseDiagramText("flowchart LR\n  a --> ")).toThrow(/^Line 2: Expected a node id/);
+    expect(() => parseDiagramText("digraph {\n  a -> b\n  c [label=\"x\"\n}")).toThrow(/^Line 4: Expected an attribute name/);
+    expect(() => parseDiagramText("digraph {\n  a -> b;\n  @\n}")).toThrow(/^Line 3: Unexpected character "@"/);
+    expect(() => parseDiagramText("mindmap\n  root")).toThrow(/^Line 1: Expected a Mermaid/);
+  });
+
+  it("reads the diagram out of a Markdown fence with lines of the whole text", () => {
+    const text = "# Board\n\n```mermaid\nflowchart LR\n  a --> b[\n```\n";
+    expect(() => parseDiagramText(text)).toThrow(/^Line 5: /);
+    expect(parseDiagramText(text.replace("b[", "b")).nodes).toHaveLength(2);
+  });
+});
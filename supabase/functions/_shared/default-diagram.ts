@@ -0,0 +1,24 @@
+/**
+ * Default five-block diagram
+ * Shared by the web client, which opens it as the starting template, and the mock
+ * AI provider, which returns it for descriptions without a canned diagram.
+ */
+
+// Built fresh on every call, since the client edits the diagram it gets
+export function defaultDiagram() {
+  return {
+    blocks: [
+      { id: "power-1", type: "power", title: "Power Supply", components: ["Battery", "Voltage Regulator"] },
+      { id: "inputs-1", type: "inputs", title: "Inputs Block", components: ["Sensor Module", "Button Interface"] },
+      { id: "processing-1", type: "processing", title: "Control and Processing", components: ["Microcontroller", "Memory"] },
+      { id: "outputs-1", type: "outputs", title: "Outputs Block", components: ["LED Indicator", "Display"] },
+      { id: "peripherals-1", type: "peripherals", title: "Other Peripherals", components: ["Debug Interface", "External Connector"] },
+    ],
+    connections: [
+      { source: "power-1", target: "processing-1", label: "VCC" },
+      { source: "inputs-1", target: "processing-1", label: "Data" },
+      { source: "processing-1", target: "outputs-1", label: "Control" },
+      { source: "processing-1", target: "peripherals-1", label: "I/O" },
+    ],
+  };
+}
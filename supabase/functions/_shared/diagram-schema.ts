@@ -0,0 +1,222 @@
+/**
+ * Schema, validation and repair for diagrams written by the AI
+ * Shared by the generate-diagram function and the web client, so both accept
+ * exactly the same diagrams. Small mistakes are repaired in place: duplicate ids
+ * are renamed, dangling connections dropped and missing block types filled in.
+ * Whatever cannot be repaired is reported as readable error messages.
+ */
+
+import { z } from "zod";
+
+export const BUILT_IN_TYPES = ["power", "inputs", "processing", "outputs", "peripherals"];
+
+// Upper bound on blocks in detailed mode and in sub-diagrams, to keep diagrams readable
+export const MAX_DETAILED_BLOCKS = 24;
+
+// Boundary endpoints inside a sub-diagram use the parent's port id behind this prefix
+export const BOUNDARY_PREFIX = "port:";
+
+export type DiagramMode = "standard" | "detailed" | "expand";
+
+export type CheckOptions = {
+  mode: DiagramMode;
+  // Block types the diagram may use; standard diagrams only ever use the built-in ones
+  types?: string[];
+  // Boundary endpoint ids a sub-diagram's connections may use
+  boundaryIds?: string[];
+};
+
+const blockSchema = z
+  .object({
+    id: z.string().min(1),
+    type: z.string().min(1),
+    title: z.string().min(1),
+    components: z.array(z.string()),
+    annotation: z.string().optional(),
+  })
+  .passthrough();
+
+const connectionSchema = z
+  .object({
+    source: z.string().min(1),
+    target: z.string().min(1),
+    label: z.string().optional(),
+  })
+  .passthrough();
+
+export const diagramSchema = z.object({
+  blocks: z.array(blockSchema),
+  connections: z.array(connectionSchema),
+});
+
+export type Diagram = z.infer<typeof diagramSchema>;
+
+// Block count limits per mode
+const BLOCK_LIMITS: Record<DiagramMode, [number, number]> = {
+  standard: [5, 5],
+  detailed: [5, MAX_DETAILED_BLOCKS],
+  expand: [1, MAX_DETAILED_BLOCKS],
+};
+
+const allowedTypes = ({ mode, types }: CheckOptions) =>
+  mode === "standard" ? BUILT_IN_TYPES : [...new Set([...BUILT_IN_TYPES, ...(types ?? [])])];
+
+/**
+ * Schema for a diagram in the given mode, including the checks across blocks and connections
+ */
+export function diagramSchemaFor(options: CheckOptions) {
+  const types = allowedTypes(options);
+  const [min, max] = BLOCK_LIMITS[options.mode];
+
+  return diagramSchema.superRefine((diagram, ctx) => {
+    const issue = (path: (string | number)[], message: string) =>
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path, message });
+
+    if (diagram.blocks.length < min || diagram.blocks.length > max) {
+      issue(["blocks"], min === max ? `must contain exactly ${min} blocks` : `must contain ${min} to ${max} blocks`);
+    }
+
+    const ids = new Set<string>();
+    diagram.blocks.forEach((block, index) => {
+      if (ids.has(block.id)) issue(["blocks", index, "id"], `duplicate block id "${block.id}"`);
+      ids.add(block.id);
+      if (block.id.startsWith(BOUNDARY_PREFIX)) {
+        issue(["blocks", index, "id"], `block ids must not start with "${BOUNDARY_PREFIX}"`);
+      }
+      if (!types.includes(block.type)) issue(["blocks", index, "type"], `unknown block type "${block.type}"`);
+    });
+
+    // A standard diagram has one block of each built-in type
+    if (options.mode === "standard") {
+      BUILT_IN_TYPES.forEach((type) => {
+        const count = diagram.blocks.filter((block) => block.type === type).length;
+        if (count !== 1) issue(["blocks"], `needs exactly one "${type}" block, found ${count}`);
+      });
+    }
+
+    const endpoints = new Set([...ids, ...(options.boundaryIds ?? [])]);
+    diagram.connections.forEach((connection, index) => {
+      ["source", "target"].forEach((end) => {
+        const id = connection[end as "source" | "target"];
+        if (!endpoints.has(id)) issue(["connections", index, end], `references unknown block "${id}"`);
+      });
+    });
+  });
+}
+
+/**
+ * Validation errors for a diagram as readable messages, e.g. "blocks.2.title: Required"
+ */
+export function validateDiagram(diagram: unknown, options: CheckOptions): string[] {
+  const result = diagramSchemaFor(options).safeParse(diagram);
+  if (result.success) return [];
+  return result.error.issues.map((issue) =>
+    issue.path.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message
+  );
+}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const nonEmptyString = (value: unknown): value is string => typeof value === "string" && value.trim() !== "";
+
+// Type for a block without a usable one: the prefix of ids like "power-2", then in a
+// standard diagram the one built-in type still missing, otherwise "peripherals"
+function inferType(id: string, types: string[], used: string[], mode: DiagramMode): string {
+  const prefix = id.replace(/-\d+$/, "");
+  if (types.includes(prefix)) return prefix;
+  if (mode === "standard") {
+    const missing = BUILT_IN_TYPES.filter((type) => !used.includes(type));
+    if (missing.length === 1) return missing[0];
+  }
+  return "peripherals";
+}
+
+// First id of the form base, base-2, base-3, ... not yet taken
+function freeId(base: string, taken: Set<string>): string {
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/**
+ * Fix the mistakes that have an obvious repair
+ * Returns the repaired diagram with a description of every repair; anything that is
+ * not a diagram at all is returned unchanged for validation to report.
+ */
+export function repairDiagram(raw: unknown, options: CheckOptions): { diagram: unknown; repairs: string[] } {
+  if (!isObject(raw) || !Array.isArray(raw.blocks)) return { diagram: raw, repairs: [] };
+
+  const types = allowedTypes(options);
+  const repairs: string[] = [];
+  const taken = new Set<string>();
+  const rawTypes = raw.blocks.map((block) => (isObject(block) && types.includes(block.type as string) ? block.type : null));
+  const used = rawTypes.filter(Boolean) as string[];
+
+  const blocks = raw.blocks.flatMap((block, index) => {
+    if (!isObject(block)) return [];
+    let id = nonEmptyString(block.id) ? block.id.trim() : "";
+    if (id.startsWith(BOUNDARY_PREFIX)) {
+      repairs.push(`Removed the reserved "${BOUNDARY_PREFIX}" prefix from block id "${id}"`);
+      id = id.slice(BOUNDARY_PREFIX.length);
+    }
+
+    let type = rawTypes[index] as string | null;
+    if (!type) {
+      type = inferType(id, types, used, options.mode);
+      used.push(type);
+      repairs.push(`Set the type of block ${index + 1} to "${type}"`);
+    }
+
+    if (!id || taken.has(id)) {
+      const renamed = freeId(id || `${type}-1`, taken);
+      repairs.push(id ? `Renamed duplicate block id "${id}" to "${renamed}"` : `Gave block ${index + 1} the id "${renamed}"`);
+      id = renamed;
+    }
+    taken.add(id);
+
+    const components = Array.isArray(block.components)
+      ? block.components
+          .map((component) => (isObject(component) ? component.name : component))
+          .filter(nonEmptyString)
+      : [];
+    const { annotation, ...rest } = block;
+    return [
+      {
+        ...rest,
+        id,
+        type,
+        title: nonEmptyString(block.title) ? block.title : type.charAt(0).toUpperCase() + type.slice(1),
+        components,
+        ...(typeof annotation === "string" && { annotation }),
+      },
+    ];
+  });
+  if (blocks.length !== raw.blocks.length) repairs.push("Dropped blocks that were not objects");
+
+  // Connections keep pointing at the first block with a duplicated id
+  const endpoints = new Set([...taken, ...(options.boundaryIds ?? [])]);
+  const rawConnections = Array.isArray(raw.connections) ? raw.connections : [];
+  const connections = rawConnections.filter(
+    (connection) =>
+      isObject(connection) && endpoints.has(connection.source as string) && endpoints.has(connection.target as string)
+  );
+  if (connections.length !== rawConnections.length) {
+    repairs.push(`Dropped ${rawConnections.length - connections.length} connection(s) to missing blocks`);
+  }
+
+  return { diagram: { ...raw, blocks, connections }, repairs };
+}
+
+/**
+ * Repair a diagram, then validate the result
+ * The diagram is only usable when errors is empty.
+ */
+export function checkDiagram(
+  raw: unknown,
+  options: CheckOptions
+): { diagram: Diagram; repairs: string[]; errors: string[] } {
+  const { diagram, repairs } = repairDiagram(raw, options);
+  return { diagram: diagram as Diagram, repairs, errors: validateDiagram(diagram, options) };
+}
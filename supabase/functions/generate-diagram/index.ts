@@ -1,15 +1,77 @@
 /**
  * Edge function to generate block diagram from natural language description
- * Uses Lovable AI to parse electronics product descriptions into structured diagram JSON
+ * Uses an AI provider (see providers.ts) to parse electronics product descriptions into structured diagram JSON
+ * When given currentDiagram and an instruction, returns a refined version of that diagram
+ * When given expandBlock, returns the sub-diagram inside that single block
+ * With stream: true the result is sent as server-sent events while the AI writes it
  */
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { providerFromEnv } from "./providers.ts";
+import {
+  BOUNDARY_PREFIX,
+  BUILT_IN_TYPES,
+  MAX_DETAILED_BLOCKS,
+  checkDiagram,
+  type CheckOptions,
+} from "../_shared/diagram-schema.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
+// Extra attempts the AI gets when its diagram fails validation even after repair
+const MAX_VALIDATION_RETRIES = 2;
+
+// Upper bound on block types a client may register, to keep the prompt small
+const MAX_BLOCK_TYPES = 24;
+
+type BlockTypeInfo = { id: string; label: string; description?: string };
+
+// Validate the client's block type registry; returns the custom types or an error message
+function parseCustomBlockTypes(raw: unknown): { types: BlockTypeInfo[] } | { error: string } {
+  if (raw === undefined) {
+    return { types: [] };
+  }
+  if (!Array.isArray(raw) || raw.length > MAX_BLOCK_TYPES) {
+    return { error: `blockTypes must be an array of at most ${MAX_BLOCK_TYPES} entries` };
+  }
+  const types: BlockTypeInfo[] = [];
+  for (const type of raw) {
+    if (typeof type?.id !== "string" || !/^[a-z][a-z0-9-]{0,31}$/.test(type.id)) {
+      return { error: "Every block type needs a short lowercase id" };
+    }
+    if (typeof type.label !== "string" || !type.label.trim() || type.label.length > 60) {
+      return { error: `Block type "${type.id}" needs a name of at most 60 characters` };
+    }
+    if (type.description !== undefined && typeof type.description !== "string") {
+      return { error: `Block type "${type.id}" has an invalid description` };
+    }
+    if (!BUILT_IN_TYPES.includes(type.id)) {
+      types.push({ id: type.id, label: type.label.trim(), description: type.description?.slice(0, 200) });
+    }
+  }
+  return { types };
+}
+
+// Prompt section describing user-defined categories
+function describeCustomTypes(types: BlockTypeInfo[]): string {
+  if (types.length === 0) return "";
+  const lines = types.map((type) => `- ${type.id}: ${type.label}${type.description ? ` (${type.description})` : ""}`);
+  return `
+
+CUSTOM CATEGORIES (use only where the product needs them):
+${lines.join("\n")}`;
+}
+
+const COMPONENT_GUIDELINES = `COMPONENT GUIDELINES:
+- Power Supply: Include power sources (battery, USB, AC adapter), voltage regulators, power management ICs
+- Inputs Block: Sensors, buttons, switches, microphones, cameras, touch interfaces, wireless receivers
+- Control and Processing Block: MCU, CPU, FPGA, memory, clock, communication interfaces
+- Outputs Block: Displays, LEDs, speakers, motors, actuators, wireless transmitters
+- Other Peripherals: Storage, connectivity modules, debugging interfaces, external connectors`;
+
 // System prompt for diagram generation
 const SYSTEM_PROMPT = `You are an electronics system architect that converts natural language descriptions of electronics products into structured block diagrams.
 
@@ -25,170 +87,489 @@ CRITICAL RULES:
 For each block, you must infer appropriate electronic components based on the product description.
 If the description doesn't mention specific components for a block, use sensible defaults.
 
-COMPONENT GUIDELINES:
-- Power Supply: Include power sources (battery, USB, AC adapter), voltage regulators, power management ICs
-- Inputs Block: Sensors, buttons, switches, microphones, cameras, touch interfaces, wireless receivers
-- Control and Processing Block: MCU, CPU, FPGA, memory, clock, communication interfaces
-- Outputs Block: Displays, LEDs, speakers, motors, actuators, wireless transmitters
-- Other Peripherals: Storage, connectivity modules, debugging interfaces, external connectors
+${COMPONENT_GUIDELINES}
 
 You must respond with a JSON object using tool calling. The response must follow the exact schema provided.`;
 
-serve(async (req) => {
-  // Handle CORS preflight
-  if (req.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
+// System prompt for detailed mode, where a category may span several blocks
+function buildDetailedPrompt(customTypes: BlockTypeInfo[]): string {
+  const categories = [...BUILT_IN_TYPES, ...customTypes.map((type) => type.id)];
+  return `You are an electronics system architect that converts natural language descriptions of electronics products into detailed structured block diagrams.
+
+RULES:
+1. Use as many blocks as the product really needs, between 5 and ${MAX_DETAILED_BLOCKS}
+2. Every block has one of these categories: ${categories.join(", ")}
+3. Every category from ${BUILT_IN_TYPES.join(", ")} must be used at least once; any category may be used several times
+   (e.g. separate power rails, distinct sensor clusters, multiple MCUs)
+4. Every block id must be unique, e.g. "power-1", "power-2", "processing-1"
+5. Connect blocks along real power, data and control paths, and label each connection
+
+For each block, infer appropriate electronic components based on the product description.
+
+${COMPONENT_GUIDELINES}${describeCustomTypes(customTypes)}
+
+You must respond with a JSON object using tool calling. The response must follow the exact schema provided.`;
+}
+
+type BoundaryPort = { id: string; name: string; direction: string; kind?: string };
+type ExpandBlock = {
+  id: string;
+  type: string;
+  title: string;
+  components: string[];
+  annotation?: string;
+  ports: BoundaryPort[];
+};
+
+// Validate the block to expand; returns an error message or null
+function validateExpandBlock(block: ExpandBlock | undefined): string | null {
+  if (!block || typeof block !== "object") return "expandBlock must be an object";
+  if (typeof block.title !== "string" || !block.title.trim()) return "expandBlock needs a title";
+  if (typeof block.type !== "string") return "expandBlock needs a block type";
+  if (!Array.isArray(block.components) || !block.components.every((c) => typeof c === "string")) {
+    return "expandBlock components must be a list of names";
+  }
+  if (!Array.isArray(block.ports) || block.ports.length === 0 || block.ports.length > 64) {
+    return "expandBlock needs between 1 and 64 ports";
   }
+  const validPort = (port: BoundaryPort) =>
+    typeof port?.id === "string" &&
+    port.id.startsWith(BOUNDARY_PREFIX) &&
+    typeof port.name === "string" &&
+    ["in", "out", "bidir"].includes(port.direction);
+  return block.ports.every(validPort) ? null : "expandBlock has an invalid port";
+}
 
-  try {
-    const { description } = await req.json();
+// System prompt for expanding one block into its own sub-diagram
+function buildExpandPrompt(customTypes: BlockTypeInfo[]): string {
+  const categories = [...BUILT_IN_TYPES, ...customTypes.map((type) => type.id)];
+  return `You are an electronics system architect that breaks a single block of a product's block diagram down into its internal sub-diagram.
 
-    if (!description || typeof description !== "string") {
-      return new Response(
-        JSON.stringify({ error: "Description is required" }),
-        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
-      );
-    }
+RULES:
+1. Use between 1 and ${MAX_DETAILED_BLOCKS} blocks for the parts that make up this block (e.g. MCU, flash, crystal, level shifter)
+2. Every block has one of these categories: ${categories.join(", ")}; categories need not all be used
+3. Every block id must be unique and must not start with "${BOUNDARY_PREFIX}"
+4. The block's external ports are boundary endpoints with fixed ids starting with "${BOUNDARY_PREFIX}".
+   Use an "in" endpoint as a connection source and an "out" endpoint as a connection target;
+   "bidir" endpoints may be either. Connect every endpoint to the blocks that use it.
+5. Connect blocks along real power, data and control paths, and label each connection
 
-    const LOVABLE_API_KEY = Deno.env.get("LOVABLE_API_KEY");
-    if (!LOVABLE_API_KEY) {
-      console.error("LOVABLE_API_KEY is not configured");
-      return new Response(
-        JSON.stringify({ error: "AI service not configured" }),
-        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
-      );
+${COMPONENT_GUIDELINES}${describeCustomTypes(customTypes)}
+
+You must respond with a JSON object using tool calling. The response must follow the exact schema provided.`;
+}
+
+// Tool schema for structured output; detailed mode lifts the 5-block limit
+// and allows the custom categories alongside the built-in ones
+function buildDiagramTool(detailed: boolean, customTypes: BlockTypeInfo[], expanding = false) {
+  return {
+    type: "function",
+    function: {
+      name: "generate_block_diagram",
+      description: expanding
+        ? "Generate the internal sub-diagram of one block, connected to its boundary endpoints"
+        : detailed
+        ? "Generate a detailed structured block diagram with one or more blocks per category"
+        : "Generate a structured block diagram with exactly 5 blocks",
+      parameters: {
+        type: "object",
+        properties: {
+          blocks: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string", description: "Unique identifier for the block" },
+                type: {
+                  type: "string",
+                  enum: detailed ? [...BUILT_IN_TYPES, ...customTypes.map((type) => type.id)] : BUILT_IN_TYPES,
+                  description: "Block type category"
+                },
+                title: { type: "string", description: "Display title for the block" },
+                components: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "List of electronic components in this block"
+                },
+                annotation: { type: "string", description: "Optional annotation or notes" }
+              },
+              required: ["id", "type", "title", "components"]
+            },
+            minItems: expanding ? 1 : 5,
+            maxItems: detailed ? MAX_DETAILED_BLOCKS : 5
+          },
+          connections: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                source: { type: "string", description: "Source block ID" },
+                target: { type: "string", description: "Target block ID" },
+                label: { type: "string", description: "Connection label" }
+              },
+              required: ["source", "target"]
+            },
+            description: "Connections between blocks"
+          }
+        },
+        required: ["blocks", "connections"]
+      }
     }
+  };
+}
 
-    console.log(`Generating diagram for: "${description}"`);
-
-    // Call Lovable AI with tool calling for structured output
-    const response = await fetch("https://ai.gateway.lovable.dev/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${LOVABLE_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "google/gemini-3-flash-preview",
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { 
-            role: "user", 
-            content: `Generate a block diagram for the following electronics product: "${description}"
+// Extra instructions when editing an existing diagram instead of starting over
+const REFINE_RULES = `
+REFINEMENT:
+You are given the CURRENT diagram as JSON and an instruction describing what to change.
+- Apply only the requested changes and keep everything else as it is
+- Keep the id, title, components and annotation of every block the instruction does not affect
+- Components may be given as objects with part details; return components as their name strings only
+- Reuse existing ids for blocks that are modified; give new blocks new unique ids
+- Drop connections to removed blocks and connect new blocks where they belong`;
+
+// Build the user message for a new diagram, a refinement of the current one or a block expansion
+function buildUserMessage(
+  { description, detailed, currentDiagram, instruction, expandBlock }:
+  {
+    description?: string;
+    detailed: boolean;
+    currentDiagram?: unknown;
+    instruction?: string;
+    expandBlock?: ExpandBlock;
+  }
+): string {
+  if (expandBlock) {
+    const endpoints = expandBlock.ports
+      .map((port) => `- ${port.id}: ${port.name} (${port.direction}${port.kind ? `, ${port.kind}` : ""})`)
+      .join("\n");
+    return `Expand the "${expandBlock.title}" block (category: ${expandBlock.type}) of this electronics product into its internal sub-diagram: "${description || "unspecified product"}"
+
+Components of the block: ${expandBlock.components.join(", ") || "none listed"}${expandBlock.annotation ? `\nNotes: ${expandBlock.annotation}` : ""}
+
+Boundary endpoints:
+${endpoints}`;
+  }
+
+  if (currentDiagram) {
+    return `Refine the block diagram for this electronics product: "${description || "unspecified product"}"
+
+CURRENT diagram:
+${JSON.stringify(currentDiagram, null, 2)}
+
+Instruction: "${instruction}"`;
+  }
+
+  return detailed
+    ? `Generate a detailed block diagram for the following electronics product: "${description}"
+
+Split categories into several blocks wherever the product has separate rails, sensor groups, processors or output stages.`
+    : `Generate a block diagram for the following electronics product: "${description}"
             
-Make sure to include relevant components for each of the 5 required blocks based on the product description.`
+Make sure to include relevant components for each of the 5 required blocks based on the product description.`;
+}
+
+type ChatMessage = { role: string; content: string };
+
+// Outcome of checking the AI's tool-call arguments: the repaired diagram, or errors to send back
+type DiagramCheck = ReturnType<typeof checkDiagram>;
+
+function checkArguments(args: string, options: CheckOptions): DiagramCheck {
+  try {
+    return checkDiagram(JSON.parse(args), options);
+  } catch {
+    return { diagram: { blocks: [], connections: [] }, repairs: [], errors: ["The arguments were not valid JSON"] };
+  }
+}
+
+// Messages asking the AI to correct a diagram that failed validation
+function retryMessages(args: string, errors: string[]): ChatMessage[] {
+  return [
+    { role: "assistant", content: args },
+    {
+      role: "user",
+      content: `That diagram is invalid:\n${errors.map((error) => `- ${error}`).join("\n")}\n\nCall generate_block_diagram again with a corrected diagram.`,
+    },
+  ];
+}
+
+function logCheck(check: DiagramCheck) {
+  if (check.repairs.length) console.log("Repaired AI diagram:", check.repairs.join("; "));
+  if (check.errors.length) console.error("Invalid AI diagram:", check.errors.join("; "));
+}
+
+// JSON error response for a provider request that failed before any diagram was written
+async function providerErrorResponse(response: Response, providerName: string): Promise<Response> {
+  const errorText = await response.text();
+  console.error(`AI provider "${providerName}" error:`, response.status, errorText);
+
+  if (response.status === 429) {
+    return new Response(
+      JSON.stringify({ error: "Rate limit exceeded. Please try again later." }),
+      { status: 429, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+  if (response.status === 402) {
+    return new Response(
+      JSON.stringify({ error: "Usage limit reached. Please add credits." }),
+      { status: 402, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+
+  return new Response(
+    JSON.stringify({ error: "Failed to generate diagram" }),
+    { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+  );
+}
+
+// Tool-call arguments streamed by the provider, forwarded to onDelta as they arrive
+async function readStreamedArguments(upstream: Response, onDelta: (text: string) => void): Promise<string> {
+  const reader = upstream.body!.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let args = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Upstream is SSE too; keep the last, possibly incomplete line for the next read
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      const payload = line.startsWith("data:") ? line.slice(5).trim() : "";
+      if (!payload || payload === "[DONE]") continue;
+      const delta = JSON.parse(payload).choices?.[0]?.delta?.tool_calls?.[0]?.function?.arguments;
+      if (delta) {
+        args += delta;
+        onDelta(delta);
+      }
+    }
+  }
+  return args;
+}
+
+// Relay the AI's streamed tool-call arguments as server-sent events: "delta" events carry
+// argument text as it arrives, "retry" says the attempt so far was rejected and a corrected
+// one follows, then "done" carries the checked diagram or "error" says why there is none
+function streamDiagramResponse(
+  upstream: Response,
+  upstreamAbort: AbortController,
+  check: (args: string) => DiagramCheck,
+  retry: (messages: ChatMessage[]) => Promise<Response>
+): Response {
+  const encoder = new TextEncoder();
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event: string, data: unknown) =>
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      let response = upstream;
+      let feedback: ChatMessage[] = [];
+
+      try {
+        for (let attempt = 0; ; attempt++) {
+          const args = await readStreamedArguments(response, (text) => send("delta", { text }));
+          const result = check(args);
+          logCheck(result);
+
+          if (!result.errors.length) {
+            console.log("Diagram streamed successfully with", result.diagram.blocks.length, "blocks");
+            send("done", { diagram: result.diagram });
+            return;
           }
-        ],
-        tools: [
-          {
-            type: "function",
-            function: {
-              name: "generate_block_diagram",
-              description: "Generate a structured block diagram with exactly 5 blocks",
-              parameters: {
-                type: "object",
-                properties: {
-                  blocks: {
-                    type: "array",
-                    items: {
-                      type: "object",
-                      properties: {
-                        id: { type: "string", description: "Unique identifier for the block" },
-                        type: { 
-                          type: "string", 
-                          enum: ["power", "inputs", "processing", "outputs", "peripherals"],
-                          description: "Block type category" 
-                        },
-                        title: { type: "string", description: "Display title for the block" },
-                        components: {
-                          type: "array",
-                          items: { type: "string" },
-                          description: "List of electronic components in this block"
-                        },
-                        annotation: { type: "string", description: "Optional annotation or notes" }
-                      },
-                      required: ["id", "type", "title", "components"]
-                    },
-                    minItems: 5,
-                    maxItems: 5
-                  },
-                  connections: {
-                    type: "array",
-                    items: {
-                      type: "object",
-                      properties: {
-                        source: { type: "string", description: "Source block ID" },
-                        target: { type: "string", description: "Target block ID" },
-                        label: { type: "string", description: "Connection label" }
-                      },
-                      required: ["source", "target"]
-                    },
-                    description: "Connections between blocks"
-                  }
-                },
-                required: ["blocks", "connections"]
-              }
-            }
+          if (attempt >= MAX_VALIDATION_RETRIES) {
+            send("error", { error: `Invalid diagram from AI: ${result.errors[0]}` });
+            return;
           }
-        ],
-        tool_choice: { type: "function", function: { name: "generate_block_diagram" } }
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("AI gateway error:", response.status, errorText);
-      
-      if (response.status === 429) {
+
+          send("retry", { errors: result.errors });
+          feedback = [...feedback, ...retryMessages(args, result.errors)];
+          response = await retry(feedback);
+          if (!response.ok) {
+            send("error", { error: "Failed to generate diagram" });
+            return;
+          }
+        }
+      } catch (error) {
+        console.error("Error streaming diagram:", error);
+        send("error", { error: error instanceof Error ? error.message : "Unknown error" });
+      } finally {
+        controller.close();
+      }
+    },
+    // The client went away or cancelled, so stop paying for the AI request
+    cancel() {
+      upstreamAbort.abort();
+    },
+  });
+
+  return new Response(body, {
+    headers: { ...corsHeaders, "Content-Type": "text/event-stream", "Cache-Control": "no-cache" },
+  });
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const {
+      description,
+      mode = "standard",
+      currentDiagram,
+      instruction,
+      blockTypes,
+      expandBlock,
+      stream = false,
+    } = await req.json();
+    const refining = currentDiagram !== undefined;
+    const expanding = expandBlock !== undefined;
+
+    if (expanding) {
+      const expandError = refining
+        ? "expandBlock cannot be combined with currentDiagram"
+        : validateExpandBlock(expandBlock);
+      if (expandError) {
         return new Response(
-          JSON.stringify({ error: "Rate limit exceeded. Please try again later." }),
-          { status: 429, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          JSON.stringify({ error: expandError }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
         );
       }
-      if (response.status === 402) {
+    } else if (refining) {
+      if (!instruction || typeof instruction !== "string") {
         return new Response(
-          JSON.stringify({ error: "Usage limit reached. Please add credits." }),
-          { status: 402, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          JSON.stringify({ error: "Instruction is required to refine a diagram" }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
         );
       }
-      
+      if (!Array.isArray(currentDiagram?.blocks) || !Array.isArray(currentDiagram?.connections)) {
+        return new Response(
+          JSON.stringify({ error: "currentDiagram must contain blocks and connections" }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    } else if (!description || typeof description !== "string") {
       return new Response(
-        JSON.stringify({ error: "Failed to generate diagram" }),
-        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        JSON.stringify({ error: "Description is required" }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
       );
     }
 
-    const data = await response.json();
-    console.log("AI response received");
+    if (mode !== "standard" && mode !== "detailed") {
+      return new Response(
+        JSON.stringify({ error: 'Mode must be "standard" or "detailed"' }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+    const detailed = mode === "detailed";
 
-    // Extract the tool call result
-    const toolCall = data.choices?.[0]?.message?.tool_calls?.[0];
-    if (!toolCall || toolCall.function.name !== "generate_block_diagram") {
-      console.error("Unexpected response format:", JSON.stringify(data));
+    const parsedTypes = parseCustomBlockTypes(blockTypes);
+    if ("error" in parsedTypes) {
       return new Response(
-        JSON.stringify({ error: "Invalid response from AI" }),
-        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        JSON.stringify({ error: parsedTypes.error }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
       );
     }
+    const customTypes = parsedTypes.types;
 
-    const diagramData = JSON.parse(toolCall.function.arguments);
-    
-    // Validate we have exactly 5 blocks
-    if (!diagramData.blocks || diagramData.blocks.length !== 5) {
-      console.error("Invalid block count:", diagramData.blocks?.length);
+    const configured = providerFromEnv(Deno.env);
+    if ("error" in configured) {
+      console.error(configured.error);
       return new Response(
-        JSON.stringify({ error: "AI did not generate exactly 5 blocks" }),
+        JSON.stringify({ error: "AI service not configured" }),
         { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
       );
     }
 
-    console.log("Diagram generated successfully with", diagramData.blocks.length, "blocks");
-
-    return new Response(
-      JSON.stringify({ diagram: diagramData }),
-      { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    console.log(
+      expanding
+        ? `Expanding block "${expandBlock.title}"`
+        : refining
+        ? `Refining ${mode} diagram with: "${instruction}"`
+        : `Generating ${mode} diagram for: "${description}"`
     );
 
+    const checkOptions: CheckOptions = {
+      mode: expanding ? "expand" : mode,
+      types: customTypes.map((type) => type.id),
+      boundaryIds: expanding ? expandBlock.ports.map((port: BoundaryPort) => port.id) : undefined,
+    };
+    const check = (args: string) => checkArguments(args, checkOptions);
+
+    // Call the AI provider with tool calling for structured output; feedback holds the
+    // rejected attempts so far and the validation errors for each
+    const upstreamAbort = new AbortController();
+    const callProvider = (feedback: ChatMessage[]) =>
+      configured.provider.complete(
+        {
+          messages: [
+            {
+              role: "system",
+              content: expanding
+                ? buildExpandPrompt(customTypes)
+                : (detailed ? buildDetailedPrompt(customTypes) : SYSTEM_PROMPT) + (refining ? REFINE_RULES : ""),
+            },
+            {
+              role: "user",
+              content: buildUserMessage({ description, detailed, currentDiagram, instruction, expandBlock }),
+            },
+            ...feedback,
+          ],
+          tools: [buildDiagramTool(detailed || expanding, customTypes, expanding)],
+          tool_choice: { type: "function", function: { name: "generate_block_diagram" } },
+          stream: stream === true,
+        },
+        { description, currentDiagram, expandBlock },
+        upstreamAbort.signal
+      );
+
+    let feedback: ChatMessage[] = [];
+    for (let attempt = 0; ; attempt++) {
+      const response = await callProvider(feedback);
+      if (!response.ok) {
+        return providerErrorResponse(response, configured.provider.name);
+      }
+
+      if (stream === true) {
+        return streamDiagramResponse(response, upstreamAbort, check, callProvider);
+      }
+
+      const data = await response.json();
+      console.log("AI response received");
+
+      // Extract the tool call result
+      const toolCall = data.choices?.[0]?.message?.tool_calls?.[0];
+      if (!toolCall || toolCall.function.name !== "generate_block_diagram") {
+        console.error("Unexpected response format:", JSON.stringify(data));
+        return new Response(
+          JSON.stringify({ error: "Invalid response from AI" }),
+          { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+
+      // Repair what can be repaired, otherwise send the errors back for another attempt
+      const args = toolCall.function.arguments;
+      const result = check(args);
+      logCheck(result);
+      if (!result.errors.length) {
+        console.log("Diagram generated successfully with", result.diagram.blocks.length, "blocks");
+        return new Response(
+          JSON.stringify({ diagram: result.diagram }),
+          { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+      if (attempt >= MAX_VALIDATION_RETRIES) {
+        return new Response(
+          JSON.stringify({ error: `Invalid diagram from AI: ${result.errors[0]}` }),
+          { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+      feedback = [...feedback, ...retryMessages(args, result.errors)];
+    }
   } catch (error) {
     console.error("Error generating diagram:", error);
     return new Response(
@@ -0,0 +1,94 @@
+/**
+ * Canned diagrams returned by the mock AI provider
+ * Keyed by product description; matching ignores case, punctuation and extra spaces.
+ * Covers the example prompts offered in the app's input panel.
+ */
+
+import { defaultDiagram } from "../_shared/default-diagram.ts";
+
+export type MockBlock = { id: string; type: string; title: string; components: string[]; annotation?: string };
+export type MockConnection = { source: string; target: string; label?: string };
+export type MockDiagram = { blocks: MockBlock[]; connections: MockConnection[] };
+
+// Returned for descriptions without a canned diagram; the app's default template
+export const DEFAULT_MOCK_DIAGRAM: MockDiagram = defaultDiagram();
+
+// Standard five-block diagram from the components of each block, wired the usual way
+function fiveBlocks(
+  power: string[],
+  inputs: string[],
+  processing: string[],
+  outputs: string[],
+  peripherals: string[],
+  labels: { power: string; inputs: string; outputs: string; peripherals: string }
+): MockDiagram {
+  const block = (type: string, title: string, components: string[]) => ({ id: `${type}-1`, type, title, components });
+  return {
+    blocks: [
+      block("power", "Power Supply", power),
+      block("inputs", "Inputs Block", inputs),
+      block("processing", "Control and Processing", processing),
+      block("outputs", "Outputs Block", outputs),
+      block("peripherals", "Other Peripherals", peripherals),
+    ],
+    connections: [
+      { source: "power-1", target: "processing-1", label: labels.power },
+      { source: "inputs-1", target: "processing-1", label: labels.inputs },
+      { source: "processing-1", target: "outputs-1", label: labels.outputs },
+      { source: "processing-1", target: "peripherals-1", label: labels.peripherals },
+    ],
+  };
+}
+
+export const MOCK_DIAGRAMS: Record<string, MockDiagram> = {
+  "smart doorbell with camera and motion sensor": fiveBlocks(
+    ["Li-ion Battery", "Buck Converter"],
+    ["PIR Motion Sensor", "Push Button", "MEMS Microphone"],
+    ["ESP32-S3", "PSRAM"],
+    ["Speaker", "Status LED Ring"],
+    ["Camera Module", "WiFi Antenna"],
+    { power: "3.3V", inputs: "GPIO / I2S", outputs: "I2S / PWM", peripherals: "DVP / RF" }
+  ),
+  "wireless temperature monitoring device with lcd display": fiveBlocks(
+    ["CR2032 Coin Cell", "LDO Regulator"],
+    ["Temperature Sensor", "Mode Button"],
+    ["nRF52832", "EEPROM"],
+    ["Segment LCD", "Buzzer"],
+    ["BLE Antenna", "Programming Header"],
+    { power: "3.0V", inputs: "I2C", outputs: "SPI", peripherals: "RF / SWD" }
+  ),
+  "bluetooth speaker with rgb lighting effects": fiveBlocks(
+    ["Li-ion Battery", "USB-C Charger", "Boost Converter"],
+    ["Volume Buttons", "Power Switch"],
+    ["Bluetooth Audio SoC", "Audio DAC"],
+    ["Class-D Amplifier", "Speaker Driver", "RGB LED Strip"],
+    ["Bluetooth Antenna", "USB-C Connector"],
+    { power: "5V", inputs: "GPIO", outputs: "I2S / PWM", peripherals: "RF / USB" }
+  ),
+  "solar powered weather station with wifi connectivity": fiveBlocks(
+    ["Solar Panel", "MPPT Charger", "LiFePO4 Battery"],
+    ["Temperature and Humidity Sensor", "Barometric Pressure Sensor", "Anemometer", "Rain Gauge"],
+    ["ESP32", "RTC"],
+    ["Status LED", "E-paper Display"],
+    ["WiFi Antenna", "Weatherproof Connector"],
+    { power: "3.3V", inputs: "I2C / Pulse", outputs: "SPI", peripherals: "RF" }
+  ),
+  "smart home hub with voice control and touch screen": fiveBlocks(
+    ["AC-DC Adapter", "PMIC"],
+    ["Microphone Array", "Capacitive Touch Controller"],
+    ["Application Processor", "LPDDR4 RAM", "eMMC Storage"],
+    ["TFT Display", "Speaker", "Status LEDs"],
+    ["WiFi/BLE Module", "Zigbee Radio", "Ethernet PHY"],
+    { power: "5V / 1.8V", inputs: "PDM / I2C", outputs: "MIPI DSI / I2S", peripherals: "SDIO / UART / RGMII" }
+  ),
+};
+
+/**
+ * Key under which a description's canned diagram is stored
+ */
+export function mockDiagramKey(description: string): string {
+  return description
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
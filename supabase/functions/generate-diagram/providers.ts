@@ -0,0 +1,165 @@
+/**
+ * AI providers for the generate-diagram function
+ * Every provider takes an OpenAI-style chat completion request and answers with an
+ * OpenAI-style response (JSON, or server-sent events when streaming), so the
+ * function treats the hosted gateway, any compatible endpoint and the mock alike.
+ *
+ * Chosen by env config:
+ * - AI_PROVIDER=lovable (default): the Lovable AI gateway with LOVABLE_API_KEY
+ * - AI_PROVIDER=openai: any OpenAI-compatible endpoint at AI_BASE_URL, including
+ *   local model servers; AI_API_KEY is optional
+ * - AI_PROVIDER=mock: canned diagrams keyed by description, no network access
+ * AI_MODEL overrides the model for the lovable and openai providers.
+ */
+
+import { DEFAULT_MOCK_DIAGRAM, MOCK_DIAGRAMS, type MockDiagram, mockDiagramKey } from "./mock-diagrams.ts";
+
+const LOVABLE_GATEWAY_URL = "https://ai.gateway.lovable.dev/v1/chat/completions";
+const LOVABLE_DEFAULT_MODEL = "google/gemini-3-flash-preview";
+
+export type ChatRequest = {
+  messages: { role: string; content: string }[];
+  tools: unknown[];
+  tool_choice: { type: "function"; function: { name: string } };
+  stream: boolean;
+};
+
+// What is being asked for, for providers that answer without reading the prompt
+export type DiagramContext = {
+  description?: string;
+  currentDiagram?: MockDiagram;
+  expandBlock?: {
+    type: string;
+    title: string;
+    components: string[];
+    ports: { id: string; name: string; direction: string }[];
+  };
+};
+
+export interface AIProvider {
+  name: string;
+  complete(request: ChatRequest, context: DiagramContext, signal: AbortSignal): Promise<Response>;
+}
+
+/**
+ * Provider for an OpenAI-compatible chat completions endpoint
+ * The API key is optional because local model servers usually run without one.
+ */
+export function openAICompatibleProvider(
+  { name, url, apiKey, model }: { name: string; url: string; apiKey?: string; model: string }
+): AIProvider {
+  return {
+    name,
+    complete: (request, _context, signal) =>
+      fetch(url, {
+        method: "POST",
+        signal,
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ model, ...request }),
+      }),
+  };
+}
+
+// Sub-diagram for an expanded block: one core block wired to every boundary port
+function mockExpansion(block: NonNullable<DiagramContext["expandBlock"]>): MockDiagram {
+  const core = {
+    id: "core-1",
+    type: block.type,
+    title: `${block.title} Core`,
+    components: block.components.length ? block.components : ["Core Logic"],
+  };
+  return {
+    blocks: [core],
+    connections: block.ports.map((port) =>
+      port.direction === "in"
+        ? { source: port.id, target: core.id, label: port.name }
+        : { source: core.id, target: port.id, label: port.name }
+    ),
+  };
+}
+
+// Chunks of the streamed tool-call arguments, mimicking an upstream token stream
+const MOCK_CHUNK_SIZE = 48;
+
+// OpenAI-style response carrying a tool call with the given arguments
+function toolCallResponse(name: string, args: string, stream: boolean): Response {
+  if (!stream) {
+    const message = { role: "assistant", tool_calls: [{ type: "function", function: { name, arguments: args } }] };
+    return new Response(JSON.stringify({ choices: [{ message }] }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const events: string[] = [];
+  for (let i = 0; i < args.length; i += MOCK_CHUNK_SIZE) {
+    const call = { index: 0, function: { ...(i === 0 && { name }), arguments: args.slice(i, i + MOCK_CHUNK_SIZE) } };
+    events.push(`data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [call] } }] })}\n\n`);
+  }
+  events.push("data: [DONE]\n\n");
+  return new Response(events.join(""), { headers: { "Content-Type": "text/event-stream" } });
+}
+
+/**
+ * Deterministic provider that answers from canned diagrams
+ * New diagrams are looked up by description, falling back to the default template;
+ * refinements return the current diagram unchanged and expansions a single core block.
+ */
+export function mockProvider(diagrams: Record<string, MockDiagram> = MOCK_DIAGRAMS): AIProvider {
+  const canned = new Map(Object.entries(diagrams).map(([description, diagram]) => [mockDiagramKey(description), diagram]));
+
+  return {
+    name: "mock",
+    complete: (request, context) => {
+      const diagram = context.expandBlock
+        ? mockExpansion(context.expandBlock)
+        : context.currentDiagram ?? canned.get(mockDiagramKey(context.description ?? "")) ?? DEFAULT_MOCK_DIAGRAM;
+      return Promise.resolve(
+        toolCallResponse(request.tool_choice.function.name, JSON.stringify(diagram), request.stream)
+      );
+    },
+  };
+}
+
+/**
+ * Provider selected by the AI_* env variables; returns an error message when misconfigured
+ */
+export function providerFromEnv(env: { get(key: string): string | undefined }): { provider: AIProvider } | { error: string } {
+  const kind = env.get("AI_PROVIDER") ?? "lovable";
+
+  if (kind === "mock") {
+    return { provider: mockProvider() };
+  }
+  if (kind === "openai") {
+    const baseUrl = env.get("AI_BASE_URL");
+    const model = env.get("AI_MODEL");
+    if (!baseUrl || !model) {
+      return { error: "AI_BASE_URL and AI_MODEL are required for the openai provider" };
+    }
+    return {
+      provider: openAICompatibleProvider({
+        name: "openai",
+        url: `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        apiKey: env.get("AI_API_KEY"),
+        model,
+      }),
+    };
+  }
+  if (kind === "lovable") {
+    const apiKey = env.get("LOVABLE_API_KEY");
+    if (!apiKey) {
+      return { error: "LOVABLE_API_KEY is not configured" };
+    }
+    return {
+      provider: openAICompatibleProvider({
+        name: "lovable",
+        url: LOVABLE_GATEWAY_URL,
+        apiKey,
+        model: env.get("AI_MODEL") ?? LOVABLE_DEFAULT_MODEL,
+      }),
+    };
+  }
+  return { error: `Unknown AI_PROVIDER "${kind}"` };
+}
@@ -0,0 +1,43 @@
+-- Saved block diagrams
+-- diagram holds the nodesToDiagram payload; positions maps block id -> canvas position
+create table if not exists public.diagrams (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  description text not null default '',
+  diagram jsonb not null,
+  positions jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists diagrams_updated_at_idx on public.diagrams (updated_at desc);
+
+-- Keep updated_at current on every update
+create or replace function public.set_diagrams_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+create trigger diagrams_set_updated_at
+before update on public.diagrams
+for each row execute function public.set_diagrams_updated_at();
+
+-- The app has no sign-in, so the library is shared by everyone with the anon key
+alter table public.diagrams enable row level security;
+
+create policy "Diagrams are readable by anyone"
+  on public.diagrams for select using (true);
+
+create policy "Diagrams are insertable by anyone"
+  on public.diagrams for insert with check (true);
+
+create policy "Diagrams are updatable by anyone"
+  on public.diagrams for update using (true);
+
+create policy "Diagrams are deletable by anyone"
+  on public.diagrams for delete using (true);
@@ -0,0 +1,25 @@
+-- Named snapshots of saved diagrams, e.g. one per hardware revision
+-- diagram and positions have the same shape as on public.diagrams
+create table if not exists public.diagram_versions (
+  id uuid primary key default gen_random_uuid(),
+  diagram_id uuid not null references public.diagrams (id) on delete cascade,
+  name text not null,
+  diagram jsonb not null,
+  positions jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists diagram_versions_diagram_id_idx
+  on public.diagram_versions (diagram_id, created_at desc);
+
+-- Shared like the library itself; snapshots are never edited, only added or deleted
+alter table public.diagram_versions enable row level security;
+
+create policy "Diagram versions are readable by anyone"
+  on public.diagram_versions for select using (true);
+
+create policy "Diagram versions are insertable by anyone"
+  on public.diagram_versions for insert with check (true);
+
+create policy "Diagram versions are deletable by anyone"
+  on public.diagram_versions for delete using (true);